@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+const fs = require('fs/promises');
+const path = require('path');
+const { parseArgs } = require('util');
+const { parseSynthesisOptions, getOutputFormat } = require('../src/lib/synthesisOptions');
+const { synthesizeText } = require('../src/lib/synthesis');
+const { setSynthesisCache } = require('../src/lib/stores');
+const { createSynthesisCache } = require('../src/lib/synthesisCache');
+const { encodeCheckpoint, decodeCheckpoint } = require('../src/lib/chunkFailures');
+const {
+    FILE_FORMATS,
+    isBatchFile,
+    readBatchConfig,
+    batchFileRequest,
+    batchOutputNames,
+    batchFingerprint,
+    batchOutputFiles,
+    createManifest,
+    completedEntry,
+    failedEntry
+} = require('../src/lib/batch');
+
+/**
+ * Batch text-to-speech CLI
+ *
+ *   node bin/tts-batch.js [--config options.json] [--out dir] [--parallel n] [--force] <file or directory>...
+ *
+ * Converts files (and the supported files under directories) with the same
+ * synthesis pipeline as the function app, using the providers configured in
+ * the environment (TTS_PROVIDER, GOOGLE_APPLICATION_CREDENTIALS...). Audio is
+ * written to the output directory along with manifest.json, which lists the
+ * outcome of every file and is saved after each one.
+ *
+ * Running the same command again resumes the batch: files the manifest lists
+ * as done, unchanged and with the same options are skipped, files whose chunks
+ * failed synthesize only those chunks again (from .checkpoints), and chunks
+ * synthesized before an interruption come from the chunk cache in .cache.
+ */
+
+const USAGE = `Usage: tts-batch [options] <file or directory>...
+
+Options:
+  -c, --config <file>    JSON file of synthesis options (the fields of a JSON request)
+  -o, --out <dir>        Output directory (default: tts-output)
+  -p, --parallel <n>     Files converted at the same time (default: 1)
+  -f, --force            Convert every file again, even those already done
+  -h, --help             Show this help
+
+Files: ${Object.keys(FILE_FORMATS).join(' ')}`;
+
+const MANIFEST_NAME = 'manifest.json';
+const CHECKPOINT_DIRECTORY = '.checkpoints';
+const CACHE_DIRECTORY = '.cache';
+
+class UsageError extends Error {}
+
+function readArguments(argv) {
+    try {
+        return parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                config: { type: 'string', short: 'c' },
+                out: { type: 'string', short: 'o', default: 'tts-output' },
+                parallel: { type: 'string', short: 'p', default: '1' },
+                force: { type: 'boolean', short: 'f', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+async function readConfig(configPath) {
+    if (!configPath) {
+        return {};
+    }
+    let config;
+    try {
+        config = JSON.parse(await fs.readFile(configPath, 'utf8'));
+    } catch (error) {
+        throw new UsageError(`Can't read config file ${configPath}: ${error.message}`);
+    }
+    return readBatchConfig(config);
+}
+
+/**
+ * The files to convert, as { path, name }: files named directly keep their
+ * base name, files found under a directory their path inside it
+ */
+async function collectFiles(inputs, outDirectory) {
+    const files = [];
+    const walk = async (directory, root) => {
+        const entries = await fs.readdir(directory, { withFileTypes: true });
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            const fullPath = path.join(directory, entry.name);
+            // Hidden files and the output directory are never input
+            if (entry.name.startsWith('.') || path.resolve(fullPath) === outDirectory) {
+                continue;
+            }
+            if (entry.isDirectory()) {
+                await walk(fullPath, root);
+            } else if (entry.isFile() && isBatchFile(entry.name)) {
+                files.push({ path: fullPath, name: path.relative(root, fullPath) });
+            }
+        }
+    };
+
+    for (const input of inputs) {
+        const stats = await fs.stat(input).catch(() => null);
+        if (!stats) {
+            throw new UsageError(`${input} does not exist`);
+        }
+        if (stats.isDirectory()) {
+            await walk(input, input);
+        } else if (isBatchFile(input)) {
+            files.push({ path: input, name: path.basename(input) });
+        } else {
+            throw new UsageError(`${input} can't be converted; use one of ${Object.keys(FILE_FORMATS).join(', ')}`);
+        }
+    }
+    return files;
+}
+
+async function readManifest(manifestPath, config, force) {
+    if (!force) {
+        try {
+            return JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+    return createManifest(config);
+}
+
+// Written to a temp file and renamed, so an interruption never leaves half a manifest
+async function writeFileAtomic(filePath, data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+}
+
+async function fileExists(filePath) {
+    return Boolean(await fs.stat(filePath).catch(() => null));
+}
+
+async function main(argv) {
+    const { values, positionals } = readArguments(argv);
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (positionals.length === 0) {
+        throw new UsageError('No files or directories given');
+    }
+    const parallel = Number(values.parallel);
+    if (!Number.isInteger(parallel) || parallel < 1) {
+        throw new UsageError('--parallel must be a positive whole number');
+    }
+
+    const config = await readConfig(values.config);
+    const outDirectory = path.resolve(values.out);
+    const files = await collectFiles(positionals, outDirectory);
+    if (files.length === 0) {
+        throw new UsageError('No files to convert');
+    }
+
+    // Chunks already synthesized survive an interruption in the chunk cache,
+    // unless the environment configures a cache of its own
+    if (!process.env.TTS_CACHE) {
+        setSynthesisCache(createSynthesisCache({
+            ...process.env,
+            TTS_CACHE: 'file',
+            TTS_CACHE_DIR: path.join(outDirectory, CACHE_DIRECTORY)
+        }));
+    }
+
+    const manifestPath = path.join(outDirectory, MANIFEST_NAME);
+    const manifest = await readManifest(manifestPath, config, values.force);
+    manifest.options = config;
+    const outputs = batchOutputNames(files.map(file => file.name), getOutputFormat(parseSynthesisOptions(config)).extension);
+
+    // Entries are saved one at a time, in the order the files were given
+    let saving = Promise.resolve();
+    const saveEntry = (entry) => {
+        manifest.files = [...manifest.files.filter(existing => existing.file !== entry.file), entry]
+            .sort((a, b) => files.findIndex(file => file.name === a.file) - files.findIndex(file => file.name === b.file));
+        manifest.updatedAt = new Date().toISOString();
+        saving = saving.then(() => writeFileAtomic(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`));
+        return saving;
+    };
+
+    // The first Ctrl-C lets the files in progress finish; the second stops at once
+    let stopping = false;
+    process.on('SIGINT', () => {
+        if (stopping) {
+            process.exit(130);
+        }
+        stopping = true;
+        console.error('Stopping after the files in progress (Ctrl-C again to stop now)');
+    });
+
+    const counts = { completed: 0, skipped: 0, failed: 0 };
+    const convert = async (index) => {
+        const file = files[index];
+        const label = `[${index + 1}/${files.length}] ${file.name}`;
+        const content = await fs.readFile(file.path);
+        const fingerprint = batchFingerprint(content, config);
+        const entry = { file: file.name, output: outputs[index], fingerprint };
+        const checkpointPath = path.join(outDirectory, CHECKPOINT_DIRECTORY, `${fingerprint}.bin`);
+
+        const previous = manifest.files.find(existing => existing.file === file.name);
+        if (previous && previous.status === 'completed' && !previous.failedChunks &&
+            previous.fingerprint === fingerprint && previous.output === entry.output &&
+            await fileExists(path.join(outDirectory, entry.output))) {
+            console.error(`${label}: already done`);
+            counts.skipped++;
+            return;
+        }
+
+        let body;
+        let options;
+        try {
+            body = batchFileRequest(file.name, content, config);
+            options = parseSynthesisOptions(body);
+        } catch (error) {
+            console.error(`${label}: ${error.message}`);
+            counts.failed++;
+            await saveEntry(failedEntry(entry, error));
+            return;
+        }
+
+        // Chunks that failed last time are synthesized again; the rest come from the checkpoint
+        const checkpoint = await fs.readFile(checkpointPath).catch(() => null);
+        if (checkpoint) {
+            const { input, ...resume } = decodeCheckpoint(checkpoint);
+            options.resume = resume;
+            console.error(`${label}: retrying the chunks that failed before`);
+        }
+
+        const progressCallback = (progress) => {
+            if (progress.total > 0) {
+                console.error(`${label}: ${progress.status}`);
+            }
+        };
+        const saveCheckpoint = async (chunks) => {
+            if (chunks) {
+                await writeFileAtomic(checkpointPath, encodeCheckpoint({ input: { fingerprint }, ...chunks }));
+            } else {
+                await fs.rm(checkpointPath, { force: true });
+            }
+        };
+
+        try {
+            const result = await synthesizeText(body.text, options, progressCallback, () => {});
+            for (const output of batchOutputFiles(entry.output, result)) {
+                await writeFileAtomic(path.join(outDirectory, output.name), output.data);
+            }
+            await saveCheckpoint(result.checkpoint);
+            await saveEntry(completedEntry(entry, result, options));
+            counts.completed++;
+            console.error(`${label}: wrote ${entry.output}${result.failedChunks ? ` (${result.failedChunks.length} chunks failed)` : ''}`);
+        } catch (error) {
+            if (error.checkpoint) {
+                await saveCheckpoint(error.checkpoint);
+            }
+            await saveEntry(failedEntry(entry, error));
+            counts.failed++;
+            console.error(`${label}: failed: ${error.message}`);
+        }
+    };
+
+    // Workers take the next file until none are left; the providers' shared
+    // rate limiters pace the chunks of every file in progress
+    let next = 0;
+    const worker = async () => {
+        while (next < files.length && !stopping) {
+            await convert(next++);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(parallel, files.length) }, worker));
+    await saving;
+
+    const remaining = files.length - counts.completed - counts.skipped - counts.failed;
+    console.error(
+        `${counts.completed} converted, ${counts.skipped} already done, ${counts.failed} failed` +
+        `${remaining > 0 ? `, ${remaining} not started` : ''}; manifest: ${manifestPath}`
+    );
+    return counts.failed > 0 || remaining > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+    code => process.exit(code),
+    error => {
+        console.error(error instanceof UsageError || error.isValidation ? error.message : error);
+        if (error instanceof UsageError) {
+            console.error(`\n${USAGE}`);
+        }
+        process.exit(2);
+    }
+);
@@ -0,0 +1,255 @@
+'use client'
+
+import { useCallback, useEffect, useState } from 'react'
+import Link from 'next/link'
+import { ArrowLeft, Loader2, Pencil, Shield, Trash2, UserPlus } from 'lucide-react'
+import { useSession } from 'next-auth/react'
+import { useRouter } from 'next/navigation'
+import { ROLES, type Account, type Role } from '../../lib/ttsOptions'
+
+interface AccountDraft {
+  email: string
+  role: Role
+  // Blank uses the deployment's default quota, "none" is no limit
+  daily: string
+  monthly: string
+  // Comma-separated voice names or tiers; blank allows every voice
+  allowedVoices: string
+}
+
+const EMPTY_DRAFT: AccountDraft = {
+  email: '',
+  role: 'user',
+  daily: '',
+  monthly: '',
+  allowedVoices: ''
+}
+
+const formatQuota = (limit: number | null | undefined) =>
+  limit === undefined ? 'default' : limit === null ? 'no limit' : limit.toLocaleString()
+
+function draftQuota(value: number | null | undefined): string {
+  return value === undefined ? '' : value === null ? 'none' : String(value)
+}
+
+function parseQuota(value: string): number | null | undefined {
+  const trimmed = value.trim().toLowerCase()
+  if (trimmed === '') return undefined
+  if (trimmed === 'none') return null
+  return Number(trimmed)
+}
+
+export default function AdminPage() {
+  const { data: session, status } = useSession()
+  const router = useRouter()
+  const [accounts, setAccounts] = useState<Account[]>([])
+  const [draft, setDraft] = useState<AccountDraft>(EMPTY_DRAFT)
+  const [editing, setEditing] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const loadAccounts = useCallback(async () => {
+    const response = await fetch('/api/admin/users')
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load users')
+    }
+    setAccounts(data.accounts || [])
+  }, [])
+
+  useEffect(() => {
+    if (status !== 'authenticated') return
+    loadAccounts().catch(err => setError(err.message))
+  }, [status, loadAccounts])
+
+  if (status === 'loading') {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    )
+  }
+
+  if (!session) {
+    router.push('/auth/signin')
+    return null
+  }
+
+  const saveAccount = async () => {
+    setIsSaving(true)
+    setError(null)
+    try {
+      const voices = draft.allowedVoices.split(',').map(voice => voice.trim()).filter(Boolean)
+      const response = await fetch(`/api/admin/users/${encodeURIComponent(draft.email.trim())}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          role: draft.role,
+          quotas: { daily: parseQuota(draft.daily), monthly: parseQuota(draft.monthly) },
+          allowedVoices: voices.length > 0 ? voices : null
+        })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save the user')
+      }
+      setAccounts(current =>
+        [...current.filter(account => account.email !== data.email), data]
+          .sort((a, b) => a.email.localeCompare(b.email)))
+      setDraft(EMPTY_DRAFT)
+      setEditing(false)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save the user')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const editAccount = (account: Account) => {
+    setDraft({
+      email: account.email,
+      role: account.role,
+      daily: draftQuota(account.quotas.daily),
+      monthly: draftQuota(account.quotas.monthly),
+      allowedVoices: account.allowedVoices?.join(', ') || ''
+    })
+    setEditing(true)
+  }
+
+  const revokeAccount = async (email: string) => {
+    if (!window.confirm(`Revoke access for ${email}? Their API tokens stop working too.`)) return
+    setError(null)
+    const response = await fetch(`/api/admin/users/${encodeURIComponent(email)}`, { method: 'DELETE' })
+    if (!response.ok && response.status !== 404) {
+      const data = await response.json().catch(() => ({}))
+      setError(data.error || 'Failed to revoke access')
+      return
+    }
+    setAccounts(current => current.filter(account => account.email !== email))
+  }
+
+  const inputClass = 'p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent'
+
+  return (
+    <main className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
+      <div className="max-w-4xl mx-auto py-12 space-y-6">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center">
+            <Shield className="w-10 h-10 text-indigo-600 mr-3" />
+            <h1 className="text-3xl font-bold text-gray-900">Users</h1>
+          </div>
+          <Link href="/" className="flex items-center text-indigo-600 hover:text-indigo-800">
+            <ArrowLeft className="w-4 h-4 mr-1" />
+            Back to generator
+          </Link>
+        </div>
+
+        {error && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">{error}</div>
+        )}
+
+        {/* Invite or edit */}
+        <div className="bg-white rounded-2xl shadow-xl p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">{editing ? `Edit ${draft.email}` : 'Invite a user'}</h2>
+          <p className="text-sm text-gray-500">
+            Invited users can sign in with their Google account. Leave a quota blank for the default, or enter &quot;none&quot; for no limit.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <input
+              type="email"
+              value={draft.email}
+              disabled={editing}
+              onChange={(e) => setDraft({ ...draft, email: e.target.value })}
+              placeholder="Email, e.g. someone@example.com"
+              className={inputClass}
+            />
+            <select
+              value={draft.role}
+              onChange={(e) => setDraft({ ...draft, role: e.target.value as Role })}
+              className={inputClass}
+            >
+              {(Object.keys(ROLES) as Role[]).map(role => (
+                <option key={role} value={role}>{ROLES[role]}</option>
+              ))}
+            </select>
+            <input
+              value={draft.daily}
+              onChange={(e) => setDraft({ ...draft, daily: e.target.value })}
+              placeholder="Daily character quota (default)"
+              className={inputClass}
+            />
+            <input
+              value={draft.monthly}
+              onChange={(e) => setDraft({ ...draft, monthly: e.target.value })}
+              placeholder="Monthly character quota (default)"
+              className={inputClass}
+            />
+            <input
+              value={draft.allowedVoices}
+              onChange={(e) => setDraft({ ...draft, allowedVoices: e.target.value })}
+              placeholder="Allowed voices or tiers, e.g. Standard, en-US-Neural2-F (blank for all)"
+              className={`md:col-span-2 ${inputClass}`}
+            />
+          </div>
+          <div className="flex justify-end gap-2">
+            {editing && (
+              <button
+                onClick={() => { setDraft(EMPTY_DRAFT); setEditing(false) }}
+                className="px-4 py-2 rounded-lg text-gray-700 hover:bg-gray-100 transition-colors duration-200"
+              >
+                Cancel
+              </button>
+            )}
+            <button
+              onClick={saveAccount}
+              disabled={isSaving || !draft.email.trim()}
+              className="flex items-center bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-lg transition-colors duration-200"
+            >
+              {isSaving ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <UserPlus className="w-4 h-4 mr-1" />}
+              {editing ? 'Save' : 'Invite'}
+            </button>
+          </div>
+        </div>
+
+        {/* Everyone with access */}
+        <div className="bg-white rounded-2xl shadow-xl p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Users ({accounts.length})</h2>
+          <ul className="divide-y divide-gray-200">
+            {accounts.map(account => (
+              <li key={account.email} className="flex items-center justify-between py-2 text-sm">
+                <div>
+                  <span className="text-gray-900">{account.email}</span>
+                  <span className="ml-2 text-xs text-gray-500">
+                    {account.role}
+                    {account.bootstrap && ' (TTS_ADMIN_EMAILS)'}
+                    {` · daily ${formatQuota(account.quotas.daily)}, monthly ${formatQuota(account.quotas.monthly)}`}
+                    {account.allowedVoices && ` · voices: ${account.allowedVoices.join(', ')}`}
+                  </span>
+                </div>
+                {!account.bootstrap && (
+                  <div className="flex items-center gap-3">
+                    <button
+                      onClick={() => editAccount(account)}
+                      className="text-gray-400 hover:text-indigo-600"
+                      title="Edit user"
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => revokeAccount(account.email)}
+                      disabled={account.email === session.user?.email?.toLowerCase()}
+                      className="text-gray-400 hover:text-red-600 disabled:opacity-30"
+                      title="Revoke access"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </main>
+  )
+}
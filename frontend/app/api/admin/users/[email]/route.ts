@@ -0,0 +1,61 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { authorize } from '../../../../../lib/auth'
+import { getAzureFunctionConfig, fetchAzureFunction } from '../../../../../lib/azureFunction'
+
+type RouteContext = { params: { email: string } }
+
+// Forwards a change to one user's access to the function app (admins only)
+async function forwardAccountRequest(request: NextRequest, email: string, init: RequestInit) {
+  try {
+    const auth = await authorize(request, 'admin')
+    if (auth.error) {
+      return auth.error
+    }
+
+    // Admins can't lock themselves out
+    if (email.trim().toLowerCase() === auth.user.email && init.method === 'DELETE') {
+      return NextResponse.json(
+        { error: 'You cannot revoke your own access' },
+        { status: 400 }
+      )
+    }
+
+    const config = getAzureFunctionConfig()
+    if (!config) {
+      return NextResponse.json(
+        { error: 'Server configuration error' },
+        { status: 500 }
+      )
+    }
+
+    const response = await fetchAzureFunction(config, `access/users/${encodeURIComponent(email)}`, init, auth.user)
+    if (response.status === 204) {
+      return new NextResponse(null, { status: 204 })
+    }
+    const data = await response.json()
+
+    return NextResponse.json(data, { status: response.status })
+
+  } catch (error) {
+    console.error('API route error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+// Invites a user, or changes their role, quotas and allowed voices
+export async function PUT(request: NextRequest, { params }: RouteContext) {
+  const body = await request.json()
+  return forwardAccountRequest(request, params.email, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ role: body.role, quotas: body.quotas, allowedVoices: body.allowedVoices })
+  })
+}
+
+// Revokes a user's access and API tokens
+export async function DELETE(request: NextRequest, { params }: RouteContext) {
+  return forwardAccountRequest(request, params.email, { method: 'DELETE' })
+}
@@ -0,0 +1,58 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { authorize } from '../../../../lib/auth'
+import type { Role } from '../../../../lib/ttsOptions'
+import { getAzureFunctionConfig, fetchAzureFunction } from '../../../../lib/azureFunction'
+
+type RouteContext = { params: { id: string } }
+
+// Forwards a request for one history item to the function app
+async function forwardItemRequest(request: NextRequest, role: Role, id: string, init: RequestInit = {}) {
+  try {
+    const auth = await authorize(request, role)
+    if (auth.error) {
+      return auth.error
+    }
+
+    const config = getAzureFunctionConfig()
+    if (!config) {
+      return NextResponse.json(
+        { error: 'Server configuration error' },
+        { status: 500 }
+      )
+    }
+
+    const response = await fetchAzureFunction(config, `history/${encodeURIComponent(id)}`, init, auth.user)
+    if (response.status === 204) {
+      return new NextResponse(null, { status: 204 })
+    }
+    const data = await response.json()
+
+    return NextResponse.json(data, { status: response.status })
+
+  } catch (error) {
+    console.error('API route error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+// One item, with the request it was generated from
+export async function GET(request: NextRequest, { params }: RouteContext) {
+  return forwardItemRequest(request, 'read-only', params.id)
+}
+
+// Renames an item
+export async function PATCH(request: NextRequest, { params }: RouteContext) {
+  const body = await request.json()
+  return forwardItemRequest(request, 'user', params.id, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ title: body.title })
+  })
+}
+
+export async function DELETE(request: NextRequest, { params }: RouteContext) {
+  return forwardItemRequest(request, 'user', params.id, { method: 'DELETE' })
+}
@@ -0,0 +1,56 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { authorize } from '../../../../lib/auth'
+import type { Role } from '../../../../lib/ttsOptions'
+import { getAzureFunctionConfig, fetchAzureFunction } from '../../../../lib/azureFunction'
+
+type RouteContext = { params: { id: string } }
+
+// Forwards a request for one lexicon entry to the function app
+async function forwardEntryRequest(request: NextRequest, role: Role, id: string, init: RequestInit = {}) {
+  try {
+    const auth = await authorize(request, role)
+    if (auth.error) {
+      return auth.error
+    }
+
+    const config = getAzureFunctionConfig()
+    if (!config) {
+      return NextResponse.json(
+        { error: 'Server configuration error' },
+        { status: 500 }
+      )
+    }
+
+    const response = await fetchAzureFunction(config, `lexicon/${encodeURIComponent(id)}`, init, auth.user)
+    if (response.status === 204) {
+      return new NextResponse(null, { status: 204 })
+    }
+    const data = await response.json()
+
+    return NextResponse.json(data, { status: response.status })
+
+  } catch (error) {
+    console.error('API route error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+export async function GET(request: NextRequest, { params }: RouteContext) {
+  return forwardEntryRequest(request, 'read-only', params.id)
+}
+
+// Replaces a lexicon entry
+export async function PUT(request: NextRequest, { params }: RouteContext) {
+  return forwardEntryRequest(request, 'user', params.id, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(await request.json())
+  })
+}
+
+export async function DELETE(request: NextRequest, { params }: RouteContext) {
+  return forwardEntryRequest(request, 'user', params.id, { method: 'DELETE' })
+}
@@ -0,0 +1,33 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { authorize } from '../../../lib/auth'
+import { getAzureFunctionConfig, fetchAzureFunction } from '../../../lib/azureFunction'
+
+// Lists the background music tracks requests can mix under speech
+export async function GET(request: NextRequest) {
+  try {
+    const auth = await authorize(request, 'read-only')
+    if (auth.error) {
+      return auth.error
+    }
+
+    const config = getAzureFunctionConfig()
+    if (!config) {
+      return NextResponse.json(
+        { error: 'Server configuration error' },
+        { status: 500 }
+      )
+    }
+
+    const response = await fetchAzureFunction(config, 'music', {}, auth.user)
+    const data = await response.json()
+
+    return NextResponse.json(data, { status: response.status })
+
+  } catch (error) {
+    console.error('API route error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
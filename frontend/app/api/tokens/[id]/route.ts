@@ -0,0 +1,41 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { authorize } from '../../../../lib/auth'
+import { getAzureFunctionConfig, fetchAzureFunction } from '../../../../lib/azureFunction'
+
+// Revokes one of the signed-in user's API tokens
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  try {
+    const auth = await authorize(request, 'read-only', { allowTokens: false })
+    if (auth.error) {
+      return auth.error
+    }
+
+    const config = getAzureFunctionConfig()
+    if (!config) {
+      return NextResponse.json(
+        { error: 'Server configuration error' },
+        { status: 500 }
+      )
+    }
+
+    const response = await fetchAzureFunction(config, `access/tokens/${encodeURIComponent(params.id)}`, {
+      method: 'DELETE'
+    }, auth.user)
+    if (response.status === 204) {
+      return new NextResponse(null, { status: 204 })
+    }
+    const data = await response.json()
+
+    return NextResponse.json(data, { status: response.status })
+
+  } catch (error) {
+    console.error('API route error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,71 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { authorize } from '../../../lib/auth'
+import { getAzureFunctionConfig, fetchAzureFunction } from '../../../lib/azureFunction'
+
+// API tokens are managed from a browser session only, so a token can't mint more tokens
+const TOKEN_ACCESS = { allowTokens: false }
+
+// Lists the signed-in user's API tokens
+export async function GET(request: NextRequest) {
+  try {
+    const auth = await authorize(request, 'read-only', TOKEN_ACCESS)
+    if (auth.error) {
+      return auth.error
+    }
+
+    const config = getAzureFunctionConfig()
+    if (!config) {
+      return NextResponse.json(
+        { error: 'Server configuration error' },
+        { status: 500 }
+      )
+    }
+
+    const response = await fetchAzureFunction(config, 'access/tokens', {}, auth.user)
+    const data = await response.json()
+
+    return NextResponse.json(data, { status: response.status })
+
+  } catch (error) {
+    console.error('API route error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+// Creates an API token; the response is the only time the token is shown
+export async function POST(request: NextRequest) {
+  try {
+    const auth = await authorize(request, 'read-only', TOKEN_ACCESS)
+    if (auth.error) {
+      return auth.error
+    }
+
+    const config = getAzureFunctionConfig()
+    if (!config) {
+      return NextResponse.json(
+        { error: 'Server configuration error' },
+        { status: 500 }
+      )
+    }
+
+    const body = await request.json()
+    const response = await fetchAzureFunction(config, 'access/tokens', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: body.name })
+    }, auth.user)
+    const data = await response.json()
+
+    return NextResponse.json(data, { status: response.status })
+
+  } catch (error) {
+    console.error('API route error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
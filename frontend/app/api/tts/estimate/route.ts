@@ -0,0 +1,39 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { authorize } from '../../../../lib/auth'
+import { getAzureFunctionConfig, fetchAzureFunction } from '../../../../lib/azureFunction'
+import { pickSynthesisSettings } from '../../../../lib/ttsOptions'
+
+// Estimates the characters, duration and cost of a synthesis without making it
+export async function POST(request: NextRequest) {
+  try {
+    const auth = await authorize(request, 'read-only')
+    if (auth.error) {
+      return auth.error
+    }
+
+    const config = getAzureFunctionConfig()
+    if (!config) {
+      return NextResponse.json(
+        { error: 'Server configuration error' },
+        { status: 500 }
+      )
+    }
+
+    const body = await request.json()
+    const response = await fetchAzureFunction(config, 'tts/estimate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: body.text, ...pickSynthesisSettings(body) })
+    }, auth.user)
+    const data = await response.json()
+
+    return NextResponse.json(data, { status: response.status })
+
+  } catch (error) {
+    console.error('API route error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,49 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { authorize } from '../../../../../../lib/auth'
+import { getAzureFunctionConfig, fetchAzureFunction } from '../../../../../../lib/azureFunction'
+
+// Streams the finished audio of a completed text-to-speech job
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  try {
+    const auth = await authorize(request, 'read-only')
+    if (auth.error) {
+      return auth.error
+    }
+
+    const config = getAzureFunctionConfig()
+    if (!config) {
+      return NextResponse.json(
+        { error: 'Server configuration error' },
+        { status: 500 }
+      )
+    }
+
+    const response = await fetchAzureFunction(config, `tts/jobs/${encodeURIComponent(params.id)}/result`, {}, auth.user)
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}))
+      return NextResponse.json(
+        { error: data.error || `Azure Function request failed: ${response.status}` },
+        { status: response.status }
+      )
+    }
+
+    return new NextResponse(response.body, {
+      status: 200,
+      headers: {
+        'Content-Type': response.headers.get('Content-Type') || 'audio/ogg',
+        'Content-Disposition': response.headers.get('Content-Disposition') || 'attachment'
+      }
+    })
+
+  } catch (error) {
+    console.error('API route error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,55 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { authorize } from '../../../../../../lib/auth'
+import { getAzureFunctionConfig, fetchAzureFunction } from '../../../../../../lib/azureFunction'
+
+// Synthesizes the chunks a job failed on again and returns the repaired audio
+export async function POST(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  try {
+    const auth = await authorize(request, 'user')
+    if (auth.error) {
+      return auth.error
+    }
+
+    const config = getAzureFunctionConfig()
+    if (!config) {
+      return NextResponse.json(
+        { error: 'Server configuration error' },
+        { status: 500 }
+      )
+    }
+
+    const response = await fetchAzureFunction(config, `tts/jobs/${encodeURIComponent(params.id)}/retry`, {
+      method: 'POST'
+    }, auth.user)
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}))
+      return NextResponse.json(
+        {
+          error: data.error || `Azure Function request failed: ${response.status}`,
+          ...(data.failedChunks && { failedChunks: data.failedChunks })
+        },
+        { status: response.status }
+      )
+    }
+
+    return new NextResponse(response.body, {
+      status: 200,
+      headers: {
+        'Content-Type': response.headers.get('Content-Type') || 'audio/ogg',
+        'Content-Disposition': response.headers.get('Content-Disposition') || 'attachment',
+        'X-TTS-Failed-Chunks': response.headers.get('X-TTS-Failed-Chunks') || '0'
+      }
+    })
+
+  } catch (error) {
+    console.error('API route error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,36 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { authorize } from '../../../../../lib/auth'
+import { getAzureFunctionConfig, fetchAzureFunction } from '../../../../../lib/azureFunction'
+
+// Returns the status and chunk progress of a text-to-speech job
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  try {
+    const auth = await authorize(request, 'read-only')
+    if (auth.error) {
+      return auth.error
+    }
+
+    const config = getAzureFunctionConfig()
+    if (!config) {
+      return NextResponse.json(
+        { error: 'Server configuration error' },
+        { status: 500 }
+      )
+    }
+
+    const response = await fetchAzureFunction(config, `tts/jobs/${encodeURIComponent(params.id)}`, {}, auth.user)
+    const data = await response.json()
+
+    return NextResponse.json(data, { status: response.status })
+
+  } catch (error) {
+    console.error('API route error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,61 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { authorize } from '../../../../../../lib/auth'
+import { getAzureFunctionConfig, fetchAzureFunction } from '../../../../../../lib/azureFunction'
+
+// Returns the read-along timing of a completed job as JSON, WebVTT or SRT
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  try {
+    const auth = await authorize(request, 'read-only')
+    if (auth.error) {
+      return auth.error
+    }
+
+    const config = getAzureFunctionConfig()
+    if (!config) {
+      return NextResponse.json(
+        { error: 'Server configuration error' },
+        { status: 500 }
+      )
+    }
+
+    // Forward only the known query parameters
+    const query = new URLSearchParams()
+    for (const name of ['format', 'chapter']) {
+      const value = request.nextUrl.searchParams.get(name)
+      if (value) query.set(name, value)
+    }
+
+    const response = await fetchAzureFunction(
+      config,
+      `tts/jobs/${encodeURIComponent(params.id)}/timing?${query.toString()}`,
+      {},
+      auth.user
+    )
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}))
+      return NextResponse.json(
+        { error: data.error || `Azure Function request failed: ${response.status}` },
+        { status: response.status }
+      )
+    }
+
+    return new NextResponse(response.body, {
+      status: 200,
+      headers: {
+        'Content-Type': response.headers.get('Content-Type') || 'application/json',
+        'Content-Disposition': response.headers.get('Content-Disposition') || 'attachment'
+      }
+    })
+
+  } catch (error) {
+    console.error('API route error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,74 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { authorize } from '../../../../lib/auth'
+import { getAzureFunctionConfig, fetchAzureFunction } from '../../../../lib/azureFunction'
+import { pickSynthesisSettings } from '../../../../lib/ttsOptions'
+
+// Submits a text-to-speech job and returns its id immediately
+export async function POST(request: NextRequest) {
+  try {
+    const auth = await authorize(request, 'user')
+    if (auth.error) {
+      return auth.error
+    }
+
+    const body = await request.json()
+    const { text } = body
+
+    // Scripts and explicit chapters replace the text
+    const hasChapters = Array.isArray(body.chapters) && body.chapters.length > 0
+    if (!body.script && !hasChapters && (!text || text.trim().length === 0)) {
+      return NextResponse.json(
+        { error: 'No text provided' },
+        { status: 400 }
+      )
+    }
+
+    const config = getAzureFunctionConfig()
+    if (!config) {
+      return NextResponse.json(
+        { error: 'Server configuration error' },
+        { status: 500 }
+      )
+    }
+
+    const response = await fetchAzureFunction(config, 'tts/jobs', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, ...pickSynthesisSettings(body) })
+    }, auth.user)
+
+    if (!response.ok) {
+      const errorText = await response.text()
+      console.error('Azure Function error:', response.status, errorText)
+
+      // Validation, access and quota errors carry a message meant for the user (e.g. an invalid pitch)
+      let message = `Azure Function request failed: ${response.status}`
+      if (response.status === 400 || response.status === 403 || response.status === 429) {
+        try {
+          message = JSON.parse(errorText).error || message
+        } catch {
+          // Keep the generic message
+        }
+      }
+
+      return NextResponse.json(
+        { error: message },
+        { status: response.status }
+      )
+    }
+
+    const data = await response.json()
+
+    return NextResponse.json(
+      { success: true, jobId: data.jobId, status: data.status },
+      { status: 202 }
+    )
+
+  } catch (error) {
+    console.error('API route error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -1,32 +1,23 @@
 import { NextRequest, NextResponse } from 'next/server'
-import { getServerSession } from 'next-auth'
-import { authOptions } from '../../../lib/auth'
+import { authorize } from '../../../lib/auth'
+import { pickSynthesisSettings } from '../../../lib/ttsOptions'
+import { getUserHeaders } from '../../../lib/azureFunction'
 
 export async function POST(request: NextRequest) {
   try {
-    // Check authentication
-    const session = await getServerSession(authOptions)
-    if (!session) {
-      return NextResponse.json(
-        { error: 'Unauthorized - Please sign in' },
-        { status: 401 }
-      )
-    }
-
-    // Verify the user is authorized (same email check as in NextAuth)
-    const allowedEmail = 'kc681269@gmail.com'
-    if (session.user?.email !== allowedEmail) {
-      return NextResponse.json(
-        { error: 'Forbidden - Access denied' },
-        { status: 403 }
-      )
+    // Check authentication and authorization
+    const auth = await authorize(request, 'user')
+    if (auth.error) {
+      return auth.error
     }
 
     // Parse request body
     const body = await request.json()
     const { text } = body
 
-    if (!text || text.trim().length === 0) {
+    // Scripts and explicit chapters replace the text
+    const hasChapters = Array.isArray(body.chapters) && body.chapters.length > 0
+    if (!body.script && !hasChapters && (!text || text.trim().length === 0)) {
       return NextResponse.json(
         { error: 'No text provided' },
         { status: 400 }
@@ -56,9 +47,10 @@ export async function POST(request: NextRequest) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...getUserHeaders(auth.user),
         'x-functions-key': azureFunctionKey, // Key stays on server
       },
-      body: JSON.stringify({ text }),
+      body: JSON.stringify({ text, ...pickSynthesisSettings(body) }),
       signal: controller.signal
     })
     
@@ -67,12 +59,38 @@ export async function POST(request: NextRequest) {
     if (!response.ok) {
       const errorText = await response.text()
       console.error('Azure Function error:', response.status, errorText)
+
+      // Validation, access and quota errors carry a message meant for the user (e.g. timing can't be streamed),
+      // and chunk failures (502) list the chunks that failed
+      let message = `Azure Function request failed: ${response.status}`
+      let failedChunks
+      if (response.status === 400 || response.status === 403 || response.status === 429 || response.status === 502) {
+        try {
+          const data = JSON.parse(errorText)
+          message = data.error || message
+          failedChunks = data.failedChunks
+        } catch {
+          // Keep the generic message
+        }
+      }
+
       return NextResponse.json(
-        { error: `Azure Function request failed: ${response.status}` },
+        { error: message, ...(failedChunks && { failedChunks }) },
         { status: response.status }
       )
     }
 
+    // Streaming: pass the audio bytes through as they arrive, with the details in headers
+    if (body.stream) {
+      const headers = new Headers({ 'Cache-Control': 'no-store' })
+      response.headers.forEach((value, name) => {
+        if (name === 'content-type' || name.startsWith('x-tts-')) {
+          headers.set(name, value)
+        }
+      })
+      return new Response(response.body, { headers })
+    }
+
     const data = await response.json()
     
     if (!data.success) {
@@ -87,7 +105,16 @@ export async function POST(request: NextRequest) {
       success: true,
       audioData: data.audioData,
       format: data.format,
-      chunksProcessed: data.chunksProcessed
+      mimeType: data.mimeType,
+      chunksProcessed: data.chunksProcessed,
+      cache: data.cache,
+      provider: data.provider,
+      fallbackFrom: data.fallbackFrom,
+      chapters: data.chapters,
+      timing: data.timing,
+      lexicon: data.lexicon,
+      failedChunks: data.failedChunks,
+      historyId: data.historyId
     })
 
   } catch (error) {
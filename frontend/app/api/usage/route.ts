@@ -0,0 +1,34 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { authorize } from '../../../lib/auth'
+import { getAzureFunctionConfig, fetchAzureFunction } from '../../../lib/azureFunction'
+
+// The signed-in user's usage, quotas and estimated costs
+export async function GET(request: NextRequest) {
+  try {
+    const auth = await authorize(request, 'read-only')
+    if (auth.error) {
+      return auth.error
+    }
+
+    const config = getAzureFunctionConfig()
+    if (!config) {
+      return NextResponse.json(
+        { error: 'Server configuration error' },
+        { status: 500 }
+      )
+    }
+
+    const days = request.nextUrl.searchParams.get('days')
+    const response = await fetchAzureFunction(config, `usage${days ? `?days=${encodeURIComponent(days)}` : ''}`, {}, auth.user)
+    const data = await response.json()
+
+    return NextResponse.json(data, { status: response.status })
+
+  } catch (error) {
+    console.error('API route error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
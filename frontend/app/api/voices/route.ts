@@ -0,0 +1,41 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { authorize } from '../../../lib/auth'
+import { getAzureFunctionConfig, fetchAzureFunction } from '../../../lib/azureFunction'
+
+// Lists available voices, passing provider and languageCode/gender/family filters through
+export async function GET(request: NextRequest) {
+  try {
+    const auth = await authorize(request, 'read-only')
+    if (auth.error) {
+      return auth.error
+    }
+
+    const config = getAzureFunctionConfig()
+    if (!config) {
+      return NextResponse.json(
+        { error: 'Server configuration error' },
+        { status: 500 }
+      )
+    }
+
+    const query = new URLSearchParams()
+    for (const filter of ['provider', 'languageCode', 'gender', 'family']) {
+      const value = request.nextUrl.searchParams.get(filter)
+      if (value) {
+        query.set(filter, value)
+      }
+    }
+
+    const response = await fetchAzureFunction(config, `voices?${query.toString()}`, {}, auth.user)
+    const data = await response.json()
+
+    return NextResponse.json(data, { status: response.status })
+
+  } catch (error) {
+    console.error('API route error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -12,7 +12,7 @@ export default function AuthError() {
       case 'AccessDenied':
         return {
           title: 'Access Denied',
-          message: 'Your Google account is not authorized to access this application. Only kc681269@gmail.com is allowed.',
+          message: 'Your Google account has not been invited to this application. Ask an admin to add your email address.',
           showDetails: false,
         }
       case 'Configuration':
@@ -0,0 +1,307 @@
+'use client'
+
+import { useCallback, useEffect, useState } from 'react'
+import Link from 'next/link'
+import { ArrowLeft, BookOpen, Eye, Loader2, Plus, Trash2 } from 'lucide-react'
+import { useSession } from 'next-auth/react'
+import { useRouter } from 'next/navigation'
+import {
+  LEXICON_REPLACEMENT_TYPES,
+  type LexiconEntry,
+  type LexiconReplacementType
+} from '../../lib/ttsOptions'
+
+interface EntryDraft {
+  match: string
+  matchType: 'literal' | 'regex'
+  caseSensitive: boolean
+  wholeWord: boolean
+  type: LexiconReplacementType
+  replacement: string
+  alphabet: 'ipa' | 'x-sampa'
+  languageCode: string
+}
+
+const EMPTY_DRAFT: EntryDraft = {
+  match: '',
+  matchType: 'literal',
+  caseSensitive: false,
+  wholeWord: true,
+  type: 'text',
+  replacement: '',
+  alphabet: 'ipa',
+  languageCode: ''
+}
+
+interface PreviewResult {
+  inputType: string
+  text?: string
+  sections?: { title: string; text: string }[]
+  applied: { id: string; match: string; count: number }[]
+  chunks: number
+}
+
+export default function LexiconPage() {
+  const { data: session, status } = useSession()
+  const router = useRouter()
+  const [entries, setEntries] = useState<LexiconEntry[]>([])
+  const [draft, setDraft] = useState<EntryDraft>(EMPTY_DRAFT)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [previewText, setPreviewText] = useState('')
+  const [preview, setPreview] = useState<PreviewResult | null>(null)
+  const [isPreviewing, setIsPreviewing] = useState(false)
+
+  const loadEntries = useCallback(async () => {
+    const response = await fetch('/api/lexicon')
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load the lexicon')
+    }
+    setEntries(data.entries || [])
+  }, [])
+
+  useEffect(() => {
+    if (status !== 'authenticated') return
+    loadEntries().catch(err => setError(err.message))
+  }, [status, loadEntries])
+
+  if (status === 'loading') {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    )
+  }
+
+  if (!session) {
+    router.push('/auth/signin')
+    return null
+  }
+
+  const addEntry = async () => {
+    setIsSaving(true)
+    setError(null)
+    try {
+      const response = await fetch('/api/lexicon', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...draft,
+          alphabet: draft.type === 'phoneme' ? draft.alphabet : undefined,
+          languageCode: draft.languageCode.trim() || undefined
+        })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save the entry')
+      }
+      setEntries(current => [...current, data])
+      setDraft(EMPTY_DRAFT)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save the entry')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const deleteEntry = async (id: string) => {
+    setError(null)
+    const response = await fetch(`/api/lexicon/${encodeURIComponent(id)}`, { method: 'DELETE' })
+    if (!response.ok && response.status !== 404) {
+      setError('Failed to delete the entry')
+      return
+    }
+    setEntries(current => current.filter(entry => entry.id !== id))
+  }
+
+  const runPreview = async () => {
+    setIsPreviewing(true)
+    setError(null)
+    try {
+      const response = await fetch('/api/lexicon/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: previewText })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Preview failed')
+      }
+      setPreview(data)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Preview failed')
+    } finally {
+      setIsPreviewing(false)
+    }
+  }
+
+  const inputClass = 'p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent'
+
+  return (
+    <main className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
+      <div className="max-w-4xl mx-auto py-12 space-y-6">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center">
+            <BookOpen className="w-10 h-10 text-indigo-600 mr-3" />
+            <h1 className="text-3xl font-bold text-gray-900">Pronunciation Lexicon</h1>
+          </div>
+          <Link href="/" className="flex items-center text-indigo-600 hover:text-indigo-800">
+            <ArrowLeft className="w-4 h-4 mr-1" />
+            Back to generator
+          </Link>
+        </div>
+
+        {error && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">{error}</div>
+        )}
+
+        {/* New entry */}
+        <div className="bg-white rounded-2xl shadow-xl p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">Add a rule</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <input
+              value={draft.match}
+              onChange={(e) => setDraft({ ...draft, match: e.target.value })}
+              placeholder={draft.matchType === 'regex' ? 'Regular expression, e.g. \\bv(\\d+)\\b' : 'Word or phrase, e.g. Nguyen'}
+              className={inputClass}
+            />
+            <input
+              value={draft.replacement}
+              onChange={(e) => setDraft({ ...draft, replacement: e.target.value })}
+              placeholder={draft.type === 'phoneme' ? 'Transcription, e.g. wɪn' : 'Spoken as, e.g. Kubernetes'}
+              className={inputClass}
+            />
+            <select
+              value={draft.type}
+              onChange={(e) => setDraft({ ...draft, type: e.target.value as LexiconReplacementType })}
+              className={inputClass}
+            >
+              {(Object.keys(LEXICON_REPLACEMENT_TYPES) as LexiconReplacementType[]).map(type => (
+                <option key={type} value={type}>{LEXICON_REPLACEMENT_TYPES[type]}</option>
+              ))}
+            </select>
+            {draft.type === 'phoneme' ? (
+              <select
+                value={draft.alphabet}
+                onChange={(e) => setDraft({ ...draft, alphabet: e.target.value as EntryDraft['alphabet'] })}
+                className={inputClass}
+              >
+                <option value="ipa">IPA</option>
+                <option value="x-sampa">X-SAMPA</option>
+              </select>
+            ) : (
+              <input
+                value={draft.languageCode}
+                onChange={(e) => setDraft({ ...draft, languageCode: e.target.value })}
+                placeholder="Language (optional), e.g. en or en-GB"
+                className={inputClass}
+              />
+            )}
+          </div>
+          <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+            <label className="flex items-center space-x-1">
+              <input
+                type="checkbox"
+                checked={draft.matchType === 'regex'}
+                onChange={(e) => setDraft({ ...draft, matchType: e.target.checked ? 'regex' : 'literal' })}
+              />
+              <span>Regular expression</span>
+            </label>
+            <label className="flex items-center space-x-1">
+              <input
+                type="checkbox"
+                checked={draft.caseSensitive}
+                onChange={(e) => setDraft({ ...draft, caseSensitive: e.target.checked })}
+              />
+              <span>Case sensitive</span>
+            </label>
+            <label className="flex items-center space-x-1">
+              <input
+                type="checkbox"
+                checked={draft.wholeWord}
+                disabled={draft.matchType === 'regex'}
+                onChange={(e) => setDraft({ ...draft, wholeWord: e.target.checked })}
+              />
+              <span>Whole words only</span>
+            </label>
+            <button
+              onClick={addEntry}
+              disabled={isSaving || !draft.match.trim() || !draft.replacement.trim()}
+              className="ml-auto flex items-center bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-lg transition-colors duration-200"
+            >
+              {isSaving ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Plus className="w-4 h-4 mr-1" />}
+              Add
+            </button>
+          </div>
+        </div>
+
+        {/* Saved entries, in the order they are applied */}
+        <div className="bg-white rounded-2xl shadow-xl p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Rules ({entries.length})</h2>
+          {entries.length === 0 ? (
+            <p className="text-sm text-gray-500">No rules yet. Rules are applied to every generation in order.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {entries.map(entry => (
+                <li key={entry.id} className="flex items-center justify-between py-2 text-sm">
+                  <div>
+                    <span className="font-mono text-gray-900">{entry.match}</span>
+                    <span className="text-gray-500"> → </span>
+                    <span className="font-mono text-gray-900">{entry.replacement}</span>
+                    <span className="ml-2 text-xs text-gray-500">
+                      {LEXICON_REPLACEMENT_TYPES[entry.type]}
+                      {entry.alphabet && ` (${entry.alphabet.toUpperCase()})`}
+                      {entry.matchType === 'regex' && ', regex'}
+                      {entry.languageCode && `, ${entry.languageCode} only`}
+                    </span>
+                  </div>
+                  <button
+                    onClick={() => deleteEntry(entry.id)}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Delete rule"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Dry run */}
+        <div className="bg-white rounded-2xl shadow-xl p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">Try it out</h2>
+          <p className="text-sm text-gray-500">Shows the text exactly as it would be sent for synthesis. No quota is used.</p>
+          <textarea
+            value={previewText}
+            onChange={(e) => setPreviewText(e.target.value)}
+            placeholder="Enter some text..."
+            className={`w-full h-24 resize-none ${inputClass}`}
+          />
+          <button
+            onClick={runPreview}
+            disabled={isPreviewing || !previewText.trim()}
+            className="flex items-center bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-lg transition-colors duration-200"
+          >
+            {isPreviewing ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Eye className="w-4 h-4 mr-1" />}
+            Preview
+          </button>
+          {preview && (
+            <div className="space-y-2">
+              <pre className="p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm whitespace-pre-wrap break-words">
+                {preview.text ?? preview.sections?.map(section => `# ${section.title}\n${section.text}`).join('\n\n')}
+              </pre>
+              <p className="text-sm text-gray-600">
+                {preview.applied.length === 0
+                  ? 'No rules matched.'
+                  : preview.applied.map(rule => `${rule.match} ×${rule.count}`).join(', ')}
+                {` · ${preview.chunks} chunk${preview.chunks === 1 ? '' : 's'} (${preview.inputType.toUpperCase()})`}
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    </main>
+  )
+}
@@ -0,0 +1,353 @@
+'use client'
+
+import { useCallback, useEffect, useState } from 'react'
+import Link from 'next/link'
+import { ArrowLeft, Check, Download, Library, Loader2, Pencil, Play, RefreshCw, Search, Trash2, X } from 'lucide-react'
+import { useSession } from 'next-auth/react'
+import { useRouter } from 'next/navigation'
+import { PROVIDERS, type HistoryItem, type HistoryItemDetails, type ProviderName, type Voice } from '../../lib/ttsOptions'
+
+// How often to check on a re-generation job
+const JOB_POLL_INTERVAL_MS = 3000
+
+const SOURCE_LABELS: Record<HistoryItem['source'], string> = {
+  speech: 'Generated',
+  stream: 'Streamed',
+  job: 'Job',
+}
+
+function formatDuration(seconds: number | null) {
+  if (seconds === null) return null
+  const minutes = Math.floor(seconds / 60)
+  return `${minutes}:${String(Math.round(seconds % 60)).padStart(2, '0')}`
+}
+
+function formatBytes(bytes: number) {
+  return bytes < 1024 * 1024 ? `${Math.round(bytes / 1024)} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+// Generates an item again as a job, with another voice, rate or pitch
+function RegeneratePanel({ item, onDone }: { item: HistoryItem; onDone: (error?: string) => void }) {
+  const [voices, setVoices] = useState<Voice[]>([])
+  const [voiceName, setVoiceName] = useState(item.voiceName || '')
+  const [speakingRate, setSpeakingRate] = useState(1.0)
+  const [pitch, setPitch] = useState(0)
+  const [progress, setProgress] = useState<string | null>(null)
+
+  // Voices for the item's language and provider
+  useEffect(() => {
+    const query = new URLSearchParams({ provider: item.provider })
+    if (item.voiceName) query.set('languageCode', item.voiceName.split('-').slice(0, 2).join('-'))
+    fetch(`/api/voices?${query.toString()}`)
+      .then(response => response.json())
+      .then(data => setVoices(data.voices || []))
+      .catch(() => setVoices([]))
+  }, [item.provider, item.voiceName])
+
+  const regenerate = async () => {
+    setProgress('Submitting...')
+    try {
+      const detailsResponse = await fetch(`/api/history/${encodeURIComponent(item.id)}`)
+      const details: HistoryItemDetails = await detailsResponse.json()
+      if (!detailsResponse.ok) {
+        throw new Error((details as unknown as { error?: string }).error || 'Failed to load the item')
+      }
+
+      // The original request with the new voice settings; script speakers keep their voices
+      const body: Record<string, unknown> = { ...details.request, speakingRate, pitch }
+      delete body.voice
+      delete body.voiceName
+      if (voiceName) body.voiceName = voiceName
+      const submitResponse = await fetch('/api/tts/jobs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      })
+      const submitted = await submitResponse.json()
+      if (!submitResponse.ok) {
+        throw new Error(submitted.error || 'Failed to submit the job')
+      }
+
+      while (true) {
+        await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS))
+        const job = await (await fetch(`/api/tts/jobs/${submitted.jobId}`)).json()
+        if (job.status === 'failed') {
+          throw new Error(job.error || 'Failed to generate speech')
+        }
+        if (job.status === 'completed') {
+          break
+        }
+        setProgress(job.progress ? `Processed ${job.progress.processed}/${job.progress.total} chunks` : 'Generating...')
+      }
+      onDone()
+    } catch (err) {
+      onDone(err instanceof Error ? err.message : 'Failed to generate speech')
+    }
+  }
+
+  const inputClass = 'p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent'
+
+  return (
+    <div className="mt-3 p-4 bg-indigo-50 rounded-lg space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+        <select value={voiceName} onChange={(e) => setVoiceName(e.target.value)} className={inputClass}>
+          <option value="">{PROVIDERS[item.provider as ProviderName] || item.provider} default voice</option>
+          {voices.map(voice => (
+            <option key={voice.name} value={voice.name}>{voice.name} ({voice.ssmlGender.toLowerCase()})</option>
+          ))}
+        </select>
+        <label className="flex items-center space-x-2">
+          <span className="text-gray-700 whitespace-nowrap">Rate {speakingRate.toFixed(2)}</span>
+          <input type="range" min="0.25" max="2" step="0.05" value={speakingRate} onChange={(e) => setSpeakingRate(Number(e.target.value))} className="flex-1" />
+        </label>
+        <label className="flex items-center space-x-2">
+          <span className="text-gray-700 whitespace-nowrap">Pitch {pitch}</span>
+          <input type="range" min="-20" max="20" step="1" value={pitch} onChange={(e) => setPitch(Number(e.target.value))} className="flex-1" />
+        </label>
+      </div>
+      <div className="flex items-center justify-end gap-2">
+        {progress && <span className="text-sm text-gray-600 mr-auto">{progress}</span>}
+        <button
+          onClick={() => onDone()}
+          disabled={progress !== null}
+          className="px-4 py-2 rounded-lg text-gray-700 hover:bg-white disabled:opacity-50 transition-colors duration-200"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={regenerate}
+          disabled={progress !== null}
+          className="flex items-center bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-lg transition-colors duration-200"
+        >
+          {progress ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <RefreshCw className="w-4 h-4 mr-1" />}
+          Re-generate
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default function LibraryPage() {
+  const { data: session, status } = useSession()
+  const router = useRouter()
+  const [items, setItems] = useState<HistoryItem[] | null>(null)
+  const [enabled, setEnabled] = useState(true)
+  const [query, setQuery] = useState('')
+  const [playingId, setPlayingId] = useState<string | null>(null)
+  const [renaming, setRenaming] = useState<{ id: string; title: string } | null>(null)
+  const [regeneratingId, setRegeneratingId] = useState<string | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  const loadItems = useCallback(async (search: string) => {
+    const response = await fetch(`/api/history${search.trim() ? `?q=${encodeURIComponent(search.trim())}` : ''}`)
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load the library')
+    }
+    setEnabled(data.enabled !== false)
+    setItems(data.items || [])
+  }, [])
+
+  // Search as the query is typed, once typing pauses
+  useEffect(() => {
+    if (status !== 'authenticated') return
+    const timer = setTimeout(() => loadItems(query).catch(err => setError(err.message)), 300)
+    return () => clearTimeout(timer)
+  }, [status, query, loadItems])
+
+  if (status === 'loading') {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    )
+  }
+
+  if (!session) {
+    router.push('/auth/signin')
+    return null
+  }
+
+  const readOnly = session.role === 'read-only'
+
+  const renameItem = async () => {
+    if (!renaming) return
+    setError(null)
+    const response = await fetch(`/api/history/${encodeURIComponent(renaming.id)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title: renaming.title })
+    })
+    const data = await response.json()
+    if (!response.ok) {
+      setError(data.error || 'Failed to rename the item')
+      return
+    }
+    setItems(current => current && current.map(item => item.id === data.id ? data : item))
+    setRenaming(null)
+  }
+
+  const deleteItem = async (item: HistoryItem) => {
+    if (!window.confirm(`Delete "${item.title}" and its audio?`)) return
+    setError(null)
+    const response = await fetch(`/api/history/${encodeURIComponent(item.id)}`, { method: 'DELETE' })
+    if (!response.ok && response.status !== 404) {
+      setError('Failed to delete the item')
+      return
+    }
+    setItems(current => current && current.filter(candidate => candidate.id !== item.id))
+  }
+
+  const finishRegenerating = (message?: string) => {
+    setRegeneratingId(null)
+    if (message) {
+      setError(message)
+    }
+    loadItems(query).catch(err => setError(err.message))
+  }
+
+  return (
+    <main className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
+      <div className="max-w-4xl mx-auto py-12 space-y-6">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center">
+            <Library className="w-10 h-10 text-indigo-600 mr-3" />
+            <h1 className="text-3xl font-bold text-gray-900">Library</h1>
+          </div>
+          <Link href="/" className="flex items-center text-indigo-600 hover:text-indigo-800">
+            <ArrowLeft className="w-4 h-4 mr-1" />
+            Back to generator
+          </Link>
+        </div>
+
+        {error && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">{error}</div>
+        )}
+
+        <div className="bg-white rounded-2xl shadow-xl p-6 space-y-4">
+          <div className="relative">
+            <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search titles and text..."
+              className="w-full pl-9 p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            />
+          </div>
+
+          {items === null && !error && (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+            </div>
+          )}
+
+          {!enabled && (
+            <p className="text-sm text-gray-500">History is turned off on this deployment.</p>
+          )}
+
+          {enabled && items?.length === 0 && (
+            <p className="text-sm text-gray-500">
+              {query.trim() ? 'Nothing matches this search.' : 'Nothing generated yet. Everything you generate is kept here.'}
+            </p>
+          )}
+
+          {items && items.length > 0 && (
+            <ul className="divide-y divide-gray-200">
+              {items.map(item => (
+                <li key={item.id} className="py-3">
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="min-w-0 flex-1">
+                      {renaming?.id === item.id ? (
+                        <div className="flex items-center gap-2">
+                          <input
+                            value={renaming.title}
+                            onChange={(e) => setRenaming({ id: item.id, title: e.target.value })}
+                            onKeyDown={(e) => e.key === 'Enter' && renameItem()}
+                            className="flex-1 p-1 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                            autoFocus
+                          />
+                          <button onClick={renameItem} className="text-green-600 hover:text-green-800" title="Save">
+                            <Check className="w-4 h-4" />
+                          </button>
+                          <button onClick={() => setRenaming(null)} className="text-gray-400 hover:text-gray-600" title="Cancel">
+                            <X className="w-4 h-4" />
+                          </button>
+                        </div>
+                      ) : (
+                        <p className="font-medium text-gray-900 truncate">{item.title}</p>
+                      )}
+                      <p className="text-sm text-gray-600 line-clamp-2">{item.preview}</p>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {new Date(item.createdAt).toLocaleString()}
+                        {` · ${SOURCE_LABELS[item.source]}`}
+                        {item.durationSeconds !== null && ` · ${formatDuration(item.durationSeconds)}`}
+                        {` · ${PROVIDERS[item.provider as ProviderName] || item.provider}`}
+                        {item.voiceName && ` · ${item.voiceName}`}
+                        {` · ${item.format.toUpperCase()}, ${formatBytes(item.audioBytes)}`}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-3 pt-1">
+                      {item.format !== 'zip' && (
+                        <button
+                          onClick={() => setPlayingId(playingId === item.id ? null : item.id)}
+                          className="text-gray-400 hover:text-indigo-600"
+                          title="Play"
+                        >
+                          <Play className="w-4 h-4" />
+                        </button>
+                      )}
+                      <a
+                        href={`/api/history/${encodeURIComponent(item.id)}/audio?download=true`}
+                        className="text-gray-400 hover:text-indigo-600"
+                        title="Download"
+                      >
+                        <Download className="w-4 h-4" />
+                      </a>
+                      {!readOnly && (
+                        <>
+                          <button
+                            onClick={() => setRenaming({ id: item.id, title: item.title })}
+                            className="text-gray-400 hover:text-indigo-600"
+                            title="Rename"
+                          >
+                            <Pencil className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => setRegeneratingId(item.id)}
+                            disabled={regeneratingId !== null}
+                            className="text-gray-400 hover:text-indigo-600 disabled:opacity-30"
+                            title="Re-generate with other voice settings"
+                          >
+                            <RefreshCw className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => deleteItem(item)}
+                            className="text-gray-400 hover:text-red-600"
+                            title="Delete"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                  {playingId === item.id && (
+                    <audio
+                      src={`/api/history/${encodeURIComponent(item.id)}/audio`}
+                      controls
+                      autoPlay
+                      className="w-full mt-3"
+                    />
+                  )}
+                  {regeneratingId === item.id && (
+                    <RegeneratePanel item={item} onDone={finishRegenerating} />
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </main>
+  )
+}
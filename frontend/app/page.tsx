@@ -1,9 +1,81 @@
 'use client'
 
-import { useState } from 'react'
-import { Mic, Download, Volume2, Loader2, LogOut, User } from 'lucide-react'
+import { Fragment, useEffect, useRef, useState } from 'react'
+import { Mic, Download, Volume2, Loader2, LogOut, User, Play, BookOpen, BarChart3, Calculator, KeyRound, Library, Shield } from 'lucide-react'
+import Link from 'next/link'
 import { useSession, signOut } from 'next-auth/react'
 import { useRouter } from 'next/navigation'
+import {
+  AUDIO_ENCODINGS,
+  DEFAULT_MUSIC_DUCK_DB,
+  DEFAULT_MUSIC_VOLUME_DB,
+  DEFAULT_PAUSES_MS,
+  DEFAULT_TURN_PAUSE_MS,
+  DEFAULT_VOICE_NAME,
+  DETECTABLE_LANGUAGES,
+  FAILURE_POLICIES,
+  INPUT_MODES,
+  LOUDNESS_TARGETS,
+  OUTPUT_MODES,
+  PROVIDERS,
+  VOICE_FAMILIES,
+  inputModeSettings,
+  scriptSpeakers,
+  type AudioEncoding,
+  type ChapterInfo,
+  type DetectableLanguage,
+  type FailedChunk,
+  type FailurePolicy,
+  type InputMode,
+  type OutputMode,
+  type ProviderName,
+  type SpeakerVoice,
+  type SynthesisEstimate,
+  type SynthesisSettings,
+  type TimingTrack,
+  type Voice
+} from '../lib/ttsOptions'
+
+// How often to check on a running job
+const JOB_POLL_INTERVAL_MS = 3000
+
+// Sentence spoken by the voice preview button
+const PREVIEW_TEXT = 'Hello! This is a short preview of how this voice sounds.'
+
+interface JobProgress {
+  processed: number
+  total: number
+  failed: number
+  status: string
+  estimatedRemainingMinutes: number | null
+}
+
+function describeProgress(progress?: JobProgress) {
+  if (!progress || progress.total === 0) {
+    return 'Preparing text for processing...'
+  }
+
+  let message = `Processed ${progress.processed}/${progress.total} chunks`
+  if (progress.failed > 0) {
+    message += ` (${progress.failed} failed)`
+  }
+  if (progress.estimatedRemainingMinutes) {
+    message += ` - about ${progress.estimatedRemainingMinutes} min remaining`
+  }
+  return message
+}
+
+// Banner text for audio generated by a fallback provider
+function describeFallback(provider: string, fallbackFrom: string[]) {
+  const failed = fallbackFrom.map(name => PROVIDERS[name as ProviderName] || name).join(', ')
+  return `${failed} failed, so this audio was generated with ${PROVIDERS[provider as ProviderName] || provider} and its default voice.`
+}
+
+function formatTimestamp(seconds = 0) {
+  const minutes = Math.floor(seconds / 60)
+  const secs = Math.floor(seconds % 60)
+  return `${minutes}:${String(secs).padStart(2, '0')}`
+}
 
 export default function Home() {
   const { data: session, status } = useSession()
@@ -11,8 +83,95 @@ export default function Home() {
   const [text, setText] = useState('')
   const [isGenerating, setIsGenerating] = useState(false)
   const [audioUrl, setAudioUrl] = useState<string | null>(null)
+  const [downloadUrl, setDownloadUrl] = useState<string | null>(null)
+  const [streamPlayback, setStreamPlayback] = useState(false)
   const [error, setError] = useState<string | null>(null)
   const [processingMessage, setProcessingMessage] = useState('')
+  const [audioEncoding, setAudioEncoding] = useState<AudioEncoding>('OGG_OPUS')
+  const [speakingRate, setSpeakingRate] = useState(1.0)
+  const [pitch, setPitch] = useState(0)
+  const [audioExtension, setAudioExtension] = useState('ogg')
+  const [voices, setVoices] = useState<Voice[]>([])
+  const [voiceName, setVoiceName] = useState(DEFAULT_VOICE_NAME)
+  const [languageFilter, setLanguageFilter] = useState('en-US')
+  const [familyFilter, setFamilyFilter] = useState('')
+  const [provider, setProvider] = useState<ProviderName | ''>('')
+  const [fallbackNotice, setFallbackNotice] = useState<string | null>(null)
+  const [isPreviewing, setIsPreviewing] = useState(false)
+  const [inputMode, setInputMode] = useState<InputMode>('text')
+  const [epubFile, setEpubFile] = useState<{ name: string; data: string } | null>(null)
+  const [speakerVoices, setSpeakerVoices] = useState<Record<string, string>>({})
+  const [turnPauseMs, setTurnPauseMs] = useState(DEFAULT_TURN_PAUSE_MS)
+  // Other languages in plain text, each with a voice name ('' for the language's default voice)
+  const [languageVoices, setLanguageVoices] = useState<Partial<Record<DetectableLanguage, string>>>({})
+  const [outputMode, setOutputMode] = useState<OutputMode>('single')
+  const [chapters, setChapters] = useState<ChapterInfo[]>([])
+  const [failurePolicy, setFailurePolicy] = useState<FailurePolicy>('fail')
+  const [failedChunks, setFailedChunks] = useState<FailedChunk[]>([])
+  const [isRetrying, setIsRetrying] = useState(false)
+  const [estimate, setEstimate] = useState<SynthesisEstimate | null>(null)
+  const [isEstimating, setIsEstimating] = useState(false)
+  const [trimSilence, setTrimSilence] = useState(false)
+  const [paragraphPauseMs, setParagraphPauseMs] = useState(DEFAULT_PAUSES_MS.paragraph)
+  const [sentencePauseMs, setSentencePauseMs] = useState(DEFAULT_PAUSES_MS.sentence)
+  const [targetLoudness, setTargetLoudness] = useState('')
+  const [musicTracks, setMusicTracks] = useState<string[]>([])
+  const [musicTrack, setMusicTrack] = useState('')
+  const [musicVolumeDb, setMusicVolumeDb] = useState(DEFAULT_MUSIC_VOLUME_DB)
+  const [musicDuckDb, setMusicDuckDb] = useState(DEFAULT_MUSIC_DUCK_DB)
+  const audioRef = useRef<HTMLAudioElement>(null)
+  const [jobId, setJobId] = useState<string | null>(null)
+  const [timing, setTiming] = useState<TimingTrack | null>(null)
+  const [currentTime, setCurrentTime] = useState(0)
+  const activeSentenceRef = useRef<HTMLSpanElement>(null)
+
+  // Load the voice list whenever the filters change
+  useEffect(() => {
+    if (status !== 'authenticated') return
+
+    const query = new URLSearchParams()
+    if (provider) query.set('provider', provider)
+    if (languageFilter.trim()) query.set('languageCode', languageFilter.trim())
+    if (familyFilter) query.set('family', familyFilter)
+
+    let cancelled = false
+    fetch(`/api/voices?${query.toString()}`)
+      .then(response => response.json())
+      .then(data => {
+        if (cancelled) return
+        const list: Voice[] = data.voices || []
+        setVoices(list)
+        // Keep the current voice if it is still in the list, otherwise pick the first match
+        setVoiceName(current => list.some(voice => voice.name === current) ? current : (list[0]?.name || DEFAULT_VOICE_NAME))
+      })
+      .catch(() => {
+        if (!cancelled) setVoices([])
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [status, provider, languageFilter, familyFilter])
+
+  // Background music tracks, when the function app has a music directory
+  useEffect(() => {
+    if (status !== 'authenticated') return
+
+    fetch('/api/music')
+      .then(response => response.json())
+      .then(data => setMusicTracks(data.tracks || []))
+      .catch(() => setMusicTracks([]))
+  }, [status])
+
+  // Keep the highlighted sentence visible inside the read-along box
+  useEffect(() => {
+    const sentence = activeSentenceRef.current
+    const box = sentence?.parentElement
+    if (!sentence || !box) return
+    if (sentence.offsetTop < box.scrollTop || sentence.offsetTop + sentence.offsetHeight > box.scrollTop + box.clientHeight) {
+      box.scrollTop = sentence.offsetTop - box.clientHeight / 3
+    }
+  }, [currentTime])
 
   // Redirect to sign-in if not authenticated
   if (status === 'loading') {
@@ -31,73 +190,162 @@ export default function Home() {
     return null
   }
 
+  // The API routes enforce roles; this only keeps read-only users from trying
+  const readOnly = session.role === 'read-only'
+  // Post-processing works on the whole audio, so it can't be streamed
+  const postProcessing = trimSilence || targetLoudness !== '' || musicTrack !== ''
+  const canStream = (inputMode === 'text' || inputMode === 'ssml' || inputMode === 'script') && !postProcessing
+  // A tone needs PCM audio to splice into (post-processing works on PCM before encoding)
+  const canUseTone = AUDIO_ENCODINGS[audioEncoding].extension === 'wav' || postProcessing
+
+  // The synthesis request for the current input and settings
+  const buildRequest = (input: string) => {
+    // Only send tuning values that differ from the voice defaults
+    const settings: SynthesisSettings = { audioEncoding, voiceName }
+    if (provider) settings.provider = provider
+    Object.assign(settings, inputModeSettings(inputMode))
+    // Documents are split into chapters at their headings
+    const isDocument = inputMode === 'markdown' || inputMode === 'html' || inputMode === 'epub'
+    if (isDocument && outputMode === 'zip') settings.outputMode = 'zip'
+    // Sentence timing drives the read-along highlighting
+    if (settings.outputMode !== 'zip') settings.timing = 'sentence'
+    if (speakingRate !== 1.0) settings.speakingRate = speakingRate
+    if (pitch !== 0) settings.pitch = pitch
+    if (failurePolicy !== 'fail' && (failurePolicy !== 'tone' || canUseTone)) settings.failurePolicy = failurePolicy
+    if (trimSilence) {
+      settings.trimSilence = true
+      if (paragraphPauseMs !== DEFAULT_PAUSES_MS.paragraph) settings.paragraphPauseMs = paragraphPauseMs
+      if (sentencePauseMs !== DEFAULT_PAUSES_MS.sentence) settings.sentencePauseMs = sentencePauseMs
+    }
+    if (targetLoudness) settings.targetLoudness = Number(targetLoudness)
+    if (musicTrack) settings.backgroundMusic = { track: musicTrack, volumeDb: musicVolumeDb, duckDb: musicDuckDb }
+    // Sentences in these languages switch to their own voice
+    const otherLanguages = Object.keys(languageVoices) as DetectableLanguage[]
+    if (inputMode === 'text' && otherLanguages.length > 0) {
+      settings.languageVoices = otherLanguages.reduce<Record<string, string | SpeakerVoice>>((mapping, language) => {
+        mapping[DETECTABLE_LANGUAGES[language].languageCode] = languageVoices[language]?.trim() || {}
+        return mapping
+      }, {})
+    }
+
+    // Scripts go in their own field, with a voice per speaker (the selected voice unless changed)
+    let payload: SynthesisSettings & { text?: string } = { text: input }
+    if (inputMode === 'script') {
+      const speakers = scriptSpeakers(input).reduce<Record<string, string>>((mapping, speaker) => {
+        mapping[speaker] = speakerVoices[speaker] || voiceName
+        return mapping
+      }, {})
+      payload = { script: input, speakers, turnPauseMs }
+    }
+
+    return { payload, settings }
+  }
+
   // Configuration - Now using our secure API route
   const generateSpeech = async () => {
-    if (!text.trim()) {
-      setError('Please enter some text to convert')
+    // EPUBs are sent as base64 in place of the text
+    const input = inputMode === 'epub' ? epubFile?.data || '' : text
+    if (!input.trim()) {
+      setError(inputMode === 'epub' ? 'Please choose an EPUB file to convert' : 'Please enter some text to convert')
       return
     }
 
     setIsGenerating(true)
     setError(null)
     setAudioUrl(null)
+    setDownloadUrl(null)
+    setChapters([])
+    setTiming(null)
+    setCurrentTime(0)
+    setFallbackNotice(null)
+    setFailedChunks([])
+    setJobId(null)
+    setEstimate(null)
     setProcessingMessage('Preparing text for processing...')
 
+    const { payload, settings } = buildRequest(input)
+
     try {
-      // Call our secure server-side API route with extended timeout for large texts
-      const controller = new AbortController()
-      const timeoutId = setTimeout(() => controller.abort(), 10 * 60 * 1000) // 10 minutes timeout
-      
-      // Estimate processing time based on text length
-      const estimatedChunks = Math.ceil(text.length / 4000)
-      const estimatedMinutes = Math.max(1, Math.ceil(estimatedChunks / 60))
-      
-      if (estimatedChunks > 50) {
-        setProcessingMessage(`Processing large text (${estimatedChunks} chunks). This may take ${estimatedMinutes}-${estimatedMinutes + 1} minutes...`)
-      } else {
-        setProcessingMessage('Converting text to speech...')
+      // Streaming plays MP3 through MediaSource as it arrives; it has no read-along timing
+      if (streamPlayback && canStream) {
+        await streamSpeech({ ...payload, ...settings, audioEncoding: 'MP3', timing: undefined, stream: true })
+        return
       }
-      
-      const response = await fetch('/api/tts', {
+
+      // Submit the text as a background job; the server responds immediately
+      // with a job id and we poll for progress instead of holding one long request open
+      const submitResponse = await fetch('/api/tts/jobs', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ text }),
-        signal: controller.signal
+        body: JSON.stringify({ ...payload, ...settings })
       })
-      
-      clearTimeout(timeoutId)
 
-      if (!response.ok) {
-        const errorData = await response.json()
-        throw new Error(errorData.error || `Request failed: ${response.status}`)
+      if (!submitResponse.ok) {
+        const errorData = await submitResponse.json()
+        throw new Error(errorData.error || `Request failed: ${submitResponse.status}`)
       }
 
-      const data = await response.json()
-      
-      if (!data.success) {
-        throw new Error(data.error || 'Failed to generate speech')
+      const { jobId } = await submitResponse.json()
+      setJobId(jobId)
+      setProcessingMessage('Converting text to speech...')
+
+      // Poll job status until it completes or fails
+      let completedChapters: ChapterInfo[] | null = null
+      while (true) {
+        await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS))
+
+        const statusResponse = await fetch(`/api/tts/jobs/${jobId}`)
+        const job = await statusResponse.json()
+
+        if (!statusResponse.ok) {
+          throw new Error(job.error || `Status request failed: ${statusResponse.status}`)
+        }
+
+        if (job.status === 'failed') {
+          // Chunks that failed can be retried from the job's checkpoint
+          setFailedChunks(job.failedChunks || [])
+          throw new Error(job.error || 'Failed to generate speech')
+        }
+
+        if (job.status === 'completed') {
+          completedChapters = job.chapters
+          setFailedChunks(job.failedChunks || [])
+          if (job.fallbackFrom?.length) {
+            setFallbackNotice(describeFallback(job.provider, job.fallbackFrom))
+          }
+          break
+        }
+
+        setProcessingMessage(describeProgress(job.progress))
       }
 
-      // Convert base64 to audio blob
-      const audioBytes = atob(data.audioData)
-      const audioArray = new Uint8Array(audioBytes.length)
-      for (let i = 0; i < audioBytes.length; i++) {
-        audioArray[i] = audioBytes.charCodeAt(i)
+      setProcessingMessage('Downloading audio...')
+      const resultResponse = await fetch(`/api/tts/jobs/${jobId}/result`)
+
+      if (!resultResponse.ok) {
+        const errorData = await resultResponse.json()
+        throw new Error(errorData.error || `Result request failed: ${resultResponse.status}`)
       }
-      
-      const audioBlob = new Blob([audioArray], { type: 'audio/ogg' })
+
+      const audioBlob = await resultResponse.blob()
       const url = URL.createObjectURL(audioBlob)
+      setAudioExtension(settings.outputMode === 'zip' ? 'zip' : AUDIO_ENCODINGS[audioEncoding].extension)
+      setChapters(completedChapters || [])
       setAudioUrl(url)
 
+      // Timing is optional extra; the audio is usable without it
+      if (settings.timing) {
+        const timingResponse = await fetch(`/api/tts/jobs/${jobId}/timing`)
+        if (timingResponse.ok) {
+          setTiming(await timingResponse.json())
+        }
+      }
+
     } catch (err) {
       if (err instanceof Error) {
-        if (err.name === 'AbortError') {
-          setError('Request timed out - The text might be too long. Try processing smaller chunks.')
-        } else {
-          setError(err.message)
-        }
+        setError(err.message)
       } else {
         setError('An error occurred')
       }
@@ -107,12 +355,191 @@ export default function Home() {
     }
   }
 
+  // Plays the audio while the rest of the text is still being synthesized: the
+  // streamed MP3 bytes are appended to a MediaSource as they arrive
+  const streamSpeech = async (body: SynthesisSettings & { text?: string }) => {
+    setProcessingMessage('Starting playback...')
+    const response = await fetch('/api/tts', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body)
+    })
+
+    if (!response.ok || !response.body) {
+      const errorData = await response.json().catch(() => ({}))
+      throw new Error(errorData.error || `Request failed: ${response.status}`)
+    }
+
+    const fallbackFrom = response.headers.get('x-tts-fallback-from')
+    if (fallbackFrom) {
+      setFallbackNotice(describeFallback(response.headers.get('x-tts-provider') || '', fallbackFrom.split(',')))
+    }
+
+    const reader = response.body.getReader()
+    const parts: Uint8Array[] = []
+    setAudioExtension('mp3')
+
+    if (typeof MediaSource !== 'undefined' && MediaSource.isTypeSupported('audio/mpeg')) {
+      const mediaSource = new MediaSource()
+      const opened = new Promise(resolve => mediaSource.addEventListener('sourceopen', resolve, { once: true }))
+      setAudioUrl(URL.createObjectURL(mediaSource))
+      await opened
+
+      const sourceBuffer = mediaSource.addSourceBuffer('audio/mpeg')
+      let playing = false
+      while (true) {
+        const { done, value } = await reader.read()
+        if (done) break
+        parts.push(value)
+        const appended = new Promise(resolve => sourceBuffer.addEventListener('updateend', resolve, { once: true }))
+        sourceBuffer.appendBuffer(value)
+        await appended
+        if (!playing) {
+          playing = true
+          setProcessingMessage('Playing while the rest is generated...')
+          audioRef.current?.play().catch(() => {})
+        }
+      }
+      mediaSource.endOfStream()
+    } else {
+      // Without MediaSource the audio plays once all of it has arrived
+      setProcessingMessage('Receiving audio...')
+      while (true) {
+        const { done, value } = await reader.read()
+        if (done) break
+        parts.push(value)
+      }
+      setAudioUrl(URL.createObjectURL(new Blob(parts, { type: 'audio/mpeg' })))
+    }
+
+    // A MediaSource URL can't be downloaded, so the download uses the collected bytes
+    setDownloadUrl(URL.createObjectURL(new Blob(parts, { type: 'audio/mpeg' })))
+  }
+
+  // Asks what the current request would cost, without synthesizing it
+  const estimateSpeech = async () => {
+    const input = inputMode === 'epub' ? epubFile?.data || '' : text
+    if (!input.trim()) return
+
+    setIsEstimating(true)
+    setError(null)
+    try {
+      const { payload, settings } = buildRequest(input)
+      const response = await fetch('/api/tts/estimate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...payload, ...settings })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Estimate failed')
+      }
+      setEstimate(data)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Estimate failed')
+    } finally {
+      setIsEstimating(false)
+    }
+  }
+
+  // Synthesizes only the chunks the job failed on and reuses the rest
+  const retryFailedChunks = async () => {
+    if (!jobId) return
+
+    setIsRetrying(true)
+    setError(null)
+
+    try {
+      const response = await fetch(`/api/tts/jobs/${jobId}/retry`, { method: 'POST' })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        if (errorData.failedChunks) setFailedChunks(errorData.failedChunks)
+        throw new Error(errorData.error || `Retry failed: ${response.status}`)
+      }
+
+      const audioBlob = await response.blob()
+      setAudioExtension(audioBlob.type === 'application/zip' ? 'zip' : AUDIO_ENCODINGS[audioEncoding].extension)
+      setDownloadUrl(null)
+      setAudioUrl(URL.createObjectURL(audioBlob))
+
+      // Under a failure policy some chunks may still have failed; the job lists them
+      if (response.headers.get('x-tts-failed-chunks') !== '0') {
+        const job = await (await fetch(`/api/tts/jobs/${jobId}`)).json()
+        setFailedChunks(job.failedChunks || [])
+      } else {
+        setFailedChunks([])
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Retry failed')
+    } finally {
+      setIsRetrying(false)
+    }
+  }
+
+  const loadEpub = (file: File | undefined) => {
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = () => {
+      // Strip the "data:...;base64," prefix
+      const dataUrl = String(reader.result)
+      setEpubFile({ name: file.name, data: dataUrl.slice(dataUrl.indexOf(',') + 1) })
+    }
+    reader.onerror = () => setError('Could not read the selected file')
+    reader.readAsDataURL(file)
+  }
+
+  // Plays a short sample of the selected voice with the current rate and pitch
+  const previewVoice = async () => {
+    setIsPreviewing(true)
+    setError(null)
+
+    try {
+      // The local engine only produces WAV. Previews are kept out of the history.
+      const settings: SynthesisSettings = { voiceName, audioEncoding: provider === 'local' ? 'LINEAR16' : 'MP3', history: false }
+      if (provider) settings.provider = provider
+      if (speakingRate !== 1.0) settings.speakingRate = speakingRate
+      if (pitch !== 0) settings.pitch = pitch
+
+      const response = await fetch('/api/tts', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ text: PREVIEW_TEXT, ...settings })
+      })
+
+      const data = await response.json()
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || 'Failed to preview voice')
+      }
+
+      await new Audio(`data:audio/mpeg;base64,${data.audioData}`).play()
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to preview voice')
+    } finally {
+      setIsPreviewing(false)
+    }
+  }
+
+  const seekTo = (seconds?: number) => {
+    if (!audioRef.current || seconds === undefined) return
+    audioRef.current.currentTime = seconds
+    audioRef.current.play()
+  }
+
+  const activeSentence = timing?.sentences.find(sentence => currentTime >= sentence.start && currentTime < sentence.end)
+
   const downloadAudio = () => {
-    if (!audioUrl) return
+    const url = downloadUrl || audioUrl
+    if (!url) return
     
     const a = document.createElement('a')
-    a.href = audioUrl
-    a.download = 'speech.ogg'
+    a.href = url
+    a.download = `speech.${audioExtension}`
     document.body.appendChild(a)
     a.click()
     document.body.removeChild(a)
@@ -133,6 +560,43 @@ export default function Home() {
           
           {/* User Menu */}
           <div className="flex items-center space-x-4">
+            <Link
+              href="/lexicon"
+              className="bg-white hover:bg-gray-50 text-indigo-600 p-2 rounded-lg shadow-sm transition-colors duration-200"
+              title="Pronunciation Lexicon"
+            >
+              <BookOpen className="w-5 h-5" />
+            </Link>
+            <Link
+              href="/usage"
+              className="bg-white hover:bg-gray-50 text-indigo-600 p-2 rounded-lg shadow-sm transition-colors duration-200"
+              title="Usage"
+            >
+              <BarChart3 className="w-5 h-5" />
+            </Link>
+            <Link
+              href="/library"
+              className="bg-white hover:bg-gray-50 text-indigo-600 p-2 rounded-lg shadow-sm transition-colors duration-200"
+              title="Library"
+            >
+              <Library className="w-5 h-5" />
+            </Link>
+            <Link
+              href="/tokens"
+              className="bg-white hover:bg-gray-50 text-indigo-600 p-2 rounded-lg shadow-sm transition-colors duration-200"
+              title="API Tokens"
+            >
+              <KeyRound className="w-5 h-5" />
+            </Link>
+            {session.role === 'admin' && (
+              <Link
+                href="/admin"
+                className="bg-white hover:bg-gray-50 text-indigo-600 p-2 rounded-lg shadow-sm transition-colors duration-200"
+                title="Users"
+              >
+                <Shield className="w-5 h-5" />
+              </Link>
+            )}
             <div className="flex items-center space-x-2 bg-white rounded-lg px-4 py-2 shadow-sm">
               <img 
                 src={session.user?.image || ''} 
@@ -155,22 +619,459 @@ export default function Home() {
           <div className="space-y-6">
             {/* Text Input */}
             <div>
-              <label htmlFor="text-input" className="block text-sm font-medium text-gray-700 mb-2">
-                Enter your text
+              <div className="flex items-center justify-between mb-2">
+                <label htmlFor="text-input" className="block text-sm font-medium text-gray-700">
+                  Enter your text
+                </label>
+                <select
+                  aria-label="Input format"
+                  value={inputMode}
+                  onChange={(e) => setInputMode(e.target.value as InputMode)}
+                  className="text-sm p-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                  disabled={isGenerating}
+                >
+                  {(Object.keys(INPUT_MODES) as InputMode[]).map((mode) => (
+                    <option key={mode} value={mode}>{INPUT_MODES[mode]}</option>
+                  ))}
+                </select>
+              </div>
+              {inputMode === 'epub' ? (
+                <div className="w-full h-32 p-4 border border-dashed border-gray-300 rounded-lg flex flex-col items-center justify-center space-y-2">
+                  <input
+                    id="text-input"
+                    type="file"
+                    accept=".epub,application/epub+zip"
+                    onChange={(e) => loadEpub(e.target.files?.[0])}
+                    disabled={isGenerating}
+                    className="text-sm"
+                  />
+                  {epubFile && <span className="text-sm text-gray-600">{epubFile.name}</span>}
+                </div>
+              ) : (
+                <textarea
+                  id="text-input"
+                  value={text}
+                  onChange={(e) => setText(e.target.value)}
+                  placeholder={inputMode === 'ssml'
+                    ? '<speak>Type or paste your SSML document...</speak>'
+                    : inputMode === 'script'
+                      ? 'HOST: Welcome back to the show.\nGUEST: Thanks for having me.'
+                      : 'Type or paste the text you want to convert to speech...'}
+                  className="w-full h-32 p-4 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent resize-none"
+                  disabled={isGenerating}
+                />
+              )}
+              <div className="flex items-center justify-between mt-1">
+                <div className="text-sm text-gray-500">
+                  {inputMode === 'epub'
+                    ? 'Chapters follow the book\'s reading order'
+                    : `${text.length} characters`}
+                </div>
+                {inputMode !== 'text' && inputMode !== 'ssml' && inputMode !== 'script' && (
+                  <select
+                    aria-label="Chapter output"
+                    value={outputMode}
+                    onChange={(e) => setOutputMode(e.target.value as OutputMode)}
+                    className="text-sm p-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                    disabled={isGenerating}
+                  >
+                    {(Object.keys(OUTPUT_MODES) as OutputMode[]).map((mode) => (
+                      <option key={mode} value={mode}>{OUTPUT_MODES[mode]}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+            </div>
+
+            {/* Speaker voices - one per speaker found in the script */}
+            {inputMode === 'script' && (
+              <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+                <div className="flex items-center justify-between">
+                  <span className="text-sm font-medium text-gray-700">Speaker voices</span>
+                  <label className="text-sm text-gray-600 flex items-center space-x-2">
+                    <span>Pause between turns</span>
+                    <input
+                      type="number"
+                      min={0}
+                      max={10000}
+                      step={100}
+                      value={turnPauseMs}
+                      onChange={(e) => setTurnPauseMs(Number(e.target.value))}
+                      className="w-24 p-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                      disabled={isGenerating}
+                    />
+                    <span>ms</span>
+                  </label>
+                </div>
+                {scriptSpeakers(text).length === 0 ? (
+                  <p className="text-sm text-gray-500">Start each turn with the speaker&apos;s name, e.g. &quot;HOST: Hello&quot;.</p>
+                ) : (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    {scriptSpeakers(text).map((speaker) => (
+                      <label key={speaker} className="flex items-center space-x-2 text-sm">
+                        <span className="w-28 truncate font-medium text-gray-800" title={speaker}>{speaker}</span>
+                        <select
+                          value={speakerVoices[speaker] || voiceName}
+                          onChange={(e) => setSpeakerVoices({ ...speakerVoices, [speaker]: e.target.value })}
+                          className="flex-1 min-w-0 p-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                          disabled={isGenerating || voices.length === 0}
+                        >
+                          {voices.length === 0 && <option value={voiceName}>{voiceName}</option>}
+                          {voices.map((voice) => (
+                            <option key={voice.name} value={voice.name}>
+                              {voice.name} ({voice.ssmlGender.toLowerCase()})
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Voices for other languages quoted in plain text */}
+            {inputMode === 'text' && (
+              <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+                <span className="text-sm font-medium text-gray-700">Other languages in the text</span>
+                <p className="text-sm text-gray-500">
+                  Sentences detected in these languages are read with their own voice. Leave the voice empty for the language&apos;s default voice.
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  {(Object.keys(DETECTABLE_LANGUAGES) as DetectableLanguage[]).map((language) => {
+                    const enabled = languageVoices[language] !== undefined
+                    return (
+                      <label key={language} className="flex items-center space-x-2 text-sm">
+                        <input
+                          type="checkbox"
+                          checked={enabled}
+                          onChange={(e) => {
+                            const next = { ...languageVoices }
+                            if (e.target.checked) {
+                              next[language] = ''
+                            } else {
+                              delete next[language]
+                            }
+                            setLanguageVoices(next)
+                          }}
+                          disabled={isGenerating}
+                          className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                        />
+                        <span className="w-24 font-medium text-gray-800">{DETECTABLE_LANGUAGES[language].label}</span>
+                        <input
+                          type="text"
+                          value={languageVoices[language] || ''}
+                          onChange={(e) => setLanguageVoices({ ...languageVoices, [language]: e.target.value })}
+                          placeholder={`${DETECTABLE_LANGUAGES[language].languageCode} default voice`}
+                          className="flex-1 min-w-0 p-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                          disabled={isGenerating || !enabled}
+                        />
+                      </label>
+                    )
+                  })}
+                </div>
+              </div>
+            )}
+
+            {/* Voice Selection */}
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div>
+                <label htmlFor="provider" className="block text-sm font-medium text-gray-700 mb-2">
+                  Engine
+                </label>
+                <select
+                  id="provider"
+                  value={provider}
+                  onChange={(e) => {
+                    const next = e.target.value as ProviderName | ''
+                    setProvider(next)
+                    // Voice types are Google families; the local engine only produces WAV
+                    setFamilyFilter('')
+                    if (next === 'local') setAudioEncoding('LINEAR16')
+                  }}
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                  disabled={isGenerating}
+                >
+                  <option value="">Default</option>
+                  {(Object.keys(PROVIDERS) as ProviderName[]).map((name) => (
+                    <option key={name} value={name}>{PROVIDERS[name]}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="language-filter" className="block text-sm font-medium text-gray-700 mb-2">
+                  Language
+                </label>
+                <input
+                  id="language-filter"
+                  type="text"
+                  value={languageFilter}
+                  onChange={(e) => setLanguageFilter(e.target.value)}
+                  placeholder="e.g. en-US, de, ja-JP"
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                  disabled={isGenerating}
+                />
+              </div>
+              <div>
+                <label htmlFor="family-filter" className="block text-sm font-medium text-gray-700 mb-2">
+                  Voice type
+                </label>
+                <select
+                  id="family-filter"
+                  value={familyFilter}
+                  onChange={(e) => setFamilyFilter(e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                  disabled={isGenerating || (provider !== '' && provider !== 'google')}
+                >
+                  <option value="">All types</option>
+                  {VOICE_FAMILIES.map((family) => (
+                    <option key={family} value={family}>{family}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="voice-name" className="block text-sm font-medium text-gray-700 mb-2">
+                  Voice
+                </label>
+                <div className="flex space-x-2">
+                  <select
+                    id="voice-name"
+                    value={voiceName}
+                    onChange={(e) => setVoiceName(e.target.value)}
+                    className="flex-1 min-w-0 p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                    disabled={isGenerating || voices.length === 0}
+                  >
+                    {voices.length === 0 && <option value={voiceName}>{voiceName}</option>}
+                    {voices.map((voice) => (
+                      <option key={voice.name} value={voice.name}>
+                        {voice.name} ({voice.ssmlGender.toLowerCase()})
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={previewVoice}
+                    disabled={isGenerating || isPreviewing}
+                    className="bg-indigo-100 hover:bg-indigo-200 disabled:bg-gray-100 text-indigo-700 p-2 rounded-lg transition-colors duration-200"
+                    title="Preview voice"
+                  >
+                    {isPreviewing ? <Loader2 className="w-5 h-5 animate-spin" /> : <Play className="w-5 h-5" />}
+                  </button>
+                </div>
+              </div>
+            </div>
+
+            {/* Voice & Audio Settings */}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label htmlFor="audio-encoding" className="block text-sm font-medium text-gray-700 mb-2">
+                  Audio format
+                </label>
+                <select
+                  id="audio-encoding"
+                  value={audioEncoding}
+                  onChange={(e) => setAudioEncoding(e.target.value as AudioEncoding)}
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                  disabled={isGenerating}
+                >
+                  {(Object.keys(AUDIO_ENCODINGS) as AudioEncoding[]).map((encoding) => (
+                    <option key={encoding} value={encoding}>
+                      {AUDIO_ENCODINGS[encoding].label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="speaking-rate" className="block text-sm font-medium text-gray-700 mb-2">
+                  Speaking rate: {speakingRate.toFixed(2)}x
+                </label>
+                <input
+                  id="speaking-rate"
+                  type="range"
+                  min={0.25}
+                  max={4}
+                  step={0.05}
+                  value={speakingRate}
+                  onChange={(e) => setSpeakingRate(Number(e.target.value))}
+                  className="w-full"
+                  disabled={isGenerating}
+                />
+              </div>
+              <div>
+                <label htmlFor="pitch" className="block text-sm font-medium text-gray-700 mb-2">
+                  Pitch: {pitch > 0 ? '+' : ''}{pitch} semitones
+                </label>
+                <input
+                  id="pitch"
+                  type="range"
+                  min={-20}
+                  max={20}
+                  step={1}
+                  value={pitch}
+                  onChange={(e) => setPitch(Number(e.target.value))}
+                  className="w-full"
+                  disabled={isGenerating}
+                />
+              </div>
+            </div>
+
+            {/* What happens to chunks that still fail after retries */}
+            <div>
+              <label htmlFor="failure-policy" className="block text-sm font-medium text-gray-700 mb-2">
+                When a chunk fails
               </label>
-              <textarea
-                id="text-input"
-                value={text}
-                onChange={(e) => setText(e.target.value)}
-                placeholder="Type or paste the text you want to convert to speech..."
-                className="w-full h-32 p-4 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent resize-none"
+              <select
+                id="failure-policy"
+                value={failurePolicy}
+                onChange={(e) => setFailurePolicy(e.target.value as FailurePolicy)}
+                className="w-full md:w-1/3 p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
                 disabled={isGenerating}
-              />
-              <div className="text-sm text-gray-500 mt-1">
-                {text.length} characters
+              >
+                {(Object.keys(FAILURE_POLICIES) as FailurePolicy[]).map((policy) => (
+                  <option key={policy} value={policy} disabled={policy === 'tone' && !canUseTone}>
+                    {FAILURE_POLICIES[policy]}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* Post-processing: silence, pauses, loudness and background music */}
+            <div className="space-y-3">
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={trimSilence}
+                  onChange={(e) => setTrimSilence(e.target.checked)}
+                  disabled={isGenerating}
+                  className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                />
+                <span>Trim silence between chunks and set the pauses</span>
+              </label>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {trimSilence && (
+                  <>
+                    <div>
+                      <label htmlFor="paragraph-pause" className="block text-sm font-medium text-gray-700 mb-2">
+                        Pause after paragraphs (ms)
+                      </label>
+                      <input
+                        id="paragraph-pause"
+                        type="number"
+                        min={0}
+                        max={10000}
+                        step={50}
+                        value={paragraphPauseMs}
+                        onChange={(e) => setParagraphPauseMs(Number(e.target.value))}
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                        disabled={isGenerating}
+                      />
+                    </div>
+                    <div>
+                      <label htmlFor="sentence-pause" className="block text-sm font-medium text-gray-700 mb-2">
+                        Pause after sentences (ms)
+                      </label>
+                      <input
+                        id="sentence-pause"
+                        type="number"
+                        min={0}
+                        max={10000}
+                        step={50}
+                        value={sentencePauseMs}
+                        onChange={(e) => setSentencePauseMs(Number(e.target.value))}
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                        disabled={isGenerating}
+                      />
+                    </div>
+                  </>
+                )}
+                <div>
+                  <label htmlFor="target-loudness" className="block text-sm font-medium text-gray-700 mb-2">
+                    Normalize loudness
+                  </label>
+                  <select
+                    id="target-loudness"
+                    value={targetLoudness}
+                    onChange={(e) => setTargetLoudness(e.target.value)}
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                    disabled={isGenerating}
+                  >
+                    <option value="">Off</option>
+                    {Object.entries(LOUDNESS_TARGETS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
               </div>
+              {musicTracks.length > 0 && (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label htmlFor="music-track" className="block text-sm font-medium text-gray-700 mb-2">
+                      Background music
+                    </label>
+                    <select
+                      id="music-track"
+                      value={musicTrack}
+                      onChange={(e) => setMusicTrack(e.target.value)}
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                      disabled={isGenerating}
+                    >
+                      <option value="">None</option>
+                      {musicTracks.map((track) => (
+                        <option key={track} value={track}>{track}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {musicTrack && (
+                    <>
+                      <div>
+                        <label htmlFor="music-volume" className="block text-sm font-medium text-gray-700 mb-2">
+                          Music volume: {musicVolumeDb} dB
+                        </label>
+                        <input
+                          id="music-volume"
+                          type="range"
+                          min={-60}
+                          max={0}
+                          step={1}
+                          value={musicVolumeDb}
+                          onChange={(e) => setMusicVolumeDb(Number(e.target.value))}
+                          className="w-full"
+                          disabled={isGenerating}
+                        />
+                      </div>
+                      <div>
+                        <label htmlFor="music-duck" className="block text-sm font-medium text-gray-700 mb-2">
+                          Lowered under speech by: {musicDuckDb} dB
+                        </label>
+                        <input
+                          id="music-duck"
+                          type="range"
+                          min={0}
+                          max={40}
+                          step={1}
+                          value={musicDuckDb}
+                          onChange={(e) => setMusicDuckDb(Number(e.target.value))}
+                          className="w-full"
+                          disabled={isGenerating}
+                        />
+                      </div>
+                    </>
+                  )}
+                </div>
+              )}
             </div>
 
+            {/* Streaming playback (documents are split into chapters, which need the whole file) */}
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={streamPlayback && canStream}
+                onChange={(e) => setStreamPlayback(e.target.checked)}
+                disabled={isGenerating || !canStream}
+                className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+              />
+              <span>Start playing while the speech is generated (MP3, without read-along or post-processing)</span>
+            </label>
+
             {/* Error Display */}
             {error && (
               <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
@@ -178,24 +1079,69 @@ export default function Home() {
               </div>
             )}
 
+            {/* Failed chunks - a job keeps the others, so only these are synthesized again */}
+            {failedChunks.length > 0 && (
+              <div className="bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-lg text-sm">
+                <p className="font-medium mb-2">
+                  {failedChunks.length === 1 ? '1 chunk' : `${failedChunks.length} chunks`} could not be synthesized:
+                </p>
+                <ul className="list-disc pl-5 space-y-1 mb-3">
+                  {failedChunks.map((chunk) => (
+                    <li key={chunk.index}>
+                      <span className="italic">&ldquo;{chunk.text}&rdquo;</span> - {chunk.error}
+                    </li>
+                  ))}
+                </ul>
+                {jobId && (
+                  <button
+                    onClick={retryFailedChunks}
+                    disabled={isGenerating || isRetrying}
+                    className="bg-amber-600 hover:bg-amber-700 disabled:bg-gray-400 text-white font-medium py-1.5 px-4 rounded-lg transition-colors duration-200 flex items-center"
+                  >
+                    {isRetrying && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                    Retry failed chunks
+                  </button>
+                )}
+              </div>
+            )}
+
+            {/* Estimate */}
+            {estimate && (
+              <div className={`px-4 py-3 rounded-lg border text-sm ${estimate.withinQuota ? 'bg-gray-50 border-gray-200 text-gray-700' : 'bg-amber-50 border-amber-200 text-amber-800'}`}>
+                About {estimate.characters.toLocaleString()} characters in {estimate.chunks} chunk{estimate.chunks === 1 ? '' : 's'},{' '}
+                {formatTimestamp(estimate.estimatedDurationSeconds)} of audio, costing up to ${estimate.estimatedCost.amount.toFixed(4)} with {estimate.provider}.
+                {!estimate.withinQuota && ' This would go over your character quota.'}
+              </div>
+            )}
+
             {/* Generate Button */}
-            <button
-              onClick={generateSpeech}
-              disabled={isGenerating || !text.trim()}
-              className="w-full bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white font-semibold py-3 px-6 rounded-lg transition-colors duration-200 flex items-center justify-center"
-            >
-              {isGenerating ? (
-                <>
-                  <Loader2 className="w-5 h-5 mr-2 animate-spin" />
-                  Generating Speech...
-                </>
-              ) : (
-                <>
-                  <Mic className="w-5 h-5 mr-2" />
-                  Generate Speech
-                </>
-              )}
-            </button>
+            <div className="flex gap-3">
+              <button
+                onClick={estimateSpeech}
+                disabled={isGenerating || isEstimating || (inputMode === 'epub' ? !epubFile : !text.trim())}
+                className="bg-white hover:bg-gray-50 disabled:bg-gray-100 disabled:text-gray-400 text-indigo-600 border border-indigo-200 font-semibold py-3 px-4 rounded-lg transition-colors duration-200 flex items-center"
+                title="Estimate characters, duration and cost"
+              >
+                {isEstimating ? <Loader2 className="w-5 h-5 animate-spin" /> : <Calculator className="w-5 h-5" />}
+              </button>
+              <button
+                onClick={generateSpeech}
+                disabled={isGenerating || readOnly || (inputMode === 'epub' ? !epubFile : !text.trim())}
+                className="flex-1 bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white font-semibold py-3 px-6 rounded-lg transition-colors duration-200 flex items-center justify-center"
+              >
+                {isGenerating ? (
+                  <>
+                    <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+                    Generating Speech...
+                  </>
+                ) : (
+                  <>
+                    <Mic className="w-5 h-5 mr-2" />
+                    {readOnly ? 'Read-only access' : 'Generate Speech'}
+                  </>
+                )}
+              </button>
+            </div>
 
             {/* Processing Status */}
             {isGenerating && processingMessage && (
@@ -211,16 +1157,69 @@ export default function Home() {
             {audioUrl && (
               <div className="bg-gray-50 rounded-lg p-6">
                 <h3 className="text-lg font-semibold text-gray-900 mb-4">Generated Audio</h3>
+                {fallbackNotice && (
+                  <p className="mb-4 text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-lg px-3 py-2">
+                    {fallbackNotice}
+                  </p>
+                )}
                 <div className="space-y-4">
-                  {/* Browser's native audio player */}
-                  <audio 
-                    controls 
-                    src={audioUrl}
-                    className="w-full"
-                    preload="auto"
-                  >
-                    Your browser does not support the audio element.
-                  </audio>
+                  {/* Browser's native audio player (a ZIP of chapter files can only be downloaded) */}
+                  {audioExtension !== 'zip' && (
+                    <audio 
+                      ref={audioRef}
+                      controls 
+                      src={audioUrl}
+                      className="w-full"
+                      preload="auto"
+                      onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+                    >
+                      Your browser does not support the audio element.
+                    </audio>
+                  )}
+
+                  {/* Read-along text - the sentence being spoken is highlighted; click a sentence to jump to it */}
+                  {timing && timing.sentences.length > 0 && (
+                    <div className="relative max-h-48 overflow-y-auto border border-gray-200 rounded-lg bg-white p-4 text-sm leading-relaxed text-gray-800">
+                      {timing.sentences.map((sentence, index) => (
+                        <Fragment key={sentence.index}>
+                          {/* Scripts start a new line whenever the speaker changes */}
+                          {sentence.speaker && sentence.speaker !== timing.sentences[index - 1]?.speaker && (
+                            <>
+                              {index > 0 && <br />}
+                              <strong className="text-gray-600">{sentence.speaker}: </strong>
+                            </>
+                          )}
+                          <span
+                            ref={sentence === activeSentence ? activeSentenceRef : undefined}
+                            onClick={() => seekTo(sentence.start)}
+                            className={`cursor-pointer rounded ${sentence === activeSentence ? 'bg-yellow-200' : 'hover:bg-indigo-50'}`}
+                          >
+                            {sentence.text}{' '}
+                          </span>
+                        </Fragment>
+                      ))}
+                    </div>
+                  )}
+
+                  {/* Chapter list - click a chapter to jump to it */}
+                  {chapters.length > 1 && (
+                    <ol className="divide-y divide-gray-200 border border-gray-200 rounded-lg bg-white text-sm">
+                      {chapters.map((chapter) => (
+                        <li key={chapter.index}>
+                          <button
+                            onClick={() => seekTo(chapter.startSeconds)}
+                            disabled={audioExtension === 'zip'}
+                            className="w-full flex justify-between px-4 py-2 text-left hover:bg-indigo-50 disabled:hover:bg-white"
+                          >
+                            <span className="text-gray-800">{chapter.title}</span>
+                            <span className="text-gray-500">
+                              {audioExtension === 'zip' ? chapter.fileName : formatTimestamp(chapter.startSeconds)}
+                            </span>
+                          </button>
+                        </li>
+                      ))}
+                    </ol>
+                  )}
                   
                   {/* Download button */}
                   <div className="flex items-center justify-between">
@@ -232,9 +1231,17 @@ export default function Home() {
                       Download Audio
                     </button>
                     
-                    <div className="text-sm text-gray-600">
-                      Use the audio controls above to play, pause, seek, and adjust volume
-                    </div>
+                    {timing && jobId ? (
+                      <div className="text-sm text-gray-600 space-x-3">
+                        <span>Captions{timing.estimated ? ' (estimated timing)' : ''}:</span>
+                        <a href={`/api/tts/jobs/${jobId}/timing?format=vtt`} className="text-indigo-600 hover:underline">WebVTT</a>
+                        <a href={`/api/tts/jobs/${jobId}/timing?format=srt`} className="text-indigo-600 hover:underline">SRT</a>
+                      </div>
+                    ) : (
+                      <div className="text-sm text-gray-600">
+                        Use the audio controls above to play, pause, seek, and adjust volume
+                      </div>
+                    )}
                   </div>
                 </div>
               </div>
@@ -0,0 +1,170 @@
+'use client'
+
+import { useCallback, useEffect, useState } from 'react'
+import Link from 'next/link'
+import { ArrowLeft, Copy, KeyRound, Loader2, Plus, Trash2 } from 'lucide-react'
+import { useSession } from 'next-auth/react'
+import { useRouter } from 'next/navigation'
+import type { ApiToken } from '../../lib/ttsOptions'
+
+export default function TokensPage() {
+  const { data: session, status } = useSession()
+  const router = useRouter()
+  const [tokens, setTokens] = useState<ApiToken[]>([])
+  const [name, setName] = useState('')
+  const [created, setCreated] = useState<ApiToken | null>(null)
+  const [isCreating, setIsCreating] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const loadTokens = useCallback(async () => {
+    const response = await fetch('/api/tokens')
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load API tokens')
+    }
+    setTokens(data.tokens || [])
+  }, [])
+
+  useEffect(() => {
+    if (status !== 'authenticated') return
+    loadTokens().catch(err => setError(err.message))
+  }, [status, loadTokens])
+
+  if (status === 'loading') {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    )
+  }
+
+  if (!session) {
+    router.push('/auth/signin')
+    return null
+  }
+
+  const createToken = async () => {
+    setIsCreating(true)
+    setError(null)
+    try {
+      const response = await fetch('/api/tokens', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: name.trim() })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create the token')
+      }
+      setTokens(current => [...current, { ...data, token: undefined }])
+      setCreated(data)
+      setName('')
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to create the token')
+    } finally {
+      setIsCreating(false)
+    }
+  }
+
+  const revokeToken = async (id: string) => {
+    setError(null)
+    const response = await fetch(`/api/tokens/${encodeURIComponent(id)}`, { method: 'DELETE' })
+    if (!response.ok && response.status !== 404) {
+      setError('Failed to revoke the token')
+      return
+    }
+    setTokens(current => current.filter(token => token.id !== id))
+    if (created?.id === id) {
+      setCreated(null)
+    }
+  }
+
+  return (
+    <main className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
+      <div className="max-w-4xl mx-auto py-12 space-y-6">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center">
+            <KeyRound className="w-10 h-10 text-indigo-600 mr-3" />
+            <h1 className="text-3xl font-bold text-gray-900">API Tokens</h1>
+          </div>
+          <Link href="/" className="flex items-center text-indigo-600 hover:text-indigo-800">
+            <ArrowLeft className="w-4 h-4 mr-1" />
+            Back to generator
+          </Link>
+        </div>
+
+        {error && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">{error}</div>
+        )}
+
+        {/* New token */}
+        <div className="bg-white rounded-2xl shadow-xl p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">Create a token</h2>
+          <p className="text-sm text-gray-500">
+            Scripts can call the API with <code>Authorization: Bearer &lt;token&gt;</code>, with the same role and quotas as you.
+          </p>
+          <div className="flex gap-2">
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Name, e.g. Nightly podcast build"
+              className="flex-1 p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            />
+            <button
+              onClick={createToken}
+              disabled={isCreating || !name.trim()}
+              className="flex items-center bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-lg transition-colors duration-200"
+            >
+              {isCreating ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Plus className="w-4 h-4 mr-1" />}
+              Create
+            </button>
+          </div>
+          {created?.token && (
+            <div className="p-4 bg-green-50 border border-green-200 rounded-lg space-y-2">
+              <p className="text-sm text-green-800">Copy this token now. It won&apos;t be shown again.</p>
+              <div className="flex items-center gap-2">
+                <code className="flex-1 p-2 bg-white border border-green-200 rounded text-sm break-all">{created.token}</code>
+                <button
+                  onClick={() => navigator.clipboard.writeText(created.token!)}
+                  className="text-green-700 hover:text-green-900"
+                  title="Copy token"
+                >
+                  <Copy className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Existing tokens */}
+        <div className="bg-white rounded-2xl shadow-xl p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Your tokens ({tokens.length})</h2>
+          {tokens.length === 0 ? (
+            <p className="text-sm text-gray-500">No API tokens yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {tokens.map(token => (
+                <li key={token.id} className="flex items-center justify-between py-2 text-sm">
+                  <div>
+                    <span className="text-gray-900">{token.name}</span>
+                    <span className="ml-2 text-xs text-gray-500">
+                      created {new Date(token.createdAt).toLocaleDateString()}
+                      {token.lastUsedAt ? `, last used ${new Date(token.lastUsedAt).toLocaleString()}` : ', never used'}
+                    </span>
+                  </div>
+                  <button
+                    onClick={() => revokeToken(token.id)}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Revoke token"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </main>
+  )
+}
@@ -0,0 +1,192 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import Link from 'next/link'
+import { ArrowLeft, BarChart3 } from 'lucide-react'
+import { useSession } from 'next-auth/react'
+import { useRouter } from 'next/navigation'
+import type { QuotaStatus, UsageReport, UsageSummary } from '../../lib/ttsOptions'
+
+const KIND_LABELS: Record<string, string> = {
+  speech: 'Speech',
+  stream: 'Stream',
+  job: 'Job',
+  retry: 'Retry'
+}
+
+const formatCost = (amount: number) => `$${amount.toFixed(amount < 1 ? 4 : 2)}`
+
+function QuotaBar({ label, quota }: { label: string; quota: QuotaStatus }) {
+  const percent = quota.limit ? Math.min(100, Math.round((quota.used / quota.limit) * 100)) : 0
+  return (
+    <div className="space-y-1">
+      <div className="flex justify-between text-sm">
+        <span className="font-medium text-gray-700">{label}</span>
+        <span className="text-gray-600">
+          {quota.used.toLocaleString()} {quota.limit ? `of ${quota.limit.toLocaleString()}` : ''} characters
+          {quota.limit === null && ' (no limit)'}
+        </span>
+      </div>
+      {quota.limit !== null && (
+        <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+          <div
+            className={`h-full ${percent >= 90 ? 'bg-red-500' : percent >= 70 ? 'bg-amber-500' : 'bg-indigo-600'}`}
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+      )}
+      <p className="text-xs text-gray-500">Resets {new Date(quota.resetsAt).toLocaleString()}</p>
+    </div>
+  )
+}
+
+function SummaryCard({ title, summary }: { title: string; summary: UsageSummary }) {
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-3">{title}</h2>
+      <dl className="grid grid-cols-2 gap-2 text-sm">
+        <dt className="text-gray-500">Requests</dt>
+        <dd className="text-gray-900 text-right">{summary.requests}</dd>
+        <dt className="text-gray-500">Characters</dt>
+        <dd className="text-gray-900 text-right">{summary.characters.toLocaleString()}</dd>
+        <dt className="text-gray-500">Billed characters</dt>
+        <dd className="text-gray-900 text-right">{summary.billedCharacters.toLocaleString()}</dd>
+        <dt className="text-gray-500">Estimated cost</dt>
+        <dd className="text-gray-900 text-right">{formatCost(summary.estimatedCost)}</dd>
+      </dl>
+    </div>
+  )
+}
+
+export default function UsagePage() {
+  const { data: session, status } = useSession()
+  const router = useRouter()
+  const [usage, setUsage] = useState<UsageReport | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    if (status !== 'authenticated') return
+    fetch('/api/usage')
+      .then(async response => {
+        const data = await response.json()
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to load usage')
+        }
+        setUsage(data)
+      })
+      .catch(err => setError(err.message))
+  }, [status])
+
+  if (status === 'loading') {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    )
+  }
+
+  if (!session) {
+    router.push('/auth/signin')
+    return null
+  }
+
+  const busiestDay = usage ? Math.max(1, ...usage.days.map(day => day.characters)) : 1
+
+  return (
+    <main className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
+      <div className="max-w-4xl mx-auto py-12 space-y-6">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center">
+            <BarChart3 className="w-10 h-10 text-indigo-600 mr-3" />
+            <h1 className="text-3xl font-bold text-gray-900">Usage</h1>
+          </div>
+          <Link href="/" className="flex items-center text-indigo-600 hover:text-indigo-800">
+            <ArrowLeft className="w-4 h-4 mr-1" />
+            Back to generator
+          </Link>
+        </div>
+
+        {error && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">{error}</div>
+        )}
+
+        {!usage && !error && (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+          </div>
+        )}
+
+        {usage && (
+          <>
+            {/* Quotas */}
+            <div className="bg-white rounded-2xl shadow-xl p-6 space-y-4">
+              <h2 className="text-lg font-semibold text-gray-900">Quotas</h2>
+              <QuotaBar label="Today" quota={usage.quotas.daily} />
+              <QuotaBar label="This month" quota={usage.quotas.monthly} />
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <SummaryCard title="Today" summary={usage.today} />
+              <SummaryCard title="This month" summary={usage.month} />
+            </div>
+
+            {/* Characters per day */}
+            <div className="bg-white rounded-2xl shadow-xl p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Last {usage.days.length} days</h2>
+              <div className="flex items-end h-32 gap-px">
+                {usage.days.map(day => (
+                  <div
+                    key={day.date}
+                    className="flex-1 bg-indigo-500 hover:bg-indigo-700 rounded-t"
+                    style={{ height: `${Math.round((day.characters / busiestDay) * 100)}%` }}
+                    title={`${day.date}: ${day.characters.toLocaleString()} characters, ${formatCost(day.estimatedCost)}`}
+                  />
+                ))}
+              </div>
+              <div className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>{usage.days[0]?.date}</span>
+                <span>{usage.days[usage.days.length - 1]?.date}</span>
+              </div>
+            </div>
+
+            {/* Recent requests */}
+            <div className="bg-white rounded-2xl shadow-xl p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Recent requests</h2>
+              {usage.recent.length === 0 ? (
+                <p className="text-sm text-gray-500">No speech generated yet.</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2">When</th>
+                      <th className="py-2">Kind</th>
+                      <th className="py-2">Voice tier</th>
+                      <th className="py-2 text-right">Characters</th>
+                      <th className="py-2 text-right">Billed</th>
+                      <th className="py-2 text-right">Cost</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {usage.recent.map(record => (
+                      <tr key={record.id} className="border-b last:border-0">
+                        <td className="py-2 text-gray-700">{new Date(record.createdAt).toLocaleString()}</td>
+                        <td className="py-2 text-gray-700">{KIND_LABELS[record.kind] || record.kind}</td>
+                        <td className="py-2 text-gray-700">{record.provider} · {record.voiceTier}</td>
+                        <td className="py-2 text-right text-gray-700">{record.characters.toLocaleString()}</td>
+                        <td className="py-2 text-right text-gray-700">{record.billedCharacters.toLocaleString()}</td>
+                        <td className="py-2 text-right text-gray-700">{formatCost(record.estimatedCost)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              <p className="text-xs text-gray-500 mt-4">
+                Costs are estimates at list prices. Cached audio is not billed again.
+              </p>
+            </div>
+          </>
+        )}
+      </div>
+    </main>
+  )
+}
@@ -1,5 +1,53 @@
 import GoogleProvider from 'next-auth/providers/google'
+import { getServerSession } from 'next-auth'
 import type { NextAuthOptions } from 'next-auth'
+import { NextResponse } from 'next/server'
+import { getAzureFunctionConfig, fetchAzureFunction } from './azureFunction'
+import type { Account, Role } from './ttsOptions'
+
+declare module 'next-auth' {
+  interface Session {
+    role?: Role
+  }
+}
+
+// Roles in increasing order of what they may do
+const ROLE_RANKS: Record<Role, number> = {
+  'read-only': 0,
+  user: 1,
+  admin: 2,
+}
+
+export function hasRole(role: Role | undefined, required: Role): boolean {
+  return role !== undefined && ROLE_RANKS[role] >= ROLE_RANKS[required]
+}
+
+/**
+ * Looks up the account of an email address on the function app.
+ * Users without an account have no access.
+ */
+export async function fetchAccount(email: string): Promise<Account | null> {
+  const config = getAzureFunctionConfig()
+  if (!config) {
+    return null
+  }
+  const response = await fetchAzureFunction(config, `access/users/${encodeURIComponent(email)}`)
+  return response.ok ? response.json() : null
+}
+
+// Looks up the account an API token belongs to
+async function verifyApiToken(token: string): Promise<Account | null> {
+  const config = getAzureFunctionConfig()
+  if (!config) {
+    return null
+  }
+  const response = await fetchAzureFunction(config, 'access/tokens/verify', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token })
+  })
+  return response.ok ? response.json() : null
+}
 
 export const authOptions: NextAuthOptions = {
   providers: [
@@ -10,18 +58,15 @@ export const authOptions: NextAuthOptions = {
   ],
   callbacks: {
     async signIn({ user }) {
-      // Only allow your specific email address
-      const allowedEmail = 'kc681269@gmail.com'
-      
-      if (user.email === allowedEmail) {
-        return true
-      } else {
-        // Reject the sign-in attempt
-        return false
-      }
+      // Only invited users (and the admins in TTS_ADMIN_EMAILS) may sign in
+      return Boolean(user.email && await fetchAccount(user.email))
     },
     async session({ session }) {
-      // Add any additional session data if needed
+      // The role decides what the UI offers; API routes check it again on every request
+      if (session.user?.email) {
+        const account = await fetchAccount(session.user.email)
+        session.role = account?.role
+      }
       return session
     },
   },
@@ -30,3 +75,56 @@ export const authOptions: NextAuthOptions = {
     error: '/auth/error',
   },
 }
+
+export type AuthResult =
+  | { user: Account; error?: undefined }
+  | { user?: undefined; error: NextResponse }
+
+const deny = (message: string, status: number): AuthResult => ({
+  error: NextResponse.json({ error: message }, { status })
+})
+
+/**
+ * Checks who is calling an API route and whether their role allows it.
+ *
+ * Callers are signed-in users, or scripts sending an API token as
+ * `Authorization: Bearer tts_...`. Routes that manage API tokens pass
+ * `allowTokens: false` so a leaked token can't be used to mint more.
+ * Access is checked against the function app on every request, so a revoked
+ * user is locked out at once.
+ *
+ * Returns the caller's account, or an error response to send back.
+ */
+export async function authorize(
+  request: Request,
+  required: Role,
+  { allowTokens = true }: { allowTokens?: boolean } = {}
+): Promise<AuthResult> {
+  let account: Account | null
+
+  const authorization = request.headers.get('authorization')
+  if (authorization?.toLowerCase().startsWith('bearer ')) {
+    if (!allowTokens) {
+      return deny('API tokens cannot be used here - Please sign in', 401)
+    }
+    account = await verifyApiToken(authorization.slice('bearer '.length).trim())
+    if (!account) {
+      return deny('Unauthorized - Invalid API token', 401)
+    }
+  } else {
+    const session = await getServerSession(authOptions)
+    if (!session?.user?.email) {
+      return deny('Unauthorized - Please sign in', 401)
+    }
+    account = await fetchAccount(session.user.email)
+    if (!account) {
+      return deny('Forbidden - Access denied', 403)
+    }
+  }
+
+  if (!hasRole(account.role, required)) {
+    return deny(`Forbidden - This needs the ${required} role`, 403)
+  }
+
+  return { user: account }
+}
@@ -0,0 +1,62 @@
+/**
+ * Server-side helpers for calling the Azure Function app.
+ *
+ * NEXT_PUBLIC_API_URL points at the textToSpeech function
+ * (https://<app>.azurewebsites.net/api/textToSpeech); other routes on the
+ * same function app are resolved relative to its /api base.
+ */
+
+export interface AzureFunctionConfig {
+  url: string
+  baseUrl: string
+  key: string
+}
+
+export function getAzureFunctionConfig(): AzureFunctionConfig | null {
+  const url = process.env.NEXT_PUBLIC_API_URL
+  const key = process.env.AZURE_FUNCTION_KEY
+
+  if (!url || !key) {
+    console.error('Missing Azure Function configuration:', {
+      hasUrl: !!url,
+      hasKey: !!key
+    })
+    return null
+  }
+
+  return {
+    url,
+    baseUrl: url.replace(/\/textToSpeech\/?$/, ''),
+    key
+  }
+}
+
+/**
+ * Identifies the caller (from `authorize`) to the function app, which keeps
+ * per-user data such as the pronunciation lexicon and usage.
+ */
+export function getUserHeaders(user?: { email: string }): Record<string, string> {
+  return user ? { 'x-tts-user': user.email } : {}
+}
+
+/**
+ * Calls a route on the function app with the server-side function key,
+ * on behalf of `user` when given.
+ * `path` is relative to the /api base, e.g. `tts/jobs`.
+ */
+export async function fetchAzureFunction(
+  config: AzureFunctionConfig,
+  path: string,
+  init: RequestInit = {},
+  user?: { email: string }
+) {
+  return fetch(`${config.baseUrl}/${path}`, {
+    ...init,
+    headers: {
+      ...init.headers,
+      ...getUserHeaders(user),
+      'x-functions-key': config.key, // Key stays on server
+    },
+    cache: 'no-store'
+  })
+}
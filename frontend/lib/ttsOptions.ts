@@ -0,0 +1,393 @@
+/**
+ * Voice and audio settings accepted by the text-to-speech function.
+ * Mirrors the validation in src/lib/synthesisOptions.js on the function app.
+ */
+
+export type AudioEncoding = 'OGG_OPUS' | 'MP3' | 'LINEAR16' | 'MULAW' | 'ALAW'
+
+export interface SynthesisSettings {
+  voiceName?: string
+  languageCode?: string
+  audioEncoding?: AudioEncoding
+  speakingRate?: number
+  pitch?: number
+  volumeGainDb?: number
+  sampleRateHertz?: number
+  effectsProfileId?: string[]
+  inputType?: 'text' | 'ssml'
+  inputFormat?: 'text' | 'markdown' | 'html' | 'epub'
+  stripCode?: boolean
+  chapters?: { title?: string; text: string }[]
+  script?: string | ScriptTurn[]
+  speakers?: Record<string, string | SpeakerVoice>
+  turnPauseMs?: number
+  languageVoices?: Record<string, string | SpeakerVoice>
+  outputMode?: OutputMode
+  timing?: 'none' | 'sentence' | 'word'
+  cache?: boolean
+  useLexicon?: boolean
+  provider?: ProviderName
+  fallback?: boolean
+  stream?: boolean
+  failurePolicy?: FailurePolicy
+  history?: boolean
+  trimSilence?: boolean
+  paragraphPauseMs?: number
+  sentencePauseMs?: number
+  chunkPauseMs?: number
+  targetLoudness?: number
+  backgroundMusic?: string | BackgroundMusic
+}
+
+// A track from the function app's TTS_MUSIC_DIR, mixed under the speech
+export interface BackgroundMusic {
+  track: string
+  volumeDb?: number
+  duckDb?: number
+}
+
+// Multi-speaker scripts: one turn per "SPEAKER: line", each in the speaker's voice
+export interface ScriptTurn {
+  speaker: string
+  text: string
+  pauseMs?: number
+}
+
+export interface SpeakerVoice {
+  voiceName?: string
+  languageCode?: string
+  speakingRate?: number
+  pitch?: number
+  volumeGainDb?: number
+}
+
+export const DEFAULT_TURN_PAUSE_MS = 400
+
+// Same speaker prefix as src/lib/script.js on the function app
+const SPEAKER_LINE_PATTERN = new RegExp("^\\s*([\\p{L}\\p{N}][\\p{L}\\p{N} _.'-]{0,39}?)\\s*:", 'u')
+
+/**
+ * Speakers of a "SPEAKER: line" script in order of appearance,
+ * matched case-insensitively like the function app does
+ */
+export function scriptSpeakers(script: string): string[] {
+  const speakers = new Map<string, string>()
+  for (const line of script.split(/\r?\n/)) {
+    const match = line.match(SPEAKER_LINE_PATTERN)
+    if (match && !speakers.has(match[1].trim().toLowerCase())) {
+      speakers.set(match[1].trim().toLowerCase(), match[1].trim())
+    }
+  }
+  return Array.from(speakers.values())
+}
+
+// Languages the function app can tell apart in mixed-language text (src/lib/languageDetection.js),
+// with the language code their voice is picked for when no voice is named
+export type DetectableLanguage = 'en' | 'es' | 'de' | 'fr' | 'it' | 'pt' | 'nl'
+
+export const DETECTABLE_LANGUAGES: Record<DetectableLanguage, { label: string; languageCode: string }> = {
+  en: { label: 'English', languageCode: 'en-US' },
+  es: { label: 'Spanish', languageCode: 'es-ES' },
+  de: { label: 'German', languageCode: 'de-DE' },
+  fr: { label: 'French', languageCode: 'fr-FR' },
+  it: { label: 'Italian', languageCode: 'it-IT' },
+  pt: { label: 'Portuguese', languageCode: 'pt-BR' },
+  nl: { label: 'Dutch', languageCode: 'nl-NL' },
+}
+
+// Text-to-speech engines on the function app; unset uses its TTS_PROVIDER
+export type ProviderName = 'google' | 'azure' | 'local'
+
+export const PROVIDERS: Record<ProviderName, string> = {
+  google: 'Google Cloud',
+  azure: 'Azure Speech',
+  local: 'Local (offline)',
+}
+
+// Audiobook output: one file with chapter marks (OGG) or a ZIP of chapter files
+export type OutputMode = 'single' | 'zip'
+
+export const OUTPUT_MODES: Record<OutputMode, string> = {
+  single: 'One file with chapter marks',
+  zip: 'ZIP of chapter files',
+}
+
+// What happens to chunks that still fail after their retries
+export type FailurePolicy = 'fail' | 'skip' | 'silence' | 'tone'
+
+export const FAILURE_POLICIES: Record<FailurePolicy, string> = {
+  fail: 'Fail the request',
+  skip: 'Leave the text out',
+  silence: 'Insert silence',
+  tone: 'Insert a tone (WAV or post-processed)',
+}
+
+// Post-processing (src/lib/postProcessing.js on the function app)
+export const DEFAULT_PAUSES_MS = { paragraph: 900, sentence: 400, chunk: 50 }
+
+export const LOUDNESS_TARGETS: Record<string, string> = {
+  '-16': '-16 LUFS (podcasts)',
+  '-19': '-19 LUFS',
+  '-23': '-23 LUFS (broadcast)',
+}
+
+export const DEFAULT_MUSIC_VOLUME_DB = -18
+export const DEFAULT_MUSIC_DUCK_DB = 12
+
+// A chunk that failed, as listed by the function app
+export interface FailedChunk {
+  index: number
+  text: string
+  characters: number
+  error: string
+}
+
+// Chapter details reported once a job completes
+export interface ChapterInfo {
+  index: number
+  title: string
+  characters: number
+  startSeconds?: number
+  durationSeconds?: number | null
+  fileName?: string
+}
+
+export const AUDIO_ENCODINGS: Record<AudioEncoding, { label: string; extension: string; mimeType: string }> = {
+  OGG_OPUS: { label: 'OGG (Opus)', extension: 'ogg', mimeType: 'audio/ogg' },
+  MP3: { label: 'MP3', extension: 'mp3', mimeType: 'audio/mpeg' },
+  LINEAR16: { label: 'WAV (16-bit PCM)', extension: 'wav', mimeType: 'audio/wav' },
+  MULAW: { label: 'WAV (μ-law)', extension: 'wav', mimeType: 'audio/wav' },
+  ALAW: { label: 'WAV (A-law)', extension: 'wav', mimeType: 'audio/wav' },
+}
+
+const SETTING_FIELDS: (keyof SynthesisSettings)[] = [
+  'voiceName',
+  'languageCode',
+  'audioEncoding',
+  'speakingRate',
+  'pitch',
+  'volumeGainDb',
+  'sampleRateHertz',
+  'effectsProfileId',
+  'inputType',
+  'inputFormat',
+  'stripCode',
+  'chapters',
+  'script',
+  'speakers',
+  'turnPauseMs',
+  'languageVoices',
+  'outputMode',
+  'timing',
+  'cache',
+  'useLexicon',
+  'provider',
+  'fallback',
+  'stream',
+  'failurePolicy',
+  'history',
+  'trimSilence',
+  'paragraphPauseMs',
+  'sentencePauseMs',
+  'chunkPauseMs',
+  'targetLoudness',
+  'backgroundMusic',
+]
+
+/**
+ * Copies only the known settings fields out of a request body,
+ * so API routes forward nothing else to the function app.
+ */
+export function pickSynthesisSettings(body: Record<string, unknown>): SynthesisSettings {
+  const settings: Record<string, unknown> = {}
+  for (const field of SETTING_FIELDS) {
+    if (body[field] !== undefined && body[field] !== null && body[field] !== '') {
+      settings[field] = body[field]
+    }
+  }
+  return settings as SynthesisSettings
+}
+
+// Pronunciation lexicon entry, as stored by the function app
+export type LexiconReplacementType = 'text' | 'sub' | 'phoneme'
+
+export const LEXICON_REPLACEMENT_TYPES: Record<LexiconReplacementType, string> = {
+  text: 'Replace text',
+  sub: 'Speak as (sub alias)',
+  phoneme: 'Phonemes (IPA / X-SAMPA)',
+}
+
+export interface LexiconEntry {
+  id: string
+  match: string
+  matchType: 'literal' | 'regex'
+  caseSensitive: boolean
+  wholeWord: boolean
+  type: LexiconReplacementType
+  replacement: string
+  alphabet?: 'ipa' | 'x-sampa'
+  languageCode: string | null
+  createdAt: string
+  updatedAt: string
+}
+
+// Access: who may use the app, and what they may do
+export type Role = 'admin' | 'user' | 'read-only'
+
+export const ROLES: Record<Role, string> = {
+  admin: 'Admin - everything, and managing users',
+  user: 'User - generate speech and edit their lexicon',
+  'read-only': 'Read-only - voices, usage and results, no generation',
+}
+
+export interface Account {
+  email: string
+  role: Role
+  // A quota that is left out uses the deployment's default; null is no limit
+  quotas: { daily?: number | null; monthly?: number | null }
+  // Voice names or voice tiers ("Standard", "Neural2"...); null allows every voice
+  allowedVoices: string[] | null
+  // Admins from TTS_ADMIN_EMAILS can't be changed here
+  bootstrap?: boolean
+  createdAt?: string
+  updatedAt?: string
+}
+
+export interface ApiToken {
+  id: string
+  name: string
+  createdAt: string
+  lastUsedAt: string | null
+  // Only returned when the token is created
+  token?: string
+}
+
+// Usage accounting: quotas are character limits per UTC day and month (null for no limit)
+export interface QuotaStatus {
+  limit: number | null
+  used: number
+  // Held by syntheses that are still running
+  reserved: number
+  remaining: number | null
+  resetsAt: string
+}
+
+export interface UsageSummary {
+  requests: number
+  characters: number
+  billedCharacters: number
+  cacheHits: number
+  estimatedCost: number
+}
+
+export interface UsageRecord {
+  id: string
+  createdAt: string
+  kind: 'speech' | 'stream' | 'job' | 'retry'
+  provider: string
+  voiceTier: string
+  characters: number
+  billedCharacters: number
+  chunks: number
+  cacheHits: number
+  estimatedCost: number
+}
+
+export interface UsageReport {
+  quotas: { daily: QuotaStatus; monthly: QuotaStatus }
+  today: UsageSummary
+  month: UsageSummary
+  days: (UsageSummary & { date: string })[]
+  recent: UsageRecord[]
+}
+
+export interface SynthesisEstimate {
+  characters: number
+  billableCharacters: number
+  tiers: Record<string, number>
+  chunks: number
+  estimatedDurationSeconds: number
+  estimatedCost: { currency: string; amount: number }
+  provider: string
+  quotas: { daily: QuotaStatus; monthly: QuotaStatus }
+  withinQuota: boolean
+}
+
+// A finished synthesis kept in the user's history
+export interface HistoryItem {
+  id: string
+  title: string
+  preview: string
+  source: 'speech' | 'stream' | 'job'
+  jobId: string | null
+  provider: string
+  voiceName: string | null
+  format: string
+  mimeType: string
+  extension: string
+  characters: number
+  chunks: number
+  chapters: { index: number; title: string; startSeconds?: number; durationSeconds?: number | null }[] | null
+  audioBytes: number
+  durationSeconds: number | null
+  createdAt: string
+  updatedAt: string
+}
+
+// One item as its own route returns it: the full text and the request it was made from
+export interface HistoryItemDetails extends Omit<HistoryItem, 'preview'> {
+  text: string
+  request: SynthesisSettings & { text?: string }
+}
+
+// Read-along timing returned for jobs submitted with `timing`
+export interface TimedSentence {
+  index: number
+  text: string
+  start: number
+  end: number
+  chapter?: number
+  speaker?: string
+  words?: { text: string; start: number; end: number }[]
+}
+
+export interface TimingTrack {
+  level: 'sentence' | 'word'
+  estimated: boolean
+  sentences: TimedSentence[]
+}
+
+export interface Voice {
+  name: string
+  languageCodes: string[]
+  ssmlGender: string
+  naturalSampleRateHertz: number | null
+  family: string
+}
+
+export const DEFAULT_VOICE_NAME = 'en-US-Chirp3-HD-Aoede'
+
+export const VOICE_FAMILIES = ['Chirp HD', 'Neural2', 'WaveNet', 'Studio', 'Standard']
+
+// How the text box (or uploaded file) is interpreted
+export type InputMode = 'text' | 'ssml' | 'script' | 'markdown' | 'html' | 'epub'
+
+export const INPUT_MODES: Record<InputMode, string> = {
+  text: 'Plain text',
+  ssml: 'SSML',
+  script: 'Dialogue script',
+  markdown: 'Markdown',
+  html: 'HTML',
+  epub: 'EPUB (upload)',
+}
+
+/**
+ * Settings implied by an input mode: SSML is sent as-is,
+ * documents are converted to speech cues by the function app.
+ * Scripts are sent in the script field instead of the text.
+ */
+export function inputModeSettings(mode: InputMode): SynthesisSettings {
+  if (mode === 'ssml') return { inputType: 'ssml' }
+  if (mode === 'text' || mode === 'script') return {}
+  return { inputFormat: mode }
+}
@@ -0,0 +1,194 @@
+const { app } = require('@azure/functions');
+const { getAccessStore } = require('../lib/stores');
+const {
+    readEmail,
+    parseAccount,
+    getAdminEmails,
+    effectiveAccount,
+    generateToken,
+    parseToken,
+    tokenMatches,
+    readTokenName
+} = require('../lib/access');
+const { getRequestUser } = require('../lib/requestUser');
+const { ValidationError } = require('../lib/errors');
+
+/**
+ * User account and API token routes
+ *
+ *   GET    /api/access/users          - every account, with the TTS_ADMIN_EMAILS admins
+ *   GET    /api/access/users/{email}  - one account (404 without access)
+ *   PUT    /api/access/users/{email}  - invite a user, or change their role, quotas and voices
+ *   DELETE /api/access/users/{email}  - revoke a user's access and API tokens
+ *   GET    /api/access/tokens         - the caller's API tokens
+ *   POST   /api/access/tokens         - create an API token (201, the token is only returned here)
+ *   DELETE /api/access/tokens/{id}    - revoke one of the caller's API tokens
+ *   POST   /api/access/tokens/verify  - the account an API token belongs to (401 if it is invalid)
+ *
+ * The frontend decides who may call which of its routes (see its lib/auth.ts)
+ * with these; the function key keeps everyone else out. Tokens belong to the
+ * user named by the X-TTS-User header.
+ */
+
+function errorResponse(error, context, action) {
+    if (error.isValidation) {
+        return {
+            status: 400,
+            jsonBody: { error: error.message, ...error.details }
+        };
+    }
+
+    context.log(`Error ${action}:`, error);
+
+    return {
+        status: 500,
+        jsonBody: {
+            error: 'Internal server error',
+            message: error.message
+        }
+    };
+}
+
+async function readJsonBody(request) {
+    try {
+        return await request.json();
+    } catch {
+        throw new ValidationError('Request body must be JSON');
+    }
+}
+
+app.http('listAccounts', {
+    methods: ['GET'],
+    authLevel: 'function',
+    route: 'access/users',
+    handler: async (request, context) => {
+        try {
+            const stored = await getAccessStore().listAccounts();
+            const emails = [...new Set([...stored.map(account => account.email), ...getAdminEmails()])].sort();
+            const accounts = emails.map(email =>
+                effectiveAccount(email, stored.find(account => account.email === email) || null));
+            return {
+                status: 200,
+                jsonBody: { accounts }
+            };
+        } catch (error) {
+            return errorResponse(error, context, 'listing accounts');
+        }
+    }
+});
+
+app.http('account', {
+    methods: ['GET', 'PUT', 'DELETE'],
+    authLevel: 'function',
+    route: 'access/users/{email}',
+    handler: async (request, context) => {
+        try {
+            const store = getAccessStore();
+            const email = readEmail(request.params.email);
+
+            if (request.method === 'GET') {
+                const account = effectiveAccount(email, await store.getAccount(email));
+                return account
+                    ? { status: 200, jsonBody: account }
+                    : { status: 404, jsonBody: { error: 'No access for this user' } };
+            }
+
+            if (request.method === 'DELETE') {
+                // Admins from the app settings can only be removed there
+                if (getAdminEmails().includes(email)) {
+                    return {
+                        status: 409,
+                        jsonBody: { error: `${email} is an admin through TTS_ADMIN_EMAILS` }
+                    };
+                }
+                return await store.deleteAccount(email)
+                    ? { status: 204 }
+                    : { status: 404, jsonBody: { error: 'No access for this user' } };
+            }
+
+            const fields = parseAccount(await readJsonBody(request));
+            return {
+                status: 200,
+                jsonBody: effectiveAccount(email, await store.putAccount(email, fields))
+            };
+        } catch (error) {
+            return errorResponse(error, context, 'updating account');
+        }
+    }
+});
+
+app.http('apiTokens', {
+    methods: ['GET', 'POST'],
+    authLevel: 'function',
+    route: 'access/tokens',
+    handler: async (request, context) => {
+        try {
+            const store = getAccessStore();
+            const user = getRequestUser(request);
+
+            if (request.method === 'GET') {
+                return {
+                    status: 200,
+                    jsonBody: { tokens: await store.listTokens(user) }
+                };
+            }
+
+            const name = readTokenName(await readJsonBody(request));
+            const { id, token, hash } = generateToken();
+            const created = await store.createToken(user, { id, name, hash });
+            return {
+                status: 201,
+                jsonBody: { ...created, token }
+            };
+        } catch (error) {
+            return errorResponse(error, context, 'creating API token');
+        }
+    }
+});
+
+app.http('verifyApiToken', {
+    methods: ['POST'],
+    authLevel: 'function',
+    route: 'access/tokens/verify',
+    handler: async (request, context) => {
+        try {
+            const store = getAccessStore();
+            const body = await readJsonBody(request);
+            const parsed = parseToken(body && body.token);
+            const stored = parsed && await store.getToken(parsed.id);
+            // A token outlives neither its secret nor its user's access
+            const account = stored && tokenMatches(stored.hash, parsed.hash)
+                && effectiveAccount(stored.email, await store.getAccount(stored.email));
+            if (!account) {
+                return {
+                    status: 401,
+                    jsonBody: { error: 'Invalid API token' }
+                };
+            }
+
+            await store.touchToken(stored.id);
+            return {
+                status: 200,
+                jsonBody: account
+            };
+        } catch (error) {
+            return errorResponse(error, context, 'verifying API token');
+        }
+    }
+});
+
+app.http('apiToken', {
+    methods: ['DELETE'],
+    authLevel: 'function',
+    route: 'access/tokens/{id}',
+    handler: async (request, context) => {
+        try {
+            const deleted = await getAccessStore().deleteToken(getRequestUser(request), request.params.id);
+            return deleted
+                ? { status: 204 }
+                : { status: 404, jsonBody: { error: 'API token not found' } };
+        } catch (error) {
+            return errorResponse(error, context, 'revoking API token');
+        }
+    }
+});
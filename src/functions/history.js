@@ -0,0 +1,141 @@
+const { app } = require('@azure/functions');
+const { getHistoryStore } = require('../lib/stores');
+const { toHistorySummary, matchesQuery, readTitle, historyFileName } = require('../lib/history');
+const { getRequestUser } = require('../lib/requestUser');
+const { ValidationError } = require('../lib/errors');
+
+/**
+ * Generation history routes
+ *
+ *   GET    /api/history             - the caller's items, newest first (?q= searches titles and text)
+ *   GET    /api/history/{id}        - one item, with the request it was made from
+ *   PATCH  /api/history/{id}        - rename an item: { title }
+ *   DELETE /api/history/{id}        - delete an item and its audio
+ *   GET    /api/history/{id}/audio  - the item's audio (?download=true for an attachment)
+ *
+ * Items are saved by the synthesis and job routes as they finish, for the user
+ * named by the X-TTS-User header. To generate an item again with other voice
+ * settings, send its request to a synthesis route with the settings changed.
+ */
+
+function errorResponse(error, context, action) {
+    if (error.isValidation) {
+        return {
+            status: 400,
+            jsonBody: { error: error.message, ...error.details }
+        };
+    }
+
+    context.log(`Error ${action}:`, error);
+
+    return {
+        status: 500,
+        jsonBody: {
+            error: 'Internal server error',
+            message: error.message
+        }
+    };
+}
+
+async function readJsonBody(request) {
+    try {
+        return await request.json();
+    } catch {
+        throw new ValidationError('Request body must be JSON');
+    }
+}
+
+const notFound = () => ({
+    status: 404,
+    jsonBody: { error: 'History item not found' }
+});
+
+app.http('history', {
+    methods: ['GET'],
+    authLevel: 'function',
+    route: 'history',
+    handler: async (request, context) => {
+        try {
+            const store = getHistoryStore();
+            if (!store) {
+                return {
+                    status: 200,
+                    jsonBody: { enabled: false, items: [] }
+                };
+            }
+
+            const query = (request.query.get('q') || '').trim();
+            const items = await store.list(getRequestUser(request));
+            return {
+                status: 200,
+                jsonBody: {
+                    enabled: true,
+                    items: items.filter(item => !query || matchesQuery(item, query)).map(toHistorySummary)
+                }
+            };
+        } catch (error) {
+            return errorResponse(error, context, 'listing history');
+        }
+    }
+});
+
+app.http('historyItem', {
+    methods: ['GET', 'PATCH', 'DELETE'],
+    authLevel: 'function',
+    route: 'history/{id}',
+    handler: async (request, context) => {
+        try {
+            const store = getHistoryStore();
+            if (!store) {
+                return notFound();
+            }
+            const user = getRequestUser(request);
+            const { id } = request.params;
+
+            if (request.method === 'GET') {
+                const item = await store.get(user, id);
+                return item ? { status: 200, jsonBody: item } : notFound();
+            }
+
+            if (request.method === 'DELETE') {
+                return await store.delete(user, id) ? { status: 204 } : notFound();
+            }
+
+            const title = readTitle(await readJsonBody(request));
+            const item = await store.update(user, id, { title });
+            return item ? { status: 200, jsonBody: toHistorySummary(item) } : notFound();
+        } catch (error) {
+            return errorResponse(error, context, 'updating history');
+        }
+    }
+});
+
+app.http('historyAudio', {
+    methods: ['GET'],
+    authLevel: 'function',
+    route: 'history/{id}/audio',
+    handler: async (request, context) => {
+        try {
+            const store = getHistoryStore();
+            const user = getRequestUser(request);
+            const item = store && await store.get(user, request.params.id);
+            const audio = item && await store.getAudio(user, item.id);
+            if (!audio) {
+                return notFound();
+            }
+
+            const disposition = request.query.get('download') === 'true' ? 'attachment' : 'inline';
+            return {
+                status: 200,
+                headers: {
+                    'Content-Type': item.mimeType,
+                    'Content-Length': String(audio.length),
+                    'Content-Disposition': `${disposition}; filename="${historyFileName(item)}"`
+                },
+                body: audio
+            };
+        } catch (error) {
+            return errorResponse(error, context, 'reading history audio');
+        }
+    }
+});
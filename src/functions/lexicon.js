@@ -0,0 +1,178 @@
+const { app } = require('@azure/functions');
+const { getLexiconStore } = require('../lib/stores');
+const { buildSections, selectProviders } = require('../lib/synthesis');
+const { intelligentTextChunking, sentenceSplitter } = require('../lib/textChunking');
+const { parseLexiconEntry } = require('../lib/lexicon');
+const { parseSynthesisOptions } = require('../lib/synthesisOptions');
+const { chunkSsml } = require('../lib/ssml');
+const { getRequestUser } = require('../lib/requestUser');
+const { ValidationError } = require('../lib/errors');
+
+/**
+ * Pronunciation lexicon routes
+ *
+ *   GET    /api/lexicon          - the caller's entries, in the order they are applied
+ *   POST   /api/lexicon          - add an entry (201)
+ *   GET    /api/lexicon/{id}     - one entry
+ *   PUT    /api/lexicon/{id}     - replace an entry
+ *   DELETE /api/lexicon/{id}     - remove an entry
+ *   POST   /api/lexicon/preview  - dry run: the text as it would be synthesized
+ *
+ * Entries belong to the user named by the X-TTS-User header (set by the
+ * frontend from the signed-in session). Synthesis requests apply the caller's
+ * lexicon automatically unless they send useLexicon: false.
+ */
+
+function errorResponse(error, context, action) {
+    if (error.isValidation) {
+        return {
+            status: 400,
+            jsonBody: { error: error.message, ...error.details }
+        };
+    }
+
+    context.log(`Error ${action}:`, error);
+
+    return {
+        status: 500,
+        jsonBody: {
+            error: 'Internal server error',
+            message: error.message
+        }
+    };
+}
+
+async function readJsonBody(request) {
+    try {
+        return await request.json();
+    } catch {
+        throw new ValidationError('Request body must be JSON');
+    }
+}
+
+const notFound = () => ({
+    status: 404,
+    jsonBody: { error: 'Lexicon entry not found' }
+});
+
+app.http('lexicon', {
+    methods: ['GET', 'POST'],
+    authLevel: 'function',
+    route: 'lexicon',
+    handler: async (request, context) => {
+        try {
+            const store = getLexiconStore();
+            const user = getRequestUser(request);
+
+            if (request.method === 'GET') {
+                return {
+                    status: 200,
+                    jsonBody: { entries: await store.list(user) }
+                };
+            }
+
+            const fields = parseLexiconEntry(await readJsonBody(request));
+            return {
+                status: 201,
+                jsonBody: await store.create(user, fields)
+            };
+        } catch (error) {
+            return errorResponse(error, context, 'updating lexicon');
+        }
+    }
+});
+
+app.http('lexiconEntry', {
+    methods: ['GET', 'PUT', 'DELETE'],
+    authLevel: 'function',
+    route: 'lexicon/{id}',
+    handler: async (request, context) => {
+        try {
+            const store = getLexiconStore();
+            const user = getRequestUser(request);
+            const { id } = request.params;
+
+            if (request.method === 'GET') {
+                const entry = await store.get(user, id);
+                return entry ? { status: 200, jsonBody: entry } : notFound();
+            }
+
+            if (request.method === 'DELETE') {
+                return await store.delete(user, id) ? { status: 204 } : notFound();
+            }
+
+            const fields = parseLexiconEntry(await readJsonBody(request));
+            const entry = await store.update(user, id, fields);
+            return entry ? { status: 200, jsonBody: entry } : notFound();
+        } catch (error) {
+            return errorResponse(error, context, 'updating lexicon entry');
+        }
+    }
+});
+
+app.http('previewLexicon', {
+    methods: ['POST'],
+    authLevel: 'function',
+    route: 'lexicon/preview',
+    handler: async (request, context) => {
+        try {
+            // Same body as a synthesis request; "entries" tries out draft rules
+            // instead of the saved lexicon
+            const body = await readJsonBody(request);
+            const options = parseSynthesisOptions(body);
+            delete options.useLexicon;
+
+            if (!options.chapters && !options.script && (typeof body.text !== 'string' || body.text.trim().length === 0)) {
+                return {
+                    status: 400,
+                    jsonBody: { error: 'No text provided' }
+                };
+            }
+
+            let lexicon;
+            if (body.entries !== undefined) {
+                if (!Array.isArray(body.entries)) {
+                    throw new ValidationError('entries must be an array', { field: 'entries' });
+                }
+                lexicon = body.entries.map((entry, index) => ({ id: `draft-${index}`, ...parseLexiconEntry(entry) }));
+            } else {
+                lexicon = await getLexiconStore().list(getRequestUser(request));
+            }
+
+            const { sections, options: sectionOptions, titled, applied } = buildSections(body.text, { ...options, lexicon });
+
+            // Chunked as the chosen provider would chunk it without timing
+            const { maxChunkLength, maxInputBytes } = selectProviders(sectionOptions)[0].limits;
+            const countChunks = (text, inputType, languageCode) => (inputType === 'ssml'
+                ? chunkSsml(text, maxChunkLength, sentenceSplitter(languageCode), maxInputBytes)
+                : intelligentTextChunking(text, maxChunkLength, sentenceSplitter(languageCode), maxInputBytes)).length;
+            const { turns } = sections[0];
+            const chunks = turns
+                ? turns.reduce((count, turn) => count + countChunks(
+                    turn.text,
+                    turn.options.inputType,
+                    turn.options.languageCode || sectionOptions.languageCode
+                ), 0)
+                : sections.reduce((count, section) => count + countChunks(section.text, sectionOptions.inputType, sectionOptions.languageCode), 0);
+
+            return {
+                status: 200,
+                jsonBody: {
+                    inputType: sectionOptions.inputType || 'text',
+                    ...(titled && { sections: sections.map(({ title, text }) => ({ title, text })) }),
+                    ...(turns && { turns: turns.map(({ speaker, language, text, options: turnOptions }) => ({
+                        ...(speaker !== undefined && { speaker }),
+                        ...(language !== undefined && { language }),
+                        inputType: turnOptions.inputType || 'text',
+                        text
+                    })) }),
+                    ...(!titled && !turns && { text: sections[0].text }),
+                    applied,
+                    chunks
+                }
+            };
+        } catch (error) {
+            return errorResponse(error, context, 'previewing lexicon');
+        }
+    }
+});
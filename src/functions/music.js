@@ -0,0 +1,39 @@
+const { app } = require('@azure/functions');
+const { listMusicTracks } = require('../lib/postProcessing');
+
+/**
+ * Background music route
+ *
+ *   GET /api/music
+ *
+ * Lists the tracks in TTS_MUSIC_DIR that a request's backgroundMusic option
+ * can name (see postProcessing.js).
+ */
+
+app.http('listMusic', {
+    methods: ['GET'],
+    authLevel: 'function',
+    route: 'music',
+    handler: async (request, context) => {
+        try {
+            const tracks = await listMusicTracks();
+            return {
+                status: 200,
+                jsonBody: {
+                    enabled: Boolean(process.env.TTS_MUSIC_DIR),
+                    tracks
+                }
+            };
+        } catch (error) {
+            context.log('Error listing music:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: error.message
+                }
+            };
+        }
+    }
+});
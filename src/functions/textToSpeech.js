@@ -1,404 +1,177 @@
 const { app } = require('@azure/functions');
-const textToSpeech = require('@google-cloud/text-to-speech');
-const { GoogleAuth } = require('google-auth-library');
+const { getAudioFormat, getOutputFormat, parseSynthesisOptions } = require('../lib/synthesisOptions');
+const { RateLimitError, AccessDeniedError } = require('../lib/errors');
+const { getRequestUser } = require('../lib/requestUser');
+const { getVoiceTier, toUsageRecord, checkQuota, reserveQuota } = require('../lib/usage');
+const { effectiveAccount, isVoiceAllowed } = require('../lib/access');
+const { historyRequest, toHistoryItem } = require('../lib/history');
+const {
+    extractSentencesWithNLP,
+    sentenceSplitter,
+    intelligentTextChunking,
+    splitLongTextAtWordBoundaries
+} = require('../lib/textChunking');
+const {
+    getSynthesisCache,
+    setSynthesisCache,
+    getLexiconStore,
+    setLexiconStore,
+    getUsageStore,
+    setUsageStore,
+    getAccessStore,
+    setAccessStore,
+    getHistoryStore,
+    setHistoryStore
+} = require('../lib/stores');
+const {
+    synthesizeChunk,
+    processChunksWithRateLimit,
+    buildSections,
+    selectProviders,
+    synthesizeText,
+    streamText,
+    countCharacters,
+    requestVoices,
+    estimateSynthesis
+} = require('../lib/synthesis');
+
+// Lets handlers return a stream as the response body (stream: true requests)
+app.setup({ enableHttpStream: true });
 
-// NLP dependencies for intelligent text parsing
-const winkNLP = require('wink-nlp');
-const model = require('wink-eng-lite-web-model');
-
-// Initialize NLP processor with English language model
-// This gives us sophisticated sentence boundary detection that handles:
-// - Abbreviations (Dr., U.S.A., etc.)
-// - Decimal numbers ($49.99, 3.14, etc.) 
-// - Complex punctuation patterns
-const nlp = winkNLP(model);
-
-// Initialize Google Cloud TTS client
-let ttsClient;
-
-async function initializeClient() {
-    if (!ttsClient) {
-        try {
-            const credentialsJson = process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON;
-            if (!credentialsJson) {
-                throw new Error('GOOGLE_APPLICATION_CREDENTIALS_JSON environment variable is not set');
-            }
-
-            const credentials = JSON.parse(credentialsJson);
-            const auth = new GoogleAuth({
-                credentials: credentials,
-                scopes: ['https://www.googleapis.com/auth/cloud-platform']
-            });
-
-            ttsClient = new textToSpeech.TextToSpeechClient({ auth });
-        } catch (error) {
-            throw new Error(`Failed to initialize Google Cloud TTS client: ${error.message}`);
-        }
-    }
-    return ttsClient;
+/**
+ * The account of the user a request is made for
+ *
+ * @param {Object} request - Azure Functions HTTP request
+ * @returns {Promise<Object|null>} - null when the user has no account
+ */
+async function getRequestAccount(request) {
+    const user = getRequestUser(request);
+    return effectiveAccount(user, await getAccessStore().getAccount(user));
 }
 
 /**
- * Uses advanced NLP to intelligently split plain text into sentence-based chunks
- * 
- * This function leverages the wink-nlp library with a trained English language model
- * to provide sophisticated sentence boundary detection that handles complex cases:
- * 
- * Examples that are correctly handled:
- * - Abbreviations: "Dr. Smith works at St. Mary's Hospital." (1 sentence)
- * - Decimal numbers: "The price is $49.99 plus tax." (1 sentence) 
- * - Multiple punctuation: "Really?! That's amazing!!!" (2 sentences)
- * - Initials: "J.K. Rowling wrote Harry Potter." (1 sentence)
- * - URLs and emails: "Visit www.example.com for more info." (1 sentence)
- * 
- * @param {string} plainText - The plain text to chunk into sentences
- * @returns {string[]} - Array of sentence chunks
+ * Records a finished synthesis in the caller's usage
+ *
+ * Accounting never fails the synthesis it records; errors are only logged.
+ *
+ * @param {string} userId - User the synthesis was made for
+ * @param {string} kind - "speech", "stream", "job" or "retry"
+ * @param {Object} details - { provider, voiceTier, characters, chunks, cache, billedCharacters }
+ * @param {Function} log - Logger
  */
-function extractSentencesWithNLP(plainText) {
-    // Input validation
-    if (!plainText || typeof plainText !== 'string') {
-        return [];
+async function recordUsage(userId, kind, details, log = () => {}) {
+    try {
+        await getUsageStore().record(userId, toUsageRecord(kind, details));
+    } catch (error) {
+        log(`Failed to record usage for ${userId}: ${error.message}`);
     }
-    
-    // Feed the text into the NLP engine for analysis
-    // The engine tokenizes, parses, and annotates the text using the language model
-    // This is equivalent to the original: nlp.readDoc(this).sentences().out('array')
-    const doc = nlp.readDoc(plainText);
-    
-    // Extract sentences using sophisticated boundary detection
-    // This goes far beyond simple period-splitting and understands context
-    const sentences = doc.sentences().out('array');
-    
-    // Filter out any empty sentences (edge case protection)
-    return sentences.filter(sentence => sentence.trim().length > 0);
 }
 
 /**
- * Main text chunking function that creates optimal chunks for TTS processing
- * 
- * This function implements the intelligent chunking strategy described in the documentation:
- * 1. Uses NLP to extract proper sentences (handling abbreviations, decimals, etc.)
- * 2. Groups sentences together into chunks that don't exceed the API limit
- * 3. Prioritizes natural speech boundaries for better audio quality
- * 
- * The approach ensures that:
- * - Sentences are never broken in the middle (preserves speech flow)
- * - Chunks stay under Google TTS API limit (5000 characters)
- * - Each chunk contains complete thoughts for natural-sounding audio
- * 
- * @param {string} text - Input plain text to be chunked
- * @param {number} maxLength - Maximum characters per chunk (default: 4900, leaving buffer for API)
- * @returns {string[]} - Array of intelligently chunked text segments
+ * Saves a finished synthesis in the user's history, so it can be replayed,
+ * downloaded or generated again later
+ *
+ * Like usage accounting, saving never fails the synthesis; errors are only logged.
+ *
+ * @param {string} userId - User the synthesis was made for
+ * @param {Object} request - Request body the audio was made from (see historyRequest)
+ * @param {Buffer} audio - The synthesized audio (or ZIP)
+ * @param {Object} details - Details of the synthesis, as for toHistoryItem
+ * @param {Function} log - Logger
+ * @returns {Promise<Object|null>} - The saved item, or null when history is off or saving failed
  */
-function intelligentTextChunking(text, maxLength = 4900) {
-    // Input validation and normalization
-    if (!text || typeof text !== 'string') {
-        return [];
-    }
-    
-    // Normalize line endings for consistent processing
-    // Convert Windows (\r\n) and Mac (\r) line endings to Unix (\n)
-    const normalizedText = text.replace(/\r\n/g, '\n').replace(/\r/g, '\n').trim();
-    
-    // If text is short enough, return as-is (optimization)
-    if (normalizedText.length <= maxLength) {
-        return [normalizedText];
+async function saveHistory(userId, request, audio, details, log = () => {}) {
+    const store = getHistoryStore();
+    if (!store) {
+        return null;
     }
-    
-    // Use NLP-based sentence extraction for optimal speech quality
-    // This is the core of the intelligent chunking - we get proper sentences
-    const sentences = extractSentencesWithNLP(normalizedText);
-    
-    // If no sentences were detected (edge case), fall back to simple chunking
-    if (sentences.length === 0) {
-        return [normalizedText];
-    }
-    
-    // If we only got one sentence but it's too long, we need to split it
-    if (sentences.length === 1 && sentences[0].length > maxLength) {
-        // Last resort: split long sentence at word boundaries
-        return splitLongTextAtWordBoundaries(sentences[0], maxLength);
-    }
-    
-    // Group sentences into chunks that don't exceed length limit
-    // This creates longer, more natural-sounding audio segments while respecting API limits
-    const chunks = [];
-    let currentChunk = '';
-    
-    for (const sentence of sentences) {
-        // Check if adding this sentence would exceed the limit
-        const testChunk = currentChunk ? `${currentChunk} ${sentence}` : sentence;
-        
-        if (testChunk.length > maxLength) {
-            // Save current chunk if it has content
-            if (currentChunk) {
-                chunks.push(currentChunk.trim());
-                // Start new chunk with current sentence
-                currentChunk = sentence;
-            } else {
-                // Single sentence is too long - split it at word boundaries
-                const sentenceChunks = splitLongTextAtWordBoundaries(sentence, maxLength);
-                chunks.push(...sentenceChunks);
-                currentChunk = '';
-            }
-        } else {
-            // Sentence fits, add it to current chunk
-            currentChunk = testChunk;
-        }
-    }
-    
-    // Don't forget the final chunk
-    if (currentChunk.trim()) {
-        chunks.push(currentChunk.trim());
+    try {
+        return await store.create(userId, toHistoryItem(request, audio, details), audio);
+    } catch (error) {
+        log(`Failed to save history for ${userId}: ${error.message}`);
+        return null;
     }
-    
-    return chunks.filter(chunk => chunk.length > 0);
 }
 
 /**
- * Fallback function to split text at word boundaries when sentences are too long
- * 
- * This is used as a last resort when even individual sentences exceed the API limit.
- * It attempts to split at natural word boundaries while staying under the limit.
- * 
- * @param {string} text - The text to split
- * @param {number} maxLength - Maximum length per chunk
- * @returns {string[]} - Array of text chunks split at word boundaries
+ * Checks a request against the caller's character quotas (their account's, or
+ * the deployment's)
+ *
+ * @param {Object} request - Azure Functions HTTP request
+ * @param {number} characters - Characters the request will synthesize
+ * @throws {QuotaExceededError}
  */
-function splitLongTextAtWordBoundaries(text, maxLength) {
-    const chunks = [];
-    let remainingText = text;
-    
-    while (remainingText.length > maxLength) {
-        // Find the last space within the length limit
-        let splitPos = remainingText.lastIndexOf(' ', maxLength);
-        
-        // If no space found, split at the limit (hard break)
-        if (splitPos === -1) {
-            splitPos = maxLength;
-        }
-        
-        chunks.push(remainingText.substring(0, splitPos).trim());
-        remainingText = remainingText.substring(splitPos).trim();
-    }
-    
-    // Add the remaining text
-    if (remainingText.length > 0) {
-        chunks.push(remainingText);
-    }
-    
-    return chunks;
+async function checkRequestQuota(request, characters) {
+    return checkQuota(getUsageStore(), getRequestUser(request), characters, { account: await getRequestAccount(request) });
 }
 
 /**
- * Synthesizes a single text chunk using Google Cloud TTS
- * 
- * @param {Object} client - Google Cloud TTS client
- * @param {string} text - Text to synthesize
- * @param {Object} options - Synthesis options (voice, language, format)
- * @returns {Promise<Buffer>} - Audio content as buffer
+ * Checks a request against the caller's character quotas, like
+ * checkRequestQuota, and holds its characters until its usage is recorded
+ *
+ * @param {Object} request - Azure Functions HTTP request
+ * @param {number} characters - Characters the request will synthesize
+ * @param {Object} options - { holdMs: how long the characters are held unless released }
+ * @returns {Promise<Object>} - The reservation; release() it once usage is recorded or the synthesis failed
+ * @throws {QuotaExceededError}
  */
-async function synthesizeChunk(client, text, options = {}) {
-    const request = {
-        input: { text: text },
-        voice: {
-            languageCode: options.languageCode || 'en-US',
-            name: options.voiceName || 'en-US-Chirp3-HD-Aoede'
-        },
-        audioConfig: {
-            audioEncoding: options.audioEncoding || 'OGG_OPUS'
-        }
-    };
-
-    try {
-        const [response] = await client.synthesizeSpeech(request);
-        return response.audioContent;
-    } catch (error) {
-        // Check if it's a rate limit error for intelligent handling
-        if (error.code === 8 || error.message.includes('quota') || error.message.includes('rate')) {
-            throw new RateLimitError(`Rate limit exceeded: ${error.message}`);
-        }
-        throw new Error(`TTS synthesis failed: ${error.message}`);
-    }
+async function reserveRequestQuota(request, characters, { holdMs } = {}) {
+    return reserveQuota(getUsageStore(), getRequestUser(request), characters, { account: await getRequestAccount(request), holdMs });
 }
 
 /**
- * Custom error class for rate limit detection
+ * Loads the lexicon entries for a request unless it opted out with useLexicon: false
+ *
+ * @param {Object} request - Azure Functions HTTP request
+ * @param {Object} options - Parsed synthesis options
+ * @returns {Promise<Object>} - Options with lexicon set and useLexicon removed
  */
-class RateLimitError extends Error {
-    constructor(message) {
-        super(message);
-        this.name = 'RateLimitError';
-        this.isRateLimit = true;
+async function withRequestLexicon(request, options) {
+    const { useLexicon = true, ...rest } = options;
+    if (!useLexicon) {
+        return rest;
     }
+    return { ...rest, lexicon: await getLexiconStore().list(getRequestUser(request)) };
 }
 
 /**
- * Rate-limited batch processor for TTS synthesis
- * 
- * Intelligently handles large numbers of chunks while respecting API quotas:
- * - Processes chunks in controlled batches
- * - Implements exponential backoff for rate limiting
- * - Provides progress tracking for long operations
- * - Handles retry logic for failed chunks
- * 
- * @param {Object} client - Google Cloud TTS client
- * @param {string[]} chunks - Array of text chunks to synthesize
- * @param {Object} options - Processing options
- * @param {Function} progressCallback - Progress reporting callback
- * @returns {Promise<Buffer[]>} - Array of synthesized audio buffers
+ * Checks that the caller's account allows every voice a request would use
+ *
+ * Fallback providers use their default voices, which are not checked.
+ *
+ * @param {Object} request - Azure Functions HTTP request
+ * @param {string} text - Input text
+ * @param {Object} options - Parsed synthesis options
+ * @throws {AccessDeniedError}
  */
-async function processChunksWithRateLimit(client, chunks, options = {}, progressCallback = null) {
-    const {
-        maxConcurrent = 10,           // Max concurrent requests
-        maxRequestsPerMinute = 120,   // API quota limit
-        initialRetryDelay = 1000,     // Initial retry delay (1 second)
-        maxRetries = 3                // Max retries per chunk
-    } = options;
-
-    // Calculate optimal batch timing to respect rate limits
-    const batchSize = Math.min(maxConcurrent, maxRequestsPerMinute);
-    const batchDelayMs = batchSize >= maxRequestsPerMinute ? 60000 : 0; // Wait full minute if hitting limit
-    const requestDelayMs = Math.max(100, (60000 / maxRequestsPerMinute) * 1.1); // Add 10% buffer
-
-    const results = new Array(chunks.length);
-    const failedChunks = [];
-    let processedCount = 0;
-    
-    // Report initial progress
-    if (progressCallback) {
-        progressCallback({
-            processed: 0,
-            total: chunks.length,
-            status: 'Starting batch processing...',
-            estimatedTimeMinutes: Math.ceil(chunks.length / maxRequestsPerMinute)
-        });
-    }
-
-    // Process chunks in batches to respect rate limits
-    for (let batchStart = 0; batchStart < chunks.length; batchStart += batchSize) {
-        const batch = chunks.slice(batchStart, batchStart + batchSize);
-        const batchPromises = [];
-
-        // Create promises for current batch with staggered timing
-        for (let i = 0; i < batch.length; i++) {
-            const chunkIndex = batchStart + i;
-            const chunk = batch[i];
-            
-            // Stagger requests within the batch to smooth out rate limiting
-            const delay = i * requestDelayMs;
-            
-            const promise = new Promise(async (resolve) => {
-                if (delay > 0) {
-                    await new Promise(r => setTimeout(r, delay));
-                }
-                
-                // Attempt synthesis with retry logic
-                let lastError = null;
-                for (let attempt = 0; attempt <= maxRetries; attempt++) {
-                    try {
-                        const audioContent = await synthesizeChunk(client, chunk, options);
-                        resolve({ index: chunkIndex, success: true, data: audioContent });
-                        return;
-                    } catch (error) {
-                        lastError = error;
-                        
-                        if (error.isRateLimit && attempt < maxRetries) {
-                            // Exponential backoff for rate limit errors
-                            const retryDelay = initialRetryDelay * Math.pow(2, attempt);
-                            await new Promise(r => setTimeout(r, retryDelay));
-                            continue;
-                        }
-                        break; // Exit retry loop on non-rate-limit errors or max retries reached
-                    }
-                }
-                
-                // All attempts failed
-                resolve({ 
-                    index: chunkIndex, 
-                    success: false, 
-                    error: lastError.message,
-                    chunk: chunk
-                });
-            });
-            
-            batchPromises.push(promise);
-        }
-
-        // Wait for current batch to complete
-        const batchResults = await Promise.all(batchPromises);
-        
-        // Process batch results
-        for (const result of batchResults) {
-            if (result.success) {
-                results[result.index] = result.data;
-                processedCount++;
-            } else {
-                failedChunks.push({
-                    index: result.index,
-                    chunk: result.chunk,
-                    error: result.error
-                });
-            }
-        }
-
-        // Report progress
-        if (progressCallback) {
-            const remainingBatches = Math.ceil((chunks.length - batchStart - batchSize) / batchSize);
-            const estimatedRemainingMinutes = remainingBatches > 0 ? Math.ceil(remainingBatches * (batchDelayMs / 60000 + (batchSize * requestDelayMs) / 60000)) : 0;
-            
-            progressCallback({
-                processed: processedCount,
-                total: chunks.length,
-                failed: failedChunks.length,
-                status: `Processed batch ${Math.floor(batchStart / batchSize) + 1}/${Math.ceil(chunks.length / batchSize)}`,
-                estimatedRemainingMinutes
-            });
-        }
-
-        // Wait between batches if we're near the rate limit
-        if (batchStart + batchSize < chunks.length && batchDelayMs > 0) {
-            if (progressCallback) {
-                progressCallback({
-                    processed: processedCount,
-                    total: chunks.length,
-                    failed: failedChunks.length,
-                    status: `Rate limit cooldown: waiting ${batchDelayMs/1000}s before next batch...`,
-                    estimatedRemainingMinutes: Math.ceil(batchDelayMs / 60000)
-                });
-            }
-            await new Promise(resolve => setTimeout(resolve, batchDelayMs));
-        }
+async function checkRequestVoices(request, text, options) {
+    const account = await getRequestAccount(request);
+    if (!account || !account.allowedVoices) {
+        return;
     }
-
-    // Handle any failed chunks
-    if (failedChunks.length > 0) {
-        const errorMessage = `Failed to process ${failedChunks.length}/${chunks.length} chunks`;
-        if (progressCallback) {
-            progressCallback({
-                processed: processedCount,
-                total: chunks.length,
-                failed: failedChunks.length,
-                status: errorMessage,
-                failedChunks: failedChunks.map(f => ({ index: f.index, error: f.error }))
-            });
-        }
-        
-        // For now, throw an error if too many chunks failed
-        // In production, you might want to return partial results
-        if (failedChunks.length > chunks.length * 0.1) { // More than 10% failed
-            throw new Error(`${errorMessage}. Errors: ${failedChunks.slice(0, 3).map(f => f.error).join(', ')}${failedChunks.length > 3 ? '...' : ''}`);
-        }
+    const { provider, voices } = requestVoices(text, options);
+    const denied = voices.filter(voice => !isVoiceAllowed(account, voice, getVoiceTier(provider.name, voice)));
+    if (denied.length > 0) {
+        throw new AccessDeniedError(
+            `Your account can't use ${denied.join(', ')}; allowed voices are ${account.allowedVoices.join(', ')}`,
+            { field: 'voiceName', allowedVoices: account.allowedVoices }
+        );
     }
+}
 
-    // Fill in any missing results with empty buffers (for failed chunks that weren't too critical)
-    for (let i = 0; i < results.length; i++) {
-        if (!results[i]) {
-            results[i] = Buffer.alloc(0); // Empty buffer for failed chunks
-        }
+/**
+ * Reads a stream of audio to the end
+ *
+ * @param {ReadableStream} stream - Stream of bytes
+ * @returns {Promise<Buffer>}
+ * @throws - The stream's error, if it fails
+ */
+async function collectStream(stream) {
+    const parts = [];
+    for await (const part of stream) {
+        parts.push(Buffer.from(part));
     }
-
-    return results;
+    return Buffer.concat(parts);
 }
 
 app.http('textToSpeech', {
@@ -407,78 +180,126 @@ app.http('textToSpeech', {
     handler: async (request, context) => {
         context.log('Text-to-Speech function triggered');
 
+        // Characters held against the caller's quota until their usage is recorded
+        let reservation = null;
         try {
-            // Initialize TTS client
-            const client = await initializeClient();
-
             // Parse request body
             const requestBody = await request.text();
             let inputText;
+            let jsonBody = null;
 
             try {
-                const jsonBody = JSON.parse(requestBody);
+                jsonBody = JSON.parse(requestBody);
                 inputText = jsonBody.text;
             } catch {
                 // If not JSON, treat as plain text
                 inputText = requestBody;
             }
 
-            if (!inputText || inputText.trim().length === 0) {
+            // Voice and audio settings (JSON requests only); invalid values are a 400.
+            // The caller's pronunciation lexicon is applied unless useLexicon is false.
+            const synthesisOptions = await withRequestLexicon(request, parseSynthesisOptions(jsonBody));
+
+            // Explicit chapters and scripts replace the text field
+            if (!synthesisOptions.chapters && !synthesisOptions.script && (!inputText || inputText.trim().length === 0)) {
                 return {
                     status: 400,
                     body: JSON.stringify({ error: 'No text provided' })
                 };
             }
 
-            // Use intelligent NLP-based text chunking for optimal speech quality
-            // This will properly handle sentence boundaries, abbreviations, and complex punctuation
-            const chunks = intelligentTextChunking(inputText);
-            context.log(`Intelligently chunked text into ${chunks.length} sentence-based segments`);
+            // Requests with voices the caller may not use, or that would go over
+            // their character quota, are refused up front
+            const user = getRequestUser(request);
+            await checkRequestVoices(request, inputText, synthesisOptions);
+            reservation = await reserveRequestQuota(request, countCharacters(inputText, synthesisOptions));
+
+            // Progress callback for logging
+            const progressCallback = (progress) => {
+                context.log(`TTS Progress: ${progress.processed}/${progress.total} chunks processed. Status: ${progress.status}`);
+                if (progress.estimatedRemainingMinutes > 0) {
+                    context.log(`Estimated remaining time: ${progress.estimatedRemainingMinutes} minutes`);
+                }
+            };
 
-            // Determine processing approach based on chunk count
-            let audioChunks;
-            if (chunks.length <= 10) {
-                // Small number of chunks - use simple sequential processing
-                context.log('Using simple sequential processing for small text');
-                audioChunks = [];
-                for (const chunk of chunks) {
-                    const audioContent = await synthesizeChunk(client, chunk);
-                    audioChunks.push(audioContent);
-                    // Small delay between chunks
-                    if (chunks.length > 1) {
-                        await new Promise(resolve => setTimeout(resolve, 500));
-                    }
+            // Streaming: raw audio bytes, sent chunk by chunk as they are ready.
+            // The details that would be in the JSON response go in headers.
+            if (synthesisOptions.stream) {
+                const { stream, chunks, lexicon, provider, fallbackFrom, finished } = await streamText(
+                    inputText,
+                    synthesisOptions,
+                    progressCallback,
+                    (message) => context.log(message)
+                );
+                // The stream outlives the handler, so it releases its characters itself
+                const streamReservation = reservation;
+                reservation = null;
+                finished
+                    .then(usage => recordUsage(user, 'stream', { ...usage, provider, chunks }, (message) => context.log(message)))
+                    .finally(() => streamReservation.release());
+
+                // The history gets a copy of the bytes, saved once the stream has ended.
+                // The copy keeps the synthesis going if the client disconnects.
+                let body = stream;
+                if (synthesisOptions.history !== false && getHistoryStore()) {
+                    const [clientStream, historyStream] = stream.tee();
+                    body = clientStream;
+                    collectStream(historyStream)
+                        .then(async audio => saveHistory(user, historyRequest(jsonBody, inputText), audio, {
+                            source: 'stream',
+                            provider,
+                            format: getAudioFormat(synthesisOptions.audioEncoding),
+                            audioEncoding: synthesisOptions.audioEncoding,
+                            characters: (await finished).characters,
+                            chunks
+                        }, (message) => context.log(message)))
+                        .catch(() => context.log('Streamed audio was not saved to the history'));
                 }
-            } else {
-                // Large number of chunks - use intelligent rate-limited batch processing
-                context.log(`Using rate-limited batch processing for ${chunks.length} chunks`);
-                
-                // Progress callback for logging
-                const progressCallback = (progress) => {
-                    context.log(`TTS Progress: ${progress.processed}/${progress.total} chunks processed. Status: ${progress.status}`);
-                    if (progress.estimatedRemainingMinutes > 0) {
-                        context.log(`Estimated remaining time: ${progress.estimatedRemainingMinutes} minutes`);
-                    }
-                };
 
-                // Configure rate limiting based on expected API quotas
-                const batchOptions = {
-                    maxConcurrent: 10,        // Conservative concurrent requests
-                    maxRequestsPerMinute: 100, // Leave some headroom under 120/min quota
-                    initialRetryDelay: 1000,
-                    maxRetries: 3
+                return {
+                    status: 200,
+                    headers: {
+                        'Content-Type': getAudioFormat(synthesisOptions.audioEncoding).mimeType,
+                        'Cache-Control': 'no-store',
+                        'X-TTS-Provider': provider,
+                        'X-TTS-Chunks': String(chunks),
+                        ...(fallbackFrom && { 'X-TTS-Fallback-From': fallbackFrom.join(',') }),
+                        ...(lexicon.length > 0 && { 'X-TTS-Lexicon-Matches': String(lexicon.length) })
+                    },
+                    body
                 };
-
-                audioChunks = await processChunksWithRateLimit(
-                    client, 
-                    chunks, 
-                    batchOptions, 
-                    progressCallback
-                );
             }
 
-            // Combine audio chunks into final audio
-            const finalAudio = Buffer.concat(audioChunks.filter(chunk => chunk && chunk.length > 0));
+            const { audio: finalAudio, chunksProcessed, cache, chapters, timing, lexicon, provider, fallbackFrom, failedChunks, characters, billedCharacters, voiceTier } = await synthesizeText(
+                inputText,
+                synthesisOptions,
+                progressCallback,
+                (message) => context.log(message)
+            );
+            await recordUsage(
+                user,
+                'speech',
+                { provider, voiceTier, characters, chunks: chunksProcessed, cache, billedCharacters },
+                (message) => context.log(message)
+            );
+
+            const audioFormat = getOutputFormat(synthesisOptions);
+            const historyItem = synthesisOptions.history === false ? null : await saveHistory(
+                user,
+                historyRequest(jsonBody, inputText),
+                finalAudio,
+                {
+                    source: 'speech',
+                    provider,
+                    format: audioFormat,
+                    audioEncoding: synthesisOptions.audioEncoding,
+                    outputMode: synthesisOptions.outputMode,
+                    characters,
+                    chunks: chunksProcessed,
+                    chapters
+                },
+                (message) => context.log(message)
+            );
 
             // Return audio as base64 encoded response
             return {
@@ -489,12 +310,62 @@ app.http('textToSpeech', {
                 body: JSON.stringify({
                     success: true,
                     audioData: finalAudio.toString('base64'),
-                    format: 'ogg',
-                    chunksProcessed: chunks.length
+                    format: audioFormat.format,
+                    mimeType: audioFormat.mimeType,
+                    chunksProcessed,
+                    cache,
+                    provider,
+                    ...(fallbackFrom && { fallbackFrom }),
+                    ...(chapters && { chapters }),
+                    ...(timing && { timing }),
+                    ...(lexicon.length > 0 && { lexicon }),
+                    ...(failedChunks && { failedChunks }),
+                    ...(historyItem && { historyId: historyItem.id })
                 })
             };
 
         } catch (error) {
+            if (error.isValidation) {
+                return {
+                    status: 400,
+                    body: JSON.stringify({ error: error.message, ...error.details })
+                };
+            }
+
+            if (error.isAccessDenied) {
+                return {
+                    status: 403,
+                    body: JSON.stringify({ error: error.message, ...error.details })
+                };
+            }
+
+            // The caller has used up a quota until it resets
+            if (error.isQuotaExceeded) {
+                return {
+                    status: 429,
+                    headers: { 'Retry-After': String(Math.ceil(error.retryAfterMs / 1000)) },
+                    body: JSON.stringify({ error: error.message, quota: error.quota })
+                };
+            }
+
+            // The provider failed on some of the text; report which parts
+            if (error.isChunkFailure) {
+                context.log(`textToSpeech: ${error.message}`);
+                return {
+                    status: 502,
+                    body: JSON.stringify({ error: error.message, failedChunks: error.failedChunks })
+                };
+            }
+
+            // Every provider is failing; the client should come back later
+            if (error.isCircuitOpen) {
+                return {
+                    status: 503,
+                    headers: { 'Retry-After': String(Math.ceil(error.retryAfterMs / 1000)) },
+                    body: JSON.stringify({ error: error.message })
+                };
+            }
+
             context.log.error('Error in textToSpeech function:', error);
             
             return {
@@ -504,6 +375,44 @@ app.http('textToSpeech', {
                     message: error.message 
                 })
             };
+        } finally {
+            if (reservation) {
+                reservation.release();
+            }
         }
     }
-});
\ No newline at end of file
+});
+
+module.exports = {
+    extractSentencesWithNLP,
+    sentenceSplitter,
+    intelligentTextChunking,
+    splitLongTextAtWordBoundaries,
+    synthesizeChunk,
+    getSynthesisCache,
+    setSynthesisCache,
+    getLexiconStore,
+    setLexiconStore,
+    getUsageStore,
+    setUsageStore,
+    getAccessStore,
+    setAccessStore,
+    getHistoryStore,
+    setHistoryStore,
+    getRequestAccount,
+    recordUsage,
+    saveHistory,
+    checkRequestQuota,
+    reserveRequestQuota,
+    checkRequestVoices,
+    withRequestLexicon,
+    processChunksWithRateLimit,
+    buildSections,
+    selectProviders,
+    synthesizeText,
+    streamText,
+    countCharacters,
+    estimateSynthesis,
+    RateLimitError
+};
+
@@ -0,0 +1,302 @@
+const { app } = require('@azure/functions');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { JOB_HOLD_MS, jobQueueOutput, getJobStore, registerJobRunner, startJob } = require('./ttsJobs');
+const {
+    withRequestLexicon,
+    reserveRequestQuota,
+    checkRequestVoices,
+    recordUsage,
+    saveHistory
+} = require('./textToSpeech');
+const { buildSections, selectProviders, synthesizeText } = require('../lib/synthesis');
+const { getOutputFormat, parseSynthesisOptions } = require('../lib/synthesisOptions');
+const { parseSsml } = require('../lib/ssml');
+const { getRequestUser } = require('../lib/requestUser');
+const { historyRequest } = require('../lib/history');
+const { ValidationError } = require('../lib/errors');
+const {
+    readBatchConfig,
+    batchFileRequest,
+    batchOutputNames,
+    batchOutputFiles,
+    createManifest,
+    completedEntry,
+    failedEntry
+} = require('../lib/batch');
+
+/**
+ * Batch upload route
+ *
+ *   POST /api/tts/batch - multipart/form-data with one or more "files" and an
+ *                         optional "options" field (JSON synthesis options)
+ *
+ * The upload runs as one asynchronous job that converts the files one after
+ * another, like the batch CLI (bin/tts-batch.js). Its status at
+ * /api/tts/jobs/{id} lists every file as it finishes, and its result is a ZIP
+ * of the audio files (with WebVTT captions when timing is asked for) and
+ * manifest.json. A file that fails doesn't stop the others; the job only fails
+ * when every file does. The batch's characters are held against the caller's
+ * quotas until each file's usage is recorded, and each converted file is saved
+ * in their history.
+ */
+
+const MAX_BATCH_FILES = 50;
+
+async function readForm(request) {
+    try {
+        return await request.formData();
+    } catch {
+        throw new ValidationError('Request body must be multipart/form-data with files');
+    }
+}
+
+function readOptionsField(value) {
+    if (value === null || value === undefined || value === '') {
+        return {};
+    }
+    try {
+        return readBatchConfig(JSON.parse(String(value)));
+    } catch (error) {
+        if (error.isValidation) {
+            throw error;
+        }
+        throw new ValidationError('options must be a JSON object of synthesis options', { field: 'options' });
+    }
+}
+
+/**
+ * Converts the files of a batch job and records the outcome: the ZIP of every
+ * converted file and the manifest, or the error when no file could be converted
+ *
+ * Never throws: failures are recorded on the job so pollers can see them.
+ *
+ * @param {string} jobId - Id of the job
+ * @param {Object[]} files - [{ file, output, body, options, characters }] per uploaded file
+ * @param {Object} config - Batch options, for the manifest
+ * @param {Function} log - Logger
+ * @param {Object|null} reservation - Quota reservation for the batch's characters,
+ *   released file by file as their usage is recorded
+ */
+async function runBatchJob(jobId, files, config, log, reservation = null) {
+    const store = getJobStore();
+    const manifest = createManifest(config);
+    const zip = new AdmZip();
+
+    // Progress is per file, with the current file's chunk progress as the status;
+    // updates are chained so they land in order without stalling synthesis
+    let writes = Promise.resolve();
+    const record = fields => {
+        writes = writes
+            .then(() => store.update(jobId, fields))
+            .catch(error => log(`Failed to record progress for job ${jobId}: ${error.message}`));
+        return writes;
+    };
+    const progress = (processed, failed, status) => ({
+        progress: { processed, total: files.length, failed, status, estimatedRemainingMinutes: null }
+    });
+
+    try {
+        await store.update(jobId, { status: 'running', startedAt: new Date().toISOString() });
+        const job = await store.get(jobId);
+        const user = job.user || 'default';
+
+        let failed = 0;
+        for (const [index, file] of files.entries()) {
+            const label = `File ${index + 1}/${files.length} (${file.file})`;
+            const entry = { file: file.file, output: file.output };
+            try {
+                const result = await synthesizeText(
+                    file.body.text,
+                    file.options,
+                    chunkProgress => record(progress(index - failed, failed, `${label}: ${chunkProgress.status}`)),
+                    log
+                );
+                batchOutputFiles(file.output, result).forEach(output => zip.addFile(output.name, output.data));
+                manifest.files.push(completedEntry(entry, result, file.options));
+
+                const { audio, provider, chunksProcessed, cache, characters, billedCharacters, voiceTier, chapters } = result;
+                await recordUsage(user, 'job', { provider, voiceTier, characters, chunks: chunksProcessed, cache, billedCharacters }, log);
+                if (file.options.history !== false) {
+                    await saveHistory(user, historyRequest(file.body, file.body.text), audio, {
+                        source: 'job',
+                        jobId,
+                        provider,
+                        format: getOutputFormat(file.options),
+                        audioEncoding: file.options.audioEncoding,
+                        outputMode: file.options.outputMode,
+                        characters,
+                        chunks: chunksProcessed,
+                        chapters
+                    }, log);
+                }
+            } catch (error) {
+                log(`Batch job ${jobId}: ${file.file} failed: ${error.message}`);
+                manifest.files.push(failedEntry(entry, error));
+                failed++;
+            }
+            if (reservation) {
+                reservation.release(file.characters);
+            }
+            manifest.updatedAt = new Date().toISOString();
+            await record({
+                files: manifest.files,
+                ...progress(index + 1 - failed, failed, `${label}: ${manifest.files[index].status}`)
+            });
+        }
+        await writes;
+
+        if (failed === files.length) {
+            await store.update(jobId, {
+                status: 'failed',
+                completedAt: new Date().toISOString(),
+                error: `Every file failed: ${manifest.files[0].error}`
+            });
+            log(`Batch job ${jobId} failed: no file could be converted`);
+            return;
+        }
+
+        zip.addFile('manifest.json', Buffer.from(`${JSON.stringify(manifest, null, 2)}\n`, 'utf8'));
+        const archive = zip.toBuffer();
+        await store.saveResult(jobId, archive);
+        await store.update(jobId, {
+            status: 'completed',
+            completedAt: new Date().toISOString(),
+            audioBytes: archive.length,
+            error: null,
+            ...progress(files.length - failed, failed, failed > 0 ? `Completed, ${failed === 1 ? '1 file' : `${failed} files`} failed` : 'Completed')
+        });
+        log(`Batch job ${jobId} completed: ${files.length - failed}/${files.length} files`);
+    } catch (error) {
+        await writes;
+        log(`Batch job ${jobId} failed: ${error.message}`);
+        await store.update(jobId, {
+            status: 'failed',
+            completedAt: new Date().toISOString(),
+            error: error.message
+        }).catch(() => {});
+    } finally {
+        if (reservation) {
+            reservation.release();
+        }
+    }
+}
+
+// Batch jobs run from their stored input like other jobs (see ttsJobs.js processJob)
+registerJobRunner('batch', (jobId, input, log, reservation) => runBatchJob(jobId, input.files, input.config, log, reservation));
+
+app.http('submitTtsBatch', {
+    methods: ['POST'],
+    authLevel: 'function',
+    route: 'tts/batch',
+    extraOutputs: [jobQueueOutput],
+    handler: async (request, context) => {
+        context.log('Text-to-Speech batch submitted');
+
+        // Characters held against the caller's quota until each file's usage is recorded
+        let reservation = null;
+        try {
+            const form = await readForm(request);
+            const config = readOptionsField(form.get('options'));
+            const uploads = form.getAll('files').filter(value => typeof value !== 'string');
+            if (uploads.length === 0) {
+                throw new ValidationError('No files uploaded', { field: 'files' });
+            }
+            if (uploads.length > MAX_BATCH_FILES) {
+                throw new ValidationError(`A batch can have at most ${MAX_BATCH_FILES} files`, { field: 'files' });
+            }
+
+            // Only the name of an uploaded file is kept, never a path it was sent with
+            const names = uploads.map(upload => path.posix.basename(String(upload.name || 'file').replace(/\\/g, '/')));
+            const outputs = batchOutputNames(names, getOutputFormat(parseSynthesisOptions(config)).extension);
+
+            // Every file is converted and checked up front, so a bad file is a 400 for the whole batch
+            const files = [];
+            let characters = 0;
+            for (const [index, upload] of uploads.entries()) {
+                const body = batchFileRequest(names[index], Buffer.from(await upload.arrayBuffer()), config);
+                const options = await withRequestLexicon(request, parseSynthesisOptions(body));
+                const { sections, options: sectionOptions } = buildSections(body.text, options);
+                if (sectionOptions.inputType === 'ssml') {
+                    sections.forEach(section => parseSsml(section.text));
+                }
+                selectProviders(options);
+                await checkRequestVoices(request, body.text, options);
+                const fileCharacters = sections.reduce((sum, section) => sum + section.characters, 0);
+                characters += fileCharacters;
+                files.push({ file: names[index], output: outputs[index], body, options, characters: fileCharacters });
+            }
+            reservation = await reserveRequestQuota(request, characters, { holdMs: JOB_HOLD_MS });
+
+            const job = await getJobStore().create({
+                user: getRequestUser(request),
+                kind: 'batch',
+                characters,
+                options: config,
+                files: files.map(({ file, output }) => ({ file, output, status: 'queued' })),
+                format: 'zip',
+                mimeType: 'application/zip',
+                extension: 'zip'
+            });
+
+            // The caller polls the job's status route; the job releases its characters file by file
+            await startJob(job.id, { files, config, holdId: reservation.holdId, characters }, context);
+            reservation = null;
+
+            return {
+                status: 202,
+                headers: {
+                    Location: `/api/tts/jobs/${job.id}`
+                },
+                jsonBody: {
+                    success: true,
+                    jobId: job.id,
+                    status: job.status,
+                    files: files.map(({ file, output }) => ({ file, output })),
+                    statusUrl: `/api/tts/jobs/${job.id}`,
+                    resultUrl: `/api/tts/jobs/${job.id}/result`
+                }
+            };
+        } catch (error) {
+            if (error.isValidation) {
+                return {
+                    status: 400,
+                    jsonBody: { error: error.message, ...error.details }
+                };
+            }
+
+            if (error.isAccessDenied) {
+                return {
+                    status: 403,
+                    jsonBody: { error: error.message, ...error.details }
+                };
+            }
+
+            if (error.isQuotaExceeded) {
+                return {
+                    status: 429,
+                    headers: { 'Retry-After': String(Math.ceil(error.retryAfterMs / 1000)) },
+                    jsonBody: { error: error.message, quota: error.quota }
+                };
+            }
+
+            context.log('Error submitting textToSpeech batch:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: error.message
+                }
+            };
+        } finally {
+            if (reservation) {
+                reservation.release();
+            }
+        }
+    }
+});
+
+module.exports = {
+    runBatchJob
+};
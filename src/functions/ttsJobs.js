@@ -0,0 +1,800 @@
+const { app, output } = require('@azure/functions');
+const {
+    withRequestLexicon,
+    reserveRequestQuota,
+    checkRequestVoices,
+    recordUsage,
+    saveHistory
+} = require('./textToSpeech');
+const { buildSections, selectProviders, synthesizeText } = require('../lib/synthesis');
+const { getHistoryStore, getUsageStore } = require('../lib/stores');
+const { heldReservation } = require('../lib/usage');
+const { isFunctionAppInstance } = require('../lib/blobStorage');
+const { createJobStore } = require('../lib/jobStore');
+const { getOutputFormat, parseSynthesisOptions } = require('../lib/synthesisOptions');
+const { parseSsml } = require('../lib/ssml');
+const { toWebVtt, toSrt } = require('../lib/timing');
+const { decodeCheckpoint, encodeCheckpoint } = require('../lib/chunkFailures');
+const { getRequestUser } = require('../lib/requestUser');
+const { historyRequest, audioDetails } = require('../lib/history');
+
+/**
+ * Asynchronous text-to-speech jobs
+ *
+ * Long texts can take many minutes to synthesize, which is longer than browsers
+ * and proxies are willing to hold a request open. Instead of synthesizing inside
+ * the request, these routes:
+ *
+ *   POST /api/tts/jobs              - submit text, returns a job id immediately (202)
+ *   GET  /api/tts/jobs/{id}         - job status and chunk progress
+ *   GET  /api/tts/jobs/{id}/result  - finished audio once the job is completed
+ *   GET  /api/tts/jobs/{id}/timing  - read-along timing as JSON, WebVTT or SRT
+ *   POST /api/tts/jobs/{id}/retry   - synthesize only the chunks that failed, returning the repaired audio
+ *
+ * Batch uploads (ttsBatch.js) run as jobs too, whose status also lists their files.
+ *
+ * The submit route saves the job's input in the job store and hands the job to
+ * a runner, chosen with TTS_JOB_RUNNER:
+ *   "queue"  - the job id goes on the tts-jobs storage queue, and the runTtsJob
+ *              queue trigger runs it on whichever instance picks it up (the
+ *              default on a deployed Function App, with the blob job store)
+ *   "inline" - the job runs in the background of the instance that accepted it
+ *              (the default elsewhere)
+ * The runner records progress in the job store as processChunksWithRateLimit
+ * reports it. Jobs
+ * belong to the user who submitted them: the other routes report other users'
+ * jobs as not found. Jobs count towards the submitting user's quotas from the
+ * moment they are accepted: their characters are held until their usage is
+ * recorded, when the synthesis (or a retry) completes. Completed jobs are
+ * saved in the user's history, and a retry replaces the audio saved there.
+ */
+
+// How long a job's characters are held unless it finishes: long audiobooks take hours
+const JOB_HOLD_MS = 6 * 60 * 60 * 1000;
+
+const JOB_QUEUE = 'tts-jobs';
+
+// A retry still "retrying" after this long ran on an instance that stopped, and can be retried again
+const STALE_RETRY_MS = 15 * 60 * 1000;
+
+// Whether a retry of a job may start: the job has finished, and no other retry of it is running
+function isRetryable(job) {
+    if (job.status === 'retrying') {
+        return Date.now() - new Date(job.updatedAt).getTime() > STALE_RETRY_MS;
+    }
+    return job.status === 'completed' || job.status === 'failed';
+}
+
+// Submit routes put the ids of jobs to run on the queue through this binding
+const jobQueueOutput = output.storageQueue({
+    queueName: JOB_QUEUE,
+    connection: 'AzureWebJobsStorage'
+});
+
+/**
+ * How submitted jobs are run: "queue" or "inline"
+ *
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {string}
+ */
+function getJobRunner(env = process.env) {
+    const runner = (env.TTS_JOB_RUNNER || (isFunctionAppInstance(env) ? 'queue' : 'inline')).toLowerCase();
+    if (runner !== 'queue' && runner !== 'inline') {
+        throw new Error(`Unknown TTS_JOB_RUNNER: ${runner}`);
+    }
+    return runner;
+}
+
+let jobStore;
+
+function getJobStore() {
+    if (!jobStore) {
+        jobStore = createJobStore();
+    }
+    return jobStore;
+}
+
+/**
+ * Replaces the job store, which is otherwise created from TTS_JOB_STORE on first use
+ *
+ * @param {Object} store - Job store implementing the jobStore interface
+ */
+function setJobStore(store) {
+    jobStore = store;
+}
+
+/**
+ * The job a request names, if the request's user submitted it
+ *
+ * Other users' jobs are reported as not found, like history items, so a job id
+ * is no use to anyone but its owner.
+ *
+ * @param {Object} request - Azure Functions HTTP request with an id route parameter
+ * @param {Object} store - Job store
+ * @returns {Promise<Object|null>}
+ */
+async function getRequestJob(request, store = getJobStore()) {
+    const job = await store.get(request.params.id);
+    return job && (job.user || 'default') === getRequestUser(request) ? job : null;
+}
+
+/**
+ * Synthesizes a job's text and records the outcome: the audio and details of
+ * a completed job, or the error of a failed one
+ *
+ * Chunks that failed are listed on the job (failedChunks), and the audio of
+ * the others is kept as a checkpoint so the retry route can repair them. A
+ * completed synthesis is recorded in the usage of the job's user, and in their
+ * history.
+ *
+ * @param {string} jobId - Id of the job
+ * @param {string} text - Text to synthesize
+ * @param {Object} options - Synthesis options (with resume when retrying)
+ * @param {Function} log - Logger
+ * @param {Object|null} request - Request body to save in the history with the audio,
+ *   or null to leave it out (retries update the item the job already saved)
+ * @returns {Promise<Object>} - The synthesizeText result
+ * @throws - The synthesis error, once it has been recorded
+ */
+async function synthesizeJob(jobId, text, options, log, request = null) {
+    const store = getJobStore();
+
+    // Progress updates are chained rather than awaited so a slow store can't
+    // stall synthesis, while still landing in order before the final update
+    let progressWrites = Promise.resolve();
+    const progressCallback = (progress) => {
+        progressWrites = progressWrites
+            .then(() => store.update(jobId, {
+                progress: {
+                    processed: progress.processed,
+                    total: progress.total,
+                    failed: progress.failed || 0,
+                    status: progress.status,
+                    estimatedRemainingMinutes: progress.estimatedRemainingMinutes ?? progress.estimatedTimeMinutes ?? null
+                }
+            }))
+            .catch(error => log(`Failed to record progress for job ${jobId}: ${error.message}`));
+    };
+
+    // A checkpoint carries the job's input, so a retry plans the same chunks
+    const { resume, ...input } = options;
+    const saveCheckpoint = checkpoint => store.saveCheckpoint(
+        jobId,
+        checkpoint ? encodeCheckpoint({ input: { text, options: input }, ...checkpoint }) : null
+    );
+
+    let result;
+    try {
+        result = await synthesizeText(text, options, progressCallback, log);
+    } catch (error) {
+        await progressWrites;
+        if (error.checkpoint) {
+            await saveCheckpoint(error.checkpoint).catch(() => {});
+        }
+        await store.update(jobId, {
+            status: 'failed',
+            completedAt: new Date().toISOString(),
+            error: error.message,
+            failedChunks: error.failedChunks || null
+        }).catch(() => {});
+        throw error;
+    }
+    await progressWrites;
+
+    const { audio, chunksProcessed, cache, chapters, timing, lexicon, provider, fallbackFrom, failedChunks, checkpoint } = result;
+    await store.saveResult(jobId, audio);
+    await saveCheckpoint(checkpoint);
+    await store.update(jobId, {
+        status: 'completed',
+        completedAt: new Date().toISOString(),
+        chunksProcessed,
+        cache,
+        provider,
+        ...(fallbackFrom && { fallbackFrom }),
+        audioBytes: audio.length,
+        ...(chapters && { chapters }),
+        ...(timing && { timing }),
+        ...(lexicon.length > 0 && { lexicon }),
+        failedChunks: failedChunks || null,
+        error: null,
+        progress: {
+            processed: chunksProcessed - (failedChunks ? failedChunks.length : 0),
+            total: chunksProcessed,
+            failed: failedChunks ? failedChunks.length : 0,
+            status: 'Completed',
+            estimatedRemainingMinutes: 0
+        }
+    });
+
+    const job = await store.get(jobId);
+    const user = job.user || 'default';
+    const { characters, billedCharacters, voiceTier } = result;
+    await recordUsage(
+        user,
+        resume ? 'retry' : 'job',
+        { provider, voiceTier, characters, chunks: chunksProcessed, cache, billedCharacters },
+        log
+    );
+
+    const audioOptions = { audioEncoding: options.audioEncoding, outputMode: options.outputMode, chapters };
+    if (request) {
+        const item = await saveHistory(user, request, audio, {
+            source: 'job',
+            jobId,
+            provider,
+            format: { format: job.format, mimeType: job.mimeType, extension: job.extension },
+            ...audioOptions,
+            characters,
+            chunks: chunksProcessed
+        }, log);
+        if (item) {
+            await store.update(jobId, { historyId: item.id });
+        }
+    } else if (resume && job.historyId && getHistoryStore()) {
+        await getHistoryStore()
+            .update(user, job.historyId, audioDetails(audio, audioOptions), audio)
+            .catch(error => log(`Failed to update history item ${job.historyId}: ${error.message}`));
+    }
+    return result;
+}
+
+/**
+ * Runs a submitted job to completion, recording progress and the final audio
+ *
+ * Never throws: failures are recorded on the job so pollers can see them.
+ *
+ * @param {string} jobId - Id of the job to run
+ * @param {string} text - Text to synthesize
+ * @param {Object} options - Synthesis options
+ * @param {Function} log - Logger
+ * @param {Object|null} request - Request body to save in the history, or null to keep none
+ */
+async function runJob(jobId, text, options = {}, log = () => {}, request = null) {
+    try {
+        await getJobStore().update(jobId, { status: 'running', startedAt: new Date().toISOString() });
+        const { chunksProcessed, audio, failedChunks } = await synthesizeJob(jobId, text, options, log, request);
+        log(`Job ${jobId} completed: ${chunksProcessed} chunks, ${audio.length} bytes${failedChunks ? `, ${failedChunks.length} failed` : ''}`);
+    } catch (error) {
+        log(`Job ${jobId} failed: ${error.message}`);
+    }
+}
+
+// Runners of other kinds of job than speech, by the job's kind (ttsBatch.js registers "batch")
+const jobRunners = new Map();
+
+/**
+ * Registers how jobs of a kind are run from their stored input
+ *
+ * @param {string} kind - The job record's kind
+ * @param {Function} run - (jobId, input, log, reservation) => Promise; never throws
+ */
+function registerJobRunner(kind, run) {
+    jobRunners.set(kind, run);
+}
+
+/**
+ * Runs a job from the input saved with it, then gives back whatever its quota
+ * hold still keeps
+ *
+ * Jobs that already finished are skipped, so a queue message delivered twice
+ * doesn't run a job twice. A running job is run again: its message was
+ * delivered again because the instance running it stopped.
+ *
+ * @param {string} jobId - Id of the job to run
+ * @param {Function} log - Logger
+ * @throws - When the job store can't be read, so the queue delivers the job again
+ */
+async function processJob(jobId, log) {
+    const store = getJobStore();
+    const job = await store.get(jobId);
+    if (!job || (job.status !== 'queued' && job.status !== 'running')) {
+        log(`Job ${jobId} is ${job ? job.status : 'gone'}, nothing to run`);
+        return;
+    }
+    const input = await store.getInput(jobId);
+    if (!input) {
+        await store.update(jobId, { status: 'failed', completedAt: new Date().toISOString(), error: 'Job input is missing' });
+        return;
+    }
+
+    const reservation = input.holdId
+        ? heldReservation(getUsageStore(), job.user || 'default', input.holdId, input.characters)
+        : null;
+    try {
+        if (job.kind) {
+            await jobRunners.get(job.kind)(jobId, input, log, reservation);
+        } else {
+            await runJob(jobId, input.text, input.options, log, input.request);
+        }
+    } finally {
+        if (reservation) {
+            await reservation.release();
+        }
+    }
+}
+
+/**
+ * Hands a created job to the runner (see getJobRunner), with its input
+ *
+ * @param {string} jobId - Id of the job
+ * @param {Object} input - What its runner needs, as JSON, with the holdId and
+ *   characters of the quota reservation the job releases once it has run
+ * @param {Object} context - Invocation context of a route with the jobQueueOutput binding
+ */
+async function startJob(jobId, input, context) {
+    await getJobStore().saveInput(jobId, input);
+    if (getJobRunner() === 'queue') {
+        context.extraOutputs.set(jobQueueOutput, { jobId });
+        return;
+    }
+    // Fire and forget - the caller polls the status route for progress
+    processJob(jobId, (message) => context.log(message))
+        .catch(error => context.log(`Job ${jobId} could not run: ${error.message}`));
+}
+
+/**
+ * Shapes a stored job record for the status response
+ */
+function toStatusResponse(job) {
+    return {
+        jobId: job.id,
+        status: job.status,
+        progress: job.progress,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        completedAt: job.completedAt || null,
+        chunksProcessed: job.chunksProcessed,
+        cache: job.cache || null,
+        provider: job.provider || null,
+        fallbackFrom: job.fallbackFrom || null,
+        format: job.format,
+        mimeType: job.mimeType,
+        chapters: job.chapters || null,
+        lexicon: job.lexicon || null,
+        failedChunks: job.failedChunks || null,
+        historyId: job.historyId || null,
+        ...(job.kind === 'batch' && { kind: 'batch', files: job.files }),
+        error: job.error || null
+    };
+}
+
+app.http('submitTtsJob', {
+    methods: ['POST'],
+    authLevel: 'function',
+    route: 'tts/jobs',
+    extraOutputs: [jobQueueOutput],
+    handler: async (request, context) => {
+        context.log('Text-to-Speech job submitted');
+
+        // Characters held against the caller's quota until the job's usage is recorded
+        let reservation = null;
+        try {
+            // Parse request body (JSON or plain text, same as textToSpeech)
+            const requestBody = await request.text();
+            let inputText;
+            let jsonBody = null;
+
+            try {
+                jsonBody = JSON.parse(requestBody);
+                inputText = jsonBody.text;
+            } catch {
+                inputText = requestBody;
+            }
+
+            // The lexicon is read once here, so edits made while the job runs don't affect it
+            const requestedOptions = await withRequestLexicon(request, parseSynthesisOptions(jsonBody));
+
+            // Job results are downloaded once complete; streaming is for the synchronous route
+            if (requestedOptions.stream) {
+                return {
+                    status: 400,
+                    jsonBody: { error: 'stream is not available for jobs', field: 'stream' }
+                };
+            }
+
+            // Explicit chapters and scripts replace the text field
+            if (!requestedOptions.chapters && !requestedOptions.script && (!inputText || inputText.trim().length === 0)) {
+                return {
+                    status: 400,
+                    jsonBody: { error: 'No text provided' }
+                };
+            }
+
+            // Documents and chapters are converted up front so conversion errors are a 400
+            const { sections, options: sectionOptions, titled } = buildSections(inputText, requestedOptions);
+
+            // Reject malformed SSML and provider/encoding mismatches now rather than failing the job in the background
+            if (sectionOptions.inputType === 'ssml') {
+                sections.forEach(section => parseSsml(section.text));
+            }
+            selectProviders(requestedOptions);
+
+            // Jobs with voices the caller may not use, or that would go over their
+            // character quota, are refused up front
+            const user = getRequestUser(request);
+            const characters = sections.reduce((sum, section) => sum + section.characters, 0);
+            await checkRequestVoices(request, inputText, requestedOptions);
+            reservation = await reserveRequestQuota(request, characters, { holdMs: JOB_HOLD_MS });
+
+            // Chapter text, scripts and lexicon entries stay out of the stored options; the runner gets them directly
+            const storedOptions = { ...requestedOptions };
+            delete storedOptions.chapters;
+            delete storedOptions.script;
+            delete storedOptions.lexicon;
+            const outputFormat = getOutputFormat(requestedOptions);
+            const job = await getJobStore().create({
+                user,
+                characters,
+                chapters: titled ? sections.map(({ title, characters }, index) => ({ index, title, characters })) : null,
+                options: storedOptions,
+                format: outputFormat.format,
+                mimeType: outputFormat.mimeType,
+                extension: outputFormat.extension
+            });
+
+            // The job releases its characters once it has run
+            await startJob(job.id, {
+                text: inputText,
+                options: requestedOptions,
+                request: requestedOptions.history === false ? null : historyRequest(jsonBody, inputText),
+                holdId: reservation.holdId,
+                characters
+            }, context);
+            reservation = null;
+
+            return {
+                status: 202,
+                headers: {
+                    Location: `/api/tts/jobs/${job.id}`
+                },
+                jsonBody: {
+                    success: true,
+                    jobId: job.id,
+                    status: job.status,
+                    statusUrl: `/api/tts/jobs/${job.id}`,
+                    resultUrl: `/api/tts/jobs/${job.id}/result`
+                }
+            };
+        } catch (error) {
+            if (error.isValidation) {
+                return {
+                    status: 400,
+                    jsonBody: { error: error.message, ...error.details }
+                };
+            }
+
+            if (error.isAccessDenied) {
+                return {
+                    status: 403,
+                    jsonBody: { error: error.message, ...error.details }
+                };
+            }
+
+            if (error.isQuotaExceeded) {
+                return {
+                    status: 429,
+                    headers: { 'Retry-After': String(Math.ceil(error.retryAfterMs / 1000)) },
+                    jsonBody: { error: error.message, quota: error.quota }
+                };
+            }
+
+            context.log('Error submitting textToSpeech job:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: error.message
+                }
+            };
+        } finally {
+            if (reservation) {
+                reservation.release();
+            }
+        }
+    }
+});
+
+app.http('getTtsJobStatus', {
+    methods: ['GET'],
+    authLevel: 'function',
+    route: 'tts/jobs/{id}',
+    handler: async (request, context) => {
+        try {
+            const job = await getRequestJob(request);
+            if (!job) {
+                return {
+                    status: 404,
+                    jsonBody: { error: 'Job not found' }
+                };
+            }
+
+            return {
+                status: 200,
+                jsonBody: toStatusResponse(job)
+            };
+        } catch (error) {
+            context.log('Error reading textToSpeech job status:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: error.message
+                }
+            };
+        }
+    }
+});
+
+app.http('getTtsJobResult', {
+    methods: ['GET'],
+    authLevel: 'function',
+    route: 'tts/jobs/{id}/result',
+    handler: async (request, context) => {
+        try {
+            const store = getJobStore();
+            const job = await getRequestJob(request, store);
+            if (!job) {
+                return {
+                    status: 404,
+                    jsonBody: { error: 'Job not found' }
+                };
+            }
+
+            if (job.status !== 'completed') {
+                return {
+                    status: 409,
+                    jsonBody: {
+                        error: `Job is ${job.status}, result not available`,
+                        ...toStatusResponse(job)
+                    }
+                };
+            }
+
+            const audio = await store.getResult(job.id);
+            if (!audio) {
+                return {
+                    status: 410,
+                    jsonBody: { error: 'Job result has expired' }
+                };
+            }
+
+            return {
+                status: 200,
+                headers: {
+                    'Content-Type': job.mimeType || 'audio/ogg',
+                    'Content-Disposition': `attachment; filename="speech-${job.id}.${job.extension || 'ogg'}"`
+                },
+                body: audio
+            };
+        } catch (error) {
+            context.log('Error reading textToSpeech job result:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: error.message
+                }
+            };
+        }
+    }
+});
+
+// Caption formats served by the timing route
+const TIMING_FORMATS = {
+    json: { mimeType: 'application/json', render: track => JSON.stringify(track) },
+    vtt: { mimeType: 'text/vtt', render: toWebVtt },
+    srt: { mimeType: 'application/x-subrip', render: toSrt }
+};
+
+app.http('getTtsJobTiming', {
+    methods: ['GET'],
+    authLevel: 'function',
+    route: 'tts/jobs/{id}/timing',
+    handler: async (request, context) => {
+        try {
+            const job = await getRequestJob(request);
+            if (!job) {
+                return {
+                    status: 404,
+                    jsonBody: { error: 'Job not found' }
+                };
+            }
+
+            if (job.status !== 'completed') {
+                return {
+                    status: 409,
+                    jsonBody: {
+                        error: `Job is ${job.status}, timing not available`,
+                        ...toStatusResponse(job)
+                    }
+                };
+            }
+
+            if (!job.timing) {
+                return {
+                    status: 404,
+                    jsonBody: { error: 'Job was submitted without timing' }
+                };
+            }
+
+            const formatName = (request.query.get('format') || 'json').toLowerCase();
+            const format = TIMING_FORMATS[formatName];
+            if (!format) {
+                return {
+                    status: 400,
+                    jsonBody: { error: `format must be one of ${Object.keys(TIMING_FORMATS).join(', ')}`, field: 'format' }
+                };
+            }
+
+            // ZIP output has one time line per chapter file, so captions need a chapter
+            const chapterParam = request.query.get('chapter');
+            const chapter = chapterParam === null ? undefined : Number(chapterParam);
+            if (chapter !== undefined && !Number.isInteger(chapter)) {
+                return {
+                    status: 400,
+                    jsonBody: { error: 'chapter must be a chapter index', field: 'chapter' }
+                };
+            }
+            if (formatName !== 'json' && chapter === undefined && job.extension === 'zip') {
+                return {
+                    status: 400,
+                    jsonBody: { error: 'chapter is required for captions of ZIP output', field: 'chapter' }
+                };
+            }
+
+            const suffix = chapter === undefined ? '' : `-${chapter + 1}`;
+            return {
+                status: 200,
+                headers: {
+                    'Content-Type': `${format.mimeType}; charset=utf-8`,
+                    'Content-Disposition': `attachment; filename="speech-${job.id}${suffix}.${formatName}"`
+                },
+                body: format.render(job.timing, chapter)
+            };
+        } catch (error) {
+            context.log('Error reading textToSpeech job timing:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: error.message
+                }
+            };
+        }
+    }
+});
+
+app.http('retryTtsJob', {
+    methods: ['POST'],
+    authLevel: 'function',
+    route: 'tts/jobs/{id}/retry',
+    handler: async (request, context) => {
+        // Characters of the failed chunks, held against the caller's quota until the retry's usage is recorded
+        let reservation = null;
+        try {
+            const store = getJobStore();
+            const job = await getRequestJob(request, store);
+            if (!job) {
+                return {
+                    status: 404,
+                    jsonBody: { error: 'Job not found' }
+                };
+            }
+
+            if (job.status !== 'completed' && job.status !== 'failed' && job.status !== 'retrying') {
+                return {
+                    status: 409,
+                    jsonBody: {
+                        error: `Job is ${job.status}, nothing to retry`,
+                        ...toStatusResponse(job)
+                    }
+                };
+            }
+
+            if (!job.failedChunks || job.failedChunks.length === 0) {
+                return {
+                    status: 409,
+                    jsonBody: { error: 'Job has no failed chunks to retry' }
+                };
+            }
+
+            const checkpoint = await store.getCheckpoint(job.id);
+            if (!checkpoint) {
+                return {
+                    status: 410,
+                    jsonBody: { error: 'Job chunks have expired' }
+                };
+            }
+
+            // Only the failed chunks are synthesized; the others come from the checkpoint
+            const { input, ...resume } = decodeCheckpoint(checkpoint);
+
+            const characters = job.failedChunks.reduce((sum, chunk) => sum + (chunk.characters || 0), 0);
+            reservation = await reserveRequestQuota(request, characters);
+
+            // Only one retry runs at a time: the job is claimed unless another retry got to it first
+            const claimed = await store.transition(job.id, isRetryable, {
+                status: 'retrying',
+                progress: { ...job.progress, status: `Retrying ${job.failedChunks.length} failed chunks...` }
+            });
+            if (!claimed) {
+                return {
+                    status: 409,
+                    jsonBody: { error: 'Job is already being retried' }
+                };
+            }
+
+            context.log(`Retrying ${job.failedChunks.length} failed chunks of job ${job.id}`);
+
+            let result;
+            try {
+                result = await synthesizeJob(job.id, input.text, { ...input.options, resume }, (message) => context.log(message));
+            } catch (error) {
+                if (error.isChunkFailure) {
+                    return {
+                        status: 502,
+                        jsonBody: { error: error.message, failedChunks: error.failedChunks }
+                    };
+                }
+                throw error;
+            }
+
+            return {
+                status: 200,
+                headers: {
+                    'Content-Type': job.mimeType || 'audio/ogg',
+                    'Content-Disposition': `attachment; filename="speech-${job.id}.${job.extension || 'ogg'}"`,
+                    'X-TTS-Failed-Chunks': String(result.failedChunks ? result.failedChunks.length : 0)
+                },
+                body: result.audio
+            };
+        } catch (error) {
+            if (error.isQuotaExceeded) {
+                return {
+                    status: 429,
+                    headers: { 'Retry-After': String(Math.ceil(error.retryAfterMs / 1000)) },
+                    jsonBody: { error: error.message, quota: error.quota }
+                };
+            }
+
+            context.log('Error retrying textToSpeech job:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: error.message
+                }
+            };
+        } finally {
+            if (reservation) {
+                reservation.release();
+            }
+        }
+    }
+});
+
+// Runs the jobs put on the queue; only registered when they are (see getJobRunner)
+if (getJobRunner() === 'queue') {
+    app.storageQueue('runTtsJob', {
+        queueName: JOB_QUEUE,
+        connection: 'AzureWebJobsStorage',
+        handler: async (message, context) => {
+            await processJob(message.jobId, (text) => context.log(text));
+        }
+    });
+}
+
+module.exports = {
+    JOB_HOLD_MS,
+    jobQueueOutput,
+    getJobStore,
+    setJobStore,
+    registerJobRunner,
+    startJob,
+    runJob
+};
@@ -0,0 +1,138 @@
+const { app } = require('@azure/functions');
+const { getRequestAccount, withRequestLexicon } = require('./textToSpeech');
+const { getUsageStore } = require('../lib/stores');
+const { estimateSynthesis } = require('../lib/synthesis');
+const { getQuotaStatus, summarizeUsage, quotaPeriod } = require('../lib/usage');
+const { parseSynthesisOptions } = require('../lib/synthesisOptions');
+const { getRequestUser } = require('../lib/requestUser');
+const { ValidationError } = require('../lib/errors');
+
+/**
+ * Usage and cost estimate routes
+ *
+ *   GET  /api/usage         - the caller's quotas, totals for today and this month,
+ *                             a per-day breakdown (?days=30) and recent requests
+ *   POST /api/tts/estimate  - dry run: characters, chunks, duration and cost of a synthesis
+ *
+ * Usage belongs to the user named by the X-TTS-User header (set by the
+ * frontend from the signed-in session), as for the lexicon routes.
+ */
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 90;
+const RECENT_RECORDS = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function errorResponse(error, context, action) {
+    if (error.isValidation) {
+        return {
+            status: 400,
+            jsonBody: { error: error.message, ...error.details }
+        };
+    }
+
+    context.log(`Error ${action}:`, error);
+
+    return {
+        status: 500,
+        jsonBody: {
+            error: 'Internal server error',
+            message: error.message
+        }
+    };
+}
+
+function readDays(value) {
+    if (value === null) {
+        return DEFAULT_DAYS;
+    }
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+        throw new ValidationError(`days must be a whole number from 1 to ${MAX_DAYS}`, { field: 'days' });
+    }
+    return days;
+}
+
+/**
+ * Totals usage records per UTC day, for every day of a range (including days without usage)
+ *
+ * @returns {Object[]} - [{ date: "YYYY-MM-DD", requests, characters, billedCharacters, cacheHits, estimatedCost }]
+ */
+function usageByDay(records, start, days) {
+    return Array.from({ length: days }, (_, index) => {
+        const date = new Date(start.getTime() + index * DAY_MS).toISOString().slice(0, 10);
+        return { date, ...summarizeUsage(records.filter(record => record.createdAt.startsWith(date))) };
+    });
+}
+
+app.http('usage', {
+    methods: ['GET'],
+    authLevel: 'function',
+    route: 'usage',
+    handler: async (request, context) => {
+        try {
+            const store = getUsageStore();
+            const user = getRequestUser(request);
+            const days = readDays(request.query.get('days'));
+
+            const now = new Date();
+            const today = quotaPeriod('daily', now).start;
+            const month = quotaPeriod('monthly', now).start;
+            const rangeStart = new Date(today.getTime() - (days - 1) * DAY_MS);
+            const records = await store.list(user, { since: rangeStart < month ? rangeStart : month });
+            const since = start => records.filter(record => new Date(record.createdAt) >= start);
+
+            return {
+                status: 200,
+                jsonBody: {
+                    user,
+                    quotas: await getQuotaStatus(store, user, { now, account: await getRequestAccount(request) }),
+                    today: summarizeUsage(since(today)),
+                    month: summarizeUsage(since(month)),
+                    days: usageByDay(since(rangeStart), rangeStart, days),
+                    recent: records.slice(-RECENT_RECORDS).reverse()
+                }
+            };
+        } catch (error) {
+            return errorResponse(error, context, 'reading usage');
+        }
+    }
+});
+
+app.http('estimateSynthesis', {
+    methods: ['POST'],
+    authLevel: 'function',
+    route: 'tts/estimate',
+    handler: async (request, context) => {
+        try {
+            // Same body as a synthesis request, with the caller's lexicon applied the same way
+            let body;
+            try {
+                body = await request.json();
+            } catch {
+                throw new ValidationError('Request body must be JSON');
+            }
+            const options = await withRequestLexicon(request, parseSynthesisOptions(body));
+
+            if (!options.chapters && !options.script && (typeof body.text !== 'string' || body.text.trim().length === 0)) {
+                return {
+                    status: 400,
+                    jsonBody: { error: 'No text provided' }
+                };
+            }
+
+            const estimate = estimateSynthesis(body.text, options);
+            const quotas = await getQuotaStatus(getUsageStore(), getRequestUser(request), { account: await getRequestAccount(request) });
+            const withinQuota = Object.values(quotas)
+                .every(({ limit, used, reserved }) => limit === null || used + reserved + estimate.characters <= limit);
+
+            return {
+                status: 200,
+                jsonBody: { ...estimate, quotas, withinQuota }
+            };
+        } catch (error) {
+            return errorResponse(error, context, 'estimating synthesis');
+        }
+    }
+});
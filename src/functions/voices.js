@@ -0,0 +1,94 @@
+const { app } = require('@azure/functions');
+const { VoiceCatalog } = require('../lib/voiceCatalog');
+const { getProvider, getDefaultProviderName } = require('../lib/ttsProviders');
+const { PROVIDER_NAMES } = require('../lib/synthesisOptions');
+const { ValidationError } = require('../lib/errors');
+
+/**
+ * Voice catalog route
+ *
+ *   GET /api/voices?languageCode=en-GB&gender=FEMALE&family=Neural2&provider=azure
+ *
+ * Lists the voices available from a provider (TTS_PROVIDER by default), cached
+ * for VOICE_CATALOG_TTL_MINUTES (default 60) and filtered per request.
+ */
+
+// One catalog per provider
+const voiceCatalogs = new Map();
+
+async function getVoiceCatalog(providerName = getDefaultProviderName()) {
+    if (!voiceCatalogs.has(providerName)) {
+        const ttlMinutes = Number(process.env.VOICE_CATALOG_TTL_MINUTES);
+        voiceCatalogs.set(providerName, new VoiceCatalog(getProvider(providerName), {
+            ttlMs: ttlMinutes > 0 ? ttlMinutes * 60 * 1000 : undefined
+        }));
+    }
+    return voiceCatalogs.get(providerName);
+}
+
+/**
+ * Replaces a provider's voice catalog, e.g. with one over a provider that
+ * doesn't need credentials
+ *
+ * @param {VoiceCatalog} catalog - Catalog to serve voices from
+ * @param {string} providerName - Provider the catalog lists (defaults to TTS_PROVIDER)
+ */
+function setVoiceCatalog(catalog, providerName = getDefaultProviderName()) {
+    voiceCatalogs.set(providerName, catalog);
+}
+
+app.http('listVoices', {
+    methods: ['GET'],
+    authLevel: 'function',
+    route: 'voices',
+    handler: async (request, context) => {
+        try {
+            const providerName = (request.query.get('provider') || getDefaultProviderName()).toLowerCase();
+            if (!PROVIDER_NAMES.includes(providerName)) {
+                throw new ValidationError(`provider must be one of ${PROVIDER_NAMES.join(', ')}`, { field: 'provider' });
+            }
+
+            const catalog = await getVoiceCatalog(providerName);
+            const voices = await catalog.getVoices({
+                languageCode: request.query.get('languageCode'),
+                gender: request.query.get('gender'),
+                family: request.query.get('family')
+            });
+
+            return {
+                status: 200,
+                headers: {
+                    'Cache-Control': 'private, max-age=300'
+                },
+                jsonBody: {
+                    provider: providerName,
+                    voices,
+                    count: voices.length,
+                    cachedAt: catalog.cachedAt
+                }
+            };
+        } catch (error) {
+            if (error.isValidation) {
+                return {
+                    status: 400,
+                    jsonBody: { error: error.message, ...error.details }
+                };
+            }
+
+            context.log('Error listing voices:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: error.message
+                }
+            };
+        }
+    }
+});
+
+module.exports = {
+    getVoiceCatalog,
+    setVoiceCatalog
+};
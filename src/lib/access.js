@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const { ValidationError } = require('./errors');
+
+/**
+ * User accounts, roles and API tokens
+ *
+ * Only users with an account may use the frontend. An account has a role:
+ *   admin     - everything, plus inviting and revoking users
+ *   user      - synthesis, jobs and their own lexicon
+ *   read-only - voices, usage, job results and lexicon previews, but no synthesis
+ * Accounts can also override the character quotas (see usage.js) and limit
+ * which voices the user may synthesize with, by voice name or pricing tier
+ * ("Standard", "Neural2", "Azure Neural", ...).
+ *
+ * The emails in TTS_ADMIN_EMAILS are always admins, so a fresh deployment has
+ * someone who can invite the others.
+ *
+ * API tokens let scripts call the frontend's API routes without a browser
+ * session. A token is shown once when it is created; only its SHA-256 hash is
+ * stored, under an id that is part of the token ("tts_<id>_<secret>").
+ */
+
+const ROLES = ['admin', 'user', 'read-only'];
+
+// Roles in increasing order of what they may do
+const ROLE_RANKS = { 'read-only': 0, user: 1, admin: 2 };
+
+const MAX_ALLOWED_VOICES = 100;
+const MAX_TOKEN_NAME_LENGTH = 100;
+
+const TOKEN_PATTERN = /^tts_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+/**
+ * Normalizes an email address into a user id (as getRequestUser does)
+ *
+ * @throws {ValidationError} - When it isn't an email address
+ */
+function readEmail(value) {
+    const email = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (!EMAIL_PATTERN.test(email)) {
+        throw new ValidationError('email must be an email address', { field: 'email' });
+    }
+    return email;
+}
+
+/**
+ * Whether a role may do what another role may do
+ *
+ * @param {string} role - The user's role
+ * @param {string} required - The least role needed
+ * @returns {boolean}
+ */
+function hasRole(role, required) {
+    return role in ROLE_RANKS && ROLE_RANKS[role] >= ROLE_RANKS[required];
+}
+
+function readQuota(quotas, period) {
+    const value = quotas[period];
+    if (value === undefined || value === null) {
+        return value;
+    }
+    if (!Number.isInteger(value) || value < 0) {
+        throw new ValidationError(`quotas.${period} must be a whole number of characters, or null for no limit`, { field: 'quotas' });
+    }
+    return value;
+}
+
+/**
+ * Validates the fields of an account
+ *
+ * @param {Object} body - { role, quotas: { daily, monthly }, allowedVoices }
+ * @returns {Object} - { role, quotas, allowedVoices }; a quota that is left out
+ *   uses the deployment's default, null means no limit, and allowedVoices is null
+ *   when every voice is allowed
+ * @throws {ValidationError}
+ */
+function parseAccount(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new ValidationError('Request body must be a JSON object');
+    }
+
+    const role = body.role === undefined ? 'user' : body.role;
+    if (!ROLES.includes(role)) {
+        throw new ValidationError(`role must be one of ${ROLES.join(', ')}`, { field: 'role' });
+    }
+
+    const quotas = {};
+    if (body.quotas !== undefined && body.quotas !== null) {
+        if (typeof body.quotas !== 'object' || Array.isArray(body.quotas)) {
+            throw new ValidationError('quotas must be an object with daily and monthly limits', { field: 'quotas' });
+        }
+        for (const period of ['daily', 'monthly']) {
+            const limit = readQuota(body.quotas, period);
+            if (limit !== undefined) {
+                quotas[period] = limit;
+            }
+        }
+    }
+
+    let allowedVoices = null;
+    if (body.allowedVoices !== undefined && body.allowedVoices !== null) {
+        if (!Array.isArray(body.allowedVoices) || body.allowedVoices.some(voice => typeof voice !== 'string' || voice.trim() === '')) {
+            throw new ValidationError('allowedVoices must be a list of voice names or voice tiers', { field: 'allowedVoices' });
+        }
+        if (body.allowedVoices.length > MAX_ALLOWED_VOICES) {
+            throw new ValidationError(`allowedVoices can list at most ${MAX_ALLOWED_VOICES} voices`, { field: 'allowedVoices' });
+        }
+        allowedVoices = [...new Set(body.allowedVoices.map(voice => voice.trim()))];
+    }
+
+    return { role, quotas, allowedVoices };
+}
+
+/**
+ * Emails that are always admins (TTS_ADMIN_EMAILS, comma-separated)
+ *
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {string[]}
+ */
+function getAdminEmails(env = process.env) {
+    return (env.TTS_ADMIN_EMAILS || '')
+        .split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Applies TTS_ADMIN_EMAILS to a stored account
+ *
+ * @param {string} email - User id
+ * @param {Object|null} account - The stored account
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object|null} - The account as it applies, or null without access
+ */
+function effectiveAccount(email, account, env = process.env) {
+    if (!getAdminEmails(env).includes(email)) {
+        return account;
+    }
+    return {
+        email,
+        quotas: {},
+        allowedVoices: null,
+        ...account,
+        role: 'admin',
+        bootstrap: true
+    };
+}
+
+/**
+ * Whether an account may synthesize with a voice
+ *
+ * @param {Object} account - Account (allowedVoices null allows every voice)
+ * @param {string} voiceName - Voice name
+ * @param {string} voiceTier - The voice's pricing tier (see usage.js)
+ * @returns {boolean}
+ */
+function isVoiceAllowed(account, voiceName, voiceTier) {
+    if (!account || !account.allowedVoices) {
+        return true;
+    }
+    const name = voiceName.toLowerCase();
+    return account.allowedVoices.some(allowed => allowed.toLowerCase() === name || allowed === voiceTier);
+}
+
+function hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Makes a new API token
+ *
+ * @returns {{ id: string, token: string, hash: string }} - token is only ever shown to its owner once
+ */
+function generateToken() {
+    const id = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    return { id, token: `tts_${id}_${secret}`, hash: hashToken(secret) };
+}
+
+/**
+ * Splits an API token into its id and the hash of its secret
+ *
+ * @param {string} token - Token as sent by a client
+ * @returns {{ id: string, hash: string }|null} - null when it isn't shaped like a token
+ */
+function parseToken(token) {
+    const match = typeof token === 'string' && TOKEN_PATTERN.exec(token.trim());
+    return match ? { id: match[1], hash: hashToken(match[2]) } : null;
+}
+
+/**
+ * Compares a token hash with the stored one in constant time
+ */
+function tokenMatches(stored, hash) {
+    const expected = Buffer.from(stored, 'hex');
+    const actual = Buffer.from(hash, 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Validates a new token's name
+ */
+function readTokenName(body) {
+    const name = body && typeof body.name === 'string' ? body.name.trim() : '';
+    if (name === '' || name.length > MAX_TOKEN_NAME_LENGTH) {
+        throw new ValidationError(`name must be 1 to ${MAX_TOKEN_NAME_LENGTH} characters`, { field: 'name' });
+    }
+    return name;
+}
+
+module.exports = {
+    ROLES,
+    readEmail,
+    hasRole,
+    parseAccount,
+    getAdminEmails,
+    effectiveAccount,
+    isVoiceAllowed,
+    generateToken,
+    parseToken,
+    tokenMatches,
+    readTokenName
+};
@@ -0,0 +1,338 @@
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+const { ValidationError } = require('./errors');
+const { defaultBackend, BlobContainer } = require('./blobStorage');
+
+/**
+ * Storage for user accounts and their API tokens (see access.js)
+ *
+ * Every backend implements the same async interface:
+ *   listAccounts() -> accounts (by email)
+ *   getAccount(email) -> account | null
+ *   putAccount(email, fields) -> account (created or replaced)
+ *   deleteAccount(email) -> boolean, also deleting the account's tokens
+ *   listTokens(email) -> tokens (without their hashes)
+ *   getToken(id) -> token (with its hash) | null
+ *   createToken(email, { id, name, hash }) -> token (without its hash)
+ *   touchToken(id) -> records that the token was just used
+ *   deleteToken(email, id) -> boolean
+ *
+ * Backends are selected with the TTS_ACCESS_STORE environment variable:
+ * "blob" (Azure Blob Storage, the default on a deployed Function App), "memory"
+ * (the default elsewhere) or "file".
+ */
+
+// Tokens per user, so a leaked session can't mint tokens without bound
+const MAX_TOKENS_PER_USER = 20;
+
+function toAccount(email, fields, existing) {
+    const now = new Date().toISOString();
+    return {
+        email,
+        ...fields,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+    };
+}
+
+function withoutHash({ hash, ...token }) {
+    return token;
+}
+
+function checkTokenCapacity(count) {
+    if (count >= MAX_TOKENS_PER_USER) {
+        throw new ValidationError(`A user can have at most ${MAX_TOKENS_PER_USER} API tokens`);
+    }
+}
+
+/**
+ * Accounts and tokens held as plain objects; the file backend saves the same
+ * shape to disk after every change
+ */
+class AccessData {
+    constructor(data = {}) {
+        this.accounts = data.accounts || {};
+        this.tokens = data.tokens || {};
+    }
+
+    listAccounts() {
+        return Object.values(this.accounts)
+            .sort((a, b) => a.email.localeCompare(b.email))
+            .map(account => ({ ...account }));
+    }
+
+    getAccount(email) {
+        return this.accounts[email] ? { ...this.accounts[email] } : null;
+    }
+
+    putAccount(email, fields) {
+        this.accounts[email] = toAccount(email, fields, this.accounts[email]);
+        return { ...this.accounts[email] };
+    }
+
+    deleteAccount(email) {
+        if (!this.accounts[email]) {
+            return false;
+        }
+        delete this.accounts[email];
+        for (const [id, token] of Object.entries(this.tokens)) {
+            if (token.email === email) {
+                delete this.tokens[id];
+            }
+        }
+        return true;
+    }
+
+    listTokens(email) {
+        return Object.values(this.tokens)
+            .filter(token => token.email === email)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .map(withoutHash);
+    }
+
+    getToken(id) {
+        return this.tokens[id] ? { ...this.tokens[id] } : null;
+    }
+
+    createToken(email, { id, name, hash }) {
+        checkTokenCapacity(this.listTokens(email).length);
+        this.tokens[id] = { id, email, name, hash, createdAt: new Date().toISOString(), lastUsedAt: null };
+        return withoutHash(this.tokens[id]);
+    }
+
+    touchToken(id) {
+        if (this.tokens[id]) {
+            this.tokens[id] = { ...this.tokens[id], lastUsedAt: new Date().toISOString() };
+        }
+    }
+
+    deleteToken(email, id) {
+        if (!this.tokens[id] || this.tokens[id].email !== email) {
+            return false;
+        }
+        delete this.tokens[id];
+        return true;
+    }
+
+    toJSON() {
+        return { accounts: this.accounts, tokens: this.tokens };
+    }
+}
+
+/**
+ * In-memory access store (per worker process; for local development and tests)
+ */
+class MemoryAccessStore {
+    constructor() {
+        this.data = new AccessData();
+    }
+
+    async listAccounts() {
+        return this.data.listAccounts();
+    }
+
+    async getAccount(email) {
+        return this.data.getAccount(email);
+    }
+
+    async putAccount(email, fields) {
+        return this.data.putAccount(email, fields);
+    }
+
+    async deleteAccount(email) {
+        return this.data.deleteAccount(email);
+    }
+
+    async listTokens(email) {
+        return this.data.listTokens(email);
+    }
+
+    async getToken(id) {
+        return this.data.getToken(id);
+    }
+
+    async createToken(email, fields) {
+        return this.data.createToken(email, fields);
+    }
+
+    async touchToken(id) {
+        this.data.touchToken(id);
+    }
+
+    async deleteToken(email, id) {
+        return this.data.deleteToken(email, id);
+    }
+}
+
+/**
+ * Local filesystem access store
+ *
+ * Accounts and tokens are one small JSON file. Changes are serialized within
+ * the process and written to a temp file that is renamed into place, so
+ * readers never see a half-written file.
+ */
+class FileAccessStore {
+    constructor(options = {}) {
+        this.directory = options.directory || path.join(os.tmpdir(), 'tts-access');
+        this.filePath = path.join(this.directory, 'access.json');
+        this.writes = Promise.resolve();
+    }
+
+    async read() {
+        try {
+            return new AccessData(JSON.parse(await fs.readFile(this.filePath, 'utf8')));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return new AccessData();
+            }
+            throw error;
+        }
+    }
+
+    // Runs a change on the latest data and saves it, one change at a time
+    change(apply) {
+        const result = this.writes.then(async () => {
+            const data = await this.read();
+            const value = apply(data);
+            await fs.mkdir(this.directory, { recursive: true });
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tempPath, JSON.stringify(data));
+            await fs.rename(tempPath, this.filePath);
+            return value;
+        });
+        this.writes = result.catch(() => {});
+        return result;
+    }
+
+    async listAccounts() {
+        return (await this.read()).listAccounts();
+    }
+
+    async getAccount(email) {
+        return (await this.read()).getAccount(email);
+    }
+
+    async putAccount(email, fields) {
+        return this.change(data => data.putAccount(email, fields));
+    }
+
+    async deleteAccount(email) {
+        return this.change(data => data.deleteAccount(email));
+    }
+
+    async listTokens(email) {
+        return (await this.read()).listTokens(email);
+    }
+
+    async getToken(id) {
+        return (await this.read()).getToken(id);
+    }
+
+    async createToken(email, fields) {
+        return this.change(data => data.createToken(email, fields));
+    }
+
+    async touchToken(id) {
+        await this.change(data => data.touchToken(id));
+    }
+
+    async deleteToken(email, id) {
+        return this.change(data => data.deleteToken(email, id));
+    }
+}
+
+/**
+ * Azure Blob Storage access store
+ *
+ * Shared by every instance of the Function App. Accounts and tokens are one
+ * access.json blob, changed conditionally on its ETag (see blobStorage.js).
+ */
+class BlobAccessStore {
+    constructor(options = {}) {
+        this.blobs = new BlobContainer({
+            connectionString: options.connectionString,
+            containerName: options.containerName || 'tts-access',
+            setting: 'TTS_ACCESS_BLOB_CONNECTION_STRING'
+        });
+    }
+
+    async read() {
+        return new AccessData(await this.blobs.readJson('access.json') || {});
+    }
+
+    change(apply) {
+        return this.blobs.updateJson('access.json', current => {
+            const data = new AccessData(current || {});
+            const result = apply(data);
+            return { value: data.toJSON(), result };
+        });
+    }
+
+    async listAccounts() {
+        return (await this.read()).listAccounts();
+    }
+
+    async getAccount(email) {
+        return (await this.read()).getAccount(email);
+    }
+
+    async putAccount(email, fields) {
+        return this.change(data => data.putAccount(email, fields));
+    }
+
+    async deleteAccount(email) {
+        return this.change(data => data.deleteAccount(email));
+    }
+
+    async listTokens(email) {
+        return (await this.read()).listTokens(email);
+    }
+
+    async getToken(id) {
+        return (await this.read()).getToken(id);
+    }
+
+    async createToken(email, fields) {
+        return this.change(data => data.createToken(email, fields));
+    }
+
+    async touchToken(id) {
+        await this.change(data => data.touchToken(id));
+    }
+
+    async deleteToken(email, id) {
+        return this.change(data => data.deleteToken(email, id));
+    }
+}
+
+/**
+ * Creates an access store from environment configuration
+ *
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {MemoryAccessStore|FileAccessStore|BlobAccessStore}
+ */
+function createAccessStore(env = process.env) {
+    const backend = (env.TTS_ACCESS_STORE || defaultBackend(env, 'memory')).toLowerCase();
+
+    switch (backend) {
+        case 'memory':
+            return new MemoryAccessStore();
+        case 'file':
+            return new FileAccessStore({ directory: env.TTS_ACCESS_STORE_DIR });
+        case 'blob':
+            return new BlobAccessStore({
+                connectionString: env.TTS_ACCESS_BLOB_CONNECTION_STRING || env.AzureWebJobsStorage,
+                containerName: env.TTS_ACCESS_BLOB_CONTAINER
+            });
+        default:
+            throw new Error(`Unknown TTS_ACCESS_STORE backend: ${backend}`);
+    }
+}
+
+module.exports = {
+    MemoryAccessStore,
+    FileAccessStore,
+    BlobAccessStore,
+    createAccessStore
+};
@@ -0,0 +1,1056 @@
+/**
+ * Container-aware audio stitching
+ *
+ * Google TTS returns a complete, self-contained audio file for every chunk. Simply
+ * concatenating those files produces something most players only half understand:
+ * - OGG_OPUS: back-to-back Ogg streams, each with its own serial number, headers
+ *   and granule positions restarting at zero (duration and seeking break)
+ * - LINEAR16 / MULAW / ALAW: repeated RIFF/WAV headers, with the first header's
+ *   data length covering only the first chunk
+ * - MP3: ID3 tags and Xing/Info frames in the middle of the stream, with the first
+ *   Xing frame reporting the frame count of the first chunk only
+ *
+ * The functions here join chunk outputs into one well-formed file per container.
+ */
+
+// ---------------------------------------------------------------------------
+// Ogg
+// ---------------------------------------------------------------------------
+
+const OGG_CAPTURE_PATTERN = 'OggS';
+const OGG_HEADER_SIZE = 27;
+const OGG_FLAG_CONTINUED = 0x01;
+const OGG_FLAG_BOS = 0x02;
+const OGG_FLAG_EOS = 0x04;
+const OGG_NO_GRANULE = 0xFFFFFFFFFFFFFFFFn;
+
+// CRC-32 lookup table for Ogg (polynomial 0x04c11db7, no reflection, init 0)
+const OGG_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let crc = i << 24;
+        for (let j = 0; j < 8; j++) {
+            crc = (crc & 0x80000000) ? ((crc << 1) ^ 0x04c11db7) : (crc << 1);
+        }
+        table[i] = crc >>> 0;
+    }
+    return table;
+})();
+
+function oggCrc(buffer) {
+    let crc = 0;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ buffer[i]) & 0xff]) >>> 0;
+    }
+    return crc;
+}
+
+/**
+ * Splits an Ogg file into pages
+ *
+ * @param {Buffer} buffer - Ogg file contents
+ * @returns {Object[]} - Pages with parsed header fields and the raw segment table/body
+ */
+function parseOggPages(buffer) {
+    const pages = [];
+    let offset = 0;
+
+    while (offset < buffer.length) {
+        if (buffer.length - offset < OGG_HEADER_SIZE ||
+            buffer.toString('latin1', offset, offset + 4) !== OGG_CAPTURE_PATTERN) {
+            throw new Error(`Invalid Ogg page at byte ${offset}`);
+        }
+
+        const segmentCount = buffer[offset + 26];
+        const segmentTable = buffer.subarray(offset + OGG_HEADER_SIZE, offset + OGG_HEADER_SIZE + segmentCount);
+        const bodySize = segmentTable.reduce((sum, lacing) => sum + lacing, 0);
+        const bodyStart = offset + OGG_HEADER_SIZE + segmentCount;
+
+        if (bodyStart + bodySize > buffer.length) {
+            throw new Error(`Truncated Ogg page at byte ${offset}`);
+        }
+
+        pages.push({
+            flags: buffer[offset + 5],
+            granulePosition: buffer.readBigUInt64LE(offset + 6),
+            serialNumber: buffer.readUInt32LE(offset + 14),
+            segmentTable,
+            body: buffer.subarray(bodyStart, bodyStart + bodySize),
+            // Number of packets that end on this page (lacing values below 255)
+            packetsCompleted: segmentTable.filter(lacing => lacing < 255).length
+        });
+
+        offset = bodyStart + bodySize;
+    }
+
+    return pages;
+}
+
+/**
+ * Serializes an Ogg page, computing its checksum
+ */
+function writeOggPage(page, serialNumber, sequenceNumber) {
+    const header = Buffer.alloc(OGG_HEADER_SIZE);
+    header.write(OGG_CAPTURE_PATTERN, 0, 'latin1');
+    header[4] = 0; // stream structure version
+    header[5] = page.flags;
+    header.writeBigUInt64LE(page.granulePosition, 6);
+    header.writeUInt32LE(serialNumber, 14);
+    header.writeUInt32LE(sequenceNumber, 18);
+    header.writeUInt32LE(0, 22); // checksum placeholder
+    header[26] = page.segmentTable.length;
+
+    const pageBuffer = Buffer.concat([header, page.segmentTable, page.body]);
+    pageBuffer.writeUInt32LE(oggCrc(pageBuffer), 22);
+    return pageBuffer;
+}
+
+/**
+ * Number of header packets a codec places before audio data
+ */
+function oggHeaderPacketCount(firstPage) {
+    const magic = firstPage.body.toString('latin1', 0, 8);
+    if (magic === 'OpusHead') {
+        return 2; // OpusHead + OpusTags
+    }
+    if (magic.slice(1, 7) === 'vorbis') {
+        return 3; // identification + comment + setup
+    }
+    throw new Error('Unsupported Ogg codec: expected Opus or Vorbis');
+}
+
+/**
+ * Splits a single-stream Ogg file into its header pages and audio pages
+ */
+function splitOggHeaders(pages) {
+    const headerPackets = oggHeaderPacketCount(pages[0]);
+    let packetsSeen = 0;
+    let headerPageCount = 0;
+
+    while (headerPageCount < pages.length && packetsSeen < headerPackets) {
+        packetsSeen += pages[headerPageCount].packetsCompleted;
+        headerPageCount++;
+    }
+
+    return {
+        headerPages: pages.slice(0, headerPageCount),
+        audioPages: pages.slice(headerPageCount)
+    };
+}
+
+/**
+ * Samples in an Opus packet, read from its TOC byte (RFC 6716, section 3.1)
+ */
+function opusPacketSamples(packet) {
+    if (packet.length === 0) {
+        return 0;
+    }
+    const config = packet[0] >> 3;
+    let frameSamples;
+    if (config < 12) {
+        frameSamples = [480, 960, 1920, 2880][config & 3]; // SILK: 10, 20, 40, 60 ms
+    } else if (config < 16) {
+        frameSamples = [480, 960][config & 1]; // Hybrid: 10, 20 ms
+    } else {
+        frameSamples = [120, 240, 480, 960][config & 3]; // CELT: 2.5, 5, 10, 20 ms
+    }
+    const code = packet[0] & 3;
+    const frames = code === 0 ? 1 : code < 3 ? 2 : (packet.length > 1 ? packet[1] & 0x3F : 0);
+    return frameSamples * frames;
+}
+
+/**
+ * Drops the packets at the start of an Opus stream that hold its pre-skip
+ *
+ * A decoder discards the pre-skip (the encoder's priming samples) only at the
+ * start of a stream, so a stream appended to another would play its priming
+ * samples as a click at the boundary. Packets can't be cut, so the packet the
+ * pre-skip ends in is dropped whole, along with a few milliseconds of the
+ * silence speech starts with. Only packets that end on the first audio page
+ * are dropped, and that page always keeps one.
+ *
+ * @param {Object[]} audioPages - Audio pages of an Ogg Opus stream
+ * @param {number} preSkip - The stream's pre-skip, in samples
+ * @returns {{ audioPages: Object[], droppedSamples: number }}
+ */
+function trimOpusPreSkip(audioPages, preSkip) {
+    const [page, ...otherPages] = audioPages;
+    if (!page || preSkip === 0 || (page.flags & OGG_FLAG_CONTINUED)) {
+        return { audioPages, droppedSamples: 0 };
+    }
+
+    const { segmentTable, body } = page;
+    let segments = 0;
+    let bodyOffset = 0;
+    let droppedSamples = 0;
+    let droppedPackets = 0;
+    while (droppedSamples < preSkip) {
+        let end = segments;
+        let size = 0;
+        while (end < segmentTable.length && segmentTable[end] === 255) {
+            size += 255;
+            end++;
+        }
+        // Stop at a packet that continues on the next page, or at the page's last packet
+        if (end >= segmentTable.length - 1) {
+            break;
+        }
+        size += segmentTable[end];
+        droppedSamples += opusPacketSamples(body.subarray(bodyOffset, bodyOffset + size));
+        droppedPackets++;
+        segments = end + 1;
+        bodyOffset += size;
+    }
+
+    if (droppedPackets === 0) {
+        return { audioPages, droppedSamples: 0 };
+    }
+    const trimmedPage = {
+        ...page,
+        segmentTable: segmentTable.subarray(segments),
+        body: body.subarray(bodyOffset),
+        packetsCompleted: page.packetsCompleted - droppedPackets
+    };
+    return { audioPages: [trimmedPage, ...otherPages], droppedSamples };
+}
+
+/**
+ * Pre-skip of an Ogg stream, from its OpusHead (0 for other codecs)
+ */
+function oggPreSkip(firstPage) {
+    return firstPage.body.toString('latin1', 0, 8) === 'OpusHead' ? firstPage.body.readUInt16LE(10) : 0;
+}
+
+/**
+ * Joins Ogg files into one logical stream
+ *
+ * Keeps the headers of the first file, drops the headers of the rest, and
+ * rewrites serial numbers, page sequence numbers, granule positions and
+ * BOS/EOS flags so the result is a single continuous stream. The priming
+ * samples at the start of every Opus file after the first are dropped (see
+ * trimOpusPreSkip), and the granule positions continue without them.
+ *
+ * @param {Buffer[]} buffers - Ogg files (one per chunk)
+ * @returns {Buffer} - Stitched Ogg file
+ */
+function stitchOgg(buffers) {
+    const stitcher = createOggStitcher();
+    return Buffer.concat([...buffers.map(buffer => stitcher.push(buffer)), stitcher.end()]);
+}
+
+/**
+ * Incremental form of stitchOgg for streaming: Ogg files are pushed one at a
+ * time and the stitched pages are returned as soon as they can be written
+ *
+ * The newest page is held back until the next file (or end()) arrives, since
+ * only the last page of the stream may carry the end-of-stream flag.
+ *
+ * @returns {{ push: function(Buffer): Buffer, end: function(): Buffer }}
+ */
+function createOggStitcher() {
+    let serialNumber = null;
+    let sequenceNumber = 0;
+    let granuleOffset = 0n;
+    let fileIndex = 0;
+    let heldPage = null;
+
+    const writePages = pages => Buffer.concat(pages.map(page => writeOggPage(page, serialNumber, sequenceNumber++)));
+
+    return {
+        push(buffer) {
+            const index = fileIndex++;
+            const pages = parseOggPages(buffer);
+            if (pages.length === 0) {
+                return Buffer.alloc(0);
+            }
+
+            const firstSerial = pages[0].serialNumber;
+            if (pages.some(page => page.serialNumber !== firstSerial)) {
+                throw new Error(`Ogg input ${index} contains multiple logical streams`);
+            }
+
+            const { headerPages, audioPages } = splitOggHeaders(pages);
+            const isFirstFile = serialNumber === null;
+            let pagesToWrite = [...headerPages, ...audioPages];
+            let droppedSamples = 0n;
+            if (isFirstFile) {
+                serialNumber = firstSerial;
+            } else {
+                // Only the first file's pre-skip is applied by the decoder
+                const trimmed = trimOpusPreSkip(audioPages, oggPreSkip(pages[0]));
+                pagesToWrite = trimmed.audioPages;
+                droppedSamples = BigInt(trimmed.droppedSamples);
+            }
+
+            const outputPages = [];
+            let lastGranule = 0n;
+            for (const page of pagesToWrite) {
+                const isHeader = headerPages.includes(page);
+                let granulePosition = page.granulePosition;
+
+                if (!isHeader && granulePosition !== OGG_NO_GRANULE) {
+                    lastGranule = granulePosition - droppedSamples;
+                    granulePosition = lastGranule + granuleOffset;
+                }
+
+                outputPages.push({
+                    ...page,
+                    granulePosition,
+                    flags: page.flags & OGG_FLAG_CONTINUED
+                });
+            }
+
+            granuleOffset += lastGranule;
+
+            if (outputPages.length === 0) {
+                return Buffer.alloc(0);
+            }
+            if (isFirstFile) {
+                outputPages[0].flags |= OGG_FLAG_BOS;
+            }
+
+            const ready = heldPage ? [heldPage, ...outputPages] : outputPages;
+            heldPage = ready.pop();
+            return writePages(ready);
+        },
+
+        end() {
+            if (!heldPage) {
+                return Buffer.alloc(0);
+            }
+            heldPage.flags |= OGG_FLAG_EOS;
+            const last = writePages([heldPage]);
+            heldPage = null;
+            return last;
+        }
+    };
+}
+
+/**
+ * Reads the pre-skip and final granule position of a single Ogg Opus stream
+ *
+ * Playback length in seconds is (lastGranule - preSkip) / 48000. Stitched
+ * after another stream, it plays for lastGranule - trimmedSamples instead (see
+ * trimOpusPreSkip).
+ *
+ * @param {Buffer} buffer - Ogg Opus file
+ * @returns {{ preSkip: number, lastGranule: bigint, trimmedSamples: number }}
+ */
+function getOggStreamInfo(buffer) {
+    const pages = parseOggPages(buffer);
+    if (pages.length === 0 || pages[0].body.toString('latin1', 0, 8) !== 'OpusHead') {
+        throw new Error('Expected an Ogg Opus stream');
+    }
+
+    let lastGranule = 0n;
+    for (const page of pages) {
+        if (page.granulePosition !== OGG_NO_GRANULE) {
+            lastGranule = page.granulePosition;
+        }
+    }
+
+    const preSkip = pages[0].body.readUInt16LE(10);
+    return {
+        preSkip,
+        lastGranule,
+        trimmedSamples: trimOpusPreSkip(splitOggHeaders(pages).audioPages, preSkip).droppedSamples
+    };
+}
+
+/**
+ * Splits a packet into Ogg pages (at most 255 lacing values per page)
+ */
+function packetToPages(packet, flags) {
+    const lacing = [];
+    for (let remaining = packet.length; ; remaining -= 255) {
+        lacing.push(Math.min(remaining, 255));
+        if (remaining < 255) {
+            break;
+        }
+    }
+
+    const pages = [];
+    let bodyOffset = 0;
+    for (let i = 0; i < lacing.length; i += 255) {
+        const segmentTable = Buffer.from(lacing.slice(i, i + 255));
+        const bodySize = segmentTable.reduce((sum, value) => sum + value, 0);
+        const isLastPage = i + 255 >= lacing.length;
+        pages.push({
+            flags: i === 0 ? flags : OGG_FLAG_CONTINUED,
+            // Header pages carry granule 0; a page where no packet ends carries "none"
+            granulePosition: isLastPage ? 0n : OGG_NO_GRANULE,
+            segmentTable,
+            body: packet.subarray(bodyOffset, bodyOffset + bodySize)
+        });
+        bodyOffset += bodySize;
+    }
+    return pages;
+}
+
+/**
+ * Appends user comments (e.g. CHAPTER01=00:00:00.000) to an Ogg Opus file
+ *
+ * Rebuilds the OpusTags header packet, keeping the vendor string and any
+ * existing comments, and renumbers the following pages.
+ *
+ * @param {Buffer} buffer - Ogg Opus file
+ * @param {string[]} comments - "KEY=value" strings to add
+ * @returns {Buffer} - Ogg Opus file with the extra comments
+ */
+function addOggComments(buffer, comments) {
+    const pages = parseOggPages(buffer);
+    if (pages.length === 0 || pages[0].body.toString('latin1', 0, 8) !== 'OpusHead') {
+        throw new Error('Chapter comments are only supported for Ogg Opus');
+    }
+
+    const { headerPages, audioPages } = splitOggHeaders(pages);
+    const tagsPacket = Buffer.concat(headerPages.slice(1).map(page => page.body));
+    if (tagsPacket.toString('latin1', 0, 8) !== 'OpusTags') {
+        throw new Error('Invalid Ogg Opus stream: missing OpusTags header');
+    }
+
+    // OpusTags: magic, vendor string, comment count, then length-prefixed comments
+    const vendorLength = tagsPacket.readUInt32LE(8);
+    const countOffset = 12 + vendorLength;
+    const existingCount = tagsPacket.readUInt32LE(countOffset);
+    let offset = countOffset + 4;
+    for (let i = 0; i < existingCount; i++) {
+        offset += 4 + tagsPacket.readUInt32LE(offset);
+    }
+
+    const count = Buffer.alloc(4);
+    count.writeUInt32LE(existingCount + comments.length);
+    const newComments = comments.map(comment => {
+        const value = Buffer.from(comment, 'utf8');
+        const length = Buffer.alloc(4);
+        length.writeUInt32LE(value.length);
+        return Buffer.concat([length, value]);
+    });
+
+    const newTagsPacket = Buffer.concat([
+        tagsPacket.subarray(0, countOffset),
+        count,
+        tagsPacket.subarray(countOffset + 4, offset),
+        ...newComments
+    ]);
+
+    const serialNumber = pages[0].serialNumber;
+    const outputPages = [headerPages[0], ...packetToPages(newTagsPacket, 0), ...audioPages];
+    return Buffer.concat(outputPages.map((page, index) => writeOggPage(page, serialNumber, index)));
+}
+
+// A 20 ms CELT frame that decodes to silence
+const OPUS_SILENCE_PACKET = Buffer.from([0xF8, 0xFF, 0xFE]);
+const OPUS_SILENCE_SAMPLES = 960;
+
+/**
+ * Creates an Ogg Opus stream of silence with the headers of a template stream
+ */
+function createOggSilence(template, seconds) {
+    const pages = parseOggPages(template);
+    const { headerPages } = splitOggHeaders(pages);
+    const packetCount = Math.round(seconds * 48000 / OPUS_SILENCE_SAMPLES);
+
+    // One page per second of audio (50 packets of one lacing value each)
+    const audioPages = [];
+    for (let written = 0; written < packetCount; written += 50) {
+        const count = Math.min(50, packetCount - written);
+        audioPages.push({
+            flags: 0,
+            granulePosition: BigInt((written + count) * OPUS_SILENCE_SAMPLES),
+            segmentTable: Buffer.alloc(count, OPUS_SILENCE_PACKET.length),
+            body: Buffer.concat(new Array(count).fill(OPUS_SILENCE_PACKET))
+        });
+    }
+
+    const outputPages = [...headerPages, ...audioPages];
+    return Buffer.concat(outputPages.map((page, index) => writeOggPage(page, pages[0].serialNumber, index)));
+}
+
+// ---------------------------------------------------------------------------
+// WAV (LINEAR16, MULAW, ALAW)
+// ---------------------------------------------------------------------------
+
+/**
+ * Locates the fmt and data chunks of a RIFF/WAVE file
+ */
+function parseWav(buffer) {
+    if (buffer.length < 12 ||
+        buffer.toString('latin1', 0, 4) !== 'RIFF' ||
+        buffer.toString('latin1', 8, 12) !== 'WAVE') {
+        throw new Error('Invalid WAV data: missing RIFF/WAVE header');
+    }
+
+    let fmt = null;
+    let data = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('latin1', offset, offset + 4);
+        let chunkSize = buffer.readUInt32LE(offset + 4);
+        const chunkStart = offset + 8;
+
+        // Streaming encoders sometimes write 0 or 0xFFFFFFFF for an unknown data length
+        if (chunkId === 'data' && (chunkSize === 0 || chunkStart + chunkSize > buffer.length)) {
+            chunkSize = buffer.length - chunkStart;
+        }
+
+        if (chunkId === 'fmt ') {
+            fmt = buffer.subarray(chunkStart, chunkStart + chunkSize);
+        } else if (chunkId === 'data') {
+            data = buffer.subarray(chunkStart, chunkStart + chunkSize);
+        }
+
+        // Chunks are padded to an even size
+        offset = chunkStart + chunkSize + (chunkSize % 2);
+    }
+
+    if (!fmt || !data) {
+        throw new Error('Invalid WAV data: missing fmt or data chunk');
+    }
+
+    return { fmt, data };
+}
+
+/**
+ * Joins WAV files into one file with a single header
+ *
+ * All inputs must share the same format (encoding, channels, sample rate),
+ * which is always the case for chunks synthesized with the same options.
+ *
+ * @param {Buffer[]} buffers - WAV files (one per chunk)
+ * @returns {Buffer} - Stitched WAV file
+ */
+function stitchWav(buffers) {
+    const parsed = buffers.map(parseWav);
+    const fmt = parsed[0].fmt;
+
+    parsed.forEach(({ fmt: otherFmt }, index) => {
+        if (!otherFmt.equals(fmt)) {
+            throw new Error(`WAV input ${index} has a different format than the first input`);
+        }
+    });
+
+    return writeWav(fmt, parsed.map(({ data }) => data));
+}
+
+/**
+ * Writes a WAV file with a single fmt and data chunk
+ */
+function writeWav(fmt, dataParts) {
+    const dataLength = dataParts.reduce((sum, data) => sum + data.length, 0);
+    const fmtPadding = fmt.length % 2;
+    const header = Buffer.alloc(12 + 8 + fmt.length + fmtPadding + 8);
+
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(header.length - 8 + dataLength + (dataLength % 2), 4);
+    header.write('WAVE', 8, 'latin1');
+    header.write('fmt ', 12, 'latin1');
+    header.writeUInt32LE(fmt.length, 16);
+    fmt.copy(header, 20);
+    const dataHeaderOffset = 20 + fmt.length + fmtPadding;
+    header.write('data', dataHeaderOffset, 'latin1');
+    header.writeUInt32LE(dataLength, dataHeaderOffset + 4);
+
+    const parts = [header, ...dataParts];
+    if (dataLength % 2) {
+        parts.push(Buffer.alloc(1));
+    }
+    return Buffer.concat(parts);
+}
+
+// Sample value of silence per WAV format code: PCM, A-law, mu-law
+const WAV_SILENCE_BYTES = { 1: 0x00, 6: 0xD5, 7: 0xFF };
+
+/**
+ * Creates a WAV file of silence in the format of a template file
+ */
+function createWavSilence(template, seconds) {
+    const { fmt } = parseWav(template);
+    const byteRate = fmt.readUInt32LE(8);
+    const blockAlign = fmt.readUInt16LE(12);
+    const length = Math.round(seconds * byteRate / blockAlign) * blockAlign;
+    return writeWav(fmt, [Buffer.alloc(length, WAV_SILENCE_BYTES[fmt.readUInt16LE(0)] || 0)]);
+}
+
+// G.711 A-law segment ends for 13-bit magnitudes
+const ALAW_SEGMENT_ENDS = [0x1F, 0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF];
+
+/**
+ * Encodes a 16-bit sample as G.711 A-law
+ */
+function linearToAlaw(sample) {
+    let value = sample >> 3;
+    let mask = 0xD5;
+    if (value < 0) {
+        mask = 0x55;
+        value = -value - 1;
+    }
+    const segment = ALAW_SEGMENT_ENDS.findIndex(end => value <= end);
+    if (segment === -1) {
+        return 0x7F ^ mask;
+    }
+    const mantissa = (value >> (segment < 2 ? 1 : segment)) & 0x0F;
+    return ((segment << 4) | mantissa) ^ mask;
+}
+
+/**
+ * Encodes a 16-bit sample as G.711 mu-law
+ */
+function linearToMulaw(sample) {
+    const sign = sample < 0 ? 0x80 : 0;
+    const magnitude = Math.min(Math.abs(sample), 32635) + 0x84;
+    let exponent = 7;
+    for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+        exponent--;
+    }
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0F;
+    return ~(sign | (exponent << 4) | mantissa) & 0xFF;
+}
+
+/**
+ * Creates a WAV file of a sine tone in the format of a template file
+ *
+ * The tone is at a quarter of full scale with short fades, so it doesn't
+ * click. Formats other than 16-bit PCM, A-law and mu-law get silence.
+ */
+function createWavTone(template, seconds, frequency) {
+    const { fmt } = parseWav(template);
+    const formatCode = fmt.readUInt16LE(0);
+    const channels = fmt.readUInt16LE(2);
+    const sampleRate = fmt.readUInt32LE(4);
+    const bitsPerSample = fmt.readUInt16LE(14);
+    const encoders = {
+        1: bitsPerSample === 16 ? null : undefined,
+        6: linearToAlaw,
+        7: linearToMulaw
+    };
+    const encode = encoders[formatCode];
+    if (encode === undefined) {
+        return createWavSilence(template, seconds);
+    }
+
+    const frames = Math.round(seconds * sampleRate);
+    const fadeFrames = Math.min(Math.round(sampleRate * 0.01), Math.floor(frames / 2));
+    const bytesPerSample = encode ? 1 : 2;
+    const data = Buffer.alloc(frames * channels * bytesPerSample);
+    for (let frame = 0; frame < frames; frame++) {
+        const fade = Math.min(1, frame / fadeFrames, (frames - 1 - frame) / fadeFrames);
+        const sample = Math.round(Math.sin(2 * Math.PI * frequency * frame / sampleRate) * 8192 * fade);
+        for (let channel = 0; channel < channels; channel++) {
+            const offset = (frame * channels + channel) * bytesPerSample;
+            if (encode) {
+                data[offset] = encode(sample);
+            } else {
+                data.writeInt16LE(sample, offset);
+            }
+        }
+    }
+    return writeWav(fmt, [data]);
+}
+
+// ---------------------------------------------------------------------------
+// MP3
+// ---------------------------------------------------------------------------
+
+// Bitrates in kbps indexed by [isMpeg1][bitrateIndex] for Layer III
+const MP3_BITRATES = {
+    true: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    false: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+// Sample rates indexed by [versionBits][sampleRateIndex]
+const MP3_SAMPLE_RATES = {
+    3: [44100, 48000, 32000], // MPEG 1
+    2: [22050, 24000, 16000], // MPEG 2
+    0: [11025, 12000, 8000]   // MPEG 2.5
+};
+
+/**
+ * Parses an MPEG audio Layer III frame header at the given offset
+ *
+ * @returns {Object|null} - Frame info, or null if there is no valid header here
+ */
+function parseMp3FrameHeader(buffer, offset) {
+    if (offset + 4 > buffer.length || buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) {
+        return null;
+    }
+
+    const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+    const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+    const bitrateIndex = buffer[offset + 2] >> 4;
+    const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+    const padding = (buffer[offset + 2] >> 1) & 0x01;
+    const channelMode = buffer[offset + 3] >> 6;
+
+    if (versionBits === 1 || layerBits !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+        return null;
+    }
+
+    const isMpeg1 = versionBits === 3;
+    const bitrate = MP3_BITRATES[isMpeg1][bitrateIndex] * 1000;
+    const sampleRate = MP3_SAMPLE_RATES[versionBits][sampleRateIndex];
+    const frameLength = Math.floor(((isMpeg1 ? 144 : 72) * bitrate) / sampleRate) + padding;
+    const isMono = channelMode === 3;
+    const sideInfoLength = isMpeg1 ? (isMono ? 17 : 32) : (isMono ? 9 : 17);
+
+    // Layer III frames hold 1152 samples in MPEG 1 and 576 in MPEG 2/2.5
+    const samples = isMpeg1 ? 1152 : 576;
+
+    return { frameLength, sideInfoLength, samples, sampleRate };
+}
+
+/**
+ * Returns the byte length of a leading ID3v2 tag, or 0 if there is none
+ */
+function id3v2Length(buffer) {
+    if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') {
+        return 0;
+    }
+    // Tag size is a 28-bit "syncsafe" integer; a footer adds another 10 bytes
+    const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+    const hasFooter = (buffer[5] & 0x10) !== 0;
+    return 10 + size + (hasFooter ? 10 : 0);
+}
+
+/**
+ * Extracts the audio frames of an MP3 file
+ *
+ * Drops ID3v2 (leading) and ID3v1 (trailing) tags as well as Xing/Info/VBRI
+ * frames, whose frame counts would only describe the single chunk.
+ */
+function extractMp3Frames(buffer) {
+    let start = id3v2Length(buffer);
+    let end = buffer.length;
+
+    if (end - start >= 128 && buffer.toString('latin1', end - 128, end - 125) === 'TAG') {
+        end -= 128;
+    }
+
+    // Skip any junk before the first frame sync
+    while (start < end && !parseMp3FrameHeader(buffer, start)) {
+        start++;
+    }
+
+    const firstFrame = parseMp3FrameHeader(buffer, start);
+    if (firstFrame) {
+        const tagOffset = start + 4 + firstFrame.sideInfoLength;
+        const tag = buffer.toString('latin1', tagOffset, tagOffset + 4);
+        const vbriTag = buffer.toString('latin1', start + 36, start + 40);
+        if (tag === 'Xing' || tag === 'Info' || vbriTag === 'VBRI') {
+            start += firstFrame.frameLength;
+        }
+    }
+
+    return buffer.subarray(start, end);
+}
+
+/**
+ * Joins MP3 files by concatenating their audio frames
+ *
+ * @param {Buffer[]} buffers - MP3 files (one per chunk)
+ * @returns {Buffer} - Stitched MP3 stream without per-chunk tags
+ */
+function stitchMp3(buffers) {
+    return Buffer.concat(buffers.map(extractMp3Frames));
+}
+
+/**
+ * Creates MP3 frames of silence matching the first frame of a template file
+ *
+ * Every frame keeps the template's header (without CRC or padding) and has
+ * all-zero side information and main data, which decodes to silence.
+ */
+function createMp3Silence(template, seconds) {
+    const frames = extractMp3Frames(template);
+    const first = parseMp3FrameHeader(frames, 0);
+    if (!first) {
+        return Buffer.alloc(0);
+    }
+
+    const header = Buffer.from(frames.subarray(0, 4));
+    header[1] |= 0x01;  // No CRC
+    header[2] &= ~0x02; // No padding
+    const { frameLength, samples, sampleRate } = parseMp3FrameHeader(header, 0);
+
+    const frame = Buffer.alloc(frameLength);
+    header.copy(frame);
+    const frameCount = Math.round(seconds * sampleRate / samples);
+    return Buffer.concat(new Array(frameCount).fill(frame));
+}
+
+// ---------------------------------------------------------------------------
+// Duration
+// ---------------------------------------------------------------------------
+
+/**
+ * Computes the playback length of an audio file
+ *
+ * @param {Buffer} buffer - Audio file (as produced by stitchAudio)
+ * @param {string} audioEncoding - Google TTS audio encoding
+ * @returns {number|null} - Duration in seconds, or null for unknown containers
+ */
+function getAudioDuration(buffer, audioEncoding = 'OGG_OPUS') {
+    if (!buffer || buffer.length === 0) {
+        return 0;
+    }
+
+    switch (audioEncoding) {
+        case 'OGG_OPUS': {
+            const { preSkip, lastGranule } = getOggStreamInfo(buffer);
+            return Math.max(0, Number(lastGranule) - preSkip) / 48000;
+        }
+        case 'LINEAR16':
+        case 'MULAW':
+        case 'ALAW': {
+            if (buffer.toString('latin1', 0, 4) !== 'RIFF') {
+                return null;
+            }
+            const { fmt, data } = parseWav(buffer);
+            const byteRate = fmt.readUInt32LE(8);
+            return byteRate > 0 ? data.length / byteRate : null;
+        }
+        case 'MP3': {
+            const frames = extractMp3Frames(buffer);
+            let seconds = 0;
+            let offset = 0;
+            while (offset < frames.length) {
+                const frame = parseMp3FrameHeader(frames, offset);
+                if (!frame) {
+                    break;
+                }
+                seconds += frame.samples / frame.sampleRate;
+                offset += frame.frameLength;
+            }
+            return seconds;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Computes where each segment starts and how long it lasts once the segments
+ * are stitched into one file with stitchAudio
+ *
+ * For Ogg Opus, the stitched stream's granule positions continue from the end
+ * of the previous segment, with only the first segment's pre-skip applied and
+ * the priming packets of the others dropped; the start times are derived the
+ * same way so they line up exactly with seeking.
+ *
+ * @param {Buffer[]} buffers - Audio per segment, in playback order (empty ones take no time)
+ * @param {string} audioEncoding - Google TTS audio encoding
+ * @returns {Object[]} - [{ startSeconds, durationSeconds }]; durationSeconds is null
+ *   for unknown containers
+ */
+function getSegmentTimings(buffers, audioEncoding = 'OGG_OPUS') {
+    if (audioEncoding === 'OGG_OPUS') {
+        const infos = buffers.map(buffer => buffer && buffer.length > 0
+            ? getOggStreamInfo(buffer)
+            : null);
+        const first = infos.find(info => info !== null);
+        const firstPreSkip = first ? first.preSkip : 0;
+        let granuleOffset = 0;
+
+        return infos.map(info => {
+            const startSeconds = Math.max(0, granuleOffset - firstPreSkip) / 48000;
+            if (!info) {
+                return { startSeconds, durationSeconds: 0 };
+            }
+            if (info === first) {
+                granuleOffset += Number(info.lastGranule);
+                return {
+                    startSeconds,
+                    durationSeconds: Math.max(0, Number(info.lastGranule) - info.preSkip) / 48000
+                };
+            }
+            const samples = Math.max(0, Number(info.lastGranule) - info.trimmedSamples);
+            granuleOffset += samples;
+            return { startSeconds, durationSeconds: samples / 48000 };
+        });
+    }
+
+    let startSeconds = 0;
+    return buffers.map(buffer => {
+        const durationSeconds = getAudioDuration(buffer, audioEncoding);
+        const timing = { startSeconds, durationSeconds };
+        startSeconds += durationSeconds || 0;
+        return timing;
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Dispatch
+// ---------------------------------------------------------------------------
+
+/**
+ * Joins per-chunk audio into a single file for the given encoding
+ *
+ * Empty buffers (e.g. from skipped chunks) are ignored. Encodings without a
+ * container we understand are concatenated as-is.
+ *
+ * @param {Buffer[]} buffers - Audio content per chunk, in playback order
+ * @param {string} audioEncoding - Google TTS audio encoding (OGG_OPUS, LINEAR16, MP3, ...)
+ * @returns {Buffer} - Stitched audio
+ */
+function stitchAudio(buffers, audioEncoding = 'OGG_OPUS') {
+    const parts = buffers
+        .filter(buffer => buffer && buffer.length > 0)
+        .map(buffer => Buffer.from(buffer));
+
+    if (parts.length === 0) {
+        return Buffer.alloc(0);
+    }
+    if (parts.length === 1) {
+        return parts[0];
+    }
+
+    switch (audioEncoding) {
+        case 'OGG_OPUS':
+            return stitchOgg(parts);
+        case 'LINEAR16':
+        case 'MULAW':
+        case 'ALAW':
+            // Google wraps these encodings in a WAV header; headerless PCM can be joined as-is
+            return parts[0].toString('latin1', 0, 4) === 'RIFF' ? stitchWav(parts) : Buffer.concat(parts);
+        case 'MP3':
+            return stitchMp3(parts);
+        default:
+            return Buffer.concat(parts);
+    }
+}
+
+/**
+ * Incremental form of stitchAudio for streaming responses
+ *
+ * Each pushed chunk returns the bytes to send next, so that everything sent
+ * so far forms the start of one well-formed file. WAV output can't know its
+ * final length up front, so its header carries the "unknown size" value
+ * (0xFFFFFFFF) that streaming players accept.
+ *
+ * @param {string} audioEncoding - Google TTS audio encoding
+ * @returns {{ push: function(Buffer): Buffer, end: function(): Buffer }}
+ */
+function createAudioStitcher(audioEncoding = 'OGG_OPUS') {
+    switch (audioEncoding) {
+        case 'OGG_OPUS': {
+            const stitcher = createOggStitcher();
+            return {
+                push: buffer => buffer && buffer.length > 0 ? stitcher.push(Buffer.from(buffer)) : Buffer.alloc(0),
+                end: () => stitcher.end()
+            };
+        }
+        case 'LINEAR16':
+        case 'MULAW':
+        case 'ALAW': {
+            let fmt = null;
+            let raw = false;
+            return {
+                push(buffer) {
+                    if (!buffer || buffer.length === 0) {
+                        return Buffer.alloc(0);
+                    }
+                    if (fmt === null && !raw) {
+                        raw = buffer.toString('latin1', 0, 4) !== 'RIFF';
+                        if (!raw) {
+                            const parsed = parseWav(buffer);
+                            fmt = parsed.fmt;
+                            const header = writeWav(fmt, []);
+                            header.writeUInt32LE(0xFFFFFFFF, 4);
+                            header.writeUInt32LE(0xFFFFFFFF, header.length - 4);
+                            return Buffer.concat([header, parsed.data]);
+                        }
+                    }
+                    if (raw) {
+                        return Buffer.from(buffer);
+                    }
+                    const parsed = parseWav(buffer);
+                    if (!parsed.fmt.equals(fmt)) {
+                        throw new Error('WAV chunk has a different format than the first chunk');
+                    }
+                    return Buffer.from(parsed.data);
+                },
+                end: () => Buffer.alloc(0)
+            };
+        }
+        case 'MP3':
+            return {
+                push: buffer => buffer && buffer.length > 0 ? Buffer.from(extractMp3Frames(buffer)) : Buffer.alloc(0),
+                end: () => Buffer.alloc(0)
+            };
+        default:
+            return {
+                push: buffer => buffer ? Buffer.from(buffer) : Buffer.alloc(0),
+                end: () => Buffer.alloc(0)
+            };
+    }
+}
+
+/**
+ * Creates silence in the same format as a synthesized chunk, to be stitched
+ * between chunks (e.g. the pause between speaker turns in a script)
+ *
+ * @param {Buffer} template - Audio of a chunk from the same request
+ * @param {number} seconds - Length of the silence
+ * @param {string} audioEncoding - Google TTS audio encoding
+ * @returns {Buffer} - Silence, or an empty buffer when it can't be made in this format
+ */
+function createSilence(template, seconds, audioEncoding = 'OGG_OPUS') {
+    if (!template || template.length === 0 || !(seconds > 0)) {
+        return Buffer.alloc(0);
+    }
+
+    switch (audioEncoding) {
+        case 'OGG_OPUS':
+            return createOggSilence(template, seconds);
+        case 'LINEAR16':
+        case 'MULAW':
+        case 'ALAW':
+            return template.toString('latin1', 0, 4) === 'RIFF' ? createWavSilence(template, seconds) : Buffer.alloc(0);
+        case 'MP3':
+            return createMp3Silence(template, seconds);
+        default:
+            return Buffer.alloc(0);
+    }
+}
+
+/**
+ * Creates a sine tone in the format of a template chunk, e.g. to mark audio
+ * that is missing
+ *
+ * Only WAV output (LINEAR16, MULAW, ALAW) can carry a generated tone, since
+ * MP3 and Opus would need an encoder; other encodings get silence instead.
+ *
+ * @param {Buffer} template - A chunk of the audio the tone is stitched into
+ * @param {number} seconds - Length of the tone
+ * @param {string} audioEncoding - Google audio encoding of the template
+ * @param {number} frequency - Pitch of the tone in Hz (default 880)
+ * @returns {Buffer} - Audio in the template's format
+ */
+function createTone(template, seconds, audioEncoding = 'OGG_OPUS', frequency = 880) {
+    if (['LINEAR16', 'MULAW', 'ALAW'].includes(audioEncoding) &&
+        template && template.length > 0 && seconds > 0 &&
+        template.toString('latin1', 0, 4) === 'RIFF') {
+        return createWavTone(template, seconds, frequency);
+    }
+    return createSilence(template, seconds, audioEncoding);
+}
+
+module.exports = {
+    stitchAudio,
+    createAudioStitcher,
+    createSilence,
+    createTone,
+    getAudioDuration,
+    getSegmentTimings,
+    getOggStreamInfo,
+    addOggComments,
+    stitchOgg,
+    stitchWav,
+    stitchMp3,
+    parseOggPages,
+    parseWav,
+    writeWav,
+    linearToAlaw,
+    linearToMulaw
+};
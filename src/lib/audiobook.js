@@ -0,0 +1,111 @@
+const AdmZip = require('adm-zip');
+const { stitchAudio, getSegmentTimings, addOggComments } = require('./audioStitcher');
+
+/**
+ * Chapter-aware audiobook output
+ *
+ * Given one stitched audio file per chapter, produces either:
+ * - "single": one file for the whole book. For OGG output the chapter start
+ *   times and titles are embedded as Vorbis-comment chapter tags
+ *   (CHAPTER01=00:00:00.000, CHAPTER01NAME=Title), which players such as
+ *   VLC and foobar2000 show as chapter marks.
+ * - "zip": a ZIP archive with one file per chapter plus an M3U playlist.
+ *
+ * Both modes also return chapter timing metadata for the response.
+ */
+
+/**
+ * Formats seconds as HH:MM:SS.mmm for chapter tags
+ */
+function formatChapterTimestamp(seconds) {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+}
+
+/**
+ * Vorbis-comment chapter tags for the given chapters
+ *
+ * Chapter numbers are two digits (three when there are more than 99 chapters).
+ */
+function buildChapterComments(chapters) {
+    const digits = chapters.length > 99 ? 3 : 2;
+    return chapters.flatMap((chapter, index) => {
+        const key = `CHAPTER${String(index + 1).padStart(digits, '0')}`;
+        return [
+            `${key}=${formatChapterTimestamp(chapter.startSeconds)}`,
+            `${key}NAME=${chapter.title}`
+        ];
+    });
+}
+
+/**
+ * Makes a chapter title safe to use in a file name
+ */
+function toFileName(title) {
+    return title
+        .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, 80) || 'Chapter';
+}
+
+/**
+ * Builds a ZIP with one audio file per chapter and an M3U playlist
+ */
+function buildChapterZip(chapterAudios, chapters, extension) {
+    const zip = new AdmZip();
+    const digits = String(chapters.length).length < 2 ? 2 : String(chapters.length).length;
+    const playlist = ['#EXTM3U'];
+
+    chapters.forEach((chapter, index) => {
+        const fileName = `${String(index + 1).padStart(digits, '0')} - ${toFileName(chapter.title)}.${extension}`;
+        zip.addFile(fileName, chapterAudios[index]);
+        playlist.push(`#EXTINF:${Math.round(chapter.durationSeconds || 0)},${chapter.title}`);
+        playlist.push(fileName);
+        chapter.fileName = fileName;
+    });
+
+    zip.addFile('playlist.m3u', Buffer.from(`${playlist.join('\n')}\n`, 'utf8'));
+    return zip.toBuffer();
+}
+
+/**
+ * Assembles per-chapter audio into the requested audiobook output
+ *
+ * @param {Buffer[]} chapterAudios - Stitched audio per chapter, in order
+ * @param {string[]} titles - Chapter titles
+ * @param {string} audioEncoding - Google TTS audio encoding of the chapter audio
+ * @param {string} outputMode - "single" (default) or "zip"
+ * @param {string} extension - File extension for per-chapter files
+ * @returns {{ audio: Buffer, chapters: Object[] }} - Output file and chapter
+ *   metadata [{ index, title, startSeconds, durationSeconds, fileName? }]
+ */
+function assembleAudiobook(chapterAudios, titles, audioEncoding, outputMode = 'single', extension = 'ogg') {
+    const timings = getSegmentTimings(chapterAudios, audioEncoding);
+    const chapters = titles.map((title, index) => ({
+        index,
+        title,
+        startSeconds: outputMode === 'zip' ? 0 : Number(timings[index].startSeconds.toFixed(3)),
+        durationSeconds: timings[index].durationSeconds === null ? null : Number(timings[index].durationSeconds.toFixed(3))
+    }));
+
+    if (outputMode === 'zip') {
+        return { audio: buildChapterZip(chapterAudios, chapters, extension), chapters };
+    }
+
+    let audio = stitchAudio(chapterAudios, audioEncoding);
+    if (audioEncoding === 'OGG_OPUS' && audio.length > 0) {
+        audio = addOggComments(audio, buildChapterComments(chapters));
+    }
+    return { audio, chapters };
+}
+
+module.exports = {
+    formatChapterTimestamp,
+    buildChapterComments,
+    assembleAudiobook
+};
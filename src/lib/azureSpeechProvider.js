@@ -0,0 +1,224 @@
+const { RateLimitError, TransientError } = require('./errors');
+const { parseRetryAfter } = require('./retryPolicy');
+const { parseSsml, escapeSsml, escapeSsmlAttribute } = require('./ssml');
+const { DEFAULT_LANGUAGE_CODE } = require('./synthesisOptions');
+
+/**
+ * Azure AI Speech (Cognitive Services) text-to-speech provider
+ *
+ * Uses the Speech REST API, so no SDK is needed. Requests arrive in Google's
+ * shape ({ input, voice, audioConfig }) and are translated into Azure SSML: the
+ * text is wrapped in <speak version xmlns xml:lang><voice name>, and the audio
+ * tuning becomes <prosody>. The REST API doesn't report <bookmark> times, so
+ * read-along timing from this provider is always estimated.
+ */
+
+const DEFAULT_VOICE = 'en-US-AvaMultilingualNeural';
+
+// X-Microsoft-OutputFormat per encoding and sample rate; the first rate is the default
+const OUTPUT_FORMATS = {
+    OGG_OPUS: {
+        24000: 'ogg-24khz-16bit-mono-opus',
+        16000: 'ogg-16khz-16bit-mono-opus',
+        48000: 'ogg-48khz-16bit-mono-opus'
+    },
+    MP3: {
+        24000: 'audio-24khz-48kbitrate-mono-mp3',
+        16000: 'audio-16khz-32kbitrate-mono-mp3',
+        48000: 'audio-48khz-96kbitrate-mono-mp3'
+    },
+    LINEAR16: {
+        24000: 'riff-24khz-16bit-mono-pcm',
+        8000: 'riff-8khz-16bit-mono-pcm',
+        16000: 'riff-16khz-16bit-mono-pcm',
+        48000: 'riff-48khz-16bit-mono-pcm'
+    },
+    MULAW: { 8000: 'riff-8khz-8bit-mono-mulaw' },
+    ALAW: { 8000: 'riff-8khz-8bit-mono-alaw' }
+};
+
+const REQUEST_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Picks the output format for an encoding, using the closest supported sample rate
+ */
+function getOutputFormat(audioEncoding, sampleRateHertz) {
+    const formats = OUTPUT_FORMATS[audioEncoding];
+    const rates = Object.keys(formats).map(Number);
+    const rate = sampleRateHertz
+        ? rates.reduce((best, candidate) =>
+            Math.abs(candidate - sampleRateHertz) < Math.abs(best - sampleRateHertz) ? candidate : best)
+        : rates[0];
+    return formats[rate];
+}
+
+/**
+ * <prosody> attributes for the Google audio tuning fields
+ */
+function prosodyAttributes({ speakingRate, pitch, volumeGainDb }) {
+    const attributes = [];
+    if (speakingRate !== undefined && speakingRate !== 1) {
+        attributes.push(`rate="${speakingRate}"`);
+    }
+    if (pitch) {
+        attributes.push(`pitch="${pitch > 0 ? '+' : ''}${pitch}st"`);
+    }
+    if (volumeGainDb) {
+        // Azure takes a relative volume in percent rather than decibels
+        const percent = Math.max(-100, Math.round((Math.pow(10, volumeGainDb / 20) - 1) * 100));
+        attributes.push(`volume="${percent > 0 ? '+' : ''}${percent}%"`);
+    }
+    return attributes.join(' ');
+}
+
+/**
+ * Builds the Azure SSML document for a request
+ *
+ * Content outside any <voice> element is spoken by the request's voice; <voice>
+ * elements in SSML input are kept as siblings, since Azure doesn't allow them
+ * to nest. Google <mark>s are dropped because no times are reported for them.
+ */
+function toAzureSsml(request, voiceName) {
+    const languageCode = request.voice.languageCode || DEFAULT_LANGUAGE_CODE;
+    const prosody = prosodyAttributes(request.audioConfig);
+    const openDefault = `<voice name="${escapeSsmlAttribute(voiceName)}">${prosody ? `<prosody ${prosody}>` : ''}`;
+    const closeDefault = `${prosody ? '</prosody>' : ''}</voice>`;
+
+    const tokens = request.input.ssml !== undefined
+        ? parseSsml(request.input.ssml).tokens
+        : [{ type: 'text', raw: escapeSsml(request.input.text) }];
+
+    let body = '';
+    let depth = 0;
+    let inDefault = false;
+    for (const token of tokens) {
+        if (token.name === 'mark') {
+            continue;
+        }
+        if (depth === 0 && token.type === 'open' && token.name === 'voice') {
+            if (inDefault) {
+                body += closeDefault;
+                inDefault = false;
+            }
+        } else if (depth === 0 && !inDefault) {
+            body += openDefault;
+            inDefault = true;
+        }
+
+        body += token.raw;
+        if (token.type === 'open') {
+            depth++;
+        } else if (token.type === 'close') {
+            depth--;
+        }
+    }
+    if (inDefault) {
+        body += closeDefault;
+    }
+
+    return `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="${escapeSsmlAttribute(languageCode)}">${body}</speak>`;
+}
+
+class AzureSpeechProvider {
+    /**
+     * @param {Object} options - { key, region, endpoint (instead of region), defaultVoice }
+     */
+    constructor(options = {}) {
+        this.name = 'azure';
+        this.key = options.key;
+        this.baseUrl = options.endpoint
+            ? options.endpoint.replace(/\/+$/, '')
+            : (options.region ? `https://${options.region}.tts.speech.microsoft.com` : null);
+        this.voice = options.defaultVoice || DEFAULT_VOICE;
+        this.limits = {
+            maxChunkLength: 4900,       // Keeps each request well under the 10 minute audio limit
+            maxInputBytes: 64 * 1024,
+            maxConcurrent: 10,
+            maxRequestsPerMinute: 100
+        };
+        this.audioEncodings = Object.keys(OUTPUT_FORMATS);
+    }
+
+    isConfigured() {
+        return Boolean(this.key && this.baseUrl);
+    }
+
+    /**
+     * Voice used when a request doesn't name one; multilingual voices also
+     * speak the other languages
+     */
+    defaultVoice() {
+        return this.voice;
+    }
+
+    supportsTimepoints() {
+        return false;
+    }
+
+    async send(path, init) {
+        if (!this.isConfigured()) {
+            throw new Error('Azure Speech is not configured: set AZURE_SPEECH_KEY and AZURE_SPEECH_REGION');
+        }
+
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}${path}`, {
+                ...init,
+                headers: {
+                    ...init.headers,
+                    'Ocp-Apim-Subscription-Key': this.key,
+                    'User-Agent': 'azure-google-tts'
+                },
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+        } catch (error) {
+            // Timeouts and network failures
+            throw new TransientError(`Azure Speech request failed: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+            if (response.status === 429) {
+                throw new RateLimitError(`Rate limit exceeded: Azure Speech returned 429 ${detail}`.trim(), retryAfterMs);
+            }
+            if (response.status === 408 || response.status >= 500) {
+                throw new TransientError(`Azure Speech returned ${response.status} ${detail}`.trim(), retryAfterMs);
+            }
+            throw new Error(`Azure Speech request failed with status ${response.status} ${detail}`.trim());
+        }
+        return response;
+    }
+
+    async synthesize(request) {
+        const voiceName = request.voice.name || this.voice;
+        const response = await this.send('/cognitiveservices/v1', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/ssml+xml',
+                'X-Microsoft-OutputFormat': getOutputFormat(request.audioConfig.audioEncoding, request.audioConfig.sampleRateHertz)
+            },
+            body: toAzureSsml(request, voiceName)
+        });
+        return { audioContent: Buffer.from(await response.arrayBuffer()), timepoints: [] };
+    }
+
+    /**
+     * @returns {Promise<Object[]>} - Voices as [{ name, languageCodes, ssmlGender, naturalSampleRateHertz }]
+     */
+    async listVoices() {
+        const response = await this.send('/cognitiveservices/voices/list', { method: 'GET' });
+        const voices = await response.json();
+        return voices.map(voice => ({
+            name: voice.ShortName,
+            languageCodes: [voice.Locale, ...(voice.SecondaryLocaleList || [])],
+            ssmlGender: (voice.Gender || '').toUpperCase() || 'SSML_VOICE_GENDER_UNSPECIFIED',
+            naturalSampleRateHertz: Number(voice.SampleRateHertz) || null
+        }));
+    }
+}
+
+module.exports = {
+    AzureSpeechProvider,
+    toAzureSsml
+};
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const path = require('path');
+const { ValidationError } = require('./errors');
+const { parseSynthesisOptions } = require('./synthesisOptions');
+const { toWebVtt } = require('./timing');
+const { audioDetails } = require('./history');
+
+/**
+ * Batch conversion of document files
+ *
+ * A batch converts many files with one set of options, the fields of a JSON
+ * synthesis request (voice, format, post-processing...). Each file is the text
+ * of its own request, read in the input format its extension names, and its
+ * audio is named after the file. The outcome of every file is listed in a
+ * manifest. Shared by the batch CLI (bin/tts-batch.js) and the batch upload
+ * route (ttsBatch.js).
+ */
+
+// Input fields each file's extension sets
+const FILE_FORMATS = {
+    '.txt': {},
+    '.text': {},
+    '.md': { inputFormat: 'markdown' },
+    '.markdown': { inputFormat: 'markdown' },
+    '.html': { inputFormat: 'html' },
+    '.htm': { inputFormat: 'html' },
+    '.xhtml': { inputFormat: 'html' },
+    '.epub': { inputFormat: 'epub' },
+    '.ssml': { inputType: 'ssml' }
+};
+
+// Request fields a batch can't set: every file brings its own input
+const INPUT_FIELDS = ['text', 'chapters', 'script', 'speakers', 'inputFormat', 'inputType', 'stream'];
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Whether a file can be converted, by its extension
+ */
+function isBatchFile(fileName) {
+    return Object.prototype.hasOwnProperty.call(FILE_FORMATS, path.extname(fileName).toLowerCase());
+}
+
+/**
+ * Validates the options of a batch: a JSON request body without the input fields
+ *
+ * @param {*} config - Parsed config file or options field
+ * @returns {Object} - The options
+ * @throws {ValidationError}
+ */
+function readBatchConfig(config) {
+    if (config === undefined || config === null) {
+        return {};
+    }
+    if (typeof config !== 'object' || Array.isArray(config)) {
+        throw new ValidationError('Batch options must be a JSON object of synthesis options', { field: 'options' });
+    }
+    const field = INPUT_FIELDS.find(name => config[name] !== undefined);
+    if (field) {
+        throw new ValidationError(`${field} can't be set for a batch; each file is the input of its own request`, { field });
+    }
+    // Invalid values fail the whole batch now rather than every file later
+    parseSynthesisOptions(config);
+    return config;
+}
+
+/**
+ * The request body for one file of a batch
+ *
+ * EPUB files are sent as base64 like EPUB requests; other files are UTF-8 text.
+ *
+ * @param {string} fileName - Name of the file, for its extension
+ * @param {Buffer} content - The file's bytes
+ * @param {Object} config - Batch options, from readBatchConfig
+ * @returns {Object} - JSON request body
+ * @throws {ValidationError} - For a file type that can't be converted, or an empty file
+ */
+function batchFileRequest(fileName, content, config) {
+    const extension = path.extname(fileName).toLowerCase();
+    if (!isBatchFile(fileName)) {
+        throw new ValidationError(
+            `${fileName} can't be converted; use one of ${Object.keys(FILE_FORMATS).join(', ')}`,
+            { field: 'files' }
+        );
+    }
+    const text = extension === '.epub'
+        ? content.toString('base64')
+        : content.toString('utf8').replace(/^\uFEFF/, '');
+    if (text.trim() === '') {
+        throw new ValidationError(`${fileName} is empty`, { field: 'files' });
+    }
+    return { ...config, ...FILE_FORMATS[extension], text };
+}
+
+/**
+ * Output names for a batch's files: each file's path with the output
+ * extension, numbered when two files would get the same name
+ *
+ * @param {string[]} fileNames - Relative paths of the files
+ * @param {string} extension - Output extension, e.g. "ogg"
+ * @returns {string[]}
+ */
+function batchOutputNames(fileNames, extension) {
+    const used = new Set();
+    return fileNames.map(fileName => {
+        const parsed = path.posix.parse(fileName.split(path.sep).join('/'));
+        const base = path.posix.join(parsed.dir, parsed.name);
+        let name = `${base}.${extension}`;
+        for (let copy = 2; used.has(name.toLowerCase()); copy++) {
+            name = `${base}-${copy}.${extension}`;
+        }
+        used.add(name.toLowerCase());
+        return name;
+    });
+}
+
+/**
+ * Fingerprint of a file's content and the options it is converted with, so a
+ * resumed batch can tell which earlier results still apply
+ */
+function batchFingerprint(content, config) {
+    return crypto.createHash('sha256')
+        .update(content)
+        .update(JSON.stringify(config))
+        .digest('hex');
+}
+
+/**
+ * The files written for one converted file: its audio, and WebVTT captions
+ * next to it when the batch asks for timing
+ *
+ * @param {string} output - Output name of the audio
+ * @param {Object} result - synthesizeText result
+ * @returns {{ name: string, data: Buffer }[]}
+ */
+function batchOutputFiles(output, result) {
+    const files = [{ name: output, data: result.audio }];
+    if (result.timing) {
+        files.push({
+            name: output.replace(/\.[^./]+$/, '.vtt'),
+            data: Buffer.from(toWebVtt(result.timing), 'utf8')
+        });
+    }
+    return files;
+}
+
+/**
+ * A new, empty manifest for a batch
+ */
+function createManifest(config) {
+    const now = new Date().toISOString();
+    return { version: MANIFEST_VERSION, options: config, createdAt: now, updatedAt: now, files: [] };
+}
+
+/**
+ * Manifest entry for a converted file
+ *
+ * @param {Object} file - { file, output, fingerprint? }
+ * @param {Object} result - synthesizeText result
+ * @param {Object} options - Parsed synthesis options the file was converted with
+ * @returns {Object}
+ */
+function completedEntry(file, result, options) {
+    const { audio, chunksProcessed, cache, chapters, timing, provider, fallbackFrom, failedChunks, characters } = result;
+    return {
+        ...file,
+        status: 'completed',
+        ...(timing && { captions: file.output.replace(/\.[^./]+$/, '.vtt') }),
+        provider,
+        fallbackFrom: fallbackFrom || null,
+        characters,
+        chunks: chunksProcessed,
+        cache,
+        ...audioDetails(audio, { audioEncoding: options.audioEncoding, outputMode: options.outputMode, chapters }),
+        chapters: chapters
+            ? chapters.map(({ index, title, startSeconds, durationSeconds }) => ({ index, title, startSeconds, durationSeconds }))
+            : null,
+        failedChunks: failedChunks || null,
+        error: null,
+        completedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Manifest entry for a file that could not be converted
+ */
+function failedEntry(file, error) {
+    return {
+        ...file,
+        status: 'failed',
+        failedChunks: error.failedChunks || null,
+        error: error.message,
+        completedAt: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    FILE_FORMATS,
+    isBatchFile,
+    readBatchConfig,
+    batchFileRequest,
+    batchOutputNames,
+    batchFingerprint,
+    batchOutputFiles,
+    createManifest,
+    completedEntry,
+    failedEntry
+};
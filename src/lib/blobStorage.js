@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+
+/**
+ * Azure Blob Storage helpers for the stores that keep shared state in blobs
+ * (accounts, usage and jobs)
+ *
+ * A Function App scales out to several instances and recycles them at will,
+ * so state that every instance must agree on can't live in a worker's memory
+ * or temp directory. On a deployed Function App (Azure sets WEBSITE_INSTANCE_ID
+ * on every instance) those stores default to Azure Blob Storage in the app's
+ * own storage account (AzureWebJobsStorage); elsewhere they default to their
+ * local backends.
+ */
+
+// Attempts to win a conditional write before giving up
+const MAX_CONFLICT_RETRIES = 8;
+const CONFLICT_WAIT_MS = 50;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether this process is an instance of a deployed Function App
+ *
+ * @param {Object} env - Environment variables (defaults to process.env)
+ */
+function isFunctionAppInstance(env = process.env) {
+    return Boolean(env.WEBSITE_INSTANCE_ID);
+}
+
+/**
+ * The backend a store uses when its setting is unset: "blob" on a deployed
+ * Function App, localBackend elsewhere
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} localBackend - Backend for local development, e.g. "memory"
+ * @returns {string}
+ */
+function defaultBackend(env, localBackend) {
+    return isFunctionAppInstance(env) ? 'blob' : localBackend;
+}
+
+// User ids (usually email addresses) never end up in blob names
+function userKey(userId) {
+    return crypto.createHash('sha256').update(userId).digest('hex');
+}
+
+/**
+ * A blob container, created on first write
+ */
+class BlobContainer {
+    /**
+     * @param {Object} options - { connectionString, containerName, setting: the
+     *   setting that names the connection string, for the error message }
+     */
+    constructor(options = {}) {
+        if (!options.connectionString) {
+            throw new Error(`The blob backend needs ${options.setting} (or AzureWebJobsStorage)`);
+        }
+        // Loaded lazily so the other backends work without the Azure SDK configured
+        const { BlobServiceClient } = require('@azure/storage-blob');
+        this.container = BlobServiceClient
+            .fromConnectionString(options.connectionString)
+            .getContainerClient(options.containerName);
+        this.containerReady = null;
+    }
+
+    async ready() {
+        if (!this.containerReady) {
+            this.containerReady = this.container.createIfNotExists().catch(error => {
+                this.containerReady = null;
+                throw error;
+            });
+        }
+        await this.containerReady;
+    }
+
+    blockBlob(name) {
+        return this.container.getBlockBlobClient(name);
+    }
+
+    appendBlob(name) {
+        return this.container.getAppendBlobClient(name);
+    }
+
+    /**
+     * @returns {Promise<string[]>} - Names of the blobs whose names start with prefix
+     */
+    async listNames(prefix) {
+        const names = [];
+        try {
+            for await (const blob of this.container.listBlobsFlat({ prefix })) {
+                names.push(blob.name);
+            }
+        } catch (error) {
+            // The container doesn't exist until the first write
+            if (error.statusCode !== 404) {
+                throw error;
+            }
+        }
+        return names;
+    }
+
+    /**
+     * @returns {Promise<{ data: Buffer|null, etag: string|null }>} - null data when the blob doesn't exist
+     */
+    async download(name) {
+        try {
+            const response = await this.container.getBlobClient(name).download();
+            const parts = [];
+            for await (const part of response.readableStreamBody) {
+                parts.push(part);
+            }
+            return { data: Buffer.concat(parts), etag: response.etag };
+        } catch (error) {
+            if (error.statusCode === 404) {
+                return { data: null, etag: null };
+            }
+            throw error;
+        }
+    }
+
+    async readJson(name) {
+        const { data } = await this.download(name);
+        return data ? JSON.parse(data.toString('utf8')) : null;
+    }
+
+    async writeJson(name, value) {
+        await this.ready();
+        const body = Buffer.from(JSON.stringify(value), 'utf8');
+        await this.blockBlob(name).upload(body, body.length);
+    }
+
+    /**
+     * Changes a JSON blob atomically: the write is conditional on the blob's
+     * ETag, so instances changing it at the same time retry instead of
+     * overwriting each other's changes
+     *
+     * @param {string} name - Blob name
+     * @param {Function} change - (value | null) => { value, result }, or a promise
+     *   of it; returning value undefined writes nothing. It runs again after a
+     *   conflict, so anything it reads is read again too
+     * @returns {Promise<*>} - The change's result
+     */
+    async updateJson(name, change) {
+        await this.ready();
+        const blob = this.blockBlob(name);
+        for (let attempt = 0; attempt < MAX_CONFLICT_RETRIES; attempt++) {
+            const { data, etag } = await this.download(name);
+            const { value, result } = await change(data ? JSON.parse(data.toString('utf8')) : null);
+            if (value === undefined) {
+                return result;
+            }
+            const body = Buffer.from(JSON.stringify(value), 'utf8');
+            try {
+                await blob.upload(body, body.length, {
+                    conditions: etag ? { ifMatch: etag } : { ifNoneMatch: '*' }
+                });
+                return result;
+            } catch (error) {
+                // 412: changed since it was read; 409: created by another instance
+                if (error.statusCode !== 412 && error.statusCode !== 409) {
+                    throw error;
+                }
+                await sleep(Math.random() * CONFLICT_WAIT_MS * (attempt + 1));
+            }
+        }
+        throw new Error(`${name} is too contended to update`);
+    }
+}
+
+module.exports = {
+    isFunctionAppInstance,
+    defaultBackend,
+    userKey,
+    BlobContainer
+};
@@ -0,0 +1,113 @@
+const { createSilence, createTone } = require('./audioStitcher');
+const { encodeCacheEntry, decodeCacheEntry } = require('./synthesisCache');
+const { ssmlToPlainText } = require('./ssml');
+const { estimateSpokenSeconds } = require('./usage');
+
+/**
+ * Chunks that fail
+ *
+ * A chunk can still fail after the retry policy has given up on it. The
+ * request's failurePolicy decides what happens then:
+ *   fail    - (default) the synthesis fails, naming the failed chunks
+ *   skip    - the chunk is left out of the audio
+ *   silence - silence as long as the chunk would roughly have taken to speak
+ *   tone    - a short tone, so listeners can hear where text is missing
+ *             (WAV encodings, or any encoding with post-processing)
+ * If every chunk fails there is no audio to keep, so the synthesis fails
+ * whatever the policy.
+ *
+ * A checkpoint keeps the audio (and timepoints) of the chunks that did
+ * succeed, along with the provider that made them, so a later run can
+ * synthesize only the failed chunks and stitch the same file around them.
+ */
+
+const DEFAULT_FAILURE_POLICY = 'fail';
+
+const TONE_SECONDS = 0.5;
+
+// Enough of a chunk's text to recognize it by
+const EXCERPT_LENGTH = 80;
+
+function plainText(text, inputType) {
+    return (inputType === 'ssml' ? ssmlToPlainText(text) : text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Describes a failed chunk for responses and job records
+ *
+ * @param {number} index - Chunk index
+ * @param {string} text - Chunk text (or SSML)
+ * @param {string} inputType - "text" or "ssml"
+ * @param {string} error - Error message
+ * @returns {{ index: number, text: string, characters: number, error: string }} - text is an
+ *   excerpt; characters counts the whole chunk, as requested again when it is retried
+ */
+function describeFailedChunk(index, text, inputType, error) {
+    const excerpt = plainText(text, inputType);
+    return {
+        index,
+        text: excerpt.length > EXCERPT_LENGTH ? `${excerpt.slice(0, EXCERPT_LENGTH - 1)}…` : excerpt,
+        characters: text.length,
+        error
+    };
+}
+
+/**
+ * Audio that stands in for a failed chunk under a failure policy
+ *
+ * @param {string} policy - "skip", "silence" or "tone"
+ * @param {Buffer} template - A chunk that succeeded, for the audio format
+ * @param {string} text - The failed chunk's text (or SSML)
+ * @param {Object} options - The chunk's synthesis options: { inputType, speakingRate, audioEncoding }
+ * @returns {Buffer}
+ */
+function createFailureMarker(policy, template, text, options) {
+    if (policy === 'tone') {
+        return createTone(template, TONE_SECONDS, options.audioEncoding);
+    }
+    if (policy === 'silence') {
+        return createSilence(template, estimateSpokenSeconds(text, options.inputType, options.speakingRate || 1), options.audioEncoding);
+    }
+    return Buffer.alloc(0);
+}
+
+/**
+ * Packs a checkpoint as [4-byte header length][header JSON][chunk entries]
+ *
+ * @param {Object} checkpoint - { input, provider, defaultVoices, chunks }, where chunks
+ *   holds { audioContent, timepoints } per chunk (null for a failed chunk) and input is
+ *   whatever the caller needs to plan the same chunks again
+ * @returns {Buffer}
+ */
+function encodeCheckpoint({ chunks, ...header }) {
+    const entries = chunks.map(chunk => chunk ? encodeCacheEntry(chunk) : Buffer.alloc(0));
+    const json = Buffer.from(JSON.stringify({ ...header, lengths: entries.map(entry => entry.length) }), 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(json.length);
+    return Buffer.concat([length, json, ...entries]);
+}
+
+/**
+ * Unpacks a checkpoint written by encodeCheckpoint
+ *
+ * @returns {Object} - { input, provider, defaultVoices, chunks }
+ */
+function decodeCheckpoint(buffer) {
+    const headerLength = buffer.readUInt32LE(0);
+    const { lengths, ...header } = JSON.parse(buffer.toString('utf8', 4, 4 + headerLength));
+    let offset = 4 + headerLength;
+    const chunks = lengths.map(length => {
+        const entry = buffer.subarray(offset, offset + length);
+        offset += length;
+        return length > 0 ? decodeCacheEntry(entry) : null;
+    });
+    return { ...header, chunks };
+}
+
+module.exports = {
+    DEFAULT_FAILURE_POLICY,
+    describeFailedChunk,
+    createFailureMarker,
+    encodeCheckpoint,
+    decodeCheckpoint
+};
@@ -0,0 +1,370 @@
+const { Parser } = require('htmlparser2');
+const { marked } = require('marked');
+const AdmZip = require('adm-zip');
+const path = require('path');
+const { ValidationError } = require('./errors');
+
+/**
+ * Document preprocessing: Markdown, HTML and EPUB to speakable SSML
+ *
+ * Articles and chapters often arrive as markup. Fed straight into the text
+ * chunker, the voice would read out asterisks, link URLs and tags. This stage
+ * runs ahead of chunking and:
+ * - Extracts the readable text as a list of blocks (headings, paragraphs, list items)
+ * - Drops non-speakable content: images, footnote markers and footnote bodies,
+ *   scripts/styles/navigation, and (optionally) code blocks
+ * - Turns document structure into pauses with generated SSML <break> elements
+ * - Splits the document into chapters at top-level headings (or EPUB spine
+ *   documents) and returns them as metadata alongside the combined SSML
+ *
+ * Markdown is rendered to HTML first, so all formats share the HTML walker.
+ */
+
+const INPUT_FORMATS = ['text', 'markdown', 'html', 'epub'];
+
+// Pauses inserted for document structure
+const PAUSES = {
+    beforeHeading: '750ms',
+    afterHeading: '500ms',
+    listItem: '300ms',
+    chapter: '1500ms'
+};
+
+// Elements whose content is never spoken
+const SKIPPED_ELEMENTS = new Set(['script', 'style', 'head', 'nav', 'img', 'svg', 'figure', 'math', 'noscript', 'template']);
+
+// Elements that start a new block of text
+const BLOCK_ELEMENTS = new Set([
+    'p', 'div', 'li', 'dt', 'dd', 'blockquote', 'pre', 'section', 'article', 'header', 'footer',
+    'aside', 'table', 'tr', 'td', 'th', 'ul', 'ol', 'dl', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'br', 'hr', 'body'
+]);
+
+const HEADING_PATTERN = /^h([1-6])$/;
+
+function escapeSsml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Whether an element is a footnote reference or footnote body
+ *
+ * Covers the markup produced by common Markdown renderers (class="footnote-ref",
+ * class="footnotes") and EPUB semantic attributes (epub:type="noteref"/"footnote").
+ */
+function isFootnote(name, attributes) {
+    const epubType = attributes['epub:type'] || '';
+    const role = attributes.role || '';
+    const className = attributes.class || '';
+
+    if (/\b(noteref|footnote|endnote|endnotes|footnotes|rearnote)\b/.test(epubType)) {
+        return true;
+    }
+    if (/\bdoc-(noteref|footnote|endnote|endnotes)\b/.test(role)) {
+        return true;
+    }
+    if (/\b(footnote-ref|footnotes|footnote-backref)\b/.test(className)) {
+        return true;
+    }
+    // <sup><a href="#fn1">1</a></sup> style markers
+    return name === 'a' && /^#(fn|footnote|note)/i.test(attributes.href || '');
+}
+
+/**
+ * Extracts speakable blocks from an HTML document
+ *
+ * @param {string} html - HTML or XHTML markup
+ * @param {Object} options - { stripCode }
+ * @returns {{ blocks: Object[], title: string|null }} - Blocks are { type: 'heading'|'paragraph'|'listItem', level?, text }
+ */
+function extractBlocks(html, options = {}) {
+    const { stripCode = true } = options;
+    const blocks = [];
+    const stack = [];
+    let skipDepth = 0;
+    let text = '';
+    let title = null;
+    let titleText = null;
+
+    const currentBlockType = () => {
+        for (let i = stack.length - 1; i >= 0; i--) {
+            const heading = stack[i].match(HEADING_PATTERN);
+            if (heading) {
+                return { type: 'heading', level: Number(heading[1]) };
+            }
+            if (stack[i] === 'li' || stack[i] === 'dt' || stack[i] === 'dd') {
+                return { type: 'listItem' };
+            }
+        }
+        return { type: 'paragraph' };
+    };
+
+    const flush = () => {
+        // Removed markers (footnotes, images) can leave a space before punctuation
+        const normalized = text.replace(/\s+/g, ' ').replace(/ ([.,;:!?])/g, '$1').trim();
+        if (normalized) {
+            blocks.push({ ...currentBlockType(), text: normalized });
+        }
+        text = '';
+    };
+
+    const parser = new Parser({
+        onopentag(name, attributes) {
+            // The document <title> lives in the skipped <head>, but is kept as a fallback chapter title
+            if (name === 'title') {
+                titleText = '';
+            }
+            if (skipDepth > 0 || SKIPPED_ELEMENTS.has(name) || isFootnote(name, attributes) ||
+                (stripCode && name === 'pre')) {
+                // Void elements (img) never get a close event in HTML mode
+                if (name !== 'img') {
+                    skipDepth++;
+                }
+                return;
+            }
+            if (BLOCK_ELEMENTS.has(name)) {
+                flush();
+            }
+            stack.push(name);
+        },
+        ontext(data) {
+            if (titleText !== null) {
+                titleText += data;
+                return;
+            }
+            if (skipDepth === 0) {
+                text += data;
+            }
+        },
+        onclosetag(name) {
+            if (name === 'title' && titleText !== null) {
+                title = titleText.replace(/\s+/g, ' ').trim() || null;
+                titleText = null;
+            }
+            if (skipDepth > 0) {
+                if (name !== 'img') {
+                    skipDepth--;
+                }
+                return;
+            }
+            if (BLOCK_ELEMENTS.has(name)) {
+                flush();
+            }
+            const index = stack.lastIndexOf(name);
+            if (index !== -1) {
+                stack.length = index;
+            }
+        }
+    }, { decodeEntities: true, lowerCaseTags: true, recognizeSelfClosing: true });
+
+    parser.write(html);
+    parser.end();
+    flush();
+
+    return { blocks, title };
+}
+
+/**
+ * Removes Markdown footnote markers ([^1]) and definitions ([^1]: ...)
+ * before rendering, since marked leaves them in as literal text
+ */
+function stripMarkdownFootnotes(markdown) {
+    return markdown
+        .replace(/^\[\^[^\]]+\]:.*(\n(?: {2,}|\t).*)*/gm, '')
+        .replace(/\[\^[^\]]+\]/g, '');
+}
+
+/**
+ * Groups blocks into chapters, starting a new chapter at each top-level heading
+ *
+ * The top level is the highest heading level present (h1, or h2 when a document
+ * has no h1). Content before the first such heading becomes an untitled chapter.
+ */
+function splitIntoChapters(blocks) {
+    const headingLevels = blocks.filter(block => block.type === 'heading').map(block => block.level);
+    if (headingLevels.length === 0) {
+        return [{ title: null, blocks }];
+    }
+
+    const chapterLevel = Math.min(...headingLevels);
+    const chapters = [];
+    let current = { title: null, blocks: [] };
+
+    for (const block of blocks) {
+        if (block.type === 'heading' && block.level === chapterLevel) {
+            if (current.blocks.length > 0) {
+                chapters.push(current);
+            }
+            current = { title: block.text, blocks: [] };
+        }
+        current.blocks.push(block);
+    }
+    if (current.blocks.length > 0) {
+        chapters.push(current);
+    }
+
+    return chapters;
+}
+
+/**
+ * Renders blocks as SSML body content (without the <speak> root)
+ */
+function blocksToSsml(blocks) {
+    return blocks.map(block => {
+        const text = escapeSsml(block.text);
+        switch (block.type) {
+            case 'heading':
+                return `<break time="${PAUSES.beforeHeading}"/><p>${text}</p><break time="${PAUSES.afterHeading}"/>`;
+            case 'listItem':
+                return `<p>${text}</p><break time="${PAUSES.listItem}"/>`;
+            default:
+                return `<p>${text}</p>`;
+        }
+    }).join('\n');
+}
+
+function wrapSpeak(body) {
+    return `<speak>\n${body}\n</speak>`;
+}
+
+/**
+ * Reads the spine documents of an EPUB in reading order
+ *
+ * @param {Buffer} epub - EPUB file contents
+ * @returns {Object[]} - [{ href, html }]
+ */
+function readEpubSpine(epub) {
+    let zip;
+    try {
+        zip = new AdmZip(epub);
+    } catch (error) {
+        throw new ValidationError(`Invalid EPUB: ${error.message}`);
+    }
+
+    const readEntry = (entryPath) => {
+        const entry = zip.getEntry(entryPath);
+        if (!entry) {
+            throw new ValidationError(`Invalid EPUB: missing ${entryPath}`);
+        }
+        return entry.getData().toString('utf8');
+    };
+
+    // container.xml points at the OPF package document
+    let opfPath = null;
+    const containerParser = new Parser({
+        onopentag(name, attributes) {
+            if (name === 'rootfile' && !opfPath) {
+                opfPath = attributes['full-path'];
+            }
+        }
+    }, { xmlMode: true });
+    containerParser.end(readEntry('META-INF/container.xml'));
+    if (!opfPath) {
+        throw new ValidationError('Invalid EPUB: container.xml has no rootfile');
+    }
+
+    // The OPF manifest maps ids to files; the spine lists ids in reading order
+    const manifest = new Map();
+    const spine = [];
+    const opfParser = new Parser({
+        onopentag(name, attributes) {
+            const localName = name.replace(/^.*:/, '');
+            if (localName === 'item') {
+                manifest.set(attributes.id, attributes.href);
+            } else if (localName === 'itemref' && attributes.linear !== 'no') {
+                spine.push(attributes.idref);
+            }
+        }
+    }, { xmlMode: true });
+    opfParser.end(readEntry(opfPath));
+
+    const baseDir = path.posix.dirname(opfPath);
+    return spine
+        .filter(id => manifest.has(id))
+        .map(id => {
+            const href = decodeURIComponent(manifest.get(id));
+            const entryPath = baseDir === '.' ? href : path.posix.join(baseDir, href);
+            return { href, html: readEntry(entryPath) };
+        });
+}
+
+/**
+ * Converts a document into SSML with structural pauses and chapter metadata
+ *
+ * @param {string|Buffer} content - Markdown/HTML source, or EPUB bytes (Buffer or base64 string)
+ * @param {string} inputFormat - markdown, html or epub
+ * @param {Object} options - { stripCode: drop code blocks (default true) }
+ * @returns {{ ssml: string, chapters: Object[] }} - Combined SSML document and
+ *   chapters as [{ index, title, ssml, characters }]
+ * @throws {ValidationError} - For unreadable EPUBs or documents without speakable text
+ */
+function preprocessDocument(content, inputFormat, options = {}) {
+    let chapters;
+
+    if (inputFormat === 'epub') {
+        const epub = Buffer.isBuffer(content) ? content : Buffer.from(content, 'base64');
+        chapters = readEpubSpine(epub)
+            .map(({ html }) => extractBlocks(html, options))
+            .filter(({ blocks }) => blocks.length > 0)
+            .map(({ blocks, title }) => {
+                const heading = blocks.find(block => block.type === 'heading');
+                return { title: heading ? heading.text : title, blocks };
+            });
+    } else if (inputFormat === 'markdown') {
+        const html = marked.parse(stripMarkdownFootnotes(String(content)), { async: false });
+        chapters = splitIntoChapters(extractBlocks(html, options).blocks);
+    } else if (inputFormat === 'html') {
+        chapters = splitIntoChapters(extractBlocks(String(content), options).blocks);
+    } else {
+        throw new ValidationError(`inputFormat must be one of ${INPUT_FORMATS.join(', ')}`, { field: 'inputFormat' });
+    }
+
+    if (chapters.length === 0) {
+        throw new ValidationError('Document contains no speakable text');
+    }
+
+    const chapterBodies = chapters.map(chapter => blocksToSsml(chapter.blocks));
+
+    return {
+        ssml: wrapSpeak(chapterBodies.join(`\n<break time="${PAUSES.chapter}"/>\n`)),
+        chapters: chapters.map((chapter, index) => ({
+            index,
+            title: chapter.title || `Chapter ${index + 1}`,
+            ssml: wrapSpeak(chapterBodies[index]),
+            characters: chapter.blocks.reduce((sum, block) => sum + block.text.length, 0)
+        }))
+    };
+}
+
+/**
+ * Prepares request input for synthesis
+ *
+ * Documents (options.inputFormat markdown/html/epub) are converted to SSML and
+ * the returned options switch to SSML input; anything else passes through.
+ *
+ * @param {string} text - Request text (base64 for EPUB)
+ * @param {Object} options - Synthesis options
+ * @returns {{ text: string, options: Object, chapters: Object[]|null }}
+ */
+function prepareDocumentInput(text, options = {}) {
+    const { inputFormat, stripCode, ...rest } = options;
+    if (!inputFormat || inputFormat === 'text') {
+        return { text, options: rest, chapters: null };
+    }
+
+    const { ssml, chapters } = preprocessDocument(text, inputFormat, { stripCode });
+    return {
+        text: ssml,
+        options: { ...rest, inputType: 'ssml' },
+        chapters
+    };
+}
+
+module.exports = {
+    INPUT_FORMATS,
+    extractBlocks,
+    preprocessDocument,
+    prepareDocumentInput
+};
@@ -0,0 +1,132 @@
+/**
+ * Error for invalid client input
+ *
+ * Function handlers translate this into a 400 response carrying the message
+ * and any extra details (such as the offending field).
+ */
+class ValidationError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ValidationError';
+        this.isValidation = true;
+        this.details = details;
+    }
+}
+
+/**
+ * Error for a provider refusing the text of one request (too long, invalid
+ * SSML) rather than its options
+ *
+ * Unlike a ValidationError, which every chunk would run into, it only fails
+ * the chunk that was sent, under the request's failure policy. It isn't retried.
+ */
+class InputRejectedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InputRejectedError';
+        this.isInputRejected = true;
+    }
+}
+
+/**
+ * Error for a provider rejecting a request because of rate limits or quota
+ *
+ * Retried with backoff (see retryPolicy.js); retryAfterMs carries the
+ * provider's retry-after hint when it sent one.
+ */
+class RateLimitError extends Error {
+    constructor(message, retryAfterMs) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.isRateLimit = true;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * Error for a provider failure that is likely to succeed when retried
+ * (unavailable, timed out or overloaded)
+ */
+class TransientError extends Error {
+    constructor(message, retryAfterMs) {
+        super(message);
+        this.name = 'TransientError';
+        this.isTransient = true;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * Error for a request refused without calling the provider because its
+ * circuit breaker is open
+ *
+ * Function handlers translate this into a 503 with a Retry-After header.
+ */
+class CircuitOpenError extends Error {
+    constructor(message, retryAfterMs) {
+        super(message);
+        this.name = 'CircuitOpenError';
+        this.isCircuitOpen = true;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * Error for a synthesis in which chunks still failed after their retries
+ *
+ * failedChunks lists them as [{ index, text, characters, error }]. checkpoint, when set,
+ * keeps the audio of the chunks that succeeded so the failed ones can be
+ * retried on their own (see chunkFailures.js).
+ */
+class ChunkFailureError extends Error {
+    constructor(message, failedChunks, checkpoint = null) {
+        super(message);
+        this.name = 'ChunkFailureError';
+        this.isChunkFailure = true;
+        this.failedChunks = failedChunks;
+        this.checkpoint = checkpoint;
+    }
+}
+
+/**
+ * Error for a synthesis that would take a user past a character quota
+ *
+ * Function handlers translate this into a 429 with a Retry-After header
+ * (retryAfterMs, until the quota period resets) and the quota in the body.
+ */
+class QuotaExceededError extends Error {
+    constructor(message, quota, retryAfterMs) {
+        super(message);
+        this.name = 'QuotaExceededError';
+        this.isQuotaExceeded = true;
+        this.quota = quota;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * Error for a request the caller's account doesn't allow (such as a voice
+ * outside its allowed voices)
+ *
+ * Function handlers translate this into a 403 carrying the message and any
+ * extra details (such as the offending field).
+ */
+class AccessDeniedError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'AccessDeniedError';
+        this.isAccessDenied = true;
+        this.details = details;
+    }
+}
+
+module.exports = {
+    ValidationError,
+    InputRejectedError,
+    RateLimitError,
+    TransientError,
+    CircuitOpenError,
+    ChunkFailureError,
+    QuotaExceededError,
+    AccessDeniedError
+};
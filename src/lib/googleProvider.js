@@ -0,0 +1,135 @@
+const textToSpeech = require('@google-cloud/text-to-speech');
+const { GoogleAuth } = require('google-auth-library');
+const { ValidationError, InputRejectedError, RateLimitError, TransientError } = require('./errors');
+const { DEFAULT_LANGUAGE_CODE, DEFAULT_VOICE_NAME } = require('./synthesisOptions');
+
+// gRPC status codes: a request Google refuses, and those worth retrying
+const INVALID_ARGUMENT = 3;
+const RESOURCE_EXHAUSTED = 8;
+const UNAVAILABLE = 14;
+const DEADLINE_EXCEEDED = 4;
+
+// INVALID_ARGUMENT messages about the input text (too many bytes, invalid SSML,
+// sentences too long for the voice) concern the chunk that was sent; those about
+// the voice or audio settings would be the same for every chunk
+const INPUT_REJECTION = /\binput\b|\bssml\b|\bsentences?\b|too long|longer than/i;
+const OPTIONS_REJECTION = /\bvoice\b|language|encoding|sample.?rate|speaking.?rate|pitch|gain|profile/i;
+
+/**
+ * Retry delay from a google.rpc.RetryInfo error detail, if the error has one
+ *
+ * @returns {number|undefined} - Delay in milliseconds
+ */
+function retryInfoDelay(error) {
+    const info = (error.statusDetails || []).find(detail => detail && detail.retryDelay);
+    if (!info) {
+        return undefined;
+    }
+    const { seconds = 0, nanos = 0 } = info.retryDelay;
+    return Number(String(seconds)) * 1000 + Math.round(Number(nanos) / 1e6);
+}
+
+/**
+ * Google Cloud Text-to-Speech provider
+ *
+ * Requests use Google's own shape ({ input, voice, audioConfig }), which is
+ * also the shape every other provider accepts, so this provider passes them
+ * through unchanged.
+ */
+class GoogleProvider {
+    constructor(options = {}) {
+        this.name = 'google';
+        this.credentialsJson = options.credentialsJson;
+        this.client = options.client || null;
+        this.limits = {
+            maxChunkLength: 4900,       // Google rejects inputs over 5000 bytes
+            maxInputBytes: 5000,
+            maxConcurrent: 10,
+            maxRequestsPerMinute: 100   // Leave some headroom under the 120/min quota
+        };
+        this.audioEncodings = ['OGG_OPUS', 'MP3', 'LINEAR16', 'MULAW', 'ALAW'];
+    }
+
+    isConfigured() {
+        return Boolean(this.client || this.credentialsJson);
+    }
+
+    /**
+     * Returns the Google client, creating it on first use
+     */
+    async getClient() {
+        if (!this.client) {
+            try {
+                if (!this.credentialsJson) {
+                    throw new Error('GOOGLE_APPLICATION_CREDENTIALS_JSON environment variable is not set');
+                }
+
+                const credentials = JSON.parse(this.credentialsJson);
+                const auth = new GoogleAuth({
+                    credentials: credentials,
+                    scopes: ['https://www.googleapis.com/auth/cloud-platform']
+                });
+
+                // v1beta1 is a superset of v1 that also reports SSML <mark> timepoints
+                this.client = new textToSpeech.v1beta1.TextToSpeechClient({ auth });
+            } catch (error) {
+                throw new Error(`Failed to initialize Google Cloud TTS client: ${error.message}`);
+            }
+        }
+        return this.client;
+    }
+
+    /**
+     * Voice used when a request doesn't name one
+     *
+     * Other languages leave the choice to Google, which picks a voice for the language code.
+     */
+    defaultVoice(languageCode = DEFAULT_LANGUAGE_CODE) {
+        return languageCode === DEFAULT_LANGUAGE_CODE ? DEFAULT_VOICE_NAME : undefined;
+    }
+
+    /**
+     * Whether a voice reports the times of SSML <mark> tags (Chirp HD voices don't)
+     */
+    supportsTimepoints(voiceName = DEFAULT_VOICE_NAME) {
+        return !/Chirp/i.test(voiceName);
+    }
+
+    async synthesize(request) {
+        const client = await this.getClient();
+        try {
+            const [response] = await client.synthesizeSpeech(request);
+            return { audioContent: response.audioContent, timepoints: response.timepoints || [] };
+        } catch (error) {
+            // An unknown voice or an unsupported encoding is the caller's mistake (and
+            // its message may well mention a speaking "rate"); rejected text fails its chunk
+            if (error.code === INVALID_ARGUMENT) {
+                const details = error.details || error.message;
+                if (INPUT_REJECTION.test(details) && !OPTIONS_REJECTION.test(details)) {
+                    throw new InputRejectedError(`Google TTS rejected the chunk: ${details}`);
+                }
+                throw new ValidationError(`Google TTS rejected the request: ${details}`);
+            }
+            if (error.code === RESOURCE_EXHAUSTED || error.message.includes('quota') || error.message.includes('rate')) {
+                throw new RateLimitError(`Rate limit exceeded: ${error.message}`, retryInfoDelay(error));
+            }
+            if (error.code === UNAVAILABLE || error.code === DEADLINE_EXCEEDED) {
+                throw new TransientError(`Google TTS is unavailable: ${error.message}`, retryInfoDelay(error));
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * @returns {Promise<Object[]>} - Voices as [{ name, languageCodes, ssmlGender, naturalSampleRateHertz }]
+     */
+    async listVoices() {
+        const client = await this.getClient();
+        const [response] = await client.listVoices({});
+        return response.voices || [];
+    }
+}
+
+module.exports = {
+    GoogleProvider
+};
@@ -0,0 +1,204 @@
+const { ValidationError } = require('./errors');
+const { getAudioDuration } = require('./audioStitcher');
+const { DEFAULT_AUDIO_ENCODING } = require('./synthesisOptions');
+
+/**
+ * Generation history
+ *
+ * Every finished synthesis can be kept as a history item: the audio, the
+ * request it was made from (so it can be generated again with other settings),
+ * and details to list and search it by. Items are stored per user in a
+ * historyStore (see historyStore.js).
+ */
+
+const MAX_TITLE_LENGTH = 200;
+const GENERATED_TITLE_LENGTH = 80;
+const PREVIEW_LENGTH = 200;
+
+// Request fields that only shape how one response is delivered
+const DELIVERY_FIELDS = ['stream', 'history'];
+
+/**
+ * Readable text of a request: tags and Markdown heading marks are dropped and
+ * whitespace collapsed
+ */
+function plainText(value) {
+    return value
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/^\s{0,3}#+\s*/gm, '')
+        .replace(/[ \t]+/g, ' ')
+        .trim();
+}
+
+/**
+ * The spoken text of a request, for showing and searching history items
+ *
+ * EPUB input is base64, so the chapter titles stand in for its text.
+ *
+ * @param {Object} request - Request body the synthesis was made from
+ * @param {Object[]} chapters - Chapters of the result, when it has any
+ * @returns {string}
+ */
+function sourceText(request, chapters) {
+    if (Array.isArray(request.chapters)) {
+        return request.chapters
+            .map(chapter => [chapter.title, chapter.text].filter(Boolean).join('\n'))
+            .join('\n\n');
+    }
+    if (Array.isArray(request.script)) {
+        return request.script.map(turn => `${turn.speaker}: ${turn.text}`).join('\n');
+    }
+    if (typeof request.script === 'string') {
+        return request.script;
+    }
+    if (String(request.inputFormat || '').toLowerCase() === 'epub') {
+        return (chapters || []).map(chapter => chapter.title).join('\n');
+    }
+    return plainText(typeof request.text === 'string' ? request.text : '');
+}
+
+/**
+ * Title of a new item: the first line of its text, shortened
+ */
+function defaultTitle(text) {
+    const firstLine = text.split('\n').map(line => line.trim()).find(Boolean) || 'Untitled';
+    return firstLine.length > GENERATED_TITLE_LENGTH
+        ? `${firstLine.slice(0, GENERATED_TITLE_LENGTH - 1).trimEnd()}…`
+        : firstLine;
+}
+
+/**
+ * The request body to keep with an item: what was sent, minus delivery options
+ *
+ * @param {Object|null} jsonBody - Parsed JSON body, or null for a plain text request
+ * @param {string} inputText - The request's text
+ * @returns {Object}
+ */
+function historyRequest(jsonBody, inputText) {
+    if (!jsonBody || typeof jsonBody !== 'object') {
+        return { text: inputText };
+    }
+    const request = { ...jsonBody };
+    DELIVERY_FIELDS.forEach(field => delete request[field]);
+    return request;
+}
+
+/**
+ * Builds the fields of a new history item
+ *
+ * @param {Object} request - Request body, from historyRequest
+ * @param {Buffer} audio - The synthesized audio (or ZIP)
+ * @param {Object} details - { source: "speech" | "stream" | "job", jobId?, provider, format: { format, mimeType,
+ *   extension }, audioEncoding, outputMode, characters, chunks, chapters? }
+ * @returns {Object} - Item fields for historyStore.create
+ */
+function toHistoryItem(request, audio, details) {
+    const text = sourceText(request, details.chapters);
+    return {
+        title: defaultTitle(text),
+        text,
+        request,
+        source: details.source,
+        jobId: details.jobId || null,
+        provider: details.provider,
+        voiceName: request.voiceName || request.voice || null,
+        format: details.format.format,
+        mimeType: details.format.mimeType,
+        extension: details.format.extension,
+        characters: details.characters,
+        chunks: details.chunks,
+        chapters: details.chapters
+            ? details.chapters.map(({ index, title, startSeconds, durationSeconds }) => ({ index, title, startSeconds, durationSeconds }))
+            : null,
+        ...audioDetails(audio, details)
+    };
+}
+
+/**
+ * Size and duration of an item's audio; a ZIP lasts as long as its chapters
+ *
+ * @returns {{ audioBytes: number, durationSeconds: number|null }}
+ */
+function audioDetails(audio, { audioEncoding, outputMode, chapters }) {
+    let durationSeconds;
+    if (outputMode === 'zip') {
+        const durations = (chapters || []).map(chapter => chapter.durationSeconds);
+        durationSeconds = durations.length > 0 && durations.every(Number.isFinite)
+            ? durations.reduce((sum, duration) => sum + duration, 0)
+            : null;
+    } else {
+        try {
+            durationSeconds = getAudioDuration(audio, audioEncoding || DEFAULT_AUDIO_ENCODING);
+        } catch {
+            // Audio the stitcher can't parse still plays; its length is just unknown
+            durationSeconds = null;
+        }
+    }
+    return {
+        audioBytes: audio.length,
+        durationSeconds: Number.isFinite(durationSeconds) ? Math.round(durationSeconds * 100) / 100 : null
+    };
+}
+
+/**
+ * Shapes an item for listing: the request and full text are left out
+ */
+function toHistorySummary({ request, text, ...item }) {
+    return {
+        ...item,
+        preview: text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 1).trimEnd()}…` : text
+    };
+}
+
+/**
+ * Whether an item matches a search: every word of the query appears in its
+ * title or text (case-insensitive)
+ *
+ * @param {Object} item - History item
+ * @param {string} query - Search words
+ * @returns {boolean}
+ */
+function matchesQuery(item, query) {
+    const haystack = `${item.title}\n${item.text}`.toLowerCase();
+    return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => haystack.includes(word));
+}
+
+/**
+ * Validates a new title for an item: { title }
+ *
+ * @returns {string}
+ * @throws {ValidationError}
+ */
+function readTitle(body) {
+    const title = body && body.title;
+    if (typeof title !== 'string' || title.trim() === '') {
+        throw new ValidationError('title must be a non-empty string', { field: 'title' });
+    }
+    if (title.trim().length > MAX_TITLE_LENGTH) {
+        throw new ValidationError(`title must be at most ${MAX_TITLE_LENGTH} characters`, { field: 'title' });
+    }
+    return title.trim();
+}
+
+/**
+ * File name to download an item's audio as, from its title
+ */
+function historyFileName(item) {
+    const base = item.title
+        .normalize('NFKD')
+        .replace(/[^\w\s-]/g, '')
+        .trim()
+        .replace(/\s+/g, '-')
+        .slice(0, 60);
+    return `${base || 'speech'}.${item.extension}`;
+}
+
+module.exports = {
+    historyRequest,
+    toHistoryItem,
+    audioDetails,
+    toHistorySummary,
+    matchesQuery,
+    readTitle,
+    historyFileName
+};
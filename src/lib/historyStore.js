@@ -0,0 +1,363 @@
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * Storage for per-user generation history (see history.js)
+ *
+ * A HistoryStore implements the async interface the history routes use:
+ *   list(userId) -> items, newest first (without their audio)
+ *   get(userId, id) -> item | null
+ *   getAudio(userId, id) -> Buffer | null
+ *   create(userId, fields, audio) -> item
+ *   update(userId, id, fields, audio?) -> item | null (audio, when given, replaces the item's audio)
+ *   delete(userId, id) -> boolean
+ *
+ * Each user's items are kept in one index, and the audio of each item
+ * separately so listing stays cheap. Only the newest maxItems items are kept;
+ * older ones are deleted as new ones are created.
+ *
+ * Where the index and audio live is up to a backend with these async methods:
+ *   readIndex(userId) -> items
+ *   updateIndex(userId, change) -> result, applying change(items) -> { items, result }
+ *     atomically (returning the same items array means nothing changed)
+ *   readAudio(userId, id) -> Buffer | null
+ *   writeAudio(userId, id, audio) -> void
+ *   deleteAudio(userId, id) -> void
+ *
+ * Backends are selected with the TTS_HISTORY_STORE environment variable:
+ * "file" (default, for local development and tests), "memory", "blob" (Azure
+ * Blob Storage, for production) or "none" to keep no history.
+ */
+
+const DEFAULT_MAX_ITEMS = 200;
+
+// Attempts to win a conditional index write before waiting and trying again
+const MAX_CONFLICT_RETRIES = 5;
+const CONFLICT_WAIT_MS = 50;
+
+// Item ids are UUIDs; anything else never reaches a path or blob name
+const ITEM_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// User ids (usually email addresses) never end up in paths or blob names
+function userKey(userId) {
+    return crypto.createHash('sha256').update(userId).digest('hex');
+}
+
+class HistoryStore {
+    /**
+     * @param {Object} backend - Index and audio storage (see above)
+     * @param {Object} options - { maxItems: items kept per user }
+     */
+    constructor(backend, options = {}) {
+        this.backend = backend;
+        this.maxItems = options.maxItems || DEFAULT_MAX_ITEMS;
+    }
+
+    async list(userId) {
+        return (await this.backend.readIndex(userId)).map(item => ({ ...item }));
+    }
+
+    async get(userId, id) {
+        const item = (await this.backend.readIndex(userId)).find(candidate => candidate.id === id);
+        return item ? { ...item } : null;
+    }
+
+    async getAudio(userId, id) {
+        if (!(await this.get(userId, id))) {
+            return null;
+        }
+        return this.backend.readAudio(userId, id);
+    }
+
+    async create(userId, fields, audio) {
+        const now = new Date().toISOString();
+        const item = { id: crypto.randomUUID(), ...fields, createdAt: now, updatedAt: now };
+
+        // Audio first, so every item in the index has its audio
+        await this.backend.writeAudio(userId, item.id, audio);
+        const pruned = await this.backend.updateIndex(userId, items => {
+            const next = [item, ...items];
+            return { items: next.slice(0, this.maxItems), result: next.slice(this.maxItems) };
+        });
+        await Promise.all(pruned.map(old => this.backend.deleteAudio(userId, old.id)));
+        return { ...item };
+    }
+
+    async update(userId, id, fields, audio) {
+        if (audio) {
+            if (!(await this.get(userId, id))) {
+                return null;
+            }
+            await this.backend.writeAudio(userId, id, audio);
+        }
+        return this.backend.updateIndex(userId, items => {
+            const index = items.findIndex(candidate => candidate.id === id);
+            if (index === -1) {
+                return { items, result: null };
+            }
+            const updated = { ...items[index], ...fields, id, updatedAt: new Date().toISOString() };
+            return { items: items.map((item, i) => i === index ? updated : item), result: { ...updated } };
+        });
+    }
+
+    async delete(userId, id) {
+        const deleted = await this.backend.updateIndex(userId, items => {
+            const remaining = items.filter(item => item.id !== id);
+            return remaining.length === items.length
+                ? { items, result: false }
+                : { items: remaining, result: true };
+        });
+        if (deleted) {
+            await this.backend.deleteAudio(userId, id);
+        }
+        return deleted;
+    }
+}
+
+/**
+ * History in the worker process (lost on restart)
+ */
+class MemoryHistoryBackend {
+    constructor() {
+        this.indexes = new Map();
+        this.audio = new Map();
+    }
+
+    async readIndex(userId) {
+        return this.indexes.get(userId) || [];
+    }
+
+    async updateIndex(userId, change) {
+        const { items, result } = change(this.indexes.get(userId) || []);
+        this.indexes.set(userId, items);
+        return result;
+    }
+
+    async readAudio(userId, id) {
+        return this.audio.get(`${userId}/${id}`) || null;
+    }
+
+    async writeAudio(userId, id, audio) {
+        this.audio.set(`${userId}/${id}`, Buffer.from(audio));
+    }
+
+    async deleteAudio(userId, id) {
+        this.audio.delete(`${userId}/${id}`);
+    }
+}
+
+/**
+ * History on the local filesystem
+ *
+ * Each user has a directory holding index.json and one <id>.bin per item.
+ * Index changes are serialized within the process and written to a temp file
+ * that is renamed into place, so readers never see a half-written index.
+ */
+class FileHistoryBackend {
+    constructor(options = {}) {
+        this.directory = options.directory || path.join(os.tmpdir(), 'tts-history');
+        this.writes = Promise.resolve();
+    }
+
+    userDirectory(userId) {
+        return path.join(this.directory, userKey(userId));
+    }
+
+    audioPath(userId, id) {
+        if (!ITEM_ID_PATTERN.test(id)) {
+            throw new Error(`Invalid history item id: ${id}`);
+        }
+        return path.join(this.userDirectory(userId), `${id}.bin`);
+    }
+
+    async readIndex(userId) {
+        try {
+            return JSON.parse(await fs.readFile(path.join(this.userDirectory(userId), 'index.json'), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    updateIndex(userId, change) {
+        const result = this.writes.then(async () => {
+            const current = await this.readIndex(userId);
+            const { items, result: value } = change(current);
+            if (items !== current) {
+                const directory = this.userDirectory(userId);
+                await fs.mkdir(directory, { recursive: true });
+                const tempPath = path.join(directory, `index.json.${process.pid}.tmp`);
+                await fs.writeFile(tempPath, JSON.stringify(items));
+                await fs.rename(tempPath, path.join(directory, 'index.json'));
+            }
+            return value;
+        });
+        this.writes = result.catch(() => {});
+        return result;
+    }
+
+    async readAudio(userId, id) {
+        try {
+            return await fs.readFile(this.audioPath(userId, id));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async writeAudio(userId, id, audio) {
+        await fs.mkdir(this.userDirectory(userId), { recursive: true });
+        await fs.writeFile(this.audioPath(userId, id), audio);
+    }
+
+    async deleteAudio(userId, id) {
+        await fs.rm(this.audioPath(userId, id), { force: true });
+    }
+}
+
+/**
+ * History in Azure Blob Storage
+ *
+ * Shared by every worker of the Function App. Each user has a <user>/index.json
+ * blob and one <user>/<id>.bin blob per item. Index updates are conditional on
+ * the blob's ETag, so workers saving at the same time retry instead of
+ * overwriting each other's items.
+ */
+class BlobHistoryBackend {
+    constructor(options = {}) {
+        if (!options.connectionString) {
+            throw new Error('The blob history store needs TTS_HISTORY_BLOB_CONNECTION_STRING (or AzureWebJobsStorage)');
+        }
+        // Loaded lazily so the other backends work without the Azure SDK configured
+        const { BlobServiceClient } = require('@azure/storage-blob');
+        this.container = BlobServiceClient
+            .fromConnectionString(options.connectionString)
+            .getContainerClient(options.containerName || 'tts-history');
+        this.containerReady = null;
+    }
+
+    async ready() {
+        if (!this.containerReady) {
+            this.containerReady = this.container.createIfNotExists().catch(error => {
+                this.containerReady = null;
+                throw error;
+            });
+        }
+        await this.containerReady;
+    }
+
+    indexBlob(userId) {
+        return this.container.getBlockBlobClient(`${userKey(userId)}/index.json`);
+    }
+
+    audioBlob(userId, id) {
+        if (!ITEM_ID_PATTERN.test(id)) {
+            throw new Error(`Invalid history item id: ${id}`);
+        }
+        return this.container.getBlockBlobClient(`${userKey(userId)}/${id}.bin`);
+    }
+
+    async download(blob) {
+        try {
+            const response = await blob.download();
+            const parts = [];
+            for await (const part of response.readableStreamBody) {
+                parts.push(part);
+            }
+            return { data: Buffer.concat(parts), etag: response.etag };
+        } catch (error) {
+            if (error.statusCode === 404) {
+                return { data: null, etag: null };
+            }
+            throw error;
+        }
+    }
+
+    async readIndex(userId) {
+        const { data } = await this.download(this.indexBlob(userId));
+        return data ? JSON.parse(data.toString('utf8')) : [];
+    }
+
+    async updateIndex(userId, change) {
+        await this.ready();
+        const blob = this.indexBlob(userId);
+        for (let attempt = 0; attempt < MAX_CONFLICT_RETRIES; attempt++) {
+            const { data, etag } = await this.download(blob);
+            const current = data ? JSON.parse(data.toString('utf8')) : [];
+            const { items, result } = change(current);
+            if (items === current) {
+                return result;
+            }
+            const body = Buffer.from(JSON.stringify(items), 'utf8');
+            try {
+                await blob.upload(body, body.length, {
+                    conditions: etag ? { ifMatch: etag } : { ifNoneMatch: '*' }
+                });
+                return result;
+            } catch (error) {
+                // 412: changed since it was read; 409: created by another worker
+                if (error.statusCode !== 412 && error.statusCode !== 409) {
+                    throw error;
+                }
+                await sleep(Math.random() * CONFLICT_WAIT_MS);
+            }
+        }
+        throw new Error('History index is too contended to update');
+    }
+
+    async readAudio(userId, id) {
+        return (await this.download(this.audioBlob(userId, id))).data;
+    }
+
+    async writeAudio(userId, id, audio) {
+        await this.ready();
+        await this.audioBlob(userId, id).uploadData(audio);
+    }
+
+    async deleteAudio(userId, id) {
+        await this.audioBlob(userId, id).deleteIfExists();
+    }
+}
+
+/**
+ * Creates a history store from environment configuration
+ *
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {HistoryStore|null} - null when history is turned off
+ */
+function createHistoryStore(env = process.env) {
+    const backend = (env.TTS_HISTORY_STORE || 'file').toLowerCase();
+    const maxItems = env.TTS_HISTORY_MAX_ITEMS ? Number(env.TTS_HISTORY_MAX_ITEMS) : undefined;
+
+    switch (backend) {
+        case 'none':
+            return null;
+        case 'memory':
+            return new HistoryStore(new MemoryHistoryBackend(), { maxItems });
+        case 'file':
+            return new HistoryStore(new FileHistoryBackend({ directory: env.TTS_HISTORY_STORE_DIR }), { maxItems });
+        case 'blob':
+            return new HistoryStore(new BlobHistoryBackend({
+                connectionString: env.TTS_HISTORY_BLOB_CONNECTION_STRING || env.AzureWebJobsStorage,
+                containerName: env.TTS_HISTORY_BLOB_CONTAINER
+            }), { maxItems });
+        default:
+            throw new Error(`Unknown TTS_HISTORY_STORE backend: ${backend}`);
+    }
+}
+
+module.exports = {
+    HistoryStore,
+    MemoryHistoryBackend,
+    FileHistoryBackend,
+    BlobHistoryBackend,
+    createHistoryStore
+};
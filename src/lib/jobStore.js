@@ -0,0 +1,426 @@
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { defaultBackend, BlobContainer } = require('./blobStorage');
+
+/**
+ * Job storage for asynchronous text-to-speech jobs
+ *
+ * A job store keeps up to four things per job:
+ * - The job record (status, progress, timestamps, error) as plain JSON
+ * - The job's input (text, options...) as plain JSON, for the worker that runs it
+ * - The finished audio as a Buffer, stored separately so status polls stay cheap
+ * - A checkpoint of the chunk audio when chunks failed, so they can be retried
+ *   (see chunkFailures.js)
+ *
+ * Every backend implements the same async interface:
+ *   create(fields) -> job
+ *   get(id) -> job | null
+ *   update(id, fields) -> job | null
+ *   transition(id, canChange, fields) -> job | null: updates the job only if
+ *     canChange(job) holds for it as stored, checked and written atomically
+ *     (null when it doesn't, or there is no such job)
+ *   saveInput(id, input) -> void
+ *   getInput(id) -> input | null
+ *   saveResult(id, audioBuffer) -> void
+ *   getResult(id) -> Buffer | null
+ *   saveCheckpoint(id, buffer | null) -> void (null removes it)
+ *   getCheckpoint(id) -> Buffer | null
+ *   delete(id) -> void
+ *
+ * Backends are selected with the TTS_JOB_STORE environment variable: "blob"
+ * (Azure Blob Storage, the default on a deployed Function App), "memory" (the
+ * default elsewhere) or "file".
+ */
+
+// Finished jobs are kept for a day before being pruned
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+function generateJobId() {
+    return crypto.randomUUID();
+}
+
+// Job ids are UUIDs; anything else is refused so ids can't escape a directory or container
+function isJobId(id) {
+    return /^[0-9a-f-]{36}$/i.test(id);
+}
+
+function newJobRecord(fields) {
+    const now = new Date().toISOString();
+    return {
+        id: generateJobId(),
+        status: 'queued',
+        progress: {
+            processed: 0,
+            total: 0,
+            failed: 0,
+            status: 'Waiting to start...',
+            estimatedRemainingMinutes: null
+        },
+        createdAt: now,
+        updatedAt: now,
+        ...fields
+    };
+}
+
+function isExpired(job, ttlMs) {
+    if (job.status !== 'completed' && job.status !== 'failed') {
+        return false;
+    }
+    return Date.now() - new Date(job.updatedAt).getTime() > ttlMs;
+}
+
+/**
+ * In-memory job store
+ *
+ * Jobs live in the worker process only, which is fine for local development
+ * and tests but means jobs are lost when the Function App scales or restarts.
+ */
+class MemoryJobStore {
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+        this.jobs = new Map();
+        this.inputs = new Map();
+        this.results = new Map();
+        this.checkpoints = new Map();
+    }
+
+    async create(fields = {}) {
+        this.prune();
+        const job = newJobRecord(fields);
+        this.jobs.set(job.id, job);
+        return { ...job };
+    }
+
+    async get(id) {
+        const job = this.jobs.get(id);
+        return job ? { ...job } : null;
+    }
+
+    async update(id, fields) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            return null;
+        }
+        const updated = { ...job, ...fields, updatedAt: new Date().toISOString() };
+        this.jobs.set(id, updated);
+        return { ...updated };
+    }
+
+    async transition(id, canChange, fields) {
+        const job = this.jobs.get(id);
+        return job && canChange({ ...job }) ? this.update(id, fields) : null;
+    }
+
+    async saveInput(id, input) {
+        this.inputs.set(id, input);
+    }
+
+    async getInput(id) {
+        return this.inputs.get(id) || null;
+    }
+
+    async saveResult(id, audioBuffer) {
+        this.results.set(id, audioBuffer);
+    }
+
+    async getResult(id) {
+        return this.results.get(id) || null;
+    }
+
+    async saveCheckpoint(id, buffer) {
+        if (buffer) {
+            this.checkpoints.set(id, buffer);
+        } else {
+            this.checkpoints.delete(id);
+        }
+    }
+
+    async getCheckpoint(id) {
+        return this.checkpoints.get(id) || null;
+    }
+
+    async delete(id) {
+        this.jobs.delete(id);
+        this.inputs.delete(id);
+        this.results.delete(id);
+        this.checkpoints.delete(id);
+    }
+
+    prune() {
+        for (const [id, job] of this.jobs) {
+            if (isExpired(job, this.ttlMs)) {
+                this.delete(id);
+            }
+        }
+    }
+}
+
+/**
+ * Local filesystem job store
+ *
+ * Each job is written as <id>.json with its input next to it as
+ * <id>.input.json, its audio as <id>.audio (and a checkpoint as <id>.chunks).
+ * Survives process restarts on a single machine, which makes it useful for
+ * local development with `func start` and for tests that inspect job files.
+ */
+class FileJobStore {
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+        this.directory = options.directory || path.join(os.tmpdir(), 'tts-jobs');
+        // Record changes are made one at a time, so none is lost to another
+        this.changes = Promise.resolve();
+    }
+
+    jobPath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    inputPath(id) {
+        return path.join(this.directory, `${id}.input.json`);
+    }
+
+    resultPath(id) {
+        return path.join(this.directory, `${id}.audio`);
+    }
+
+    checkpointPath(id) {
+        return path.join(this.directory, `${id}.chunks`);
+    }
+
+    async create(fields = {}) {
+        await fs.mkdir(this.directory, { recursive: true });
+        const job = newJobRecord(fields);
+        await this.write(job);
+        return job;
+    }
+
+    async get(id) {
+        if (!isJobId(id)) {
+            return null;
+        }
+        try {
+            const job = JSON.parse(await fs.readFile(this.jobPath(id), 'utf8'));
+            if (isExpired(job, this.ttlMs)) {
+                await this.delete(id);
+                return null;
+            }
+            return job;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async update(id, fields) {
+        return this.transition(id, () => true, fields);
+    }
+
+    transition(id, canChange, fields) {
+        const result = this.changes.then(async () => {
+            const job = await this.get(id);
+            if (!job || !canChange(job)) {
+                return null;
+            }
+            const updated = { ...job, ...fields, updatedAt: new Date().toISOString() };
+            await this.write(updated);
+            return updated;
+        });
+        this.changes = result.catch(() => {});
+        return result;
+    }
+
+    async saveInput(id, input) {
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(this.inputPath(id), JSON.stringify(input));
+    }
+
+    async getInput(id) {
+        const input = await this.readAttachment(id, this.inputPath(id));
+        return input ? JSON.parse(input.toString('utf8')) : null;
+    }
+
+    async saveResult(id, audioBuffer) {
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(this.resultPath(id), audioBuffer);
+    }
+
+    async getResult(id) {
+        return this.readAttachment(id, this.resultPath(id));
+    }
+
+    async saveCheckpoint(id, buffer) {
+        if (!buffer) {
+            await fs.rm(this.checkpointPath(id), { force: true });
+            return;
+        }
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(this.checkpointPath(id), buffer);
+    }
+
+    async getCheckpoint(id) {
+        return this.readAttachment(id, this.checkpointPath(id));
+    }
+
+    async readAttachment(id, filePath) {
+        if (!(await this.get(id))) {
+            return null;
+        }
+        try {
+            return await fs.readFile(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async delete(id) {
+        await fs.rm(this.jobPath(id), { force: true });
+        await fs.rm(this.inputPath(id), { force: true });
+        await fs.rm(this.resultPath(id), { force: true });
+        await fs.rm(this.checkpointPath(id), { force: true });
+    }
+
+    async write(job) {
+        // Write to a temp file and rename so pollers never read a half-written record
+        const tempPath = `${this.jobPath(job.id)}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(job));
+        await fs.rename(tempPath, this.jobPath(job.id));
+    }
+}
+
+/**
+ * Azure Blob Storage job store
+ *
+ * Shared by every instance of the Function App, so a job can be submitted on
+ * one instance, run on another and polled on any. Blobs are named like the
+ * file backend's files. Updates are conditional on the record's ETag (see
+ * blobStorage.js), so progress written by the worker and a status change made
+ * by a route don't overwrite each other.
+ */
+class BlobJobStore {
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+        this.blobs = new BlobContainer({
+            connectionString: options.connectionString,
+            containerName: options.containerName || 'tts-jobs',
+            setting: 'TTS_JOB_BLOB_CONNECTION_STRING'
+        });
+    }
+
+    async create(fields = {}) {
+        const job = newJobRecord(fields);
+        await this.blobs.writeJson(`${job.id}.json`, job);
+        return job;
+    }
+
+    async get(id) {
+        if (!isJobId(id)) {
+            return null;
+        }
+        const job = await this.blobs.readJson(`${id}.json`);
+        if (job && isExpired(job, this.ttlMs)) {
+            await this.delete(id);
+            return null;
+        }
+        return job;
+    }
+
+    async update(id, fields) {
+        return this.transition(id, () => true, fields);
+    }
+
+    async transition(id, canChange, fields) {
+        if (!isJobId(id)) {
+            return null;
+        }
+        return this.blobs.updateJson(`${id}.json`, job => {
+            if (!job || !canChange(job)) {
+                return { value: undefined, result: null };
+            }
+            const updated = { ...job, ...fields, updatedAt: new Date().toISOString() };
+            return { value: updated, result: updated };
+        });
+    }
+
+    async saveInput(id, input) {
+        await this.blobs.writeJson(`${id}.input.json`, input);
+    }
+
+    async getInput(id) {
+        return (await this.get(id)) ? this.blobs.readJson(`${id}.input.json`) : null;
+    }
+
+    async saveResult(id, audioBuffer) {
+        await this.blobs.ready();
+        await this.blobs.blockBlob(`${id}.audio`).upload(audioBuffer, audioBuffer.length);
+    }
+
+    async getResult(id) {
+        return this.readAttachment(id, `${id}.audio`);
+    }
+
+    async saveCheckpoint(id, buffer) {
+        if (!buffer) {
+            await this.blobs.blockBlob(`${id}.chunks`).deleteIfExists();
+            return;
+        }
+        await this.blobs.ready();
+        await this.blobs.blockBlob(`${id}.chunks`).upload(buffer, buffer.length);
+    }
+
+    async getCheckpoint(id) {
+        return this.readAttachment(id, `${id}.chunks`);
+    }
+
+    async readAttachment(id, name) {
+        if (!(await this.get(id))) {
+            return null;
+        }
+        return (await this.blobs.download(name)).data;
+    }
+
+    async delete(id) {
+        for (const name of [`${id}.json`, `${id}.input.json`, `${id}.audio`, `${id}.chunks`]) {
+            await this.blobs.blockBlob(name).deleteIfExists();
+        }
+    }
+}
+
+/**
+ * Creates a job store from environment configuration
+ *
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {MemoryJobStore|FileJobStore|BlobJobStore}
+ */
+function createJobStore(env = process.env) {
+    const backend = (env.TTS_JOB_STORE || defaultBackend(env, 'memory')).toLowerCase();
+    const ttlMs = env.TTS_JOB_TTL_HOURS ? Number(env.TTS_JOB_TTL_HOURS) * 60 * 60 * 1000 : undefined;
+
+    switch (backend) {
+        case 'memory':
+            return new MemoryJobStore({ ttlMs });
+        case 'file':
+            return new FileJobStore({ ttlMs, directory: env.TTS_JOB_STORE_DIR });
+        case 'blob':
+            return new BlobJobStore({
+                ttlMs,
+                connectionString: env.TTS_JOB_BLOB_CONNECTION_STRING || env.AzureWebJobsStorage,
+                containerName: env.TTS_JOB_BLOB_CONTAINER
+            });
+        default:
+            throw new Error(`Unknown TTS_JOB_STORE backend: ${backend}`);
+    }
+}
+
+module.exports = {
+    MemoryJobStore,
+    FileJobStore,
+    BlobJobStore,
+    createJobStore
+};
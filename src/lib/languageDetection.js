@@ -0,0 +1,197 @@
+/**
+ * Sentence language identification
+ *
+ * Texts that quote other languages can be spoken with a voice per language:
+ * each sentence is scored against the common words and letters of the
+ * candidate languages, and consecutive sentences in the same language are
+ * grouped into one segment. A sentence without a clear winner (a name, a
+ * number, "OK.") stays in the language of the sentence before it. Moving
+ * to another language takes two hits (common words or telling letters);
+ * returning to the request's own language takes one.
+ *
+ * The word lists are deliberately small: they only have to tell a handful of
+ * candidate languages apart, not identify any language in the world.
+ */
+
+// Frequent function words that are rare in the other listed languages
+const LANGUAGE_WORDS = {
+    en: ['the', 'and', 'is', 'are', 'was', 'were', 'of', 'to', 'that', 'this', 'with', 'for', 'you', 'it', 'he',
+        'she', 'they', 'we', 'have', 'has', 'not', 'but', 'what', 'which', 'would', 'there', 'their', 'be', 'been',
+        'from', 'at', 'by', 'my', 'your', 'said', 'will', 'can', 'an', 'or', 'if', 'so', 'how', 'why', 'where',
+        'then', 'his', 'her', 'had', 'our', 'when', 'who', 'about', 'into', 'them'],
+    es: ['el', 'la', 'los', 'las', 'que', 'y', 'es', 'un', 'una', 'por', 'con', 'para', 'del', 'se', 'no', 'lo',
+        'como', 'pero', 'más', 'muy', 'está', 'están', 'son', 'fue', 'hay', 'yo', 'tú', 'usted', 'ella', 'ellos',
+        'su', 'sus', 'al', 'también', 'qué', 'cómo', 'dónde', 'porque', 'sí', 'gracias', 'estoy', 'tengo'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'ich', 'du', 'er', 'sie', 'wir', 'ihr', 'mit',
+        'auf', 'für', 'von', 'zu', 'den', 'dem', 'des', 'sich', 'auch', 'aber', 'wie', 'was', 'wenn', 'noch', 'nur',
+        'bin', 'sind', 'war', 'hat', 'haben', 'wird', 'kann', 'dass', 'es', 'im', 'bitte', 'danke'],
+    fr: ['le', 'les', 'et', 'est', 'une', 'des', 'du', 'je', 'tu', 'il', 'elle', 'nous', 'vous', 'ils', 'qui',
+        'pas', 'ne', 'ce', 'cette', 'dans', 'pour', 'avec', 'sur', 'au', 'aux', 'mais', 'ou', 'très', 'sont',
+        'été', 'être', 'avoir', 'mon', 'ton', 'son', 'c', 'qu', 'j', 'merci', 'oui', 'suis'],
+    it: ['il', 'lo', 'gli', 'della', 'delle', 'che', 'e', 'è', 'non', 'un', 'una', 'per', 'con', 'sono', 'io',
+        'lui', 'lei', 'noi', 'voi', 'loro', 'ma', 'anche', 'questo', 'questa', 'come', 'più', 'molto', 'nel',
+        'nella', 'del', 'alla', 'dei', 'ho', 'ha', 'hanno', 'essere', 'perché', 'grazie'],
+    pt: ['o', 'os', 'as', 'um', 'uma', 'não', 'é', 'são', 'com', 'para', 'do', 'da', 'dos', 'das', 'no', 'na',
+        'em', 'eu', 'você', 'ele', 'ela', 'nós', 'eles', 'mas', 'também', 'muito', 'está', 'estão', 'foi', 'ser',
+        'ter', 'isso', 'esta', 'este', 'obrigado', 'obrigada', 'porque', 'mais'],
+    nl: ['de', 'het', 'een', 'en', 'is', 'van', 'niet', 'ik', 'je', 'jij', 'hij', 'zij', 'wij', 'we', 'met', 'op',
+        'voor', 'aan', 'dat', 'die', 'dit', 'maar', 'ook', 'zijn', 'was', 'heeft', 'hebben', 'wordt', 'kan',
+        'naar', 'bij', 'om', 'er', 'nog', 'wel', 'geen', 'hoe', 'wat', 'dank']
+};
+
+// Letters (and letter pairs) that point to a language
+const LANGUAGE_LETTERS = {
+    es: /[ñ¿¡]/g,
+    de: /[äöüß]/g,
+    fr: /[çœêëîï]/g,
+    it: /[ìò]/g,
+    pt: /[ãõ]/g,
+    nl: /ij/g
+};
+
+const LANGUAGE_WORD_SETS = Object.fromEntries(
+    Object.entries(LANGUAGE_WORDS).map(([language, words]) => [language, new Set(words)])
+);
+
+// Languages the detector can tell apart
+const DETECTABLE_LANGUAGES = Object.keys(LANGUAGE_WORDS);
+
+// A language needs this much evidence before a sentence is moved to it;
+// returning to the request's own language takes less
+const MIN_SCORE = 2;
+const MIN_DEFAULT_SCORE = 1;
+
+const WORD_PATTERN = /[\p{L}]+/gu;
+
+/**
+ * The primary language subtag of a language code: "es" for "es-MX"
+ *
+ * @param {string} languageCode - BCP-47 language code
+ * @returns {string}
+ */
+function primaryLanguage(languageCode) {
+    return languageCode.split('-')[0].toLowerCase();
+}
+
+/**
+ * Scores a sentence against candidate languages
+ *
+ * @returns {{ language: string|null, score: number }} - The best language, or null on a tie
+ */
+function scoreLanguages(text, candidates) {
+    const lowered = text.toLowerCase();
+    const words = lowered.match(WORD_PATTERN) || [];
+
+    let best = null;
+    let bestScore = 0;
+    let tied = false;
+    for (const language of candidates) {
+        const wordSet = LANGUAGE_WORD_SETS[language];
+        if (!wordSet) {
+            continue;
+        }
+        const letters = LANGUAGE_LETTERS[language];
+        const score = words.filter(word => wordSet.has(word)).length
+            + (letters ? Math.min(2, (lowered.match(letters) || []).length) : 0);
+        if (score > bestScore) {
+            best = language;
+            bestScore = score;
+            tied = false;
+        } else if (score === bestScore) {
+            tied = true;
+        }
+    }
+
+    return { language: tied ? null : best, score: bestScore };
+}
+
+/**
+ * Identifies the language of a sentence among candidate languages
+ *
+ * @param {string} text - A sentence
+ * @param {string[]} candidates - Primary language subtags to choose from
+ * @param {number} minScore - Evidence needed (common words and telling letters)
+ * @returns {string|null} - The winning language, or null when no candidate clearly wins
+ */
+function detectLanguage(text, candidates, minScore = MIN_SCORE) {
+    const { language, score } = scoreLanguages(text, candidates);
+    return language && score >= minScore ? language : null;
+}
+
+/**
+ * Groups consecutive sentences in the same language
+ *
+ * @param {string[]} sentences - Sentences in reading order
+ * @param {Object} options - { candidates: primary language subtags, defaultLanguage: the
+ *   request's primary language, used until a sentence is identified }
+ * @returns {Object[]} - Segments as [{ language, text }]
+ */
+function segmentByLanguage(sentences, { candidates, defaultLanguage }) {
+    const segments = [];
+    let language = defaultLanguage;
+
+    for (const sentence of sentences) {
+        const scored = scoreLanguages(sentence, candidates);
+        if (scored.language && scored.score >= (scored.language === defaultLanguage ? MIN_DEFAULT_SCORE : MIN_SCORE)) {
+            language = scored.language;
+        }
+        const last = segments[segments.length - 1];
+        if (last && last.language === language) {
+            last.text = `${last.text} ${sentence}`;
+        } else {
+            segments.push({ language, text: sentence });
+        }
+    }
+    return segments;
+}
+
+/**
+ * Gives each language segment its voice options, in the shape of script turns
+ *
+ * Segments in a language without a voice keep the request's voice. A language
+ * voice that sets no voiceName gets the provider's default voice for its
+ * language rather than the request's voice.
+ *
+ * @param {Object[]} segments - Segments from segmentByLanguage
+ * @param {Object} languageVoices - Primary language -> parsed voice options
+ * @returns {Object[]} - [{ language, text, options, pauseSeconds }], with no pauses
+ */
+function resolveLanguageTurns(segments, languageVoices) {
+    return segments.map(({ language, text }) => {
+        const voice = languageVoices[language];
+        const options = !voice ? {} : (voice.voiceName ? { ...voice } : { ...voice, voiceName: undefined });
+        return { language, text, options, pauseSeconds: 0 };
+    });
+}
+
+/**
+ * Splits text into sentences with the rules of its language (Intl.Segmenter,
+ * or a punctuation split where it isn't available)
+ *
+ * @param {string} text - Plain text
+ * @param {string} languageCode - BCP-47 language code
+ * @returns {string[]}
+ */
+function splitSentences(text, languageCode) {
+    if (!text || typeof text !== 'string') {
+        return [];
+    }
+
+    let sentences;
+    if (typeof Intl.Segmenter === 'function') {
+        const segmenter = new Intl.Segmenter(languageCode, { granularity: 'sentence' });
+        sentences = Array.from(segmenter.segment(text), part => part.segment);
+    } else {
+        sentences = text.match(/[^.!?…。！？]+(?:[.!?…。！？]+["'»”)\]]*|$)/g) || [text];
+    }
+    return sentences.map(sentence => sentence.trim()).filter(sentence => sentence.length > 0);
+}
+
+module.exports = {
+    DETECTABLE_LANGUAGES,
+    primaryLanguage,
+    detectLanguage,
+    segmentByLanguage,
+    resolveLanguageTurns,
+    splitSentences
+};
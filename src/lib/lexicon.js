@@ -0,0 +1,331 @@
+const { ValidationError } = require('./errors');
+const { parseSsml, escapeSsml, escapeSsmlAttribute, decodeEntities } = require('./ssml');
+
+/**
+ * Pronunciation lexicon
+ *
+ * Each user keeps a list of rules that fix how names, acronyms and domain terms
+ * are spoken. A rule matches a literal word or phrase (or a regular expression)
+ * and replaces it with:
+ * - "text":    different text, e.g. "Dr." -> "Doctor" or "k8s" -> "Kubernetes"
+ * - "sub":     <sub alias="..."> so the written form stays in the SSML
+ * - "phoneme": <phoneme alphabet="ipa|x-sampa" ph="..."> for an exact pronunciation
+ *
+ * Rules may be scoped to a language ("en" matches en-US and en-GB). They are
+ * applied to the whole text before chunking, so the SSML they add counts
+ * towards each chunk's length and the chunk limits still hold.
+ */
+
+const MATCH_TYPES = ['literal', 'regex'];
+const REPLACEMENT_TYPES = ['text', 'sub', 'phoneme'];
+const PHONETIC_ALPHABETS = ['ipa', 'x-sampa'];
+
+const MAX_MATCH_LENGTH = 200;
+const MAX_REPLACEMENT_LENGTH = 500;
+
+// Text inside these elements already has its pronunciation set, or is not spoken
+const PROTECTED_ELEMENTS = new Set(['sub', 'phoneme', 'say-as', 'audio', 'desc']);
+
+// Protected elements whose text isn't spoken
+const SILENT_ELEMENTS = new Set(['audio', 'desc']);
+
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+function readRequiredString(body, field, maxLength) {
+    const value = body[field];
+    if (typeof value !== 'string' || value.trim() === '') {
+        throw new ValidationError(`${field} must be a non-empty string`, { field });
+    }
+    if (value.length > maxLength) {
+        throw new ValidationError(`${field} must be at most ${maxLength} characters`, { field });
+    }
+    return value;
+}
+
+function readEnum(body, field, allowed, fallback) {
+    if (body[field] === undefined || body[field] === null || body[field] === '') {
+        return fallback;
+    }
+    const value = String(body[field]).toLowerCase();
+    if (!allowed.includes(value)) {
+        throw new ValidationError(`${field} must be one of ${allowed.join(', ')}`, { field });
+    }
+    return value;
+}
+
+function readBoolean(body, field, fallback) {
+    if (body[field] === undefined) {
+        return fallback;
+    }
+    if (typeof body[field] !== 'boolean') {
+        throw new ValidationError(`${field} must be a boolean`, { field });
+    }
+    return body[field];
+}
+
+/**
+ * Validates a lexicon entry from a request body
+ *
+ * Fields:
+ * - match: word, phrase or regular expression to look for (required)
+ * - matchType: "literal" (default) or "regex"
+ * - caseSensitive: default false
+ * - wholeWord: only match whole words (default true; literal matches only)
+ * - type: "text" (default), "sub" or "phoneme"
+ * - replacement: replacement text, sub alias, or phonetic transcription (required)
+ * - alphabet: "ipa" (default) or "x-sampa" for phoneme entries
+ * - languageCode: only apply to requests in this language, e.g. "en" or "en-GB"
+ *
+ * @param {Object} body - Parsed JSON request body
+ * @returns {Object} - Normalized entry fields
+ * @throws {ValidationError} - When a field is invalid
+ */
+function parseLexiconEntry(body) {
+    if (!body || typeof body !== 'object') {
+        throw new ValidationError('Lexicon entry must be a JSON object');
+    }
+
+    const entry = {
+        match: readRequiredString(body, 'match', MAX_MATCH_LENGTH),
+        matchType: readEnum(body, 'matchType', MATCH_TYPES, 'literal'),
+        caseSensitive: readBoolean(body, 'caseSensitive', false),
+        wholeWord: readBoolean(body, 'wholeWord', true),
+        type: readEnum(body, 'type', REPLACEMENT_TYPES, 'text'),
+        replacement: readRequiredString(body, 'replacement', MAX_REPLACEMENT_LENGTH),
+        languageCode: null
+    };
+
+    if (entry.type === 'phoneme') {
+        entry.alphabet = readEnum(body, 'alphabet', PHONETIC_ALPHABETS, 'ipa');
+    }
+
+    if (body.languageCode !== undefined && body.languageCode !== null && body.languageCode !== '') {
+        if (typeof body.languageCode !== 'string' || !LANGUAGE_CODE_PATTERN.test(body.languageCode.trim())) {
+            throw new ValidationError('languageCode must be a BCP-47 language code such as "en" or "en-GB"', { field: 'languageCode' });
+        }
+        entry.languageCode = body.languageCode.trim();
+    }
+
+    // Compile once so an invalid pattern is a 400 now rather than a failed synthesis later
+    try {
+        buildPattern(entry);
+    } catch (error) {
+        throw new ValidationError(`match is not a valid regular expression: ${error.message}`, { field: 'match' });
+    }
+
+    return entry;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds the global regular expression for an entry
+ */
+function buildPattern(entry) {
+    let source = entry.matchType === 'regex' ? entry.match : escapeRegExp(entry.match);
+    if (entry.matchType === 'literal' && entry.wholeWord) {
+        // \b only understands ASCII word characters, so use Unicode-aware lookarounds
+        source = `(?<![\\p{L}\\p{N}_])${source}(?![\\p{L}\\p{N}_])`;
+    }
+    return new RegExp(source, `gu${entry.caseSensitive ? '' : 'i'}`);
+}
+
+/**
+ * Whether an entry applies to a request language
+ */
+function appliesToLanguage(entry, languageCode) {
+    if (!entry.languageCode) {
+        return true;
+    }
+    const scope = entry.languageCode.toLowerCase();
+    const language = (languageCode || '').toLowerCase();
+    return language === scope || language.startsWith(`${scope}-`);
+}
+
+/**
+ * Markup or text for one match of an entry
+ */
+function renderReplacement(entry, matched, pattern) {
+    // Regex replacements may refer to capture groups ($1, $<name>)
+    const replacement = entry.matchType === 'regex'
+        ? matched.replace(new RegExp(pattern.source, pattern.flags.replace('g', '')), entry.replacement)
+        : entry.replacement;
+
+    switch (entry.type) {
+        case 'sub':
+            return { markup: `<sub alias="${escapeSsmlAttribute(replacement)}">${escapeSsml(matched)}</sub>`, original: matched };
+        case 'phoneme':
+            return { markup: `<phoneme alphabet="${entry.alphabet || 'ipa'}" ph="${escapeSsmlAttribute(replacement)}">${escapeSsml(matched)}</phoneme>`, original: matched };
+        default:
+            return { text: replacement, replaced: true, original: matched };
+    }
+}
+
+const normalizeSpace = text => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Collects the "text" replacements of a result, so read-along timing can show
+ * the text they replaced instead of what was spoken (see restoreReplacedText
+ * in timing.js)
+ *
+ * The timing track only sees the words of the synthesized chunks, so each
+ * replacement is described by its text and by how often that text is spoken
+ * between it and the replacement before it (skip). Elements break words, as
+ * they do in the timing track, and <sub> and <phoneme> show their content.
+ */
+function trackReplacements() {
+    const replacements = [];
+    let spokenSince = '';
+
+    return {
+        replacements,
+        spoken(text) {
+            spokenSince += text;
+        },
+        replaced(text, original) {
+            const spoken = normalizeSpace(text);
+            if (!spoken) {
+                // Nothing is spoken to find it by
+                return;
+            }
+            const before = normalizeSpace(spokenSince);
+            let skip = 0;
+            for (let found = before.indexOf(spoken); found !== -1; found = before.indexOf(spoken, found + spoken.length)) {
+                skip++;
+            }
+            replacements.push({ text: spoken, original: normalizeSpace(original), skip });
+            spokenSince = '';
+        }
+    };
+}
+
+function trackSegments(tracker, segments) {
+    for (const segment of segments) {
+        if (segment.markup !== undefined) {
+            tracker.spoken(` ${segment.original} `);
+        } else if (segment.replaced) {
+            tracker.replaced(segment.text, segment.original);
+        } else {
+            tracker.spoken(segment.text);
+        }
+    }
+}
+
+/**
+ * Applies entries to a run of plain text
+ *
+ * The text is kept as a list of segments; each entry only looks at segments no
+ * earlier entry has replaced, so replacements are never rewritten again.
+ *
+ * @returns {Object[]} - Segments: { text } (plain, unescaped) or { markup } (SSML)
+ */
+function applyToPlainText(text, rules, counts) {
+    let segments = [{ text }];
+
+    for (const { entry, pattern } of rules) {
+        const next = [];
+        for (const segment of segments) {
+            if (segment.markup !== undefined || segment.replaced) {
+                next.push(segment);
+                continue;
+            }
+
+            let cursor = 0;
+            for (const match of segment.text.matchAll(pattern)) {
+                if (match[0] === '') {
+                    continue;
+                }
+                if (match.index > cursor) {
+                    next.push({ text: segment.text.slice(cursor, match.index) });
+                }
+                next.push(renderReplacement(entry, match[0], pattern));
+                counts.set(entry.id, (counts.get(entry.id) || 0) + 1);
+                cursor = match.index + match[0].length;
+            }
+            if (cursor < segment.text.length) {
+                next.push({ text: segment.text.slice(cursor) });
+            }
+        }
+        segments = next;
+    }
+
+    return segments;
+}
+
+/**
+ * Applies a user's lexicon to request text
+ *
+ * Plain text stays plain text when only "text" replacements match; a "sub" or
+ * "phoneme" match turns it into an SSML document. In SSML, only text content is
+ * rewritten: attributes and the content of <sub>, <phoneme>, <say-as>, <audio>
+ * and <desc> are left alone.
+ *
+ * @param {string} text - Plain text, or an SSML document when inputType is "ssml"
+ * @param {Object[]} entries - Lexicon entries, applied in order
+ * @param {Object} options - { inputType, languageCode }
+ * @returns {{ text: string, inputType: string, applied: Object[], replacements: Object[] }} -
+ *   Transformed text, its input type, match counts as [{ id, match, count }],
+ *   and the "text" replacements as [{ text, original, skip }] (see trackReplacements)
+ */
+function applyLexicon(text, entries, { inputType = 'text', languageCode } = {}) {
+    const rules = (entries || [])
+        .filter(entry => appliesToLanguage(entry, languageCode))
+        .map(entry => ({ entry, pattern: buildPattern(entry) }));
+    const counts = new Map();
+
+    if (rules.length === 0) {
+        return { text, inputType, applied: [], replacements: [] };
+    }
+
+    const tracker = trackReplacements();
+    let result;
+    if (inputType === 'ssml') {
+        const { rootTag, tokens } = parseSsml(text);
+        const stack = [];
+        const body = tokens.map(token => {
+            if (token.type === 'open') {
+                stack.push(token.name);
+            } else if (token.type === 'close') {
+                stack.pop();
+            }
+            if (token.type !== 'text' || token.atomic) {
+                tracker.spoken(' ');
+                return token.raw;
+            }
+            if (stack.some(name => PROTECTED_ELEMENTS.has(name))) {
+                if (!stack.some(name => SILENT_ELEMENTS.has(name))) {
+                    tracker.spoken(decodeEntities(token.raw));
+                }
+                return token.raw;
+            }
+            const segments = applyToPlainText(decodeEntities(token.raw), rules, counts);
+            trackSegments(tracker, segments);
+            return segments
+                .map(segment => segment.markup !== undefined ? segment.markup : escapeSsml(segment.text))
+                .join('');
+        }).join('');
+        result = { text: `${rootTag}${body}</speak>`, inputType: 'ssml' };
+    } else {
+        const segments = applyToPlainText(text, rules, counts);
+        trackSegments(tracker, segments);
+        result = segments.some(segment => segment.markup !== undefined)
+            ? {
+                text: `<speak>${segments.map(segment => segment.markup !== undefined ? segment.markup : escapeSsml(segment.text)).join('')}</speak>`,
+                inputType: 'ssml'
+            }
+            : { text: segments.map(segment => segment.text).join(''), inputType: 'text' };
+    }
+
+    result.applied = rules
+        .filter(({ entry }) => counts.has(entry.id))
+        .map(({ entry }) => ({ id: entry.id, match: entry.match, count: counts.get(entry.id) }));
+    result.replacements = tracker.replacements;
+    return result;
+}
+
+module.exports = {
+    parseLexiconEntry,
+    applyLexicon
+};
@@ -0,0 +1,177 @@
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { ValidationError } = require('./errors');
+
+/**
+ * Storage for per-user pronunciation lexicons
+ *
+ * Every backend implements the same async interface:
+ *   list(userId) -> entries (in the order they are applied)
+ *   get(userId, id) -> entry | null
+ *   create(userId, fields) -> entry
+ *   update(userId, id, fields) -> entry | null
+ *   delete(userId, id) -> boolean
+ *
+ * Backends are selected with the TTS_LEXICON_STORE environment variable
+ * ("memory" by default, or "file").
+ */
+
+// Keeps lexicon application cheap on every request
+const MAX_ENTRIES_PER_USER = 500;
+
+function newEntry(fields) {
+    const now = new Date().toISOString();
+    return {
+        id: crypto.randomUUID(),
+        ...fields,
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+function checkCapacity(entries) {
+    if (entries.length >= MAX_ENTRIES_PER_USER) {
+        throw new ValidationError(`A lexicon can have at most ${MAX_ENTRIES_PER_USER} entries`);
+    }
+}
+
+/**
+ * In-memory lexicon store (per worker process; for local development and tests)
+ */
+class MemoryLexiconStore {
+    constructor() {
+        this.lexicons = new Map();
+    }
+
+    async list(userId) {
+        return (this.lexicons.get(userId) || []).map(entry => ({ ...entry }));
+    }
+
+    async get(userId, id) {
+        const entry = (this.lexicons.get(userId) || []).find(candidate => candidate.id === id);
+        return entry ? { ...entry } : null;
+    }
+
+    async create(userId, fields) {
+        const entries = this.lexicons.get(userId) || [];
+        checkCapacity(entries);
+        const entry = newEntry(fields);
+        this.lexicons.set(userId, [...entries, entry]);
+        return { ...entry };
+    }
+
+    async update(userId, id, fields) {
+        const entries = this.lexicons.get(userId) || [];
+        const index = entries.findIndex(candidate => candidate.id === id);
+        if (index === -1) {
+            return null;
+        }
+        const updated = { ...entries[index], ...fields, id, updatedAt: new Date().toISOString() };
+        this.lexicons.set(userId, entries.map((entry, i) => i === index ? updated : entry));
+        return { ...updated };
+    }
+
+    async delete(userId, id) {
+        const entries = this.lexicons.get(userId) || [];
+        const remaining = entries.filter(entry => entry.id !== id);
+        this.lexicons.set(userId, remaining);
+        return remaining.length !== entries.length;
+    }
+}
+
+/**
+ * Local filesystem lexicon store
+ *
+ * Each user's lexicon is one JSON file, named by a hash of the user id so ids
+ * (usually email addresses) never end up in paths.
+ */
+class FileLexiconStore {
+    constructor(options = {}) {
+        this.directory = options.directory || path.join(os.tmpdir(), 'tts-lexicons');
+    }
+
+    lexiconPath(userId) {
+        const hash = crypto.createHash('sha256').update(userId).digest('hex');
+        return path.join(this.directory, `${hash}.json`);
+    }
+
+    async list(userId) {
+        try {
+            return JSON.parse(await fs.readFile(this.lexiconPath(userId), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    async get(userId, id) {
+        return (await this.list(userId)).find(entry => entry.id === id) || null;
+    }
+
+    async create(userId, fields) {
+        const entries = await this.list(userId);
+        checkCapacity(entries);
+        const entry = newEntry(fields);
+        await this.write(userId, [...entries, entry]);
+        return entry;
+    }
+
+    async update(userId, id, fields) {
+        const entries = await this.list(userId);
+        const index = entries.findIndex(candidate => candidate.id === id);
+        if (index === -1) {
+            return null;
+        }
+        const updated = { ...entries[index], ...fields, id, updatedAt: new Date().toISOString() };
+        await this.write(userId, entries.map((entry, i) => i === index ? updated : entry));
+        return updated;
+    }
+
+    async delete(userId, id) {
+        const entries = await this.list(userId);
+        const remaining = entries.filter(entry => entry.id !== id);
+        if (remaining.length === entries.length) {
+            return false;
+        }
+        await this.write(userId, remaining);
+        return true;
+    }
+
+    async write(userId, entries) {
+        // Write to a temp file and rename so readers never see a half-written lexicon
+        await fs.mkdir(this.directory, { recursive: true });
+        const target = this.lexiconPath(userId);
+        const tempPath = `${target}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(entries));
+        await fs.rename(tempPath, target);
+    }
+}
+
+/**
+ * Creates a lexicon store from environment configuration
+ *
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {MemoryLexiconStore|FileLexiconStore}
+ */
+function createLexiconStore(env = process.env) {
+    const backend = (env.TTS_LEXICON_STORE || 'memory').toLowerCase();
+
+    switch (backend) {
+        case 'memory':
+            return new MemoryLexiconStore();
+        case 'file':
+            return new FileLexiconStore({ directory: env.TTS_LEXICON_STORE_DIR });
+        default:
+            throw new Error(`Unknown TTS_LEXICON_STORE backend: ${backend}`);
+    }
+}
+
+module.exports = {
+    MemoryLexiconStore,
+    FileLexiconStore,
+    createLexiconStore
+};
@@ -0,0 +1,229 @@
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const path = require('path');
+const { ValidationError } = require('./errors');
+const { ssmlToPlainText } = require('./ssml');
+const { DEFAULT_LANGUAGE_CODE } = require('./synthesisOptions');
+
+/**
+ * Offline text-to-speech provider backed by a local engine
+ *
+ * Runs espeak-ng (default) or piper as a child process, so it needs no
+ * credentials or network access. That makes it the provider for tests and a
+ * last-resort fallback. It only produces LINEAR16 (WAV) audio.
+ *
+ * - espeak-ng: voices are espeak language names such as "en-us" or "de";
+ *   SSML is passed through (espeak-ng understands a subset of it).
+ * - piper: voices are model names; "<name>.onnx" and "<name>.onnx.json" are
+ *   read from the model directory. SSML is reduced to plain text.
+ */
+
+const ENGINES = ['espeak-ng', 'piper'];
+
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+
+// espeak-ng speaks at 175 words per minute and pitch 50 (of 0-99) by default
+const ESPEAK_DEFAULT_WPM = 175;
+const ESPEAK_DEFAULT_PITCH = 50;
+
+const MODEL_NAME_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Runs a command with the given stdin and resolves with its stdout
+ */
+function runCommand(command, args, input, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'], timeout: timeoutMs });
+        const stdout = [];
+        const stderr = [];
+
+        child.stdout.on('data', data => stdout.push(data));
+        child.stderr.on('data', data => stderr.push(data));
+        child.on('error', error => {
+            reject(error.code === 'ENOENT' ? new Error(`${command} is not installed or not on the PATH`) : error);
+        });
+        child.on('close', (code, signal) => {
+            if (code === 0) {
+                resolve(Buffer.concat(stdout));
+                return;
+            }
+            const detail = Buffer.concat(stderr).toString('utf8').trim();
+            reject(new Error(`${command} ${signal ? `was stopped (${signal})` : `exited with code ${code}`}${detail ? `: ${detail}` : ''}`));
+        });
+
+        child.stdin.on('error', () => {});
+        child.stdin.end(input);
+    });
+}
+
+/**
+ * Wraps raw 16-bit mono PCM in a WAV header
+ */
+function toWav(pcm, sampleRate) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8, 'latin1');
+    header.write('fmt ', 12, 'latin1');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);              // PCM
+    header.writeUInt16LE(1, 22);              // Mono
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+    header.writeUInt16LE(2, 32);              // Block align
+    header.writeUInt16LE(16, 34);             // Bits per sample
+    header.write('data', 36, 'latin1');
+    header.writeUInt32LE(pcm.length, 40);
+    return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Writes the real sizes into a WAV header
+ *
+ * espeak-ng streams to stdout, so it can't know the length up front and writes
+ * placeholder RIFF and data sizes.
+ */
+function fixWavSizes(wav) {
+    let offset = 12;
+    while (offset + 8 <= wav.length) {
+        if (wav.toString('latin1', offset, offset + 4) === 'data') {
+            const fixed = Buffer.from(wav);
+            fixed.writeUInt32LE(wav.length - 8, 4);
+            fixed.writeUInt32LE(wav.length - offset - 8, offset + 4);
+            return fixed;
+        }
+        const size = wav.readUInt32LE(offset + 4);
+        offset += 8 + size + (size % 2);
+    }
+    return wav;
+}
+
+// "en_US" (piper) or "en-us" (espeak-ng) -> "en-US"
+function normalizeLanguageCode(code) {
+    const [language, ...rest] = code.replace(/_/g, '-').split('-');
+    return [language.toLowerCase(), ...rest.map(part => part.length === 2 ? part.toUpperCase() : part)].join('-');
+}
+
+class LocalProvider {
+    /**
+     * @param {Object} options - { engine, command, modelDirectory, defaultVoice, timeoutMs }
+     */
+    constructor(options = {}) {
+        this.name = 'local';
+        this.engine = (options.engine || 'espeak-ng').toLowerCase();
+        if (!ENGINES.includes(this.engine)) {
+            throw new Error(`Unknown TTS_LOCAL_ENGINE: ${this.engine}`);
+        }
+        this.command = options.command || this.engine;
+        this.modelDirectory = options.modelDirectory || '.';
+        this.voice = options.defaultVoice;
+        this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+        this.limits = {
+            maxChunkLength: 4900,
+            maxInputBytes: Infinity,
+            maxConcurrent: 2,            // Each request is a CPU-bound process
+            maxRequestsPerMinute: 600
+        };
+        this.audioEncodings = ['LINEAR16'];
+    }
+
+    // The engine can only be found by running it, so a missing one fails at synthesis time
+    isConfigured() {
+        return true;
+    }
+
+    defaultVoice(languageCode = DEFAULT_LANGUAGE_CODE) {
+        return this.voice || (this.engine === 'espeak-ng' ? languageCode.toLowerCase() : undefined);
+    }
+
+    supportsTimepoints() {
+        return false;
+    }
+
+    async synthesize(request) {
+        const { audioConfig } = request;
+        if (audioConfig.audioEncoding !== 'LINEAR16') {
+            throw new ValidationError('The local provider only produces LINEAR16 (WAV) audio', { field: 'audioEncoding' });
+        }
+
+        const voiceName = request.voice.name || this.defaultVoice(request.voice.languageCode);
+        const audioContent = this.engine === 'piper'
+            ? await this.synthesizeWithPiper(request, voiceName)
+            : await this.synthesizeWithEspeak(request, voiceName);
+        return { audioContent, timepoints: [] };
+    }
+
+    async synthesizeWithEspeak({ input, audioConfig }, voiceName) {
+        const args = [
+            '--stdout',
+            '-v', voiceName,
+            '-s', String(Math.round(ESPEAK_DEFAULT_WPM * (audioConfig.speakingRate || 1))),
+            // 20 semitones either way map onto espeak-ng's 0-99 pitch range
+            '-p', String(Math.min(99, Math.max(0, Math.round(ESPEAK_DEFAULT_PITCH + (audioConfig.pitch || 0) * 2.5))))
+        ];
+        if (input.ssml !== undefined) {
+            args.push('-m');
+        }
+        args.push('--stdin');
+        return fixWavSizes(await runCommand(this.command, args, input.ssml ?? input.text, this.timeoutMs));
+    }
+
+    async synthesizeWithPiper({ input, audioConfig }, voiceName) {
+        if (!voiceName || !MODEL_NAME_PATTERN.test(voiceName)) {
+            throw new ValidationError('piper needs a voice model name (set TTS_LOCAL_VOICE or voiceName)', { field: 'voiceName' });
+        }
+        const modelPath = path.join(this.modelDirectory, `${voiceName}.onnx`);
+        const config = JSON.parse(await fs.readFile(`${modelPath}.json`, 'utf8'));
+
+        const args = ['--model', modelPath, '--output_raw'];
+        if (audioConfig.speakingRate) {
+            args.push('--length_scale', String(1 / audioConfig.speakingRate));
+        }
+        const text = input.ssml !== undefined ? ssmlToPlainText(input.ssml) : input.text;
+        const pcm = await runCommand(this.command, args, text, this.timeoutMs);
+        return toWav(pcm, (config.audio && config.audio.sample_rate) || 22050);
+    }
+
+    /**
+     * @returns {Promise<Object[]>} - Voices as [{ name, languageCodes, ssmlGender, naturalSampleRateHertz }]
+     */
+    async listVoices() {
+        return this.engine === 'piper' ? this.listPiperVoices() : this.listEspeakVoices();
+    }
+
+    async listEspeakVoices() {
+        // Columns: Pty Language Age/Gender VoiceName File Other Languages
+        const output = (await runCommand(this.command, ['--voices'], '', this.timeoutMs)).toString('utf8');
+        return output.split('\n').slice(1)
+            .map(line => line.trim().split(/\s+/))
+            .filter(columns => columns.length >= 4)
+            .map(([, language, ageGender]) => ({
+                name: language,
+                languageCodes: [normalizeLanguageCode(language)],
+                ssmlGender: { M: 'MALE', F: 'FEMALE' }[ageGender.split('/')[1]] || 'SSML_VOICE_GENDER_UNSPECIFIED',
+                naturalSampleRateHertz: 22050
+            }));
+    }
+
+    async listPiperVoices() {
+        const names = await fs.readdir(this.modelDirectory).catch(() => []);
+        const voices = [];
+        for (const name of names.filter(candidate => candidate.endsWith('.onnx'))) {
+            const config = await fs.readFile(path.join(this.modelDirectory, `${name}.json`), 'utf8')
+                .then(JSON.parse)
+                .catch(() => null);
+            const languageCode = config && config.language && config.language.code;
+            voices.push({
+                name: name.replace(/\.onnx$/, ''),
+                languageCodes: languageCode ? [normalizeLanguageCode(languageCode)] : [],
+                ssmlGender: 'SSML_VOICE_GENDER_UNSPECIFIED',
+                naturalSampleRateHertz: (config && config.audio && config.audio.sample_rate) || null
+            });
+        }
+        return voices;
+    }
+}
+
+module.exports = {
+    LocalProvider
+};
@@ -0,0 +1,667 @@
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { ValidationError } = require('./errors');
+const { readPause } = require('./script');
+const { ssmlToPlainText } = require('./ssml');
+const { parseWav, writeWav, linearToAlaw, linearToMulaw } = require('./audioStitcher');
+
+/**
+ * Audio post-processing
+ *
+ * Stitched chunks keep whatever silence the voice left at their ends, so the
+ * gaps between chunks are uneven, and levels differ from chunk to chunk and
+ * voice to voice. A request that asks for post-processing gets:
+ *   1. its chunks synthesized as LINEAR16, so the samples can be worked on
+ *      without decoding (and losing quality to) a compressed format twice
+ *   2. the leading and trailing silence of every chunk trimmed (trimSilence)
+ *   3. a pause stitched in after every chunk by what ends it: a paragraph, a
+ *      sentence, or a split inside a long sentence (paragraphPauseMs,
+ *      sentencePauseMs, chunkPauseMs)
+ *   4. a background music track mixed in, ducked while there is speech
+ *      (backgroundMusic, a file in TTS_MUSIC_DIR)
+ *   5. the mix normalized to an integrated loudness per ITU-R BS.1770
+ *      (targetLoudness in LUFS), with peaks kept below -1 dBFS
+ *   6. the result encoded to the requested format: WAV encodings here, Ogg
+ *      Opus and MP3 with ffmpeg (TTS_FFMPEG_PATH, default the binary of the
+ *      @ffmpeg-installer/ffmpeg package, then "ffmpeg" on the PATH)
+ *
+ * Steps 1-3 happen per chunk in synthesizeSections; 4-6 once per output
+ * file (the whole text, or each chapter) with createPostProcessor.
+ */
+
+// Pause after a chunk by what ends it, when silence is trimmed and no pause is given
+const DEFAULT_PAUSES_MS = { paragraph: 900, sentence: 400, chunk: 50 };
+const PAUSE_FIELDS = { paragraph: 'paragraphPauseMs', sentence: 'sentencePauseMs', chunk: 'chunkPauseMs' };
+
+// Integrated loudness targets in LUFS (-16 is usual for podcasts, -23 for broadcast)
+const LOUDNESS_RANGE = { min: -40, max: -5 };
+const PEAK_CEILING_DB = -1;
+
+// Background music level while nobody speaks, and how far it drops under speech
+const MUSIC_RANGES = { volumeDb: { min: -60, max: 0 }, duckDb: { min: 0, max: 40 } };
+const MUSIC_DEFAULTS = { volumeDb: -18, duckDb: 12 };
+const MUSIC_FIELDS = ['track', 'volumeDb', 'duckDb'];
+const MUSIC_EXTENSIONS = ['.wav', '.mp3', '.ogg', '.opus', '.flac', '.m4a'];
+const TRACK_NAME_PATTERN = /^\w[\w.-]*$/;
+
+// Silence and speech are told apart on 10 ms frames
+const FRAME_SECONDS = 0.01;
+const SILENCE_THRESHOLD_DB = -50;
+
+// Kept on both sides of trimmed speech, so soft word edges aren't cut off
+const TRIM_MARGIN_SECONDS = 0.02;
+
+// The music drops ahead of speech (the whole file is known) and comes back after it
+const DUCK_ATTACK_SECONDS = 0.15;
+const DUCK_RELEASE_SECONDS = 0.6;
+const MUSIC_FADE_IN_SECONDS = 1;
+const MUSIC_FADE_OUT_SECONDS = 2;
+
+// Sentence-final punctuation, maybe followed by closing quotes or brackets
+const SENTENCE_END_PATTERN = /[.!?…。！？]["'”’»)\]]*$/u;
+
+const FFMPEG_TIMEOUT_MS = 5 * 60 * 1000;
+const FFMPEG_CHECK_TIMEOUT_MS = 10 * 1000;
+const ENCODER_ARGS = {
+    OGG_OPUS: ['-c:a', 'libopus', '-b:a', '64k', '-ar', '48000', '-f', 'ogg'],
+    MP3: ['-c:a', 'libmp3lame', '-b:a', '128k', '-f', 'mp3']
+};
+
+function readLevel(value, field, range) {
+    const number = typeof value === 'number' ? value : Number(value);
+    if (typeof value === 'boolean' || value === '' || !Number.isFinite(number) || number < range.min || number > range.max) {
+        throw new ValidationError(`${field} must be between ${range.min} and ${range.max}`, { field: field.split('.')[0] });
+    }
+    return number;
+}
+
+/**
+ * Validates backgroundMusic: a track name, or { track, volumeDb, duckDb }
+ */
+function readBackgroundMusic(value, env) {
+    const music = typeof value === 'string' ? { track: value } : value;
+    if (!music || typeof music !== 'object' || Array.isArray(music)) {
+        throw new ValidationError('backgroundMusic must be a track name or { track, volumeDb, duckDb }', { field: 'backgroundMusic' });
+    }
+    const unknown = Object.keys(music).find(option => !MUSIC_FIELDS.includes(option));
+    if (unknown) {
+        throw new ValidationError(`backgroundMusic.${unknown} is not a music option`, { field: 'backgroundMusic' });
+    }
+
+    const track = typeof music.track === 'string' ? music.track.trim() : '';
+    if (!track) {
+        throw new ValidationError('backgroundMusic.track must be the name of a music track', { field: 'backgroundMusic' });
+    }
+    if (!env.TTS_MUSIC_DIR) {
+        throw new ValidationError('Background music is not available: TTS_MUSIC_DIR is not configured', { field: 'backgroundMusic' });
+    }
+    if (!TRACK_NAME_PATTERN.test(track) ||
+        !MUSIC_EXTENSIONS.includes(path.extname(track).toLowerCase()) ||
+        !fs.existsSync(path.join(env.TTS_MUSIC_DIR, track))) {
+        throw new ValidationError(`backgroundMusic.track "${track}" is not one of the music tracks`, { field: 'backgroundMusic' });
+    }
+
+    const levels = {};
+    for (const [field, range] of Object.entries(MUSIC_RANGES)) {
+        levels[field] = music[field] === undefined || music[field] === null
+            ? MUSIC_DEFAULTS[field]
+            : readLevel(music[field], `backgroundMusic.${field}`, range);
+    }
+    return { track, ...levels };
+}
+
+/**
+ * Parses the post-processing fields of a request body
+ *
+ * Asking for post-processing that needs ffmpeg (Opus or MP3 output, or a
+ * music track that isn't WAV) fails here when ffmpeg can't be run, rather
+ * than after the whole text has been synthesized.
+ *
+ * @param {Object} body - Parsed JSON request body
+ * @param {string} audioEncoding - Encoding of the finished audio
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object|undefined} - { trimSilence?, pauses?: { paragraph?, sentence?, chunk? } (seconds),
+ *   targetLoudness?, music?: { track, volumeDb, duckDb } }, or undefined when none is asked for
+ * @throws {ValidationError}
+ */
+function readPostProcessing(body, audioEncoding, env = process.env) {
+    const postProcessing = {};
+
+    if (body.trimSilence !== undefined) {
+        if (typeof body.trimSilence !== 'boolean') {
+            throw new ValidationError('trimSilence must be a boolean', { field: 'trimSilence' });
+        }
+        if (body.trimSilence) {
+            postProcessing.trimSilence = true;
+        }
+    }
+
+    for (const [kind, field] of Object.entries(PAUSE_FIELDS)) {
+        if (body[field] !== undefined) {
+            postProcessing.pauses = { ...postProcessing.pauses, [kind]: readPause(body[field], field) / 1000 };
+        }
+    }
+
+    if (body.targetLoudness !== undefined && body.targetLoudness !== null) {
+        postProcessing.targetLoudness = readLevel(body.targetLoudness, 'targetLoudness', LOUDNESS_RANGE);
+    }
+
+    if (body.backgroundMusic !== undefined && body.backgroundMusic !== null) {
+        postProcessing.music = readBackgroundMusic(body.backgroundMusic, env);
+    }
+
+    if (Object.keys(postProcessing).length === 0) {
+        return undefined;
+    }
+    if (ENCODER_ARGS[audioEncoding] && !ffmpegAvailable(env)) {
+        throw new ValidationError(
+            `audioEncoding ${audioEncoding} with post-processing needs ffmpeg, which is not available here; use LINEAR16, MULAW or ALAW`,
+            { field: 'audioEncoding' }
+        );
+    }
+    if (postProcessing.music && path.extname(postProcessing.music.track).toLowerCase() !== '.wav' && !ffmpegAvailable(env)) {
+        throw new ValidationError(
+            `backgroundMusic.track "${postProcessing.music.track}" needs ffmpeg, which is not available here; use a WAV track`,
+            { field: 'backgroundMusic' }
+        );
+    }
+    return postProcessing;
+}
+
+/**
+ * What ends a chunk that isn't the last of its paragraph: a sentence, or a
+ * split inside a sentence too long for one chunk
+ *
+ * @param {string} text - Chunk text or SSML
+ * @param {string} inputType - "text" or "ssml"
+ * @returns {"sentence"|"chunk"}
+ */
+function boundaryKind(text, inputType) {
+    const plain = inputType === 'ssml' ? ssmlToPlainText(text) : text;
+    return SENTENCE_END_PATTERN.test(plain.trim()) ? 'sentence' : 'chunk';
+}
+
+/**
+ * Seconds of silence to stitch in after a chunk
+ *
+ * @param {Object} postProcessing - Parsed post-processing options
+ * @param {string} kind - "paragraph", "sentence" or "chunk"
+ * @returns {number}
+ */
+function boundaryPause(postProcessing, kind) {
+    const pause = postProcessing.pauses && postProcessing.pauses[kind];
+    if (pause !== undefined) {
+        return pause;
+    }
+    return postProcessing.trimSilence ? DEFAULT_PAUSES_MS[kind] / 1000 : 0;
+}
+
+/**
+ * Reads a 16-bit PCM WAV file as samples between -1 and 1 (channels interleaved)
+ */
+function readPcm(wav) {
+    const { fmt, data } = parseWav(wav);
+    if (fmt.readUInt16LE(0) !== 1 || fmt.readUInt16LE(14) !== 16) {
+        throw new Error('Post-processing needs 16-bit PCM audio');
+    }
+    const samples = new Float32Array(Math.floor(data.length / 2));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = data.readInt16LE(i * 2) / 32768;
+    }
+    return { fmt, channels: fmt.readUInt16LE(2), sampleRate: fmt.readUInt32LE(4), samples };
+}
+
+function toInt16(sample) {
+    return Math.max(-32768, Math.min(32767, Math.round(sample * 32768)));
+}
+
+/**
+ * Cuts the silence from both ends of a chunk
+ *
+ * @param {Buffer} wav - LINEAR16 WAV audio of one chunk
+ * @returns {{ audio: Buffer, leadSeconds: number }} - The trimmed audio, and how much was cut from its start
+ */
+function trimSilence(wav) {
+    const { fmt, data } = parseWav(wav);
+    const channels = fmt.readUInt16LE(2);
+    const sampleRate = fmt.readUInt32LE(4);
+    const blockAlign = channels * 2;
+    const frameBytes = Math.max(1, Math.round(sampleRate * FRAME_SECONDS)) * blockAlign;
+    const threshold = 32768 * 10 ** (SILENCE_THRESHOLD_DB / 20);
+    const length = data.length - (data.length % blockAlign);
+
+    const isLoud = (frameStart) => {
+        for (let offset = frameStart; offset < Math.min(frameStart + frameBytes, length); offset += 2) {
+            if (Math.abs(data.readInt16LE(offset)) > threshold) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    let start = 0;
+    while (start < length && !isLoud(start)) {
+        start += frameBytes;
+    }
+    if (start >= length) {
+        return { audio: writeWav(fmt, []), leadSeconds: 0 };
+    }
+    let end = Math.ceil(length / frameBytes) * frameBytes;
+    while (end - frameBytes > start && !isLoud(end - frameBytes)) {
+        end -= frameBytes;
+    }
+
+    const margin = Math.round(sampleRate * TRIM_MARGIN_SECONDS) * blockAlign;
+    start = Math.max(0, start - margin);
+    end = Math.min(length, end + margin);
+    return {
+        audio: writeWav(fmt, [data.subarray(start, end)]),
+        leadSeconds: start / (sampleRate * blockAlign)
+    };
+}
+
+/**
+ * Biquad coefficients of the two K-weighting stages of ITU-R BS.1770 (the
+ * high-shelf pre-filter and the RLB high-pass) at a sample rate, derived the
+ * same way as libebur128 so they match the standard's 48 kHz values
+ */
+function kWeightingFilters(sampleRate) {
+    const shelfK = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    const shelfQ = 0.7071752369554196;
+    const vh = 10 ** (3.999843853973347 / 20);
+    const vb = vh ** 0.4996667741545416;
+    const shelfA0 = 1 + shelfK / shelfQ + shelfK * shelfK;
+
+    const passK = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    const passQ = 0.5003270373238773;
+    const passA0 = 1 + passK / passQ + passK * passK;
+
+    return [
+        {
+            b: [
+                (vh + vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+                2 * (shelfK * shelfK - vh) / shelfA0,
+                (vh - vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0
+            ],
+            a: [2 * (shelfK * shelfK - 1) / shelfA0, (1 - shelfK / shelfQ + shelfK * shelfK) / shelfA0]
+        },
+        {
+            b: [1, -2, 1],
+            a: [2 * (passK * passK - 1) / passA0, (1 - passK / passQ + passK * passK) / passA0]
+        }
+    ];
+}
+
+/**
+ * Measures integrated loudness per ITU-R BS.1770: K-weighted mean square over
+ * 400 ms blocks (overlapping by 75%), gated at -70 LUFS and then 10 LU below
+ * the level of the blocks that passed
+ *
+ * @param {Float32Array} samples - Samples between -1 and 1, channels interleaved
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} channels - Channel count (each weighted 1, as for mono, left and right)
+ * @returns {number} - Loudness in LUFS, -Infinity for silence
+ */
+function measureLoudness(samples, sampleRate, channels = 1) {
+    const frames = Math.floor(samples.length / channels);
+    if (frames === 0) {
+        return -Infinity;
+    }
+    const filters = kWeightingFilters(sampleRate);
+    const stepFrames = Math.max(1, Math.round(sampleRate * 0.1));
+    const steps = new Float64Array(Math.ceil(frames / stepFrames));
+
+    for (let channel = 0; channel < channels; channel++) {
+        const state = filters.map(() => [0, 0]);
+        for (let frame = 0; frame < frames; frame++) {
+            let value = samples[frame * channels + channel];
+            filters.forEach(({ b, a }, index) => {
+                const z = state[index];
+                const output = b[0] * value + z[0];
+                z[0] = b[1] * value - a[0] * output + z[1];
+                z[1] = b[2] * value - a[1] * output;
+                value = output;
+            });
+            steps[Math.floor(frame / stepFrames)] += value * value;
+        }
+    }
+
+    const toLoudness = energy => -0.691 + 10 * Math.log10(energy);
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const blocks = steps.length >= 4
+        ? Array.from({ length: steps.length - 3 }, (_, i) => (steps[i] + steps[i + 1] + steps[i + 2] + steps[i + 3]) / (4 * stepFrames))
+        : [steps.reduce((sum, value) => sum + value, 0) / frames];
+
+    const audible = blocks.filter(energy => toLoudness(energy) > -70);
+    if (audible.length === 0) {
+        return -Infinity;
+    }
+    const relativeGate = toLoudness(mean(audible)) - 10;
+    return toLoudness(mean(audible.filter(energy => toLoudness(energy) > relativeGate)));
+}
+
+/**
+ * Scales samples (in place) to a target loudness, as far as the peak ceiling allows
+ *
+ * @returns {{ loudness: number, gainDb: number }} - The loudness before, and the gain applied
+ */
+function normalizeLoudness(samples, sampleRate, channels, targetLoudness) {
+    const loudness = measureLoudness(samples, sampleRate, channels);
+    if (!Number.isFinite(loudness)) {
+        return { loudness, gainDb: 0 };
+    }
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    const gainDb = Math.min(targetLoudness - loudness, PEAK_CEILING_DB - 20 * Math.log10(peak));
+    const gain = 10 ** (gainDb / 20);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] *= gain;
+    }
+    return { loudness, gainDb };
+}
+
+/**
+ * Mixes music (in place) under speech, looping it to the speech's length
+ *
+ * The music plays at volumeDb and drops by duckDb wherever there is speech,
+ * fading in at the start and out at the end.
+ *
+ * @param {Float32Array} samples - Speech samples, channels interleaved
+ * @param {number} sampleRate - Sample rate of both speech and music
+ * @param {number} channels - Speech channel count (the music is mono)
+ * @param {Float32Array} music - Music samples
+ * @param {{ volumeDb: number, duckDb: number }} levels
+ */
+function mixMusic(samples, sampleRate, channels, music, { volumeDb, duckDb }) {
+    const frames = Math.floor(samples.length / channels);
+    if (frames === 0 || music.length === 0) {
+        return;
+    }
+    const frameLength = Math.max(1, Math.round(sampleRate * FRAME_SECONDS));
+    const count = Math.ceil(frames / frameLength);
+    const threshold = 10 ** (SILENCE_THRESHOLD_DB / 20);
+
+    const speech = new Uint8Array(count);
+    for (let i = 0; i < frames * channels; i++) {
+        if (Math.abs(samples[i]) > threshold) {
+            speech[Math.floor(i / channels / frameLength)] = 1;
+        }
+    }
+
+    // How far each frame is ducked (0 to 1): up to full ahead of speech, back down after it
+    const ducking = new Float32Array(count);
+    const attackStep = FRAME_SECONDS / DUCK_ATTACK_SECONDS;
+    const releaseStep = FRAME_SECONDS / DUCK_RELEASE_SECONDS;
+    for (let frame = 0, level = 0; frame < count; frame++) {
+        level = speech[frame] ? 1 : Math.max(0, level - releaseStep);
+        ducking[frame] = level;
+    }
+    for (let frame = count - 1, level = 0; frame >= 0; frame--) {
+        level = speech[frame] ? 1 : Math.max(0, level - attackStep);
+        ducking[frame] = Math.max(ducking[frame], level);
+    }
+    const gains = ducking.map(amount => 10 ** ((volumeDb - duckDb * amount) / 20));
+
+    const fadeIn = sampleRate * MUSIC_FADE_IN_SECONDS;
+    const fadeOut = sampleRate * MUSIC_FADE_OUT_SECONDS;
+    for (let frame = 0; frame < frames; frame++) {
+        const index = Math.floor(frame / frameLength);
+        const next = Math.min(index + 1, count - 1);
+        const gain = gains[index] + (gains[next] - gains[index]) * ((frame % frameLength) / frameLength);
+        const fade = Math.min(1, frame / fadeIn, (frames - frame) / fadeOut);
+        const value = music[frame % music.length] * gain * fade;
+        for (let channel = 0; channel < channels; channel++) {
+            samples[frame * channels + channel] += value;
+        }
+    }
+}
+
+/**
+ * The ffmpeg binary: TTS_FFMPEG_PATH, the one bundled with the
+ * @ffmpeg-installer/ffmpeg package, or "ffmpeg" on the PATH
+ */
+function ffmpegCommand(env = process.env) {
+    if (env.TTS_FFMPEG_PATH) {
+        return env.TTS_FFMPEG_PATH;
+    }
+    try {
+        return require('@ffmpeg-installer/ffmpeg').path;
+    } catch {
+        // No binary for this platform
+        return 'ffmpeg';
+    }
+}
+
+// Whether each ffmpeg binary runs, checked once per process
+const ffmpegChecks = new Map();
+
+/**
+ * Whether ffmpeg can be run
+ *
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {boolean}
+ */
+function ffmpegAvailable(env = process.env) {
+    const command = ffmpegCommand(env);
+    if (!ffmpegChecks.has(command)) {
+        const result = spawnSync(command, ['-version'], { stdio: 'ignore', timeout: FFMPEG_CHECK_TIMEOUT_MS });
+        ffmpegChecks.set(command, !result.error && result.status === 0);
+    }
+    return ffmpegChecks.get(command);
+}
+
+/**
+ * Runs ffmpeg with the given arguments and stdin, and resolves with its stdout
+ */
+function runFfmpeg(args, input, env = process.env) {
+    const command = ffmpegCommand(env);
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, ['-hide_banner', '-loglevel', 'error', ...args], {
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+        const stdout = [];
+        const stderr = [];
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            child.kill('SIGKILL');
+        }, FFMPEG_TIMEOUT_MS);
+
+        child.stdout.on('data', data => stdout.push(data));
+        child.stderr.on('data', data => stderr.push(data));
+        child.on('error', error => {
+            // Emitted instead of close when ffmpeg can't be started
+            clearTimeout(timer);
+            reject(error.code === 'ENOENT'
+                ? new Error(`${command} is not installed or not on the PATH (set TTS_FFMPEG_PATH)`)
+                : error);
+        });
+        child.on('close', (code, signal) => {
+            clearTimeout(timer);
+            if (code === 0) {
+                resolve(Buffer.concat(stdout));
+                return;
+            }
+            if (timedOut) {
+                reject(new Error(`${command} took longer than ${FFMPEG_TIMEOUT_MS / 1000} seconds`));
+                return;
+            }
+            const detail = Buffer.concat(stderr).toString('utf8').trim();
+            reject(new Error(`${command} ${signal ? `was stopped (${signal})` : `exited with code ${code}`}${detail ? `: ${detail}` : ''}`));
+        });
+
+        child.stdin.on('error', () => {});
+        child.stdin.end(input);
+    });
+}
+
+/**
+ * Resamples mono samples by linear interpolation
+ */
+function resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) {
+        return samples;
+    }
+    const output = new Float32Array(Math.floor(samples.length * toRate / fromRate));
+    for (let i = 0; i < output.length; i++) {
+        const position = i * fromRate / toRate;
+        const index = Math.floor(position);
+        const next = Math.min(index + 1, samples.length - 1);
+        output[i] = samples[index] + (samples[next] - samples[index]) * (position - index);
+    }
+    return output;
+}
+
+/**
+ * Reads a music track as mono samples at a sample rate
+ *
+ * 16-bit PCM WAV files are read here; anything else is decoded with ffmpeg.
+ *
+ * @param {string} track - File name in TTS_MUSIC_DIR
+ * @param {number} sampleRate - Sample rate of the speech it is mixed with
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Promise<Float32Array>}
+ */
+async function loadMusic(track, sampleRate, env = process.env) {
+    const file = path.join(env.TTS_MUSIC_DIR || '', track);
+    if (path.extname(track).toLowerCase() === '.wav') {
+        const wav = await fsPromises.readFile(file);
+        let pcm = null;
+        try {
+            pcm = readPcm(wav);
+        } catch {
+            // Other WAV encodings are decoded with ffmpeg below
+        }
+        if (pcm) {
+            const mono = new Float32Array(Math.floor(pcm.samples.length / pcm.channels));
+            for (let i = 0; i < mono.length; i++) {
+                let sum = 0;
+                for (let channel = 0; channel < pcm.channels; channel++) {
+                    sum += pcm.samples[i * pcm.channels + channel];
+                }
+                mono[i] = sum / pcm.channels;
+            }
+            return resample(mono, pcm.sampleRate, sampleRate);
+        }
+    }
+
+    const raw = await runFfmpeg(['-i', file, '-f', 's16le', '-ac', '1', '-ar', String(sampleRate), 'pipe:1'], null, env);
+    const samples = new Float32Array(Math.floor(raw.length / 2));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = raw.readInt16LE(i * 2) / 32768;
+    }
+    return samples;
+}
+
+/**
+ * Encodes processed samples in the requested Google audio encoding
+ */
+async function encodeAudio({ fmt, channels, sampleRate, samples }, audioEncoding, env) {
+    if (audioEncoding === 'MULAW' || audioEncoding === 'ALAW') {
+        const encode = audioEncoding === 'MULAW' ? linearToMulaw : linearToAlaw;
+        const data = Buffer.alloc(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            data[i] = encode(toInt16(samples[i]));
+        }
+        const g711 = Buffer.alloc(16);
+        g711.writeUInt16LE(audioEncoding === 'MULAW' ? 7 : 6, 0);
+        g711.writeUInt16LE(channels, 2);
+        g711.writeUInt32LE(sampleRate, 4);
+        g711.writeUInt32LE(sampleRate * channels, 8);
+        g711.writeUInt16LE(channels, 12);
+        g711.writeUInt16LE(8, 14);
+        return writeWav(g711, [data]);
+    }
+
+    const pcm = Buffer.alloc(samples.length * 2);
+    for (let i = 0; i < samples.length; i++) {
+        pcm.writeInt16LE(toInt16(samples[i]), i * 2);
+    }
+    if (!ENCODER_ARGS[audioEncoding]) {
+        return writeWav(fmt, [pcm]);
+    }
+    return runFfmpeg(
+        ['-f', 's16le', '-ar', String(sampleRate), '-ac', String(channels), '-i', 'pipe:0', ...ENCODER_ARGS[audioEncoding], 'pipe:1'],
+        pcm,
+        env
+    );
+}
+
+/**
+ * Creates the post-processor that finishes each output file of a request:
+ * mixes in the background music, normalizes the loudness and encodes it
+ *
+ * @param {Object} postProcessing - Parsed post-processing options
+ * @param {string} audioEncoding - Encoding of the finished audio
+ * @param {Function} log - Logger
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {{ finish: function(Buffer): Promise<Buffer> }} - finish takes stitched LINEAR16 WAV audio
+ */
+function createPostProcessor(postProcessing, audioEncoding, log = () => {}, env = process.env) {
+    // Decoded once per request, at the speech's sample rate
+    let music = null;
+
+    return {
+        async finish(wav) {
+            if (!wav || wav.length === 0) {
+                return Buffer.alloc(0);
+            }
+            const pcm = readPcm(wav);
+            if (pcm.samples.length === 0) {
+                return Buffer.alloc(0);
+            }
+
+            if (postProcessing.music) {
+                if (!music || music.sampleRate !== pcm.sampleRate) {
+                    music = {
+                        sampleRate: pcm.sampleRate,
+                        samples: await loadMusic(postProcessing.music.track, pcm.sampleRate, env)
+                    };
+                }
+                mixMusic(pcm.samples, pcm.sampleRate, pcm.channels, music.samples, postProcessing.music);
+            }
+
+            if (postProcessing.targetLoudness !== undefined) {
+                const { loudness, gainDb } = normalizeLoudness(pcm.samples, pcm.sampleRate, pcm.channels, postProcessing.targetLoudness);
+                if (Number.isFinite(loudness)) {
+                    log(`Loudness ${loudness.toFixed(1)} LUFS, adjusted by ${gainDb.toFixed(1)} dB towards ${postProcessing.targetLoudness} LUFS`);
+                }
+            }
+
+            return encodeAudio(pcm, audioEncoding, env);
+        }
+    };
+}
+
+/**
+ * Names of the background music tracks in TTS_MUSIC_DIR
+ *
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Promise<string[]>} - Sorted file names; empty when no directory is configured
+ */
+async function listMusicTracks(env = process.env) {
+    if (!env.TTS_MUSIC_DIR) {
+        return [];
+    }
+    const entries = await fsPromises.readdir(env.TTS_MUSIC_DIR, { withFileTypes: true });
+    return entries
+        .filter(entry => entry.isFile() &&
+            TRACK_NAME_PATTERN.test(entry.name) &&
+            MUSIC_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+        .map(entry => entry.name)
+        .sort();
+}
+
+module.exports = {
+    readPostProcessing,
+    boundaryKind,
+    boundaryPause,
+    trimSilence,
+    measureLoudness,
+    createPostProcessor,
+    listMusicTracks
+};
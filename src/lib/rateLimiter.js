@@ -0,0 +1,285 @@
+/**
+ * Shared rate limiter for provider requests
+ *
+ * Every provider request in the worker process goes through one limiter per
+ * provider, so concurrent invocations share the provider's quota instead of
+ * each assuming it owns all of it. A limiter combines:
+ * - a token bucket refilled at limits.maxRequestsPerMinute, holding up to
+ *   limits.maxConcurrent tokens (the largest burst)
+ * - a cap of limits.maxConcurrent requests in flight
+ * - a pause that every caller waits out after the provider asks for one
+ *   (a retry-after hint or a rate-limit error)
+ *
+ * Bucket state ({ tokens, updatedAt, pausedUntil }) is kept by a backend with
+ * one async method:
+ *   update(key, change) -> result
+ * which applies change(state | null) -> { state, result } atomically.
+ *
+ * Backends are selected with the TTS_RATE_LIMIT environment variable:
+ * "memory" (default, per worker process) or "blob" (Azure Blob Storage,
+ * shared by every worker of the Function App). If the shared backend can't
+ * be reached, the worker falls back to its own bucket rather than failing
+ * the request.
+ */
+
+// Attempts to win a conditional write before waiting and trying again
+const MAX_CONFLICT_RETRIES = 5;
+const CONFLICT_WAIT_MS = 50;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Takes one token from a bucket, refilling it for the time since the last update
+ *
+ * @param {Object|null} state - Bucket state, or null for a new (full) bucket
+ * @param {Object} limits - { capacity, refillPerSecond }
+ * @param {number} now - Current time in milliseconds
+ * @returns {{ state: Object, result: number }} - result is the wait in milliseconds
+ *   before a token is free (0 when one was taken)
+ */
+function takeToken(state, { capacity, refillPerSecond }, now) {
+    const current = state || { tokens: capacity, updatedAt: now, pausedUntil: 0 };
+    const elapsedSeconds = Math.max(0, now - current.updatedAt) / 1000;
+    const tokens = Math.min(capacity, current.tokens + elapsedSeconds * refillPerSecond);
+    const refilled = { ...current, tokens, updatedAt: now };
+
+    if (current.pausedUntil > now) {
+        return { state: refilled, result: current.pausedUntil - now };
+    }
+    if (tokens >= 1) {
+        return { state: { ...refilled, tokens: tokens - 1 }, result: 0 };
+    }
+    return { state: refilled, result: Math.ceil((1 - tokens) * 1000 / refillPerSecond) };
+}
+
+/**
+ * Holds a bucket's tokens back until a time, and empties it so requests
+ * resume gradually afterwards
+ */
+function pauseBucket(state, { capacity }, until, now) {
+    const current = state || { tokens: capacity, updatedAt: now, pausedUntil: 0 };
+    return {
+        state: { tokens: 0, updatedAt: until, pausedUntil: Math.max(current.pausedUntil, until) },
+        result: undefined
+    };
+}
+
+/**
+ * Bucket state in the worker process
+ */
+class MemoryBucketStore {
+    constructor() {
+        this.buckets = new Map();
+    }
+
+    async update(key, change) {
+        const { state, result } = change(this.buckets.get(key) || null);
+        this.buckets.set(key, state);
+        return result;
+    }
+}
+
+/**
+ * Bucket state in Azure Blob Storage
+ *
+ * Each bucket is a small JSON blob. Updates are conditional on the blob's
+ * ETag, so workers racing for the same token retry instead of overwriting
+ * each other.
+ */
+class BlobBucketStore {
+    constructor(options = {}) {
+        if (!options.connectionString) {
+            throw new Error('The blob rate limiter needs TTS_RATE_LIMIT_BLOB_CONNECTION_STRING (or AzureWebJobsStorage)');
+        }
+        // Loaded lazily so the memory backend works without the Azure SDK configured
+        const { BlobServiceClient } = require('@azure/storage-blob');
+        this.container = BlobServiceClient
+            .fromConnectionString(options.connectionString)
+            .getContainerClient(options.containerName || 'tts-rate-limits');
+        this.containerReady = null;
+    }
+
+    async read(blob) {
+        try {
+            const response = await blob.download();
+            const parts = [];
+            for await (const part of response.readableStreamBody) {
+                parts.push(part);
+            }
+            return { state: JSON.parse(Buffer.concat(parts).toString('utf8')), etag: response.etag };
+        } catch (error) {
+            if (error.statusCode === 404) {
+                return { state: null, etag: null };
+            }
+            throw error;
+        }
+    }
+
+    async update(key, change) {
+        if (!this.containerReady) {
+            this.containerReady = this.container.createIfNotExists().catch(error => {
+                this.containerReady = null;
+                throw error;
+            });
+        }
+        await this.containerReady;
+
+        const blob = this.container.getBlockBlobClient(`${key}.json`);
+        for (let attempt = 0; attempt < MAX_CONFLICT_RETRIES; attempt++) {
+            const { state, etag } = await this.read(blob);
+            const { state: nextState, result } = change(state);
+            const data = Buffer.from(JSON.stringify(nextState), 'utf8');
+            try {
+                await blob.upload(data, data.length, {
+                    conditions: etag ? { ifMatch: etag } : { ifNoneMatch: '*' }
+                });
+                return result;
+            } catch (error) {
+                // 412: changed since it was read; 409: created by another worker
+                if (error.statusCode !== 412 && error.statusCode !== 409) {
+                    throw error;
+                }
+                await sleep(Math.random() * CONFLICT_WAIT_MS);
+            }
+        }
+        throw new Error(`Rate limit bucket ${key} is too contended to update`);
+    }
+}
+
+class RateLimiter {
+    /**
+     * @param {string} key - Bucket name (the provider name)
+     * @param {Object} limits - Provider limits: { maxConcurrent, maxRequestsPerMinute }
+     * @param {Object} store - Bucket state backend
+     */
+    constructor(key, limits, store) {
+        this.key = key;
+        this.maxConcurrent = Math.max(1, limits.maxConcurrent);
+        this.bucketLimits = {
+            capacity: this.maxConcurrent,
+            refillPerSecond: limits.maxRequestsPerMinute / 60
+        };
+        this.store = store;
+        this.localStore = store instanceof MemoryBucketStore ? store : new MemoryBucketStore();
+        this.active = 0;
+        this.waiting = [];
+    }
+
+    async update(change) {
+        try {
+            return await this.store.update(this.key, change);
+        } catch {
+            return this.localStore.update(this.key, change);
+        }
+    }
+
+    acquireSlot() {
+        if (this.active < this.maxConcurrent) {
+            this.active++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    releaseSlot() {
+        // The slot passes straight to the next waiter, so active stays the same
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
+
+    /**
+     * Runs a provider request once a slot and a token are free
+     *
+     * @param {Function} call - () => Promise
+     * @returns {Promise<*>} - The call's result
+     */
+    async schedule(call) {
+        await this.acquireSlot();
+        try {
+            let waitMs;
+            while ((waitMs = await this.update(state => takeToken(state, this.bucketLimits, Date.now()))) > 0) {
+                await sleep(waitMs);
+            }
+            return await call();
+        } finally {
+            this.releaseSlot();
+        }
+    }
+
+    /**
+     * Holds every request to this provider back for a while
+     *
+     * @param {number} ms - How long to pause
+     */
+    async pause(ms) {
+        const now = Date.now();
+        await this.update(state => pauseBucket(state, this.bucketLimits, now + ms, now));
+    }
+}
+
+/**
+ * Creates a bucket state backend from environment configuration
+ *
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {MemoryBucketStore|BlobBucketStore}
+ */
+function createBucketStore(env = process.env) {
+    const backend = (env.TTS_RATE_LIMIT || 'memory').toLowerCase();
+
+    switch (backend) {
+        case 'memory':
+            return new MemoryBucketStore();
+        case 'blob':
+            return new BlobBucketStore({
+                connectionString: env.TTS_RATE_LIMIT_BLOB_CONNECTION_STRING || env.AzureWebJobsStorage,
+                containerName: env.TTS_RATE_LIMIT_BLOB_CONTAINER
+            });
+        default:
+            throw new Error(`Unknown TTS_RATE_LIMIT backend: ${backend}`);
+    }
+}
+
+// Process-wide limiters per provider instance, sharing one bucket store
+let bucketStore;
+let limiters = new WeakMap();
+
+/**
+ * Returns the shared limiter for a provider, created from its limits on first use
+ *
+ * @param {Object} provider - Text-to-speech provider (see ttsProviders.js)
+ * @returns {RateLimiter}
+ */
+function getRateLimiter(provider) {
+    if (!limiters.has(provider)) {
+        if (!bucketStore) {
+            bucketStore = createBucketStore();
+        }
+        limiters.set(provider, new RateLimiter(provider.name, provider.limits, bucketStore));
+    }
+    return limiters.get(provider);
+}
+
+/**
+ * Replaces the bucket store and forgets every limiter, so each provider gets
+ * a new limiter on the new store
+ *
+ * @param {Object|undefined} store - Store implementing update(key, change), or undefined to reset
+ */
+function setBucketStore(store) {
+    bucketStore = store;
+    limiters = new WeakMap();
+}
+
+module.exports = {
+    MemoryBucketStore,
+    BlobBucketStore,
+    RateLimiter,
+    takeToken,
+    createBucketStore,
+    getRateLimiter,
+    setBucketStore
+};
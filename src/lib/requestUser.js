@@ -0,0 +1,25 @@
+/**
+ * Identifies the user a request is made for
+ *
+ * Function routes are protected by the function key, so only trusted callers
+ * (the Next.js frontend's API routes) reach them. Those callers pass the
+ * signed-in user's email in the x-tts-user header; requests without it share
+ * the "default" user.
+ */
+
+const USER_HEADER = 'x-tts-user';
+const DEFAULT_USER = 'default';
+
+/**
+ * @param {Object} request - Azure Functions HTTP request
+ * @returns {string} - Normalized user id
+ */
+function getRequestUser(request) {
+    const user = request.headers.get(USER_HEADER);
+    return user && user.trim() ? user.trim().toLowerCase() : DEFAULT_USER;
+}
+
+module.exports = {
+    USER_HEADER,
+    getRequestUser
+};
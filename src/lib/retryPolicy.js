@@ -0,0 +1,214 @@
+const { CircuitOpenError } = require('./errors');
+const { getRateLimiter } = require('./rateLimiter');
+
+/**
+ * Retry policy and circuit breaker for provider requests
+ *
+ * Transient failures are retried with jittered exponential backoff: a random
+ * delay of up to baseDelayMs * 2^attempt, capped at maxDelayMs. Providers mark
+ * them as RateLimitError (Google RESOURCE_EXHAUSTED, Azure 429) or
+ * TransientError (Google UNAVAILABLE and DEADLINE_EXCEEDED, Azure 5xx and
+ * timeouts). A retry-after hint from the provider replaces the computed delay.
+ * Rate limits and hints also pause the provider's shared rate limiter, so
+ * every request backs off, not only the one that was refused.
+ *
+ * Each provider has a circuit breaker. After TTS_CIRCUIT_FAILURES (5) transient
+ * failures in a row it opens, and requests fail at once with CircuitOpenError
+ * (so synthesis falls back to the next provider) for TTS_CIRCUIT_COOLDOWN_SECONDS
+ * (30). Then a single trial request is let through: success closes the
+ * circuit, a transient failure opens it again. Rate limits and errors that
+ * retrying can't fix (a voice the provider doesn't know, a bad key) say
+ * nothing about the provider being down, so they never open the circuit: one
+ * caller's bad request mustn't lock every other caller out of the provider.
+ */
+
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 30 * 1000;
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_COOLDOWN_SECONDS = 30;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRetryable(error) {
+    return Boolean(error.isRateLimit || error.isTransient);
+}
+
+/**
+ * Backoff before a retry ("full jitter")
+ *
+ * @param {number} attempt - 0 for the first retry
+ * @returns {number} - Delay in milliseconds
+ */
+function backoffDelay(attempt, baseDelayMs = DEFAULT_BASE_DELAY_MS, maxDelayMs = DEFAULT_MAX_DELAY_MS) {
+    return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt)));
+}
+
+/**
+ * Reads an HTTP Retry-After header: delay seconds or an HTTP date
+ *
+ * @param {string|null} value - Header value
+ * @returns {number|undefined} - Delay in milliseconds
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return undefined;
+    }
+    if (/^\d+$/.test(value.trim())) {
+        return Number(value.trim()) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+class CircuitBreaker {
+    /**
+     * @param {string} name - Provider name, for error messages
+     * @param {Object} options - { failureThreshold, cooldownMs }
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.failureThreshold = options.failureThreshold || DEFAULT_FAILURE_THRESHOLD;
+        this.cooldownMs = options.cooldownMs || DEFAULT_COOLDOWN_SECONDS * 1000;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = 0;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Lets a request through, or throws while the circuit is open
+     *
+     * @throws {CircuitOpenError}
+     */
+    check() {
+        if (this.state === 'closed') {
+            return;
+        }
+        const remainingMs = this.openedAt + this.cooldownMs - Date.now();
+        if (this.state === 'open' && remainingMs <= 0) {
+            this.state = 'half-open';
+        }
+        if (this.state === 'half-open' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return;
+        }
+        throw new CircuitOpenError(
+            `${this.name} is unavailable after repeated failures; retrying in ${Math.ceil(Math.max(remainingMs, 1000) / 1000)}s`,
+            Math.max(remainingMs, 1000)
+        );
+    }
+
+    recordSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Ends a request that neither proves nor disproves the provider is up, so
+     * a half-open circuit lets the next trial through
+     */
+    recordOther() {
+        this.trialInFlight = false;
+    }
+
+    recordFailure() {
+        this.failures++;
+        if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+        this.trialInFlight = false;
+    }
+}
+
+// Process-wide breakers per provider instance
+let breakers = new WeakMap();
+
+/**
+ * Returns the circuit breaker for a provider, created on first use
+ *
+ * @param {Object} provider - Text-to-speech provider (see ttsProviders.js)
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {CircuitBreaker}
+ */
+function getCircuitBreaker(provider, env = process.env) {
+    if (!breakers.has(provider)) {
+        breakers.set(provider, new CircuitBreaker(provider.name, {
+            failureThreshold: Number(env.TTS_CIRCUIT_FAILURES) || undefined,
+            cooldownMs: Number(env.TTS_CIRCUIT_COOLDOWN_SECONDS) * 1000 || undefined
+        }));
+    }
+    return breakers.get(provider);
+}
+
+/**
+ * Closes every circuit, forgetting the failures each breaker has counted
+ */
+function resetCircuitBreakers() {
+    breakers = new WeakMap();
+}
+
+/**
+ * Makes a provider request through the provider's shared rate limiter and
+ * circuit breaker, retrying transient failures
+ *
+ * Only transient failures count towards opening the circuit; invalid requests
+ * (ValidationError, InputRejectedError) close it again, since the provider
+ * answered them.
+ *
+ * @param {Object} provider - Text-to-speech provider
+ * @param {Function} call - () => Promise, one provider request
+ * @param {Object} options - { maxRetries (3), baseDelayMs (1000), maxDelayMs (30000) }
+ * @returns {Promise<*>} - The call's result
+ */
+async function callProvider(provider, call, options = {}) {
+    const {
+        maxRetries = DEFAULT_MAX_RETRIES,
+        baseDelayMs = DEFAULT_BASE_DELAY_MS,
+        maxDelayMs = DEFAULT_MAX_DELAY_MS
+    } = options;
+    const limiter = getRateLimiter(provider);
+    const breaker = getCircuitBreaker(provider);
+
+    for (let attempt = 0; ; attempt++) {
+        breaker.check();
+        try {
+            const result = await limiter.schedule(call);
+            breaker.recordSuccess();
+            return result;
+        } catch (error) {
+            if (error.isValidation || error.isInputRejected) {
+                breaker.recordSuccess();
+                throw error;
+            }
+            if (error.isTransient) {
+                breaker.recordFailure();
+            } else {
+                breaker.recordOther();
+            }
+            if (!isRetryable(error) || attempt >= maxRetries) {
+                throw error;
+            }
+
+            const delay = error.retryAfterMs ?? backoffDelay(attempt, baseDelayMs, maxDelayMs);
+            if (error.isRateLimit || error.retryAfterMs !== undefined) {
+                // The limiter holds back every request, this one included
+                await limiter.pause(delay);
+            } else {
+                await sleep(delay);
+            }
+        }
+    }
+}
+
+module.exports = {
+    CircuitBreaker,
+    backoffDelay,
+    parseRetryAfter,
+    getCircuitBreaker,
+    resetCircuitBreakers,
+    callProvider
+};
@@ -0,0 +1,150 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * Multi-speaker scripts
+ *
+ * A script is a dialogue: a list of turns, each spoken by a named speaker with
+ * that speaker's voice. It is sent either as a JSON array
+ *
+ *   [{ "speaker": "Host", "text": "Welcome back.", "pauseMs": 800 }, ...]
+ *
+ * or as text with one "SPEAKER: line" per turn:
+ *
+ *   HOST: Welcome back to the show.
+ *   GUEST: Thanks for having me.
+ *   It's great to be here.
+ *
+ * Lines without a speaker prefix continue the previous turn, and blank lines
+ * are ignored. Speakers are matched case-insensitively against the request's
+ * speakers mapping.
+ */
+
+const MAX_SPEAKER_LENGTH = 40;
+
+// "HOST:", "Dr. Smith:", "Speaker 2:" - a name must start with a letter or digit
+const SPEAKER_LINE_PATTERN = new RegExp(`^\\s*([\\p{L}\\p{N}][\\p{L}\\p{N} _.'-]{0,${MAX_SPEAKER_LENGTH - 1}}?)\\s*:\\s*(.*)$`, 'u');
+
+// Silence between turns unless the request or the turn sets another
+const DEFAULT_TURN_PAUSE_MS = 400;
+const MAX_TURN_PAUSE_MS = 10000;
+
+/**
+ * Parses "SPEAKER: line" text into turns
+ *
+ * @param {string} source - Script text
+ * @returns {Object[]} - Turns as [{ speaker, text }]
+ * @throws {ValidationError} - When text comes before the first speaker
+ */
+function parseScriptText(source) {
+    const turns = [];
+
+    source.split(/\r?\n/).forEach((line, index) => {
+        if (line.trim() === '') {
+            return;
+        }
+
+        const match = line.match(SPEAKER_LINE_PATTERN);
+        if (match) {
+            turns.push({ speaker: match[1].trim(), text: match[2].trim() });
+        } else if (turns.length > 0) {
+            const turn = turns[turns.length - 1];
+            turn.text = turn.text ? `${turn.text}\n${line.trim()}` : line.trim();
+        } else {
+            throw new ValidationError(`script line ${index + 1} has no "SPEAKER:" prefix`, { field: 'script' });
+        }
+    });
+
+    return turns.filter(turn => turn.text !== '');
+}
+
+function readPause(value, field) {
+    const number = Number(value);
+    if (value === null || value === '' || !Number.isFinite(number) || number < 0 || number > MAX_TURN_PAUSE_MS) {
+        throw new ValidationError(`${field} must be between 0 and ${MAX_TURN_PAUSE_MS} milliseconds`, { field });
+    }
+    return number;
+}
+
+/**
+ * Validates a script: "SPEAKER: line" text or an array of { speaker, text, pauseMs? }
+ *
+ * @param {string|Object[]} value - Script from the request body
+ * @returns {Object[]} - Turns as [{ speaker, text, pauseMs? }]
+ * @throws {ValidationError} - When the script is malformed or empty
+ */
+function readScript(value) {
+    let turns;
+    if (typeof value === 'string') {
+        turns = parseScriptText(value);
+    } else if (Array.isArray(value)) {
+        turns = value.map((turn, index) => {
+            if (!turn || typeof turn.speaker !== 'string' || turn.speaker.trim() === '') {
+                throw new ValidationError(`script[${index}].speaker must be a non-empty string`, { field: 'script' });
+            }
+            if (turn.speaker.trim().length > MAX_SPEAKER_LENGTH) {
+                throw new ValidationError(`script[${index}].speaker must be at most ${MAX_SPEAKER_LENGTH} characters`, { field: 'script' });
+            }
+            if (typeof turn.text !== 'string' || turn.text.trim() === '') {
+                throw new ValidationError(`script[${index}].text must be a non-empty string`, { field: 'script' });
+            }
+            return {
+                speaker: turn.speaker.trim(),
+                text: turn.text.trim(),
+                ...(turn.pauseMs !== undefined && { pauseMs: readPause(turn.pauseMs, `script[${index}].pauseMs`) })
+            };
+        });
+    } else {
+        throw new ValidationError('script must be "SPEAKER: line" text or an array of { speaker, text }', { field: 'script' });
+    }
+
+    if (turns.length === 0) {
+        throw new ValidationError('script has no turns', { field: 'script' });
+    }
+    return turns;
+}
+
+/**
+ * Finds a script speaker in the speakers mapping, ignoring case
+ *
+ * @param {Object} speakers - Speaker name -> voice options
+ * @param {string} speaker - Speaker name from the script
+ * @returns {string|undefined} - The name as spelled in the mapping
+ */
+function findSpeaker(speakers, speaker) {
+    const key = speaker.toLowerCase();
+    return Object.keys(speakers).find(candidate => candidate.toLowerCase() === key);
+}
+
+/**
+ * Resolves each turn's voice options and the silence that follows it
+ *
+ * A speaker that sets a language but no voice gets the provider's default
+ * voice for that language rather than the request's voice.
+ *
+ * @param {Object[]} script - Turns from readScript
+ * @param {Object} speakers - Speaker name -> parsed voice options
+ * @param {number} turnPauseMs - Silence between turns (default 400)
+ * @returns {Object[]} - [{ speaker, text, options, pauseSeconds }] with speakers named as in
+ *   the mapping; the last turn has no pause
+ */
+function resolveTurns(script, speakers = {}, turnPauseMs = DEFAULT_TURN_PAUSE_MS) {
+    return script.map((turn, index) => {
+        const name = findSpeaker(speakers, turn.speaker);
+        const voice = name === undefined ? {} : speakers[name];
+        const options = voice.languageCode && !voice.voiceName
+            ? { ...voice, voiceName: undefined }
+            : { ...voice };
+        const pauseMs = index === script.length - 1 ? 0 : (turn.pauseMs ?? turnPauseMs);
+        return { speaker: name ?? turn.speaker, text: turn.text, options, pauseSeconds: pauseMs / 1000 };
+    });
+}
+
+module.exports = {
+    DEFAULT_TURN_PAUSE_MS,
+    MAX_TURN_PAUSE_MS,
+    parseScriptText,
+    readScript,
+    readPause,
+    findSpeaker,
+    resolveTurns
+};
@@ -0,0 +1,509 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * SSML parsing and SSML-aware chunking
+ *
+ * Plain-text chunking would happily cut an SSML document in the middle of a tag.
+ * This module tokenizes the document, rejects malformed markup with the position
+ * of the problem, and splits it only at sentence/paragraph boundaries outside of
+ * atomic elements. Every chunk is re-wrapped in the original <speak> root, and
+ * context elements that are still open at a boundary (<prosody>, <voice>, <lang>,
+ * <p>, <s>) are closed at the end of one chunk and reopened at the start of the
+ * next, so each chunk is a valid document that sounds the same as the original.
+ */
+
+// Elements whose content may be split across chunks; their open tags are
+// carried over into the next chunk. Anything else (say-as, sub, phoneme,
+// emphasis, audio, ...) is kept whole inside a single chunk.
+const SPLITTABLE_ELEMENTS = new Set(['p', 's', 'paragraph', 'sentence', 'prosody', 'voice', 'lang']);
+
+// Closing one of these ends a sentence or paragraph, which is a good split point
+const BOUNDARY_ELEMENTS = new Set(['p', 's', 'paragraph', 'sentence']);
+
+const NAME_PATTERN = /^[A-Za-z_][\w:.-]*/;
+const ATTRIBUTE_PATTERN = /^\s+([A-Za-z_:][\w:.-]*)\s*=\s*("[^"<]*"|'[^'<]*')/;
+const ENTITY_PATTERN = /^&(#\d+|#x[0-9a-fA-F]+|[A-Za-z][A-Za-z0-9]*);/;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+/**
+ * Escapes text for use as SSML element content
+ */
+function escapeSsml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escapes text for use inside a double-quoted SSML attribute
+ */
+function escapeSsmlAttribute(text) {
+    return escapeSsml(text).replace(/"/g, '&quot;');
+}
+
+/**
+ * Decodes the XML entities in SSML text content
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#\d+|#x[0-9a-fA-F]+|[A-Za-z]+);/g, (entity, name) => {
+        if (name.startsWith('#x')) {
+            return String.fromCodePoint(parseInt(name.slice(2), 16));
+        }
+        if (name.startsWith('#')) {
+            return String.fromCodePoint(parseInt(name.slice(1), 10));
+        }
+        return XML_ENTITIES[name] ?? entity;
+    });
+}
+
+/**
+ * Converts a character offset into line/column information for error messages
+ */
+function describePosition(source, offset) {
+    const before = source.slice(0, offset);
+    const lines = before.split('\n');
+    return {
+        position: offset,
+        line: lines.length,
+        column: lines[lines.length - 1].length + 1
+    };
+}
+
+function ssmlError(source, offset, message) {
+    const location = describePosition(source, offset);
+    return new ValidationError(
+        `Malformed SSML at line ${location.line}, column ${location.column}: ${message}`,
+        location
+    );
+}
+
+/**
+ * Validates bare ampersands in a text run
+ */
+function checkText(source, text, offset) {
+    let index = text.indexOf('&');
+    while (index !== -1) {
+        if (!ENTITY_PATTERN.test(text.slice(index))) {
+            throw ssmlError(source, offset + index, 'unescaped "&" (use &amp;)');
+        }
+        index = text.indexOf('&', index + 1);
+    }
+}
+
+/**
+ * Tokenizes an SSML document
+ *
+ * @param {string} source - SSML document
+ * @returns {Object[]} - Tokens: { type: 'open'|'close'|'empty'|'text', name, raw, offset }
+ * @throws {ValidationError} - On malformed markup, with position/line/column details
+ */
+function tokenizeSsml(source) {
+    const tokens = [];
+    let offset = 0;
+
+    while (offset < source.length) {
+        const tagStart = source.indexOf('<', offset);
+
+        if (tagStart !== offset) {
+            const end = tagStart === -1 ? source.length : tagStart;
+            const text = source.slice(offset, end);
+            checkText(source, text, offset);
+            tokens.push({ type: 'text', raw: text, offset });
+            offset = end;
+            continue;
+        }
+
+        // Comments and processing instructions (e.g. <?xml ...?>) are dropped
+        if (source.startsWith('<!--', offset)) {
+            const end = source.indexOf('-->', offset + 4);
+            if (end === -1) {
+                throw ssmlError(source, offset, 'unterminated comment');
+            }
+            offset = end + 3;
+            continue;
+        }
+        if (source.startsWith('<?', offset)) {
+            const end = source.indexOf('?>', offset + 2);
+            if (end === -1) {
+                throw ssmlError(source, offset, 'unterminated processing instruction');
+            }
+            offset = end + 2;
+            continue;
+        }
+        if (source.startsWith('<![CDATA[', offset)) {
+            const end = source.indexOf(']]>', offset + 9);
+            if (end === -1) {
+                throw ssmlError(source, offset, 'unterminated CDATA section');
+            }
+            // Kept as one text token that is never split
+            tokens.push({ type: 'text', raw: source.slice(offset, end + 3), offset, atomic: true });
+            offset = end + 3;
+            continue;
+        }
+
+        const isClosing = source[offset + 1] === '/';
+        let cursor = offset + (isClosing ? 2 : 1);
+        const nameMatch = source.slice(cursor).match(NAME_PATTERN);
+        if (!nameMatch) {
+            throw ssmlError(source, offset, 'expected an element name after "<"');
+        }
+        const name = nameMatch[0];
+        cursor += name.length;
+
+        if (isClosing) {
+            const rest = source.slice(cursor).match(/^\s*>/);
+            if (!rest) {
+                throw ssmlError(source, cursor, `expected ">" to end </${name}>`);
+            }
+            cursor += rest[0].length;
+            tokens.push({ type: 'close', name, raw: source.slice(offset, cursor), offset });
+            offset = cursor;
+            continue;
+        }
+
+        const attributes = new Set();
+        let attributeMatch;
+        while ((attributeMatch = source.slice(cursor).match(ATTRIBUTE_PATTERN))) {
+            if (attributes.has(attributeMatch[1])) {
+                throw ssmlError(source, cursor, `duplicate attribute "${attributeMatch[1]}"`);
+            }
+            attributes.add(attributeMatch[1]);
+            checkText(source, attributeMatch[2], cursor + attributeMatch[0].indexOf(attributeMatch[2]));
+            cursor += attributeMatch[0].length;
+        }
+
+        const end = source.slice(cursor).match(/^\s*(\/?)>/);
+        if (!end) {
+            throw ssmlError(source, cursor, `malformed attributes or missing ">" in <${name}>`);
+        }
+        cursor += end[0].length;
+
+        tokens.push({
+            type: end[1] ? 'empty' : 'open',
+            name,
+            raw: source.slice(offset, cursor),
+            offset
+        });
+        offset = cursor;
+    }
+
+    return tokens;
+}
+
+/**
+ * Parses and validates an SSML document
+ *
+ * Checks that the document has a single <speak> root and that every element is
+ * properly nested and closed.
+ *
+ * @param {string} source - SSML document
+ * @returns {{ rootTag: string, tokens: Object[] }} - Root open tag and the tokens inside it
+ * @throws {ValidationError} - On malformed SSML, with position/line/column details
+ */
+function parseSsml(source) {
+    if (!source || typeof source !== 'string') {
+        throw new ValidationError('No SSML provided');
+    }
+
+    const tokens = tokenizeSsml(source);
+    const stack = [];
+    let root = null;
+    let rootEnd = -1;
+
+    tokens.forEach((token, index) => {
+        const isWhitespace = token.type === 'text' && !token.atomic && token.raw.trim() === '';
+
+        if (stack.length === 0) {
+            if (isWhitespace) {
+                return;
+            }
+            if (root) {
+                throw ssmlError(source, token.offset, 'content after the closing </speak> tag');
+            }
+            if (token.type !== 'open' || token.name !== 'speak') {
+                throw ssmlError(source, token.offset, 'the document must have a single <speak> root element');
+            }
+            root = token;
+        }
+
+        if (token.type === 'open') {
+            stack.push(token);
+        } else if (token.type === 'close') {
+            const open = stack.pop();
+            if (!open) {
+                throw ssmlError(source, token.offset, `unexpected </${token.name}>`);
+            }
+            if (open.name !== token.name) {
+                const opened = describePosition(source, open.offset);
+                throw ssmlError(
+                    source,
+                    token.offset,
+                    `</${token.name}> does not match <${open.name}> opened at line ${opened.line}, column ${opened.column}`
+                );
+            }
+            if (stack.length === 0) {
+                rootEnd = index;
+            }
+        }
+    });
+
+    if (stack.length > 0) {
+        const open = stack[stack.length - 1];
+        throw ssmlError(source, open.offset, `<${open.name}> is never closed`);
+    }
+    if (!root) {
+        throw new ValidationError('SSML document must have a <speak> root element', describePosition(source, 0));
+    }
+
+    return {
+        rootTag: root.raw,
+        tokens: tokens.slice(tokens.indexOf(root) + 1, rootEnd)
+    };
+}
+
+/**
+ * Splits a text run into pieces ending at sentence boundaries
+ *
+ * The splitter may normalize whitespace, so sentence ends are located in the
+ * original text and the pieces always join back into exactly the input.
+ */
+function splitTextAtSentences(text, splitSentences) {
+    const sentences = splitSentences(text);
+    const pieces = [];
+    let cursor = 0;
+
+    // The last sentence may continue past the end of this text run (into an
+    // inline element), so only the ends of the sentences before it are boundaries
+    for (const sentence of sentences.slice(0, -1)) {
+        const found = text.indexOf(sentence.trim(), cursor);
+        if (found === -1) {
+            continue;
+        }
+        const end = found + sentence.trim().length;
+        if (end > cursor && end < text.length) {
+            pieces.push(text.slice(cursor, end));
+            cursor = end;
+        }
+    }
+    pieces.push(text.slice(cursor));
+
+    return pieces.filter(piece => piece.length > 0);
+}
+
+// A chunk made only of tags (e.g. a carried-over </p>) has nothing to synthesize
+function hasSpeakableContent(markup) {
+    return markup.replace(/<[^>]*>/g, '').trim().length > 0 || /<(audio|break)\b/.test(markup);
+}
+
+function closingTags(stack) {
+    return stack.slice().reverse().map(token => `</${token.name}>`).join('');
+}
+
+function openingTags(stack) {
+    return stack.map(token => token.raw).join('');
+}
+
+/**
+ * Breaks the tokens inside <speak> into units that may be placed in separate chunks
+ *
+ * Each unit records the stack of open elements at its start and end. Units end
+ * at sentence ends in text, after <break/>, and after closing </p> or </s>, but
+ * only while every open element is splittable.
+ */
+function buildUnits(tokens, splitSentences) {
+    const units = [];
+    const stack = [];
+    let current = null;
+
+    const canSplit = () => stack.every(token => SPLITTABLE_ELEMENTS.has(token.name));
+    const append = (markup) => {
+        if (!current) {
+            current = { startStack: stack.slice(), markup: '' };
+        }
+        current.markup += markup;
+    };
+    const endUnit = () => {
+        if (current) {
+            current.endStack = stack.slice();
+            units.push(current);
+            current = null;
+        }
+    };
+
+    for (const token of tokens) {
+        if (token.type === 'text') {
+            if (token.atomic || !canSplit()) {
+                append(token.raw);
+                continue;
+            }
+            const pieces = splitTextAtSentences(token.raw, splitSentences);
+            pieces.forEach((piece, index) => {
+                append(piece);
+                if (index < pieces.length - 1) {
+                    endUnit();
+                }
+            });
+        } else if (token.type === 'open') {
+            if (canSplit() && SPLITTABLE_ELEMENTS.has(token.name)) {
+                // Start the element in a fresh unit so its open tag can be carried over
+                endUnit();
+                stack.push(token);
+            } else {
+                append(token.raw);
+                stack.push(token);
+            }
+        } else if (token.type === 'close') {
+            // Make sure the unit holding the close tag starts with the element still open
+            append('');
+            stack.pop();
+            append(token.raw);
+            if (canSplit() && BOUNDARY_ELEMENTS.has(token.name)) {
+                endUnit();
+            }
+        } else {
+            append(token.raw);
+            if (token.name === 'break' && canSplit()) {
+                endUnit();
+            }
+        }
+    }
+    endUnit();
+
+    return units;
+}
+
+/**
+ * Splits an SSML document into chunks of valid SSML
+ *
+ * @param {string} source - SSML document with a <speak> root
+ * @param {number} maxLength - Maximum characters per chunk, markup included
+ * @param {Function} splitSentences - Sentence splitter for text runs (text => string[])
+ * @param {number} maxBytes - Maximum UTF-8 bytes per chunk, markup included (default: no limit)
+ * @returns {string[]} - SSML chunks, each wrapped in the original <speak> root
+ * @throws {ValidationError} - On malformed SSML, or an atomic element too long for one chunk
+ */
+function chunkSsml(source, maxLength = 4900, splitSentences = text => [text], maxBytes = Infinity) {
+    const { rootTag, tokens } = parseSsml(source);
+    const units = buildUnits(tokens, splitSentences);
+    const wrap = (startStack, body, endStack) =>
+        `${rootTag}${openingTags(startStack)}${body}${closingTags(endStack)}</speak>`;
+    const fits = chunk => chunk.length <= maxLength && (maxBytes === Infinity || Buffer.byteLength(chunk, 'utf8') <= maxBytes);
+
+    const chunks = [];
+    let chunkStartStack = null;
+    let body = '';
+    let endStack = [];
+
+    const flush = () => {
+        if (chunkStartStack && hasSpeakableContent(body)) {
+            chunks.push(wrap(chunkStartStack, body, endStack));
+        }
+        chunkStartStack = null;
+        body = '';
+    };
+
+    for (const unit of units) {
+        // Re-open any elements opened between the previous unit and this one
+        const transition = chunkStartStack
+            ? openingTags(unit.startStack.slice(endStack.length))
+            : '';
+        const candidate = body + transition + unit.markup;
+        const startStack = chunkStartStack || unit.startStack;
+
+        if (fits(wrap(startStack, candidate, unit.endStack))) {
+            chunkStartStack = startStack;
+            body = candidate;
+            endStack = unit.endStack;
+            continue;
+        }
+
+        flush();
+
+        if (fits(wrap(unit.startStack, unit.markup, unit.endStack))) {
+            chunkStartStack = unit.startStack;
+            body = unit.markup;
+            endStack = unit.endStack;
+            continue;
+        }
+
+        // A single sentence longer than a chunk: split its text at word boundaries.
+        // Only possible when the unit is plain text, optionally followed by close tags.
+        if (!/^[^<]*(<\/[^>]+>\s*)*$/.test(unit.markup)) {
+            throw new ValidationError(
+                `SSML segment is too long to fit into one ${maxLength}-character chunk: "${unit.markup.slice(0, 80)}..."`
+            );
+        }
+        const words = unit.markup.split(/(\s+)/);
+        let piece = '';
+        for (const word of words) {
+            if (piece && !fits(wrap(unit.startStack, piece + word, unit.endStack))) {
+                chunks.push(wrap(unit.startStack, piece, unit.startStack));
+                piece = word.trimStart();
+            } else {
+                piece += word;
+            }
+        }
+        chunkStartStack = unit.startStack;
+        body = piece;
+        endStack = unit.endStack;
+    }
+    flush();
+
+    return chunks;
+}
+
+// Elements whose text is not spoken
+const UNSPOKEN_ELEMENTS = new Set(['audio', 'desc']);
+
+/**
+ * Reduces an SSML document to the text it speaks, for engines without SSML support
+ *
+ * <sub> is replaced by its alias, <break> and paragraph/sentence ends become
+ * whitespace, and the content of <audio> and <desc> is dropped.
+ *
+ * @param {string} source - SSML document
+ * @returns {string}
+ */
+function ssmlToPlainText(source) {
+    const { tokens } = parseSsml(source);
+    const stack = [];
+    let text = '';
+
+    for (const token of tokens) {
+        if (token.type === 'open') {
+            stack.push(token);
+            if (token.name === 'sub') {
+                const alias = /\salias\s*=\s*("([^"]*)"|'([^']*)')/.exec(token.raw);
+                if (alias) {
+                    text += decodeEntities(alias[2] ?? alias[3]);
+                }
+            }
+        } else if (token.type === 'close') {
+            stack.pop();
+            if (BOUNDARY_ELEMENTS.has(token.name)) {
+                text += '\n';
+            }
+        } else if (token.type === 'empty') {
+            if (token.name === 'break') {
+                text += ' ';
+            }
+        } else if (!stack.some(open => open.name === 'sub' || UNSPOKEN_ELEMENTS.has(open.name))) {
+            text += token.atomic
+                ? token.raw.replace(/^<!\[CDATA\[/, '').replace(/\]\]>$/, '')
+                : decodeEntities(token.raw);
+        }
+    }
+
+    return text.replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+}
+
+module.exports = {
+    escapeSsml,
+    escapeSsmlAttribute,
+    decodeEntities,
+    parseSsml,
+    chunkSsml,
+    ssmlToPlainText
+};
@@ -0,0 +1,121 @@
+const { createSynthesisCache } = require('./synthesisCache');
+const { createLexiconStore } = require('./lexiconStore');
+const { createUsageStore } = require('./usageStore');
+const { createAccessStore } = require('./accessStore');
+const { createHistoryStore } = require('./historyStore');
+
+/**
+ * Process-wide stores, shared by every function of the app
+ *
+ * Each store is created from environment configuration on first use, and can
+ * be replaced, e.g. by tests or the batch CLI, with its setter.
+ */
+
+// Process-wide chunk cache (undefined until first use, null when disabled)
+let synthesisCache;
+
+function getSynthesisCache() {
+    if (synthesisCache === undefined) {
+        synthesisCache = createSynthesisCache();
+    }
+    return synthesisCache;
+}
+
+/**
+ * Replaces the synthesis cache; the batch CLI keeps its chunks in a file cache
+ * under the output directory, so an interrupted run can resume
+ *
+ * @param {Object|null} cache - Cache implementing the synthesisCache interface, or null to disable
+ */
+function setSynthesisCache(cache) {
+    synthesisCache = cache;
+}
+
+// Process-wide pronunciation lexicon store (created on first use)
+let lexiconStore;
+
+function getLexiconStore() {
+    if (!lexiconStore) {
+        lexiconStore = createLexiconStore();
+    }
+    return lexiconStore;
+}
+
+/**
+ * Replaces the lexicon store
+ *
+ * @param {Object} store - Store implementing the lexiconStore interface
+ */
+function setLexiconStore(store) {
+    lexiconStore = store;
+}
+
+// Process-wide usage store (undefined until first use)
+let usageStore;
+
+function getUsageStore() {
+    if (!usageStore) {
+        usageStore = createUsageStore();
+    }
+    return usageStore;
+}
+
+/**
+ * Replaces the usage store
+ *
+ * @param {Object} store - Store implementing the usageStore interface
+ */
+function setUsageStore(store) {
+    usageStore = store;
+}
+
+// Process-wide account store (undefined until first use)
+let accessStore;
+
+function getAccessStore() {
+    if (!accessStore) {
+        accessStore = createAccessStore();
+    }
+    return accessStore;
+}
+
+/**
+ * Replaces the account store
+ *
+ * @param {Object} store - Store implementing the accessStore interface
+ */
+function setAccessStore(store) {
+    accessStore = store;
+}
+
+// Process-wide history store (undefined until first use, null when history is off)
+let historyStore;
+
+function getHistoryStore() {
+    if (historyStore === undefined) {
+        historyStore = createHistoryStore();
+    }
+    return historyStore;
+}
+
+/**
+ * Replaces the history store
+ *
+ * @param {Object|null} store - Store implementing the historyStore interface, or null to keep no history
+ */
+function setHistoryStore(store) {
+    historyStore = store;
+}
+
+module.exports = {
+    getSynthesisCache,
+    setSynthesisCache,
+    getLexiconStore,
+    setLexiconStore,
+    getUsageStore,
+    setUsageStore,
+    getAccessStore,
+    setAccessStore,
+    getHistoryStore,
+    setHistoryStore
+};
@@ -0,0 +1,1176 @@
+const { stitchAudio, createAudioStitcher, createSilence, getSegmentTimings } = require('./audioStitcher');
+const { assembleAudiobook } = require('./audiobook');
+const { DEFAULT_LANGUAGE_CODE, DEFAULT_AUDIO_ENCODING, getAudioFormat } = require('./synthesisOptions');
+const { ValidationError, ChunkFailureError } = require('./errors');
+const { resolveProviders } = require('./ttsProviders');
+const { callProvider } = require('./retryPolicy');
+const { DEFAULT_FAILURE_POLICY, describeFailedChunk, createFailureMarker } = require('./chunkFailures');
+const { chunkSsml, escapeSsml } = require('./ssml');
+const { prepareDocumentInput } = require('./documents');
+const { resolveTurns } = require('./script');
+const { primaryLanguage, segmentByLanguage, resolveLanguageTurns } = require('./languageDetection');
+const { applyLexicon } = require('./lexicon');
+const { getVoiceTier, estimateCost, estimateSpokenSeconds } = require('./usage');
+const { boundaryKind, boundaryPause, trimSilence, createPostProcessor } = require('./postProcessing');
+const { cacheKey, encodeCacheEntry, decodeCacheEntry } = require('./synthesisCache');
+const { TIMING_CHUNK_LENGTHS, prepareTimedChunk, restoreReplacedText, buildTimingTrack } = require('./timing');
+const { extractSentencesWithNLP, sentenceSplitter, intelligentTextChunking } = require('./textChunking');
+const { getSynthesisCache } = require('./stores');
+
+/**
+ * The synthesis pipeline
+ *
+ * Turns request input into audio: splits it into sections (chapters, script
+ * turns, language segments), chunks them to the provider's limits, synthesizes
+ * the chunks through the shared rate limiter with fallback between providers,
+ * and stitches the audio with its timing track. It knows nothing about HTTP,
+ * so the function routes and the batch CLI (bin/tts-batch.js) run the same code.
+ */
+
+/**
+ * Synthesizes a single text chunk with a text-to-speech provider
+ * 
+ * @param {Object} provider - Text-to-speech provider (see ttsProviders.js)
+ * @param {string} text - Text to synthesize
+ * @param {Object} options - Synthesis options (voice, language, format, audio tuning);
+ *   options.onTimepoints(text, timepoints) receives the times of SSML <mark> tags;
+ *   options.cacheStats ({ hits, misses }) counts synthesis cache lookups;
+ *   options.billedCharacters ({ tier: characters }) counts the characters sent to the provider
+ * @returns {Promise<Buffer>} - Audio content as buffer
+ */
+async function synthesizeChunk(provider, text, options = {}) {
+    const languageCode = options.languageCode || DEFAULT_LANGUAGE_CODE;
+    const voiceName = options.voiceName || provider.defaultVoice(languageCode);
+    const request = {
+        input: options.inputType === 'ssml' ? { ssml: text } : { text: text },
+        voice: {
+            languageCode,
+            ...(voiceName && { name: voiceName })
+        },
+        audioConfig: {
+            audioEncoding: options.audioEncoding || DEFAULT_AUDIO_ENCODING
+        }
+    };
+
+    // Optional audio tuning - only sent when requested so Google's voice defaults apply otherwise
+    for (const field of ['speakingRate', 'pitch', 'volumeGainDb', 'sampleRateHertz', 'effectsProfileId']) {
+        if (options[field] !== undefined) {
+            request.audioConfig[field] = options[field];
+        }
+    }
+
+    // Read-along timing: ask for the time of every <mark> in the chunk
+    if (options.onTimepoints) {
+        request.enableTimePointing = ['SSML_MARK'];
+    }
+
+    // Identical requests produce identical audio, so check the cache before calling the provider.
+    // Cache failures only cost a cache miss; they never fail the synthesis.
+    const cache = options.cache === false ? null : getSynthesisCache();
+    const key = cache ? cacheKey({ provider: provider.name, ...request }) : null;
+    if (cache) {
+        const entry = await cache.get(key).catch(() => null);
+        if (entry) {
+            if (options.cacheStats) {
+                options.cacheStats.hits++;
+            }
+            const { audioContent, timepoints } = decodeCacheEntry(entry);
+            if (options.onTimepoints) {
+                options.onTimepoints(text, timepoints);
+            }
+            return audioContent;
+        }
+        if (options.cacheStats) {
+            options.cacheStats.misses++;
+        }
+    }
+
+    try {
+        // Paced by the provider's shared rate limiter, with transient failures retried
+        const response = await callProvider(provider, () => provider.synthesize(request));
+        if (options.billedCharacters) {
+            const tier = getVoiceTier(provider.name, voiceName);
+            options.billedCharacters[tier] = (options.billedCharacters[tier] || 0) + text.length;
+        }
+        if (options.onTimepoints) {
+            options.onTimepoints(text, response.timepoints);
+        }
+        if (cache) {
+            await cache.set(key, encodeCacheEntry(response)).catch(() => {});
+        }
+        return response.audioContent;
+    } catch (error) {
+        // Invalid options are a 400; an open circuit is a 503
+        if (error.isRateLimit || error.isValidation || error.isCircuitOpen) {
+            throw error;
+        }
+        throw new Error(`TTS synthesis failed: ${error.message}`);
+    }
+}
+
+/**
+ * Options for one chunk: the request options with the chunk's own overrides
+ * (options.chunkOverrides[index], e.g. a script speaker's voice) applied
+ */
+function optionsForChunk(options, index) {
+    const overrides = options.chunkOverrides && options.chunkOverrides[index];
+    return overrides ? { ...options, ...overrides } : options;
+}
+
+/**
+ * Synthesizes the chunk at an index, or reuses its audio from an earlier run
+ * of the same request (options.previousChunks, see chunkFailures.js)
+ */
+async function synthesizeChunkAt(provider, chunks, options, index) {
+    const chunkOptions = optionsForChunk(options, index);
+    const previous = options.previousChunks && options.previousChunks[index];
+    if (previous) {
+        if (chunkOptions.onTimepoints) {
+            chunkOptions.onTimepoints(chunks[index], previous.timepoints);
+        }
+        return previous.audioContent;
+    }
+    return synthesizeChunk(provider, chunks[index], chunkOptions);
+}
+
+/**
+ * Notes a chunk that failed in options.failures ([{ index, error }]), for the
+ * caller's failure policy
+ */
+function recordFailure(options, index, error) {
+    if (options.failures) {
+        options.failures.push({ index, error: error.message });
+    }
+}
+
+/**
+ * Concurrent processor for TTS synthesis
+ * 
+ * Handles large numbers of chunks while respecting API quotas:
+ * - Keeps up to maxConcurrent chunks in flight; the provider's shared rate
+ *   limiter paces the actual requests across every invocation in the process,
+ *   and transient failures are retried with backoff (see retryPolicy.js)
+ * - Provides progress tracking for long operations
+ * - Keeps going when chunks fail: their audio is null and they are listed in
+ *   options.failures, for the caller's failure policy
+ * - Hands chunks to options.onChunk(index, audio) in order as soon as each
+ *   chunk and all chunks before it are done, for streaming responses
+ *   (audio is null for a chunk that failed)
+ * 
+ * @param {Object} provider - Text-to-speech provider
+ * @param {string[]} chunks - Array of text chunks to synthesize
+ * @param {Object} options - Processing options
+ * @param {Function} progressCallback - Progress reporting callback
+ * @returns {Promise<Array<Buffer|null>>} - Audio per chunk, null where a chunk failed
+ * @throws {ValidationError} - When the provider rejects the options, which would fail every chunk
+ */
+async function processChunksWithRateLimit(provider, chunks, options = {}, progressCallback = null) {
+    const {
+        maxConcurrent = provider.limits.maxConcurrent,
+        maxRequestsPerMinute = provider.limits.maxRequestsPerMinute
+    } = options;
+
+    const results = new Array(chunks.length);
+    const failedChunks = [];
+    let processedCount = 0;
+
+    // Finished chunks wait here until every chunk before them has been handed on
+    const finished = new Map();
+    let nextToEmit = 0;
+    const emitInOrder = (index, audioContent) => {
+        if (!options.onChunk) {
+            return;
+        }
+        finished.set(index, audioContent);
+        while (finished.has(nextToEmit)) {
+            options.onChunk(nextToEmit, finished.get(nextToEmit));
+            finished.delete(nextToEmit);
+            nextToEmit++;
+        }
+    };
+    
+    // Report initial progress
+    if (progressCallback) {
+        progressCallback({
+            processed: 0,
+            total: chunks.length,
+            status: 'Starting batch processing...',
+            estimatedTimeMinutes: Math.ceil(chunks.length / maxRequestsPerMinute)
+        });
+    }
+
+    // Progress is reported once per maxConcurrent finished chunks
+    const reportProgress = () => {
+        const done = processedCount + failedChunks.length;
+        if (!progressCallback || (done % maxConcurrent !== 0 && done !== chunks.length)) {
+            return;
+        }
+        progressCallback({
+            processed: processedCount,
+            total: chunks.length,
+            failed: failedChunks.length,
+            status: `Processed ${done}/${chunks.length} chunks`,
+            estimatedRemainingMinutes: Math.ceil((chunks.length - done) / maxRequestsPerMinute)
+        });
+    };
+
+    // Each worker takes the next chunk until none are left
+    let nextIndex = 0;
+    let invalid = null;
+    const worker = async () => {
+        while (nextIndex < chunks.length && !invalid) {
+            const chunkIndex = nextIndex++;
+            try {
+                const audioContent = await synthesizeChunkAt(provider, chunks, options, chunkIndex);
+                results[chunkIndex] = audioContent;
+                processedCount++;
+                emitInOrder(chunkIndex, audioContent);
+            } catch (error) {
+                if (error.isValidation) {
+                    invalid = error;
+                    return;
+                }
+                failedChunks.push({ index: chunkIndex, error: error.message });
+                recordFailure(options, chunkIndex, error);
+                results[chunkIndex] = null;
+                emitInOrder(chunkIndex, null);
+            }
+            reportProgress();
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(maxConcurrent, chunks.length) }, worker));
+    if (invalid) {
+        throw invalid;
+    }
+
+    if (failedChunks.length > 0 && progressCallback) {
+        failedChunks.sort((a, b) => a.index - b.index);
+        progressCallback({
+            processed: processedCount,
+            total: chunks.length,
+            failed: failedChunks.length,
+            status: `Failed to process ${failedChunks.length}/${chunks.length} chunks`,
+            failedChunks
+        });
+    }
+
+    return results;
+}
+
+/**
+ * Splits plain text into turns of consecutive sentences in the same language,
+ * each spoken with the voice for its language
+ *
+ * @returns {Object[]|null} - Turns as [{ language, text, options, pauseSeconds }], or null
+ *   when the whole text is in the request's language
+ */
+function splitLanguages(text, languageVoices, languageCode = DEFAULT_LANGUAGE_CODE) {
+    const defaultLanguage = primaryLanguage(languageCode);
+    const segments = segmentByLanguage(extractSentencesWithNLP(text), {
+        candidates: [...new Set([defaultLanguage, ...Object.keys(languageVoices)])],
+        defaultLanguage
+    });
+    if (segments.length <= 1 && (segments.length === 0 || segments[0].language === defaultLanguage)) {
+        return null;
+    }
+    return resolveLanguageTurns(segments, languageVoices);
+}
+
+/**
+ * Splits the request input into sections: explicit chapters, the chapters of
+ * a document, a script's turns, the language segments of mixed-language text,
+ * or the whole text
+ */
+function splitSections(text, options) {
+    const { chapters, script, speakers, turnPauseMs, languageVoices, ...rest } = options;
+
+    if (script) {
+        const turns = resolveTurns(script, speakers, turnPauseMs);
+        const scriptText = turns.map(turn => `${turn.speaker}: ${turn.text}`).join('\n');
+        return {
+            sections: [{ title: 'Chapter 1', text: scriptText, characters: scriptText.length, turns }],
+            options: rest,
+            titled: false
+        };
+    }
+
+    if (chapters) {
+        let chapterOptions = rest;
+        const sections = chapters.map(chapter => {
+            const prepared = prepareDocumentInput(chapter.text, rest);
+            chapterOptions = prepared.options;
+            return { title: chapter.title, text: prepared.text, characters: chapter.text.length };
+        });
+        return { sections, options: chapterOptions, titled: true };
+    }
+
+    // Markdown, HTML and EPUB documents are converted to SSML with structural pauses first
+    const prepared = prepareDocumentInput(text, rest);
+    if (prepared.chapters) {
+        return {
+            sections: prepared.chapters.map(({ title, ssml, characters }) => ({ title, text: ssml, characters })),
+            options: prepared.options,
+            titled: true
+        };
+    }
+
+    // Mixed-language text is spoken like a script without speakers or pauses
+    const turns = languageVoices && splitLanguages(prepared.text, languageVoices, prepared.options.languageCode);
+    return {
+        sections: [{ title: 'Chapter 1', text: prepared.text, characters: prepared.text.length, ...(turns && { turns }) }],
+        options: prepared.options,
+        titled: false
+    };
+}
+
+/**
+ * Splits the request input into the sections synthesized separately
+ *
+ * Explicit chapters ([{ title, text }]) and the chapters detected in Markdown,
+ * HTML and EPUB documents each become a titled section; plain text and SSML
+ * are a single untitled section, as is a script, whose section also lists
+ * its turns as [{ speaker, text, options, pauseSeconds }]. Plain text with
+ * options.languageVoices lists its language segments the same way, as
+ * [{ language, text, options, pauseSeconds }]. The user's
+ * pronunciation lexicon (options.lexicon) is applied to every section (or
+ * turn) before chunking, so the SSML it adds counts towards the chunk length
+ * limits; each section (or turn) keeps its text replacements so the timing
+ * track can show the original text.
+ *
+ * @returns {{ sections: Object[], options: Object, titled: boolean, applied: Object[] }} -
+ *   Sections as [{ title, text, characters, replacements? }], the options to
+ *   synthesize them with, and the lexicon entries that matched as [{ id, match, count }]
+ */
+function buildSections(text, options) {
+    const { lexicon, ...rest } = options;
+    const split = splitSections(text, rest);
+    if (!lexicon || lexicon.length === 0) {
+        return { ...split, applied: [] };
+    }
+
+    const languageCode = split.options.languageCode || DEFAULT_LANGUAGE_CODE;
+
+    // Script turns are matched in their speaker's language; chunks carry their
+    // own options, so only the turns the lexicon turned into SSML become SSML
+    const [first] = split.sections;
+    if (first.turns) {
+        const turnResults = first.turns.map(turn => applyLexicon(turn.text, lexicon, {
+            inputType: 'text',
+            languageCode: turn.options.languageCode || languageCode
+        }));
+        const turns = first.turns.map((turn, index) => ({
+            ...turn,
+            text: turnResults[index].text,
+            options: turnResults[index].inputType === 'ssml' ? { ...turn.options, inputType: 'ssml' } : turn.options,
+            replacements: turnResults[index].replacements
+        }));
+        return { ...split, sections: [{ ...first, turns }], applied: countApplied(turnResults) };
+    }
+
+    const results = split.sections.map(section => applyLexicon(section.text, lexicon, {
+        inputType: split.options.inputType,
+        languageCode
+    }));
+
+    // A <sub> or <phoneme> turns plain text into SSML; chunks are synthesized
+    // with one input type, so the other sections are wrapped as SSML too
+    const toSsml = split.options.inputType !== 'ssml' && results.some(result => result.inputType === 'ssml');
+    const sections = split.sections.map((section, index) => ({
+        ...section,
+        text: toSsml && results[index].inputType !== 'ssml'
+            ? `<speak>${escapeSsml(results[index].text)}</speak>`
+            : results[index].text,
+        replacements: results[index].replacements
+    }));
+
+    return {
+        ...split,
+        sections,
+        options: toSsml ? { ...split.options, inputType: 'ssml' } : split.options,
+        applied: countApplied(results)
+    };
+}
+
+/**
+ * Totals the lexicon matches of several applyLexicon results per entry
+ */
+function countApplied(results) {
+    const applied = new Map();
+    for (const { id, match, count } of results.flatMap(result => result.applied)) {
+        const total = applied.get(id);
+        applied.set(id, { id, match, count: (total ? total.count : 0) + count });
+    }
+    return [...applied.values()];
+}
+
+/**
+ * Synthesizes chunks in order, sequentially for small inputs and concurrently
+ * for large ones; either way every request goes through the provider's shared
+ * rate limiter. options.onChunk(index, audio) receives each chunk in order as
+ * soon as it can be played
+ *
+ * Failed chunks don't stop the others: their audio is null and they are
+ * listed in options.failures as [{ index, error }].
+ *
+ * @returns {Promise<Array<Buffer|null>>} - Audio per chunk
+ */
+async function synthesizeChunks(provider, chunks, options, progressCallback, log) {
+    if (chunks.length <= 10) {
+        // Small number of chunks - use simple sequential processing
+        log('Using simple sequential processing for small text');
+        const audioChunks = [];
+        let failed = 0;
+        for (const index of chunks.keys()) {
+            let audioContent = null;
+            try {
+                audioContent = await synthesizeChunkAt(provider, chunks, options, index);
+            } catch (error) {
+                // Invalid options would fail every chunk alike
+                if (error.isValidation) {
+                    throw error;
+                }
+                failed++;
+                recordFailure(options, index, error);
+            }
+            audioChunks.push(audioContent);
+            if (options.onChunk) {
+                options.onChunk(index, audioContent);
+            }
+            if (progressCallback) {
+                progressCallback({
+                    processed: audioChunks.length - failed,
+                    total: chunks.length,
+                    failed,
+                    status: `Processed chunk ${audioChunks.length}/${chunks.length}`,
+                    estimatedRemainingMinutes: 0
+                });
+            }
+        }
+        return audioChunks;
+    }
+
+    // Large number of chunks - synthesize concurrently within the provider's quotas
+    log(`Using concurrent processing for ${chunks.length} chunks`);
+
+    return processChunksWithRateLimit(
+        provider, 
+        chunks, 
+        options, 
+        progressCallback
+    );
+}
+
+/**
+ * Providers to try for a request, in order, leaving out fallbacks that can't
+ * produce the requested encoding (with post-processing every chunk is
+ * synthesized as LINEAR16 and encoded afterwards)
+ *
+ * @param {Object} options - Parsed synthesis options
+ * @returns {Object[]}
+ * @throws {ValidationError} - When the chosen provider can't produce the encoding
+ */
+function selectProviders(options) {
+    const audioEncoding = options.postProcessing ? 'LINEAR16' : options.audioEncoding || DEFAULT_AUDIO_ENCODING;
+    const [primary, ...fallbacks] = resolveProviders(options);
+    if (!primary.audioEncodings.includes(audioEncoding)) {
+        throw new ValidationError(
+            `The ${primary.name} provider can't produce ${audioEncoding} audio; use one of ${primary.audioEncodings.join(', ')}`,
+            { field: 'audioEncoding' }
+        );
+    }
+    return [primary, ...fallbacks.filter(provider => provider.audioEncodings.includes(audioEncoding))];
+}
+
+/**
+ * Splits prepared sections into the chunks sent to a provider
+ *
+ * Chunks fit the provider's limits (smaller when timing marks are added), never
+ * cross a chapter or a script turn (or language segment), and script chunks
+ * carry their speaker's options (chunkOverrides) and the pause that follows
+ * them (pauses, in seconds). Sentences are split by the rules of the chunk's
+ * language.
+ *
+ * With post-processing, the paragraphs of plain text are chunked separately
+ * and every chunk but the last of a section is followed by a pause: a script
+ * turn's own, or the one for what ends the chunk (see postProcessing.js).
+ *
+ * @returns {Object} - { chunks, chunkChapters, chunkTurns, chunkRanges, chunkOverrides, pauses, turns, marks }
+ */
+function planChunks(provider, sections, synthesisOptions, timing, log) {
+    // A script has a single section whose turns are spoken with their speaker's options
+    const { turns } = sections[0];
+    const spokenOptions = turns
+        ? turns.map(turn => ({ ...synthesisOptions, ...turn.options }))
+        : [synthesisOptions];
+
+    // Timing marks take room inside the API limit, so timed chunks are smaller
+    const marks = Boolean(timing) && spokenOptions.every(options =>
+        provider.supportsTimepoints(options.voiceName || provider.defaultVoice(options.languageCode || DEFAULT_LANGUAGE_CODE)));
+    const maxLength = marks
+        ? Math.min(TIMING_CHUNK_LENGTHS[timing], provider.limits.maxChunkLength)
+        : provider.limits.maxChunkLength;
+
+    // Use intelligent NLP-based text chunking for optimal speech quality
+    // This will properly handle sentence boundaries, abbreviations, and complex punctuation.
+    // SSML documents are split outside of tags and each chunk re-wrapped in <speak>.
+    // Chunks never cross a chapter, so each chapter's audio can be stitched separately,
+    // and never cross a script turn, so each chunk is spoken by one speaker.
+    const { maxInputBytes } = provider.limits;
+    const chunkInput = (text, inputType, languageCode) => inputType === 'ssml'
+        ? chunkSsml(text, maxLength, sentenceSplitter(languageCode), maxInputBytes)
+        : intelligentTextChunking(text, maxLength, sentenceSplitter(languageCode), maxInputBytes);
+
+    // Post-processing pauses depend on what ends each chunk, so every paragraph
+    // break of plain text has to fall between two chunks
+    const { postProcessing } = synthesisOptions;
+    const chunkBoundaries = [];
+    const chunkSection = (text, inputType, languageCode) => {
+        const paragraphs = postProcessing && inputType !== 'ssml'
+            ? text.split(/\n[ \t]*(?:\r?\n)+/).filter(paragraph => paragraph.trim())
+            : [text];
+        return paragraphs.flatMap(paragraph => {
+            const paragraphChunks = chunkInput(paragraph, inputType, languageCode);
+            if (postProcessing) {
+                chunkBoundaries.push(...paragraphChunks.map((chunk, index) => index < paragraphChunks.length - 1
+                    ? boundaryKind(chunk, inputType)
+                    : 'paragraph'));
+            }
+            return paragraphChunks;
+        });
+    };
+    const chunks = [];
+    const chunkChapters = [];
+    const chunkTurns = [];
+    const chunkRanges = sections.map((section, sectionIndex) => {
+        const start = chunks.length;
+        if (section.turns) {
+            section.turns.forEach((turn, turnIndex) => {
+                const turnChunks = chunkSection(
+                    turn.text,
+                    turn.options.inputType || synthesisOptions.inputType,
+                    turn.options.languageCode || synthesisOptions.languageCode
+                );
+                chunks.push(...turnChunks);
+                chunkTurns.push(...turnChunks.map(() => turnIndex));
+            });
+        } else {
+            chunks.push(...chunkSection(section.text, synthesisOptions.inputType, synthesisOptions.languageCode));
+        }
+        chunkChapters.push(...chunks.slice(start).map(() => sectionIndex));
+        return { start, end: chunks.length };
+    });
+    log(`Intelligently chunked text into ${chunks.length} sentence-based segments`);
+
+    // Script chunks use their speaker's voice; the last chunk of a turn is followed by its pause
+    const chunkOverrides = turns ? chunkTurns.map(turnIndex => turns[turnIndex].options) : null;
+    let pauses = turns
+        ? chunkTurns.map((turnIndex, index) => chunkTurns[index + 1] !== turnIndex ? turns[turnIndex].pauseSeconds : 0)
+        : null;
+    if (postProcessing) {
+        const sectionEnds = new Set(chunkRanges.map(({ end }) => end - 1));
+        pauses = chunks.map((chunk, index) => {
+            if (sectionEnds.has(index)) {
+                return 0;
+            }
+            return pauses && pauses[index] > 0 ? pauses[index] : boundaryPause(postProcessing, chunkBoundaries[index]);
+        });
+    }
+    if (turns && turns[0].language) {
+        log(`Languages: ${turns.length} segments in ${[...new Set(turns.map(turn => turn.language))].join(', ')}`);
+    } else if (turns) {
+        log(`Script: ${turns.length} turns by ${new Set(turns.map(turn => turn.speaker)).size} speakers`);
+    }
+
+    return { chunks, chunkChapters, chunkTurns, chunkRanges, chunkOverrides, pauses, turns, marks };
+}
+
+/**
+ * Synthesizes prepared sections with one provider
+ *
+ * Chunks each section to the provider's limits, synthesizes the chunks, and
+ * stitches (or assembles) the audio along with the timing track. Script turns
+ * are chunked and voiced separately, with their pauses stitched in between.
+ *
+ * Chunks that fail are handled by synthesisOptions.failurePolicy and
+ * reported as failedChunks, with a checkpoint of the chunks that succeeded.
+ * previousChunks (from such a checkpoint) are reused instead of synthesized.
+ *
+ * With synthesisOptions.postProcessing the chunks are synthesized as LINEAR16,
+ * trimmed and stitched with their pauses, and each output file is then mixed,
+ * normalized and encoded by a post-processor (see postProcessing.js).
+ *
+ * @throws {ChunkFailureError} - When chunks failed under the "fail" policy, or all of them failed
+ */
+async function synthesizeSections(provider, sections, synthesisOptions, { titled, outputMode, timing, defaultVoices, fallbackFrom, previousChunks }, progressCallback, log) {
+    const { chunks, chunkChapters, chunkTurns, chunkRanges, chunkOverrides, pauses, turns, marks } =
+        planChunks(provider, sections, synthesisOptions, timing, log);
+    if (previousChunks && previousChunks.length !== chunks.length) {
+        throw new Error(`The checkpoint has ${previousChunks.length} chunks but the text now makes ${chunks.length}`);
+    }
+
+    // Post-processing works on PCM samples, so chunks stay LINEAR16 until the output is encoded
+    const { postProcessing } = synthesisOptions;
+    const audioEncoding = synthesisOptions.audioEncoding || DEFAULT_AUDIO_ENCODING;
+    const chunkEncoding = postProcessing ? 'LINEAR16' : audioEncoding;
+
+    // Read-along timing: chunks are sent as SSML with <mark>s in front of words
+    // (or sentences), and the reported mark times are collected per chunk
+    let timedChunks = null;
+    let chunkOptions = synthesisOptions;
+    const timepoints = new Map();
+    if (timing) {
+        timedChunks = chunks.map((chunk, index) => prepareTimedChunk(chunk, {
+            inputType: (chunkOverrides && chunkOverrides[index].inputType) || synthesisOptions.inputType,
+            level: timing,
+            marks,
+            maxBytes: provider.limits.maxInputBytes,
+            splitSentences: sentenceSplitter((chunkOverrides && chunkOverrides[index].languageCode) || synthesisOptions.languageCode)
+        }));
+
+        // Lexicon replacements are found in the words of their section's (or turn's) chunks
+        const replacedText = turns
+            ? turns.map(turn => turn.replacements)
+            : sections.map(section => section.replacements);
+        const chunkGroups = turns ? chunkTurns : chunkChapters;
+        replacedText.forEach((replacements, group) => {
+            if (!replacements || replacements.length === 0) {
+                return;
+            }
+            const indexes = chunkGroups.flatMap((chunkGroup, index) => chunkGroup === group ? [index] : []);
+            const analyses = restoreReplacedText(indexes.map(index => timedChunks[index].analysis), replacements);
+            indexes.forEach((index, position) => {
+                timedChunks[index] = { ...timedChunks[index], analysis: analyses[position] };
+            });
+        });
+
+        if (marks) {
+            chunkOptions = {
+                ...synthesisOptions,
+                inputType: 'ssml',
+                onTimepoints: (input, points) => timepoints.set(input, points)
+            };
+        }
+    }
+
+    // Cache lookups and the characters sent to the provider are counted per request
+    const cacheStats = { hits: 0, misses: 0 };
+    const billedCharacters = {};
+    const failures = [];
+    const inputs = timedChunks ? timedChunks.map(timed => timed.input) : chunks;
+    const audioChunks = await synthesizeChunks(
+        provider,
+        inputs,
+        {
+            ...chunkOptions,
+            audioEncoding: chunkEncoding,
+            cacheStats,
+            billedCharacters,
+            failures,
+            ...(chunkOverrides && { chunkOverrides }),
+            ...(previousChunks && { previousChunks })
+        },
+        progressCallback,
+        log
+    );
+    if (cacheStats.hits > 0) {
+        log(`Synthesis cache: ${cacheStats.hits} hits, ${cacheStats.misses} misses`);
+    }
+
+    // Failed chunks are reported, checkpointed for a retry, and then either fail
+    // the synthesis or are replaced according to the failure policy
+    let failedChunks = null;
+    let checkpoint = null;
+    if (failures.length > 0) {
+        failures.sort((a, b) => a.index - b.index);
+        const spokenOptions = index => ({ ...synthesisOptions, ...(chunkOverrides && chunkOverrides[index]), audioEncoding: chunkEncoding });
+        failedChunks = failures.map(({ index, error }) =>
+            describeFailedChunk(index, chunks[index], spokenOptions(index).inputType, error));
+        checkpoint = {
+            provider: provider.name,
+            defaultVoices: Boolean(defaultVoices),
+            ...(fallbackFrom && { fallbackFrom }),
+            chunks: audioChunks.map((chunkAudio, index) => chunkAudio && {
+                audioContent: chunkAudio,
+                timepoints: timepoints.get(inputs[index]) || []
+            })
+        };
+        log(`${failures.length}/${chunks.length} chunks failed`);
+
+        const policy = synthesisOptions.failurePolicy || DEFAULT_FAILURE_POLICY;
+        const template = audioChunks.find(Boolean);
+        if (policy === 'fail' || !template) {
+            const errors = [...new Set(failedChunks.map(failure => failure.error))];
+            throw new ChunkFailureError(
+                `Failed to synthesize ${failures.length}/${chunks.length} chunks: ${errors.slice(0, 3).join(', ')}${errors.length > 3 ? '...' : ''}`,
+                failedChunks,
+                checkpoint
+            );
+        }
+        for (const { index } of failures) {
+            audioChunks[index] = createFailureMarker(policy, template, chunks[index], spokenOptions(index));
+        }
+    }
+
+    // Trimmed chunks start later in their audio than the provider's timepoints say;
+    // markers for failed chunks keep their length
+    const leadSeconds = audioChunks.map(() => 0);
+    if (postProcessing && postProcessing.trimSilence) {
+        const failedIndexes = new Set(failures.map(({ index }) => index));
+        audioChunks.forEach((chunkAudio, index) => {
+            if (chunkAudio && chunkAudio.length > 0 && !failedIndexes.has(index)) {
+                const trimmed = trimSilence(chunkAudio);
+                audioChunks[index] = trimmed.audio;
+                leadSeconds[index] = trimmed.leadSeconds;
+            }
+        });
+    }
+
+    // Combine audio chunks into one well-formed file for the output container
+    // (a single Ogg stream, one WAV header, or MP3 frames without per-chunk tags)
+    // The pause after a script turn (or after any chunk, with post-processing)
+    // is stitched in as a segment of silence.
+    const segments = audioChunks.map((chunkAudio, index) => pauses && pauses[index] > 0
+        ? [chunkAudio, createSilence(chunkAudio, pauses[index], chunkEncoding)]
+        : [chunkAudio]);
+    const stitchRange = ({ start, end }) => stitchAudio(segments.slice(start, end).flat(), chunkEncoding);
+    const postProcessor = postProcessing && createPostProcessor(postProcessing, audioEncoding, log);
+    const finishRange = range => postProcessor ? postProcessor.finish(stitchRange(range)) : stitchRange(range);
+    let audio;
+    let chapters = null;
+    if (!titled && outputMode !== 'zip') {
+        audio = await finishRange({ start: 0, end: chunks.length });
+    } else {
+        // One chapter at a time, since post-processing holds a chapter's samples in memory
+        const chapterAudios = [];
+        for (const range of chunkRanges) {
+            chapterAudios.push(await finishRange(range));
+        }
+        const audiobook = assembleAudiobook(
+            chapterAudios,
+            sections.map(section => section.title),
+            audioEncoding,
+            outputMode,
+            getAudioFormat(audioEncoding).extension
+        );
+        audio = audiobook.audio;
+        chapters = audiobook.chapters.map((chapter, index) => ({ ...chapter, characters: sections[index].characters }));
+    }
+
+    // Chunk positions in the output: the whole file, or each chapter file in ZIP output
+    // (the silences between script turns take time but carry no text)
+    let timingTrack = null;
+    if (timedChunks) {
+        const rangeTimings = ({ start, end }) => {
+            const group = segments.slice(start, end);
+            const timings = getSegmentTimings(group.flat(), chunkEncoding);
+            let offset = 0;
+            return group.map(parts => {
+                const chunkTiming = timings[offset];
+                offset += parts.length;
+                return chunkTiming;
+            });
+        };
+        const segmentTimings = outputMode === 'zip'
+            ? chunkRanges.flatMap(rangeTimings)
+            : rangeTimings({ start: 0, end: chunks.length });
+        timingTrack = buildTimingTrack(
+            timedChunks.map((timed, index) => ({
+                analysis: timed.analysis,
+                timepoints: (timepoints.get(timed.input) || []).map(point => leadSeconds[index] > 0
+                    ? { ...point, timeSeconds: Math.max(0, Number(point.timeSeconds) - leadSeconds[index]) }
+                    : point),
+                chapter: titled ? chunkChapters[index] : undefined,
+                speaker: turns ? turns[chunkTurns[index]].speaker : undefined
+            })),
+            segmentTimings,
+            timing
+        );
+    }
+
+    // A resumed run only requests the chunks it synthesizes again
+    const characters = previousChunks
+        ? chunks.reduce((sum, chunk, index) => sum + (previousChunks[index] ? 0 : chunk.length), 0)
+        : sections.reduce((sum, section) => sum + section.characters, 0);
+
+    return {
+        audio,
+        chunksProcessed: chunks.length,
+        cache: cacheStats,
+        chapters,
+        timing: timingTrack,
+        characters,
+        billedCharacters,
+        voiceTier: getVoiceTier(provider.name, synthesisOptions.voiceName || provider.defaultVoice(synthesisOptions.languageCode || DEFAULT_LANGUAGE_CODE)),
+        ...(failedChunks && { failedChunks, checkpoint })
+    };
+}
+
+/**
+ * Drops the voice names of a section's script turns, which only exist for the
+ * chosen provider; speakers keep their language
+ */
+function withoutVoiceNames(section) {
+    if (!section.turns) {
+        return section;
+    }
+    return {
+        ...section,
+        turns: section.turns.map(turn => ({ ...turn, options: { ...turn.options, voiceName: undefined } }))
+    };
+}
+
+/**
+ * Runs the full synthesis pipeline for a piece of text
+ * 
+ * Chunks the text, picks sequential or rate-limited batch processing based on
+ * the chunk count, and joins the resulting audio. Shared by the synchronous
+ * HTTP handler, the asynchronous job runner and the batch CLI.
+ * 
+ * With chapters (explicit, or detected in a document) each chapter is stitched
+ * on its own and assembled into an audiobook: one file with chapter markers,
+ * or a ZIP of chapter files when options.outputMode is "zip".
+ * 
+ * With options.timing ("sentence" or "word") a read-along timing track is
+ * returned as well (see timing.js).
+ * 
+ * The text is synthesized by options.provider (or TTS_PROVIDER). If that
+ * provider fails, the whole text is synthesized again by the next configured
+ * fallback provider, so one file never mixes voices from different providers.
+ * Fallback providers use their default voice for the language.
+ * 
+ * With options.script each speaker turn is chunked on its own and spoken with
+ * the speaker's voice from options.speakers, and options.turnPauseMs of
+ * silence is stitched in between turns.
+ * 
+ * With options.languageVoices, plain text is split into runs of sentences in
+ * the same language (see languageDetection.js), each chunked by its
+ * language's sentence rules and spoken with the voice for that language.
+ * 
+ * Chunks that still fail after their retries are handled by
+ * options.failurePolicy (see chunkFailures.js) and listed in failedChunks,
+ * with a checkpoint of the other chunks' audio. options.resume (such a
+ * checkpoint) synthesizes only the chunks that failed before, with the same
+ * provider and no fallback.
+ * 
+ * @param {string} text - Input plain text, or an SSML document when options.inputType is "ssml"
+ * @param {Object} options - Synthesis options passed through to synthesizeChunk
+ * @param {Function} progressCallback - Progress reporting callback
+ * @param {Function} log - Logger (context.log in the function handlers)
+ * @returns {Promise<{audio: Buffer, chunksProcessed: number, cache: {hits: number, misses: number},
+ *   chapters: Object[]|null, timing: Object|null, lexicon: Object[], provider: string, fallbackFrom?: string[],
+ *   characters: number, billedCharacters: Object, voiceTier: string, failedChunks?: Object[], checkpoint?: Object}>} -
+ *   characters were requested (only the failed ones when resuming), billedCharacters were sent
+ *   to the provider per voice tier (see usage.js)
+ * @throws {ChunkFailureError} - When chunks failed under the "fail" policy (with a checkpoint)
+ */
+async function synthesizeText(text, options = {}, progressCallback = null, log = () => {}) {
+    const { outputMode = 'single', timing, provider: providerName, fallback, resume, ...sectionOptions } = options;
+    const { sections, options: synthesisOptions, titled, applied } = buildSections(text, sectionOptions);
+    if (applied.length > 0) {
+        log(`Pronunciation lexicon: ${applied.length} entries matched`);
+    }
+    if (titled) {
+        log(`Synthesizing ${sections.length} chapters`);
+    }
+
+    // A resumed run repeats the provider (and voices) that made the checkpoint
+    const candidates = resume
+        ? selectProviders({ ...synthesisOptions, provider: resume.provider, fallback: false })
+        : selectProviders({ ...synthesisOptions, provider: providerName, fallback });
+    const failed = [];
+    for (const [index, provider] of candidates.entries()) {
+        // Voice names belong to the chosen provider
+        const defaultVoices = index > 0 || Boolean(resume && resume.defaultVoices);
+        const fallbackFrom = failed.length > 0 ? [...failed] : (resume && resume.fallbackFrom);
+        const providerOptions = defaultVoices ? { ...synthesisOptions, voiceName: undefined } : synthesisOptions;
+        const providerSections = defaultVoices ? sections.map(withoutVoiceNames) : sections;
+        try {
+            const result = await synthesizeSections(
+                provider,
+                providerSections,
+                providerOptions,
+                { titled, outputMode, timing, defaultVoices, fallbackFrom, previousChunks: resume && resume.chunks },
+                progressCallback,
+                log
+            );
+            return {
+                ...result,
+                lexicon: applied,
+                provider: provider.name,
+                ...(fallbackFrom && { fallbackFrom })
+            };
+        } catch (error) {
+            // Invalid input would fail with every provider
+            if ((error.isValidation && index === 0) || index === candidates.length - 1) {
+                throw error;
+            }
+            log(`${provider.name} synthesis failed, falling back to ${candidates[index + 1].name}: ${error.message}`);
+            failed.push(provider.name);
+        }
+    }
+}
+
+/**
+ * Streams the audio of planned chunks: the first chunk (already synthesized)
+ * goes out at once, the rest in order as they finish
+ *
+ * Chunks that are still synthesizing when the client disconnects are finished
+ * (and cached) but no longer sent. onEnd is called once every chunk has been
+ * synthesized or the stream failed.
+ *
+ * @returns {ReadableStream} - Bytes of one stitched audio file
+ */
+function streamChunks(provider, plan, chunkOptions, firstAudio, audioEncoding, progressCallback, log, onEnd = () => {}) {
+    const { chunks, chunkOverrides, pauses } = plan;
+    const stitcher = createAudioStitcher(audioEncoding);
+    let closed = false;
+
+    return new ReadableStream({
+        start(controller) {
+            const fail = (error) => {
+                log(`Streaming synthesis failed: ${error.message}`);
+                if (!closed) {
+                    closed = true;
+                    controller.error(error);
+                }
+            };
+            const enqueue = (bytes) => {
+                if (bytes.length > 0) {
+                    controller.enqueue(bytes);
+                }
+            };
+
+            // Failed chunks (audio null) follow the failure policy, as in the stitched file
+            const failures = [];
+            const policy = chunkOptions.failurePolicy || DEFAULT_FAILURE_POLICY;
+            const send = (index, chunkAudio) => {
+                if (closed) {
+                    return;
+                }
+                let audioContent = chunkAudio;
+                if (!audioContent) {
+                    const { error } = failures.find(failure => failure.index === index - 1);
+                    if (policy === 'fail') {
+                        fail(new ChunkFailureError(`Failed to synthesize chunk ${index}: ${error}`, [
+                            describeFailedChunk(index, chunks[index], optionsForChunk(chunkOptions, index).inputType, error)
+                        ]));
+                        return;
+                    }
+                    audioContent = createFailureMarker(policy, firstAudio, chunks[index], {
+                        ...optionsForChunk(chunkOptions, index),
+                        audioEncoding
+                    });
+                }
+                try {
+                    enqueue(stitcher.push(audioContent));
+                    if (pauses && pauses[index] > 0) {
+                        enqueue(stitcher.push(createSilence(audioContent, pauses[index], audioEncoding)));
+                    }
+                } catch (error) {
+                    fail(error);
+                }
+            };
+
+            send(0, firstAudio);
+            synthesizeChunks(
+                provider,
+                chunks.slice(1),
+                {
+                    ...chunkOptions,
+                    ...(chunkOverrides && { chunkOverrides: chunkOverrides.slice(1) }),
+                    failures,
+                    onChunk: (index, audioContent) => send(index + 1, audioContent)
+                },
+                progressCallback,
+                log
+            ).then(() => {
+                if (!closed) {
+                    enqueue(stitcher.end());
+                    closed = true;
+                    controller.close();
+                }
+            }, fail).finally(onEnd);
+        },
+
+        cancel() {
+            closed = true;
+        }
+    });
+}
+
+/**
+ * Starts a streaming synthesis: the audio is returned as a stream that grows
+ * chunk by chunk, in order, while the rest of the text is still synthesized
+ *
+ * The first chunk is synthesized before the stream is returned, so a provider
+ * that fails straight away still falls back to the next one, and a request
+ * that can't be synthesized fails as a whole. Once audio is flowing there is
+ * no fallback: a later failure ends the stream with an error.
+ *
+ * Streaming produces one plain audio file, so chapters, ZIP output and timing
+ * tracks are not available, nor is post-processing, which needs the whole audio.
+ *
+ * @param {string} text - Input plain text, or an SSML document when options.inputType is "ssml"
+ * @param {Object} options - Synthesis options, as for synthesizeText
+ * @param {Function} progressCallback - Progress reporting callback
+ * @param {Function} log - Logger (context.log in the function handlers)
+ * @returns {Promise<{stream: ReadableStream, chunks: number, lexicon: Object[], provider: string, fallbackFrom?: string[],
+ *   finished: Promise<Object>}>} - finished resolves once the last chunk is synthesized, with
+ *   { characters, billedCharacters, cache, voiceTier } as in synthesizeText
+ * @throws {ValidationError} - When the request asks for something streaming can't produce
+ */
+async function streamText(text, options = {}, progressCallback = null, log = () => {}) {
+    const { outputMode, timing, provider: providerName, fallback, ...sectionOptions } = options;
+    if (timing) {
+        throw new ValidationError('timing is not available when streaming', { field: 'timing' });
+    }
+    if (outputMode === 'zip') {
+        throw new ValidationError('outputMode "zip" is not available when streaming', { field: 'outputMode' });
+    }
+    if (sectionOptions.postProcessing) {
+        throw new ValidationError('Post-processing is not available when streaming', { field: 'stream' });
+    }
+
+    const { sections, options: synthesisOptions, titled, applied } = buildSections(text, sectionOptions);
+    if (titled) {
+        throw new ValidationError('Chapters are not available when streaming', { field: 'chapters' });
+    }
+
+    const audioEncoding = synthesisOptions.audioEncoding || DEFAULT_AUDIO_ENCODING;
+    const candidates = selectProviders({ ...synthesisOptions, provider: providerName, fallback });
+    const failed = [];
+    for (const [index, provider] of candidates.entries()) {
+        // Voice names belong to the chosen provider
+        const providerOptions = index === 0 ? synthesisOptions : { ...synthesisOptions, voiceName: undefined };
+        const providerSections = index === 0 ? sections : sections.map(withoutVoiceNames);
+        const plan = planChunks(provider, providerSections, providerOptions, null, log);
+        const cacheStats = { hits: 0, misses: 0 };
+        const billedCharacters = {};
+        const chunkOptions = {
+            ...providerOptions,
+            cacheStats,
+            billedCharacters,
+            ...(plan.chunkOverrides && { chunkOverrides: plan.chunkOverrides })
+        };
+
+        let firstAudio;
+        try {
+            firstAudio = await synthesizeChunk(provider, plan.chunks[0], optionsForChunk(chunkOptions, 0));
+        } catch (error) {
+            // Invalid input would fail with every provider
+            if ((error.isValidation && index === 0) || index === candidates.length - 1) {
+                throw error;
+            }
+            log(`${provider.name} synthesis failed, falling back to ${candidates[index + 1].name}: ${error.message}`);
+            failed.push(provider.name);
+            continue;
+        }
+
+        let onEnd;
+        const finished = new Promise(resolve => {
+            onEnd = () => resolve({
+                characters: sections.reduce((sum, section) => sum + section.characters, 0),
+                billedCharacters,
+                cache: cacheStats,
+                voiceTier: getVoiceTier(provider.name, providerOptions.voiceName || provider.defaultVoice(providerOptions.languageCode || DEFAULT_LANGUAGE_CODE))
+            });
+        });
+        return {
+            stream: streamChunks(provider, plan, chunkOptions, firstAudio, audioEncoding, progressCallback, log, onEnd),
+            chunks: plan.chunks.length,
+            lexicon: applied,
+            provider: provider.name,
+            finished,
+            ...(failed.length > 0 && { fallbackFrom: failed })
+        };
+    }
+}
+
+/**
+ * Characters a request asks to synthesize, the count quotas are checked against
+ *
+ * These are the characters of the input text (or chapters, or script turns),
+ * before the lexicon or document conversion add any SSML.
+ *
+ * @param {string} text - Input text
+ * @param {Object} options - Parsed synthesis options
+ * @returns {number}
+ */
+function countCharacters(text, options) {
+    // Language segments don't change the count, so the text isn't segmented
+    const { sections } = splitSections(text, { ...options, languageVoices: undefined });
+    return sections.reduce((sum, section) => sum + section.characters, 0);
+}
+
+/**
+ * The voices a request would be spoken with by its primary provider: the
+ * request's voice and those of its speakers or languages, with the provider's
+ * default voice wherever none is named
+ *
+ * @param {string} text - Input text
+ * @param {Object} options - Parsed synthesis options
+ * @returns {{ provider: Object, voices: string[] }}
+ */
+function requestVoices(text, options) {
+    const { outputMode, timing, provider: providerName, fallback, resume, stream, ...sectionOptions } = options;
+    const { sections, options: synthesisOptions } = splitSections(text, sectionOptions);
+    const [provider] = selectProviders({ ...synthesisOptions, provider: providerName, fallback: false });
+    const { turns } = sections[0];
+    const voiceOptions = turns ? turns.map(turn => ({ ...synthesisOptions, ...turn.options })) : [synthesisOptions];
+    const voices = voiceOptions.map(({ voiceName, languageCode }) =>
+        voiceName || provider.defaultVoice(languageCode || DEFAULT_LANGUAGE_CODE));
+    return { provider, voices: [...new Set(voices)] };
+}
+
+/**
+ * Estimates a synthesis without making it: the characters sent to the primary
+ * provider per voice tier, the chunks, the cost, and roughly how long the
+ * audio will be
+ *
+ * Cache hits are not predicted, so the cost is the most the request can cost
+ * (unless it falls back to another provider).
+ *
+ * @param {string} text - Input text, as for synthesizeText
+ * @param {Object} options - Synthesis options, as for synthesizeText
+ * @returns {{ characters: number, billableCharacters: number, tiers: Object, chunks: number,
+ *   estimatedDurationSeconds: number, estimatedCost: { currency: string, amount: number }, provider: string }}
+ */
+function estimateSynthesis(text, options = {}) {
+    const { outputMode, timing, provider: providerName, fallback, resume, stream, ...sectionOptions } = options;
+    const { sections, options: synthesisOptions } = buildSections(text, sectionOptions);
+    const [provider] = selectProviders({ ...synthesisOptions, provider: providerName, fallback: false });
+    const { chunks, chunkOverrides, pauses } = planChunks(provider, sections, synthesisOptions, null, () => {});
+
+    const chunkOptions = { ...synthesisOptions, ...(chunkOverrides && { chunkOverrides }) };
+    const tiers = {};
+    let seconds = 0;
+    chunks.forEach((chunk, index) => {
+        const { voiceName, languageCode, inputType, speakingRate } = optionsForChunk(chunkOptions, index);
+        const tier = getVoiceTier(provider.name, voiceName || provider.defaultVoice(languageCode || DEFAULT_LANGUAGE_CODE));
+        tiers[tier] = (tiers[tier] || 0) + chunk.length;
+        seconds += estimateSpokenSeconds(chunk, inputType, speakingRate || 1) + (pauses ? pauses[index] : 0);
+    });
+
+    return {
+        characters: sections.reduce((sum, section) => sum + section.characters, 0),
+        billableCharacters: chunks.reduce((sum, chunk) => sum + chunk.length, 0),
+        tiers,
+        chunks: chunks.length,
+        estimatedDurationSeconds: Math.round(seconds),
+        estimatedCost: { currency: 'USD', amount: estimateCost(tiers) },
+        provider: provider.name
+    };
+}
+
+module.exports = {
+    synthesizeChunk,
+    optionsForChunk,
+    processChunksWithRateLimit,
+    buildSections,
+    selectProviders,
+    synthesizeText,
+    streamText,
+    countCharacters,
+    requestVoices,
+    estimateSynthesis
+};
@@ -0,0 +1,283 @@
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * Content-addressed cache for synthesized chunks
+ *
+ * Re-generating a document after fixing one typo would otherwise re-synthesize
+ * every chunk. Each provider request (provider name, input text or SSML, voice
+ * and audioConfig) is hashed, and the audio it produced is stored under that hash, so identical
+ * chunks are served from the cache without calling the API or using quota.
+ *
+ * Every backend stores opaque Buffers and implements the same async interface:
+ *   get(key) -> Buffer | null
+ *   set(key, value) -> void
+ *
+ * Backends are selected with the TTS_CACHE environment variable: "memory"
+ * (default, LRU in the worker process), "file", "blob" (Azure Blob Storage,
+ * for production) or "none".
+ */
+
+const DEFAULT_MAX_BYTES = 100 * 1024 * 1024;
+
+// Bump to invalidate every cached entry when the entry format changes
+const CACHE_KEY_VERSION = 'v1';
+
+/**
+ * Cache key for a synthesizeSpeech request
+ *
+ * @param {Object} request - Provider request: { provider, input, voice, audioConfig, enableTimePointing? }
+ * @returns {string} - Hex SHA-256 of the request
+ */
+function cacheKey(request) {
+    return crypto
+        .createHash('sha256')
+        .update(CACHE_KEY_VERSION)
+        .update(JSON.stringify(request))
+        .digest('hex');
+}
+
+/**
+ * Packs a synthesis result as [4-byte metadata length][metadata JSON][audio]
+ */
+function encodeCacheEntry({ audioContent, timepoints }) {
+    const metadata = Buffer.from(JSON.stringify({ timepoints: timepoints || [] }), 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(metadata.length);
+    return Buffer.concat([length, metadata, Buffer.from(audioContent)]);
+}
+
+/**
+ * Unpacks an entry written by encodeCacheEntry
+ *
+ * @returns {{ audioContent: Buffer, timepoints: Object[] }}
+ */
+function decodeCacheEntry(entry) {
+    const metadataLength = entry.readUInt32LE(0);
+    const metadata = JSON.parse(entry.toString('utf8', 4, 4 + metadataLength));
+    return {
+        audioContent: entry.subarray(4 + metadataLength),
+        timepoints: metadata.timepoints
+    };
+}
+
+/**
+ * In-memory LRU cache
+ *
+ * Least recently used entries are evicted once the total size exceeds maxBytes.
+ * Entries live in the worker process only.
+ */
+class MemoryCache {
+    constructor(options = {}) {
+        this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+        this.entries = new Map();
+        this.totalBytes = 0;
+    }
+
+    async get(key) {
+        const value = this.entries.get(key);
+        if (!value) {
+            return null;
+        }
+        // Re-insert so the Map's insertion order tracks recency
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        return value;
+    }
+
+    async set(key, value) {
+        if (value.length > this.maxBytes) {
+            return;
+        }
+        const existing = this.entries.get(key);
+        if (existing) {
+            this.totalBytes -= existing.length;
+            this.entries.delete(key);
+        }
+        this.entries.set(key, value);
+        this.totalBytes += value.length;
+
+        for (const [oldestKey, oldest] of this.entries) {
+            if (this.totalBytes <= this.maxBytes) {
+                break;
+            }
+            this.entries.delete(oldestKey);
+            this.totalBytes -= oldest.length;
+        }
+    }
+}
+
+/**
+ * Local filesystem cache
+ *
+ * Each entry is written as <key>.bin. Hits refresh the file's modification
+ * time, and the least recently used files are deleted once the directory
+ * grows past maxBytes.
+ */
+class FileCache {
+    constructor(options = {}) {
+        this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+        this.directory = options.directory || path.join(os.tmpdir(), 'tts-cache');
+        this.totalBytes = null;
+    }
+
+    entryPath(key) {
+        return path.join(this.directory, `${key}.bin`);
+    }
+
+    async get(key) {
+        // Keys are SHA-256 hashes; refuse anything else so keys can't escape the directory
+        if (!/^[0-9a-f]{64}$/.test(key)) {
+            return null;
+        }
+        try {
+            const value = await fs.readFile(this.entryPath(key));
+            const now = new Date();
+            await fs.utimes(this.entryPath(key), now, now).catch(() => {});
+            return value;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async set(key, value) {
+        if (!/^[0-9a-f]{64}$/.test(key) || value.length > this.maxBytes) {
+            return;
+        }
+        await fs.mkdir(this.directory, { recursive: true });
+        if (this.totalBytes === null) {
+            this.totalBytes = (await this.listEntries()).reduce((sum, entry) => sum + entry.size, 0);
+        }
+
+        // Write to a temp file and rename so readers never see a partial entry
+        const tempPath = `${this.entryPath(key)}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, value);
+        await fs.rename(tempPath, this.entryPath(key));
+        this.totalBytes += value.length;
+
+        if (this.totalBytes > this.maxBytes) {
+            await this.prune();
+        }
+    }
+
+    async listEntries() {
+        let names;
+        try {
+            names = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const entries = [];
+        for (const name of names.filter(name => name.endsWith('.bin'))) {
+            const stats = await fs.stat(path.join(this.directory, name)).catch(() => null);
+            if (stats) {
+                entries.push({ name, size: stats.size, mtimeMs: stats.mtimeMs });
+            }
+        }
+        return entries;
+    }
+
+    async prune() {
+        // Other workers may share the directory, so recount before deleting
+        const entries = (await this.listEntries()).sort((a, b) => a.mtimeMs - b.mtimeMs);
+        let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+        for (const entry of entries) {
+            if (totalBytes <= this.maxBytes) {
+                break;
+            }
+            await fs.rm(path.join(this.directory, entry.name), { force: true });
+            totalBytes -= entry.size;
+        }
+        this.totalBytes = totalBytes;
+    }
+}
+
+/**
+ * Azure Blob Storage cache
+ *
+ * Shared by every worker of the Function App. Each entry is a block blob named
+ * after its key. The total size is not tracked here: configure a lifecycle
+ * management rule on the container (e.g. delete blobs not accessed for 30 days)
+ * to bound it.
+ */
+class BlobCache {
+    constructor(options = {}) {
+        if (!options.connectionString) {
+            throw new Error('The blob cache needs TTS_CACHE_BLOB_CONNECTION_STRING (or AzureWebJobsStorage)');
+        }
+        // Loaded lazily so the other backends work without the Azure SDK configured
+        const { BlobServiceClient } = require('@azure/storage-blob');
+        this.container = BlobServiceClient
+            .fromConnectionString(options.connectionString)
+            .getContainerClient(options.containerName || 'tts-cache');
+        this.containerReady = null;
+    }
+
+    async get(key) {
+        try {
+            return await this.container.getBlockBlobClient(`${key}.bin`).downloadToBuffer();
+        } catch (error) {
+            if (error.statusCode === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async set(key, value) {
+        if (!this.containerReady) {
+            this.containerReady = this.container.createIfNotExists().catch(error => {
+                this.containerReady = null;
+                throw error;
+            });
+        }
+        await this.containerReady;
+        await this.container.getBlockBlobClient(`${key}.bin`).uploadData(value);
+    }
+}
+
+/**
+ * Creates a synthesis cache from environment configuration
+ *
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {MemoryCache|FileCache|BlobCache|null} - null when caching is disabled
+ */
+function createSynthesisCache(env = process.env) {
+    const backend = (env.TTS_CACHE || 'memory').toLowerCase();
+    const maxBytes = env.TTS_CACHE_MAX_MB ? Number(env.TTS_CACHE_MAX_MB) * 1024 * 1024 : undefined;
+
+    switch (backend) {
+        case 'none':
+            return null;
+        case 'memory':
+            return new MemoryCache({ maxBytes });
+        case 'file':
+            return new FileCache({ maxBytes, directory: env.TTS_CACHE_DIR });
+        case 'blob':
+            return new BlobCache({
+                connectionString: env.TTS_CACHE_BLOB_CONNECTION_STRING || env.AzureWebJobsStorage,
+                containerName: env.TTS_CACHE_BLOB_CONTAINER
+            });
+        default:
+            throw new Error(`Unknown TTS_CACHE backend: ${backend}`);
+    }
+}
+
+module.exports = {
+    MemoryCache,
+    FileCache,
+    BlobCache,
+    cacheKey,
+    encodeCacheEntry,
+    decodeCacheEntry,
+    createSynthesisCache
+};
@@ -0,0 +1,475 @@
+const { ValidationError } = require('./errors');
+const { readScript, readPause, findSpeaker } = require('./script');
+const { DETECTABLE_LANGUAGES, primaryLanguage } = require('./languageDetection');
+const { readPostProcessing } = require('./postProcessing');
+
+/**
+ * Request options for speech synthesis
+ *
+ * Parses the voice and audio settings a client may send in the JSON body and
+ * turns them into the options object understood by synthesizeChunk. Anything
+ * invalid is rejected with a ValidationError naming the field, so handlers can
+ * answer with a clear 400 instead of a failed Google API call.
+ */
+
+const DEFAULT_LANGUAGE_CODE = 'en-US';
+const DEFAULT_VOICE_NAME = 'en-US-Chirp3-HD-Aoede';
+const DEFAULT_AUDIO_ENCODING = 'OGG_OPUS';
+
+// Output file details for each supported Google audio encoding.
+// MULAW and ALAW are returned by Google inside a WAV container, like LINEAR16.
+const AUDIO_FORMATS = {
+    OGG_OPUS: { format: 'ogg', extension: 'ogg', mimeType: 'audio/ogg' },
+    MP3: { format: 'mp3', extension: 'mp3', mimeType: 'audio/mpeg' },
+    LINEAR16: { format: 'wav', extension: 'wav', mimeType: 'audio/wav' },
+    MULAW: { format: 'wav', extension: 'wav', mimeType: 'audio/wav' },
+    ALAW: { format: 'wav', extension: 'wav', mimeType: 'audio/wav' }
+};
+
+// Ranges accepted by the Google TTS AudioConfig
+const NUMERIC_RANGES = {
+    speakingRate: { min: 0.25, max: 4.0 },
+    pitch: { min: -20.0, max: 20.0 },
+    volumeGainDb: { min: -96.0, max: 16.0 }
+};
+
+// How the request text is interpreted
+const INPUT_TYPES = ['text', 'ssml'];
+
+// Document formats converted to SSML before chunking (see documents.js)
+const INPUT_FORMATS = ['text', 'markdown', 'html', 'epub'];
+const INPUT_FORMAT_ALIASES = { md: 'markdown', htm: 'html', xhtml: 'html' };
+
+// Audiobook output: one file (with chapter markers) or a ZIP of chapter files
+const OUTPUT_MODES = ['single', 'zip'];
+const ZIP_FORMAT = { format: 'zip', extension: 'zip', mimeType: 'application/zip' };
+
+// Read-along timing track detail (see timing.js)
+const TIMING_LEVELS = ['none', 'sentence', 'word'];
+
+// What happens to chunks that still fail after their retries (see chunkFailures.js)
+const FAILURE_POLICIES = ['fail', 'skip', 'silence', 'tone'];
+const TONE_ENCODINGS = ['LINEAR16', 'MULAW', 'ALAW'];
+
+// Text-to-speech providers (see ttsProviders.js)
+const PROVIDER_NAMES = ['google', 'azure', 'local'];
+
+// Voice options a script speaker (or a language voice) may set (see script.js)
+const SPEAKER_FIELDS = ['voiceName', 'voice', 'languageCode', 'language', 'speakingRate', 'pitch', 'volumeGainDb'];
+
+// Language codes look like "en", "en-US" or "cmn-Hans-CN"
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+/**
+ * Returns the output file details for an audio encoding
+ *
+ * @param {string} audioEncoding - Google audio encoding
+ * @returns {{format: string, extension: string, mimeType: string}}
+ */
+function getAudioFormat(audioEncoding = DEFAULT_AUDIO_ENCODING) {
+    return AUDIO_FORMATS[audioEncoding] || AUDIO_FORMATS[DEFAULT_AUDIO_ENCODING];
+}
+
+/**
+ * Returns the details of the file a request produces: the audio format, or a
+ * ZIP archive when chapters are returned as separate files
+ *
+ * @param {Object} options - Parsed synthesis options
+ * @returns {{format: string, extension: string, mimeType: string}}
+ */
+function getOutputFormat(options = {}) {
+    return options.outputMode === 'zip' ? ZIP_FORMAT : getAudioFormat(options.audioEncoding);
+}
+
+/**
+ * Validates explicit chapters: [{ title, text }]
+ */
+function readChapters(value) {
+    if (!Array.isArray(value) || value.length === 0) {
+        throw new ValidationError('chapters must be a non-empty array of { title, text }', { field: 'chapters' });
+    }
+
+    return value.map((chapter, index) => {
+        if (!chapter || typeof chapter.text !== 'string' || chapter.text.trim() === '') {
+            throw new ValidationError(`chapters[${index}].text must be a non-empty string`, { field: 'chapters' });
+        }
+        if (chapter.title !== undefined && typeof chapter.title !== 'string') {
+            throw new ValidationError(`chapters[${index}].title must be a string`, { field: 'chapters' });
+        }
+        return {
+            title: (chapter.title || '').trim() || `Chapter ${index + 1}`,
+            text: chapter.text
+        };
+    });
+}
+
+/**
+ * Validates one voice of a mapping: voiceName | { voiceName, languageCode, speakingRate, pitch, volumeGainDb }
+ */
+function readVoice(voice, field, name) {
+    if (typeof voice === 'string') {
+        return parseSynthesisOptions({ voiceName: voice });
+    }
+    if (!voice || typeof voice !== 'object' || Array.isArray(voice)) {
+        throw new ValidationError(`${field}["${name}"] must be a voice name or voice options`, { field });
+    }
+    const unknown = Object.keys(voice).find(option => !SPEAKER_FIELDS.includes(option));
+    if (unknown) {
+        throw new ValidationError(`${field}["${name}"].${unknown} is not a voice option`, { field });
+    }
+    try {
+        return parseSynthesisOptions(voice);
+    } catch (error) {
+        throw error.isValidation
+            ? new ValidationError(`${field}["${name}"]: ${error.message}`, { field })
+            : error;
+    }
+}
+
+/**
+ * Validates the speakers mapping: { name: voiceName | { voiceName, languageCode, speakingRate, pitch, volumeGainDb } }
+ */
+function readSpeakers(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new ValidationError('speakers must map speaker names to a voice name or voice options', { field: 'speakers' });
+    }
+
+    const speakers = {};
+    for (const [name, voice] of Object.entries(value)) {
+        speakers[name.trim()] = readVoice(voice, 'speakers', name);
+    }
+    return speakers;
+}
+
+/**
+ * Validates the languageVoices mapping: { languageCode: voiceName | voice options }
+ *
+ * @returns {Object} - Voice options keyed by primary language ("es" for "es-MX"); a
+ *   voice without a languageCode of its own is spoken in the mapping's language
+ */
+function readLanguageVoices(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value) || Object.keys(value).length === 0) {
+        throw new ValidationError('languageVoices must map language codes to a voice name or voice options', { field: 'languageVoices' });
+    }
+
+    const languageVoices = {};
+    for (const [code, voice] of Object.entries(value)) {
+        const languageCode = code.trim();
+        if (!LANGUAGE_CODE_PATTERN.test(languageCode)) {
+            throw new ValidationError(`languageVoices key "${code}" is not a valid BCP-47 language code`, { field: 'languageVoices' });
+        }
+        const language = primaryLanguage(languageCode);
+        if (!DETECTABLE_LANGUAGES.includes(language)) {
+            throw new ValidationError(
+                `languageVoices: "${code}" can't be detected; use one of ${DETECTABLE_LANGUAGES.join(', ')}`,
+                { field: 'languageVoices' }
+            );
+        }
+        if (languageVoices[language]) {
+            throw new ValidationError(`languageVoices has more than one voice for "${language}"`, { field: 'languageVoices' });
+        }
+        const options = readVoice(voice, 'languageVoices', code);
+        languageVoices[language] = { languageCode, ...options };
+    }
+    return languageVoices;
+}
+
+function readNumber(body, field) {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw new ValidationError(`${field} must be a number`, { field });
+    }
+
+    const range = NUMERIC_RANGES[field];
+    if (range && (number < range.min || number > range.max)) {
+        throw new ValidationError(`${field} must be between ${range.min} and ${range.max}`, { field });
+    }
+
+    return number;
+}
+
+function readString(body, field) {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    if (typeof value !== 'string') {
+        throw new ValidationError(`${field} must be a string`, { field });
+    }
+    return value.trim();
+}
+
+/**
+ * Parses and validates synthesis options from a JSON request body
+ *
+ * Accepted fields (all optional):
+ * - voiceName (alias: voice): e.g. "en-GB-Neural2-B"
+ * - languageCode (alias: language): e.g. "en-GB"; derived from voiceName when omitted
+ * - audioEncoding (alias: encoding): MP3, LINEAR16, OGG_OPUS, MULAW or ALAW
+ * - speakingRate: 0.25 to 4.0
+ * - pitch: -20.0 to 20.0 semitones
+ * - volumeGainDb: -96.0 to 16.0
+ * - sampleRateHertz: positive integer
+ * - effectsProfileId: device profile name or array of names
+ * - inputType: "text" (default) or "ssml" to treat the text as an SSML document
+ * - inputFormat: "text" (default), "markdown", "html" or "epub" (text is then base64)
+ * - stripCode: whether documents drop code blocks (default true)
+ * - chapters: explicit chapters [{ title, text }] used instead of text
+ * - script: multi-speaker dialogue used instead of text, as "SPEAKER: line" text or
+ *   [{ speaker, text, pauseMs? }] (see script.js)
+ * - speakers: voice per script speaker, { name: voiceName | { voiceName, languageCode,
+ *   speakingRate, pitch, volumeGainDb } }; required for every speaker in the script
+ * - turnPauseMs: silence between script turns, 0 to 10000 (default 400)
+ * - languageVoices: voice per language for plain text that mixes languages,
+ *   { languageCode: voiceName | voice options }; sentences are assigned a language
+ *   from these and the request's own (see languageDetection.js)
+ * - outputMode: "single" (default, chapter markers in OGG output) or "zip" (file per chapter)
+ * - timing: "none" (default), "sentence" or "word" to return a read-along timing track
+ * - cache: false to bypass the synthesis cache (default true)
+ * - useLexicon: false to skip the caller's pronunciation lexicon (default true)
+ * - provider: "google", "azure" or "local" (default TTS_PROVIDER)
+ * - fallback: false to fail instead of retrying with the fallback providers (default true)
+ * - stream: true to receive the audio bytes as they are synthesized instead of a JSON body
+ * - history: false to leave the result out of the caller's history (default true)
+ * - failurePolicy: "fail" (default), "skip", "silence" or "tone" (WAV encodings or
+ *   post-processing only) for chunks that still fail after their retries
+ * - trimSilence: true to cut the silence from both ends of every chunk (see postProcessing.js)
+ * - paragraphPauseMs, sentencePauseMs, chunkPauseMs: pause after a chunk that ends a paragraph,
+ *   a sentence, or inside a long sentence, 0 to 10000 (900, 400 and 50 with trimSilence)
+ * - targetLoudness: integrated loudness to normalize to, -40 to -5 LUFS (e.g. -16)
+ * - backgroundMusic: a track from TTS_MUSIC_DIR mixed under the speech, "name" or
+ *   { track, volumeDb (default -18), duckDb (default 12) }
+ *
+ * @param {Object} body - Parsed JSON request body
+ * @returns {Object} - Options for synthesizeChunk
+ * @throws {ValidationError} - When a field is invalid
+ */
+function parseSynthesisOptions(body = {}) {
+    if (!body || typeof body !== 'object') {
+        return {};
+    }
+
+    const options = {};
+
+    const voiceName = readString(body, body.voiceName !== undefined ? 'voiceName' : 'voice');
+    if (voiceName !== undefined) {
+        options.voiceName = voiceName;
+    }
+
+    const languageCode = readString(body, body.languageCode !== undefined ? 'languageCode' : 'language');
+    if (languageCode !== undefined) {
+        if (!LANGUAGE_CODE_PATTERN.test(languageCode)) {
+            throw new ValidationError(`languageCode "${languageCode}" is not a valid BCP-47 language code`, { field: 'languageCode' });
+        }
+        options.languageCode = languageCode;
+    } else if (voiceName) {
+        // Voice names start with their language code, e.g. "de-DE-Wavenet-A"
+        const match = voiceName.match(/^([a-z]{2,3}-[A-Za-z0-9]{2,4})-/);
+        if (match) {
+            options.languageCode = match[1];
+        }
+    }
+
+    const encodingField = body.audioEncoding !== undefined ? 'audioEncoding' : 'encoding';
+    const audioEncoding = readString(body, encodingField);
+    if (audioEncoding !== undefined) {
+        const normalized = audioEncoding.toUpperCase();
+        if (!AUDIO_FORMATS[normalized]) {
+            throw new ValidationError(
+                `${encodingField} must be one of ${Object.keys(AUDIO_FORMATS).join(', ')}`,
+                { field: encodingField }
+            );
+        }
+        options.audioEncoding = normalized;
+    }
+
+    for (const field of Object.keys(NUMERIC_RANGES)) {
+        const value = readNumber(body, field);
+        if (value !== undefined) {
+            options[field] = value;
+        }
+    }
+
+    const sampleRateHertz = readNumber(body, 'sampleRateHertz');
+    if (sampleRateHertz !== undefined) {
+        if (!Number.isInteger(sampleRateHertz) || sampleRateHertz <= 0) {
+            throw new ValidationError('sampleRateHertz must be a positive integer', { field: 'sampleRateHertz' });
+        }
+        options.sampleRateHertz = sampleRateHertz;
+    }
+
+    if (body.effectsProfileId !== undefined && body.effectsProfileId !== null) {
+        const profiles = Array.isArray(body.effectsProfileId) ? body.effectsProfileId : [body.effectsProfileId];
+        if (profiles.some(profile => typeof profile !== 'string' || profile.trim() === '')) {
+            throw new ValidationError('effectsProfileId must be a string or an array of strings', { field: 'effectsProfileId' });
+        }
+        options.effectsProfileId = profiles.map(profile => profile.trim());
+    }
+
+    const inputType = readString(body, 'inputType');
+    if (inputType !== undefined) {
+        const normalized = inputType.toLowerCase();
+        if (!INPUT_TYPES.includes(normalized)) {
+            throw new ValidationError(`inputType must be one of ${INPUT_TYPES.join(', ')}`, { field: 'inputType' });
+        }
+        options.inputType = normalized;
+    }
+
+    const inputFormat = readString(body, 'inputFormat');
+    if (inputFormat !== undefined) {
+        const lowered = inputFormat.toLowerCase();
+        const normalized = INPUT_FORMAT_ALIASES[lowered] || lowered;
+        if (!INPUT_FORMATS.includes(normalized)) {
+            throw new ValidationError(`inputFormat must be one of ${INPUT_FORMATS.join(', ')}`, { field: 'inputFormat' });
+        }
+        if (normalized !== 'text' && options.inputType === 'ssml') {
+            throw new ValidationError('inputFormat cannot be combined with inputType "ssml"', { field: 'inputFormat' });
+        }
+        options.inputFormat = normalized;
+    }
+
+    if (body.stripCode !== undefined) {
+        if (typeof body.stripCode !== 'boolean') {
+            throw new ValidationError('stripCode must be a boolean', { field: 'stripCode' });
+        }
+        options.stripCode = body.stripCode;
+    }
+
+    if (body.chapters !== undefined && body.chapters !== null) {
+        options.chapters = readChapters(body.chapters);
+    }
+
+    if (body.script !== undefined && body.script !== null) {
+        if (options.chapters) {
+            throw new ValidationError('script cannot be combined with chapters', { field: 'script' });
+        }
+        if (options.inputType === 'ssml' || (options.inputFormat && options.inputFormat !== 'text')) {
+            throw new ValidationError('script turns are plain text and cannot be combined with inputType or inputFormat', { field: 'script' });
+        }
+        options.script = readScript(body.script);
+        options.speakers = readSpeakers(body.speakers ?? {});
+
+        const unmapped = [...new Set(options.script.map(turn => turn.speaker))]
+            .filter(speaker => findSpeaker(options.speakers, speaker) === undefined);
+        if (unmapped.length > 0) {
+            throw new ValidationError(`speakers has no voice for ${unmapped.map(speaker => `"${speaker}"`).join(', ')}`, { field: 'speakers' });
+        }
+
+        if (body.turnPauseMs !== undefined) {
+            options.turnPauseMs = readPause(body.turnPauseMs, 'turnPauseMs');
+        }
+    }
+
+    if (body.languageVoices !== undefined && body.languageVoices !== null) {
+        // Sentences are identified in plain text; chapters and scripts already choose their voices
+        if (options.chapters || options.script) {
+            throw new ValidationError('languageVoices cannot be combined with chapters or script', { field: 'languageVoices' });
+        }
+        if (options.inputType === 'ssml' || (options.inputFormat && options.inputFormat !== 'text')) {
+            throw new ValidationError('languageVoices needs plain text and cannot be combined with inputType or inputFormat', { field: 'languageVoices' });
+        }
+        options.languageVoices = readLanguageVoices(body.languageVoices);
+    }
+
+    const outputMode = readString(body, 'outputMode');
+    if (outputMode !== undefined) {
+        const normalized = outputMode.toLowerCase();
+        if (!OUTPUT_MODES.includes(normalized)) {
+            throw new ValidationError(`outputMode must be one of ${OUTPUT_MODES.join(', ')}`, { field: 'outputMode' });
+        }
+        options.outputMode = normalized;
+    }
+
+    const timing = readString(body, 'timing');
+    if (timing !== undefined) {
+        const normalized = timing.toLowerCase();
+        if (!TIMING_LEVELS.includes(normalized)) {
+            throw new ValidationError(`timing must be one of ${TIMING_LEVELS.join(', ')}`, { field: 'timing' });
+        }
+        if (normalized !== 'none') {
+            options.timing = normalized;
+        }
+    }
+
+    if (body.cache !== undefined) {
+        if (typeof body.cache !== 'boolean') {
+            throw new ValidationError('cache must be a boolean', { field: 'cache' });
+        }
+        options.cache = body.cache;
+    }
+
+    if (body.useLexicon !== undefined) {
+        if (typeof body.useLexicon !== 'boolean') {
+            throw new ValidationError('useLexicon must be a boolean', { field: 'useLexicon' });
+        }
+        options.useLexicon = body.useLexicon;
+    }
+
+    const provider = readString(body, 'provider');
+    if (provider !== undefined) {
+        const normalized = provider.toLowerCase();
+        if (!PROVIDER_NAMES.includes(normalized)) {
+            throw new ValidationError(`provider must be one of ${PROVIDER_NAMES.join(', ')}`, { field: 'provider' });
+        }
+        options.provider = normalized;
+    }
+
+    if (body.fallback !== undefined) {
+        if (typeof body.fallback !== 'boolean') {
+            throw new ValidationError('fallback must be a boolean', { field: 'fallback' });
+        }
+        options.fallback = body.fallback;
+    }
+
+    if (body.stream !== undefined) {
+        if (typeof body.stream !== 'boolean') {
+            throw new ValidationError('stream must be a boolean', { field: 'stream' });
+        }
+        options.stream = body.stream;
+    }
+
+    if (body.history !== undefined) {
+        if (typeof body.history !== 'boolean') {
+            throw new ValidationError('history must be a boolean', { field: 'history' });
+        }
+        options.history = body.history;
+    }
+
+    const postProcessing = readPostProcessing(body, options.audioEncoding || DEFAULT_AUDIO_ENCODING);
+    if (postProcessing) {
+        options.postProcessing = postProcessing;
+    }
+
+    const failurePolicy = readString(body, 'failurePolicy');
+    if (failurePolicy !== undefined) {
+        const normalized = failurePolicy.toLowerCase();
+        if (!FAILURE_POLICIES.includes(normalized)) {
+            throw new ValidationError(`failurePolicy must be one of ${FAILURE_POLICIES.join(', ')}`, { field: 'failurePolicy' });
+        }
+        // A tone is generated as PCM samples, which only WAV output (or post-processed
+        // chunks, which are PCM until they are encoded) can carry without an encoder
+        if (normalized === 'tone' && !options.postProcessing && !TONE_ENCODINGS.includes(options.audioEncoding || DEFAULT_AUDIO_ENCODING)) {
+            throw new ValidationError(`failurePolicy "tone" needs audioEncoding ${TONE_ENCODINGS.join(', ')} or post-processing`, { field: 'failurePolicy' });
+        }
+        options.failurePolicy = normalized;
+    }
+
+    return options;
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE_CODE,
+    DEFAULT_VOICE_NAME,
+    DEFAULT_AUDIO_ENCODING,
+    AUDIO_FORMATS,
+    PROVIDER_NAMES,
+    FAILURE_POLICIES,
+    getAudioFormat,
+    getOutputFormat,
+    parseSynthesisOptions
+};
@@ -0,0 +1,233 @@
+const { DEFAULT_LANGUAGE_CODE } = require('./synthesisOptions');
+const { primaryLanguage, splitSentences } = require('./languageDetection');
+
+/**
+ * Sentence detection and chunking of plain text
+ *
+ * Text is split into chunks of whole sentences that fit a provider's request
+ * limit, so every chunk sounds like natural speech (see "Intelligent Text
+ * Processing" in the README).
+ */
+
+// NLP dependencies for intelligent text parsing
+const winkNLP = require('wink-nlp');
+const model = require('wink-eng-lite-web-model');
+
+// Initialize NLP processor with English language model
+// This gives us sophisticated sentence boundary detection that handles:
+// - Abbreviations (Dr., U.S.A., etc.)
+// - Decimal numbers ($49.99, 3.14, etc.) 
+// - Complex punctuation patterns
+const nlp = winkNLP(model);
+
+/**
+ * Whether text fits a chunk: providers limit characters, and some (Google)
+ * limit the UTF-8 bytes of a request too, which accented or non-Latin text
+ * reaches long before its character count
+ *
+ * @param {string} text - Candidate chunk
+ * @param {number} maxLength - Maximum characters
+ * @param {number} maxBytes - Maximum UTF-8 bytes
+ */
+function fitsChunk(text, maxLength, maxBytes = Infinity) {
+    return text.length <= maxLength && (maxBytes === Infinity || Buffer.byteLength(text, 'utf8') <= maxBytes);
+}
+
+// The length of the longest start of text that fits a chunk, never splitting a surrogate pair
+function fittingLength(text, maxLength, maxBytes = Infinity) {
+    let length = Math.min(text.length, maxLength);
+    if (maxBytes !== Infinity) {
+        let bytes = 0;
+        for (let index = 0; index < length; index++) {
+            const code = text.charCodeAt(index);
+            const isPair = code >= 0xd800 && code <= 0xdbff && index + 1 < text.length;
+            const size = isPair ? 4 : code < 0x80 ? 1 : code < 0x800 ? 2 : 3;
+            if (bytes + size > maxBytes || (isPair && index + 2 > length)) {
+                length = index;
+                break;
+            }
+            bytes += size;
+            if (isPair) {
+                index++;
+            }
+        }
+    }
+    return length;
+}
+
+/**
+ * Uses advanced NLP to intelligently split plain text into sentence-based chunks
+ * 
+ * This function leverages the wink-nlp library with a trained English language model
+ * to provide sophisticated sentence boundary detection that handles complex cases:
+ * 
+ * Examples that are correctly handled:
+ * - Abbreviations: "Dr. Smith works at St. Mary's Hospital." (1 sentence)
+ * - Decimal numbers: "The price is $49.99 plus tax." (1 sentence) 
+ * - Multiple punctuation: "Really?! That's amazing!!!" (2 sentences)
+ * - Initials: "J.K. Rowling wrote Harry Potter." (1 sentence)
+ * - URLs and emails: "Visit www.example.com for more info." (1 sentence)
+ * 
+ * @param {string} plainText - The plain text to chunk into sentences
+ * @returns {string[]} - Array of sentence chunks
+ */
+function extractSentencesWithNLP(plainText) {
+    // Input validation
+    if (!plainText || typeof plainText !== 'string') {
+        return [];
+    }
+    
+    // Feed the text into the NLP engine for analysis
+    // The engine tokenizes, parses, and annotates the text using the language model
+    // This is equivalent to the original: nlp.readDoc(this).sentences().out('array')
+    const doc = nlp.readDoc(plainText);
+    
+    // Extract sentences using sophisticated boundary detection
+    // This goes far beyond simple period-splitting and understands context
+    const sentences = doc.sentences().out('array');
+    
+    // Filter out any empty sentences (edge case protection)
+    return sentences.filter(sentence => sentence.trim().length > 0);
+}
+
+/**
+ * Sentence splitter for text in a language: the English NLP model for English,
+ * the language's own sentence rules otherwise
+ *
+ * @param {string} languageCode - BCP-47 language code
+ * @returns {Function} - text => string[]
+ */
+function sentenceSplitter(languageCode = DEFAULT_LANGUAGE_CODE) {
+    return primaryLanguage(languageCode) === 'en'
+        ? extractSentencesWithNLP
+        : text => splitSentences(text, languageCode);
+}
+
+/**
+ * Main text chunking function that creates optimal chunks for TTS processing
+ * 
+ * This function implements the intelligent chunking strategy described in the documentation:
+ * 1. Uses NLP to extract proper sentences (handling abbreviations, decimals, etc.)
+ * 2. Groups sentences together into chunks that don't exceed the API limit
+ * 3. Prioritizes natural speech boundaries for better audio quality
+ * 
+ * The approach ensures that:
+ * - Sentences are never broken in the middle (preserves speech flow)
+ * - Chunks stay under the provider's limits (Google: 4900 characters and 5000 bytes)
+ * - Each chunk contains complete thoughts for natural-sounding audio
+ * 
+ * @param {string} text - Input plain text to be chunked
+ * @param {number} maxLength - Maximum characters per chunk (default: 4900, leaving buffer for API)
+ * @param {Function} splitSentences - Sentence splitter (default: the English NLP model, see sentenceSplitter)
+ * @param {number} maxBytes - Maximum UTF-8 bytes per chunk (default: no limit)
+ * @returns {string[]} - Array of intelligently chunked text segments
+ */
+function intelligentTextChunking(text, maxLength = 4900, splitSentences = extractSentencesWithNLP, maxBytes = Infinity) {
+    // Input validation and normalization
+    if (!text || typeof text !== 'string') {
+        return [];
+    }
+    
+    // Normalize line endings for consistent processing
+    // Convert Windows (\r\n) and Mac (\r) line endings to Unix (\n)
+    const normalizedText = text.replace(/\r\n/g, '\n').replace(/\r/g, '\n').trim();
+    
+    // If text is short enough, return as-is (optimization)
+    if (fitsChunk(normalizedText, maxLength, maxBytes)) {
+        return [normalizedText];
+    }
+    
+    // Use NLP-based sentence extraction for optimal speech quality
+    // This is the core of the intelligent chunking - we get proper sentences
+    const sentences = splitSentences(normalizedText);
+    
+    // If no sentences were detected (edge case), fall back to simple chunking
+    if (sentences.length === 0) {
+        return [normalizedText];
+    }
+    
+    // If we only got one sentence but it's too long, we need to split it
+    if (sentences.length === 1 && !fitsChunk(sentences[0], maxLength, maxBytes)) {
+        // Last resort: split long sentence at word boundaries
+        return splitLongTextAtWordBoundaries(sentences[0], maxLength, maxBytes);
+    }
+    
+    // Group sentences into chunks that don't exceed length limit
+    // This creates longer, more natural-sounding audio segments while respecting API limits
+    const chunks = [];
+    let currentChunk = '';
+    
+    for (const sentence of sentences) {
+        // Check if adding this sentence would exceed the limit
+        const testChunk = currentChunk ? `${currentChunk} ${sentence}` : sentence;
+        
+        if (!fitsChunk(testChunk, maxLength, maxBytes)) {
+            // Save current chunk if it has content
+            if (currentChunk) {
+                chunks.push(currentChunk.trim());
+                // Start new chunk with current sentence
+                currentChunk = sentence;
+            } else {
+                // Single sentence is too long - split it at word boundaries
+                const sentenceChunks = splitLongTextAtWordBoundaries(sentence, maxLength, maxBytes);
+                chunks.push(...sentenceChunks);
+                currentChunk = '';
+            }
+        } else {
+            // Sentence fits, add it to current chunk
+            currentChunk = testChunk;
+        }
+    }
+    
+    // Don't forget the final chunk
+    if (currentChunk.trim()) {
+        chunks.push(currentChunk.trim());
+    }
+    
+    return chunks.filter(chunk => chunk.length > 0);
+}
+
+/**
+ * Fallback function to split text at word boundaries when sentences are too long
+ * 
+ * This is used as a last resort when even individual sentences exceed the API limit.
+ * It attempts to split at natural word boundaries while staying under the limit.
+ * 
+ * @param {string} text - The text to split
+ * @param {number} maxLength - Maximum length per chunk
+ * @param {number} maxBytes - Maximum UTF-8 bytes per chunk (default: no limit)
+ * @returns {string[]} - Array of text chunks split at word boundaries
+ */
+function splitLongTextAtWordBoundaries(text, maxLength, maxBytes = Infinity) {
+    const chunks = [];
+    let remainingText = text;
+    
+    while (!fitsChunk(remainingText, maxLength, maxBytes)) {
+        // Find the last space within the limits
+        const limit = fittingLength(remainingText, maxLength, maxBytes);
+        let splitPos = remainingText.lastIndexOf(' ', limit);
+        
+        // If no space found, split at the limit (hard break)
+        if (splitPos <= 0) {
+            splitPos = Math.max(limit, 1);
+        }
+        
+        chunks.push(remainingText.substring(0, splitPos).trim());
+        remainingText = remainingText.substring(splitPos).trim();
+    }
+    
+    // Add the remaining text
+    if (remainingText.length > 0) {
+        chunks.push(remainingText);
+    }
+    
+    return chunks;
+}
+
+module.exports = {
+    fitsChunk,
+    extractSentencesWithNLP,
+    sentenceSplitter,
+    intelligentTextChunking,
+    splitLongTextAtWordBoundaries
+};
@@ -0,0 +1,426 @@
+const { parseSsml, escapeSsml, decodeEntities } = require('./ssml');
+
+/**
+ * Read-along timing
+ *
+ * Builds a timing track for the stitched audio: when each sentence (and, at
+ * the "word" level, each word) starts and ends. Before synthesis every chunk is
+ * turned into SSML with a <mark name="wN"/> in front of each word (or only in
+ * front of the first word of each sentence), and Google reports the time of
+ * every mark it reached. Words without a mark, and chunks from voices that
+ * don't report marks (Chirp HD voices, Azure Speech and the local engines; see
+ * supportsTimepoints in ttsProviders.js), are placed by interpolating over the
+ * characters between known times, and the track is flagged as estimated.
+ *
+ * Times are shifted by each chunk's start in the stitched audio, so they can be
+ * used directly against the final file (or each chapter file in ZIP output).
+ *
+ * The words are the ones spoken, so text a lexicon rule replaced (see
+ * lexicon.js) is put back with restoreReplacedText: the replacement's words
+ * become one span that shows the original text, timed from its first word to
+ * its last.
+ */
+
+// Source chunk sizes that leave room for the marks inside Google's 5000-byte limit
+const TIMING_CHUNK_LENGTHS = { sentence: 4500, word: 1500 };
+const MAX_INPUT_BYTES = 5000;
+
+// Text inside these elements is spoken as a unit, so no marks go inside; the
+// words still appear in the sentence text
+const UNMARKABLE_ELEMENTS = new Set(['sub', 'say-as', 'phoneme']);
+
+// Text inside these elements is not part of the spoken text
+const SILENT_ELEMENTS = new Set(['audio', 'desc']);
+
+/**
+ * Splits a chunk into words and sentences, remembering where a mark can go in
+ * front of each word
+ *
+ * @param {string} chunk - Plain text or SSML chunk
+ * @param {string} inputType - "text" or "ssml"
+ * @param {Function} splitSentences - Sentence splitter (text => string[])
+ * @returns {Object} - { rootTag, parts, words, sentences: [{ firstWord, lastWord }] }
+ */
+function analyzeChunk(chunk, inputType, splitSentences) {
+    const { rootTag, tokens } = inputType === 'ssml'
+        ? parseSsml(chunk)
+        : { rootTag: '<speak>', tokens: [{ type: 'text', raw: escapeSsml(chunk) }] };
+
+    // Markup pieces, with { word: index } placeholders where a mark may be inserted
+    const parts = [];
+    const words = [];
+    const stack = [];
+
+    for (const token of tokens) {
+        if (token.type === 'open') {
+            stack.push(token.name);
+        } else if (token.type === 'close') {
+            stack.pop();
+        }
+
+        if (token.type !== 'text' || token.atomic || stack.some(name => SILENT_ELEMENTS.has(name))) {
+            parts.push(token.raw);
+            continue;
+        }
+
+        const markable = !stack.some(name => UNMARKABLE_ELEMENTS.has(name));
+        for (const piece of token.raw.split(/(\s+)/)) {
+            if (piece.trim() !== '') {
+                if (markable) {
+                    parts.push({ word: words.length });
+                }
+                words.push(decodeEntities(piece));
+            }
+            parts.push(piece);
+        }
+    }
+
+    // Sentence starts are located in the joined words, so a splitter that
+    // normalizes whitespace or punctuation spacing still maps onto word indexes
+    const plainText = words.join(' ');
+    const firstWords = [];
+    let cursor = 0;
+    for (const sentence of splitSentences(plainText)) {
+        const found = plainText.indexOf(sentence.trim(), cursor);
+        if (found === -1) {
+            continue;
+        }
+        const wordIndex = plainText.slice(0, found).split(' ').length - 1;
+        if (firstWords.length === 0 || wordIndex > firstWords[firstWords.length - 1]) {
+            firstWords.push(wordIndex);
+        }
+        cursor = found + sentence.trim().length;
+    }
+    if (words.length > 0 && firstWords[0] !== 0) {
+        firstWords.unshift(0);
+    }
+
+    const sentences = firstWords.map((firstWord, index) => ({
+        firstWord,
+        lastWord: index + 1 < firstWords.length ? firstWords[index + 1] - 1 : words.length - 1
+    }));
+
+    return { rootTag, parts, words, sentences };
+}
+
+/**
+ * Renders an analyzed chunk as SSML with marks in front of the given words
+ */
+function renderMarks(analysis, markedWords) {
+    const body = analysis.parts
+        .map(part => typeof part === 'string'
+            ? part
+            : (markedWords.has(part.word) ? `<mark name="w${part.word}"/>` : ''))
+        .join('');
+    return `${analysis.rootTag}${body}</speak>`;
+}
+
+/**
+ * Prepares a chunk for timed synthesis
+ *
+ * Marks every word at the "word" level, or the first word of each sentence at
+ * the "sentence" level. A chunk whose marked SSML would exceed the API limit
+ * falls back to sentence marks, and then to no marks (estimated times).
+ *
+ * @param {string} chunk - Plain text or SSML chunk
+ * @param {Object} options - { inputType, level, marks: whether the voice reports marks,
+ *   maxBytes: the provider's input limit, splitSentences }
+ * @returns {Object} - { input: text to synthesize, analysis, marked }
+ */
+function prepareTimedChunk(chunk, { inputType = 'text', level = 'sentence', marks = true, maxBytes = MAX_INPUT_BYTES, splitSentences }) {
+    const analysis = analyzeChunk(chunk, inputType, splitSentences);
+    if (!marks) {
+        return { input: chunk, analysis, marked: false };
+    }
+
+    const candidates = [];
+    if (level === 'word') {
+        candidates.push(new Set(analysis.words.keys()));
+    }
+    candidates.push(new Set(analysis.sentences.map(sentence => sentence.firstWord)));
+
+    for (const markedWords of candidates) {
+        const ssml = renderMarks(analysis, markedWords);
+        if (Buffer.byteLength(ssml, 'utf8') <= maxBytes) {
+            return { input: ssml, analysis, marked: true };
+        }
+    }
+    return { input: renderMarks(analysis, new Set()), analysis, marked: false };
+}
+
+/**
+ * Places every word of a chunk in time, relative to the chunk start
+ *
+ * Marked words use their reported time; the others are interpolated by
+ * character position between the surrounding known times (the chunk start and
+ * end are always known).
+ */
+function placeWords(words, timepoints, duration) {
+    const reported = new Map();
+    for (const { markName, timeSeconds } of timepoints) {
+        const match = /^w(\d+)$/.exec(markName || '');
+        if (match) {
+            reported.set(Number(match[1]), Number(timeSeconds) || 0);
+        }
+    }
+
+    // Character offset of each word in the chunk's plain text, plus the end
+    const offsets = [];
+    let total = 0;
+    for (const word of words) {
+        offsets.push(total);
+        total += word.length + 1;
+    }
+
+    const anchors = [{ offset: 0, time: reported.get(0) ?? 0 }];
+    for (const [index, time] of [...reported.entries()].sort((a, b) => a[0] - b[0])) {
+        if (index > 0 && index < words.length) {
+            anchors.push({ offset: offsets[index], time });
+        }
+    }
+    anchors.push({ offset: total, time: Math.max(duration, anchors[anchors.length - 1].time) });
+
+    let anchor = 0;
+    return offsets.map((offset, index) => {
+        if (reported.has(index)) {
+            return reported.get(index);
+        }
+        while (anchor < anchors.length - 2 && anchors[anchor + 1].offset <= offset) {
+            anchor++;
+        }
+        const from = anchors[anchor];
+        const to = anchors[anchor + 1];
+        const span = to.offset - from.offset;
+        return span > 0 ? from.time + (to.time - from.time) * (offset - from.offset) / span : from.time;
+    });
+}
+
+/**
+ * Finds the words that spoke each lexicon replacement in the chunks of one
+ * section (or script turn), and adds them to each chunk's analysis as spans
+ * that show the original text
+ *
+ * A replacement is looked for after the one before it, skipping the times its
+ * text was spoken in between. Replacements that share a word, e.g. two in
+ * "(TTS/STT)", become one span. A span split by a chunk or sentence boundary
+ * shows the original text in its first part only.
+ *
+ * @param {Object[]} analyses - Analyses of the section's chunks, in order
+ * @param {Object[]} replacements - From applyLexicon: [{ text, original, skip }]
+ * @returns {Object[]} - The analyses, with spans: Map of first word => { lastWord, text }
+ */
+function restoreReplacedText(analyses, replacements) {
+    const words = analyses.flatMap(analysis => analysis.words);
+    const spoken = words.join(' ');
+    const wordStarts = [];
+    let offset = 0;
+    for (const word of words) {
+        wordStarts.push(offset);
+        offset += word.length + 1;
+    }
+    const wordAt = position => {
+        let low = 0;
+        let high = wordStarts.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (wordStarts[middle] <= position) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
+    };
+
+    // Spans over all the section's words, with the replacements inside them
+    const spans = [];
+    let cursor = 0;
+    for (const { text, original, skip } of replacements) {
+        let found = spoken.indexOf(text, cursor);
+        for (let skipped = 0; skipped < skip && found !== -1; skipped++) {
+            found = spoken.indexOf(text, found + text.length);
+        }
+        if (found === -1) {
+            continue;
+        }
+        cursor = found + text.length;
+
+        const replacement = { start: found, end: cursor, original };
+        const firstWord = wordAt(found);
+        const lastWord = wordAt(cursor - 1);
+        const previous = spans[spans.length - 1];
+        if (previous && firstWord <= previous.lastWord) {
+            previous.lastWord = Math.max(previous.lastWord, lastWord);
+            previous.replacements.push(replacement);
+        } else {
+            spans.push({ firstWord, lastWord, replacements: [replacement] });
+        }
+    }
+
+    // The span's words, with each replacement swapped for its original text
+    const showOriginal = ({ firstWord, lastWord, replacements: replaced }) => {
+        const end = wordStarts[lastWord] + words[lastWord].length;
+        let text = '';
+        let position = wordStarts[firstWord];
+        for (const { start, end: replacedEnd, original } of replaced) {
+            text += spoken.slice(position, start) + original;
+            position = replacedEnd;
+        }
+        return text + spoken.slice(position, end);
+    };
+
+    let chunkStart = 0;
+    return analyses.map(analysis => {
+        const chunkEnd = chunkStart + analysis.words.length;
+        const chunkSpans = new Map();
+        for (const span of spans) {
+            if (span.lastWord < chunkStart || span.firstWord >= chunkEnd) {
+                continue;
+            }
+            const text = span.firstWord >= chunkStart ? showOriginal(span) : '';
+            const first = Math.max(span.firstWord, chunkStart) - chunkStart;
+            const last = Math.min(span.lastWord, chunkEnd - 1) - chunkStart;
+            for (const sentence of analysis.sentences) {
+                const from = Math.max(first, sentence.firstWord);
+                const to = Math.min(last, sentence.lastWord);
+                if (from <= to) {
+                    chunkSpans.set(from, { lastWord: to, text: from === first ? text : '' });
+                }
+            }
+        }
+        chunkStart = chunkEnd;
+        return chunkSpans.size > 0 ? { ...analysis, spans: chunkSpans } : analysis;
+    });
+}
+
+/**
+ * The words of a sentence as shown: lexicon spans (see restoreReplacedText)
+ * replace the words they cover, and spans without text hide them
+ *
+ * @returns {Object[]} - [{ text, firstWord, lastWord }]
+ */
+function shownWords(analysis, { firstWord, lastWord }) {
+    const shown = [];
+    for (let index = firstWord; index <= lastWord; index++) {
+        const span = analysis.spans && analysis.spans.get(index);
+        if (span) {
+            if (span.text) {
+                shown.push({ text: span.text, firstWord: index, lastWord: span.lastWord });
+            }
+            index = span.lastWord;
+        } else {
+            shown.push({ text: analysis.words[index], firstWord: index, lastWord: index });
+        }
+    }
+    return shown;
+}
+
+const round = seconds => Number(seconds.toFixed(3));
+
+/**
+ * Builds the timing track for a synthesized text
+ *
+ * @param {Object[]} chunks - Per chunk: { analysis (with the spans of restoreReplacedText, if any),
+ *   timepoints: [{ markName, timeSeconds }], chapter, speaker }
+ * @param {Object[]} segmentTimings - Per chunk: { startSeconds, durationSeconds } in the output audio
+ * @param {string} level - "sentence" or "word"
+ * @returns {Object} - { level, estimated, sentences: [{ index, text, start, end, chapter?, speaker?, words? }] }
+ */
+function buildTimingTrack(chunks, segmentTimings, level) {
+    const sentences = [];
+    let estimated = false;
+
+    chunks.forEach(({ analysis, timepoints = [], chapter, speaker }, chunkIndex) => {
+        const { startSeconds, durationSeconds } = segmentTimings[chunkIndex];
+        const duration = durationSeconds || 0;
+        const expected = level === 'word' ? analysis.words.length : Math.min(1, analysis.words.length);
+        if (timepoints.length < expected) {
+            estimated = true;
+        }
+
+        const starts = placeWords(analysis.words, timepoints, duration);
+        const wordEnd = index => Math.max(starts[index], index + 1 < starts.length ? starts[index + 1] : duration);
+
+        for (const { firstWord, lastWord } of analysis.sentences) {
+            const shown = shownWords(analysis, { firstWord, lastWord });
+            if (shown.length === 0) {
+                continue;
+            }
+            const sentence = {
+                index: sentences.length,
+                text: shown.map(word => word.text).join(' '),
+                start: round(startSeconds + starts[firstWord]),
+                end: round(startSeconds + wordEnd(lastWord))
+            };
+            if (chapter !== undefined) {
+                sentence.chapter = chapter;
+            }
+            if (speaker !== undefined) {
+                sentence.speaker = speaker;
+            }
+            if (level === 'word') {
+                sentence.words = shown.map(word => ({
+                    text: word.text,
+                    start: round(startSeconds + starts[word.firstWord]),
+                    end: round(startSeconds + wordEnd(word.lastWord))
+                }));
+            }
+            sentences.push(sentence);
+        }
+    });
+
+    return { level, estimated, sentences };
+}
+
+function formatCueTime(seconds, separator) {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}${separator}${String(totalMs % 1000).padStart(3, '0')}`;
+}
+
+// Speaker names go inside a <v> tag
+const escapeCueText = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function selectCues(track, chapter) {
+    return chapter === undefined
+        ? track.sentences
+        : track.sentences.filter(sentence => sentence.chapter === chapter);
+}
+
+/**
+ * Renders a timing track as WebVTT captions, one cue per sentence; sentences
+ * from a script are tagged with their speaker (<v Speaker>)
+ *
+ * @param {Object} track - Timing track from buildTimingTrack
+ * @param {number} chapter - Only include this chapter's sentences (ZIP output)
+ * @returns {string}
+ */
+function toWebVtt(track, chapter) {
+    const cues = selectCues(track, chapter).map((sentence, index) =>
+        `${index + 1}\n${formatCueTime(sentence.start, '.')} --> ${formatCueTime(sentence.end, '.')}\n${sentence.speaker ? `<v ${escapeCueText(sentence.speaker)}>` : ''}${sentence.text}\n`);
+    return ['WEBVTT\n', ...cues].join('\n');
+}
+
+/**
+ * Renders a timing track as SRT subtitles, one cue per sentence; sentences
+ * from a script are prefixed with their speaker
+ *
+ * @param {Object} track - Timing track from buildTimingTrack
+ * @param {number} chapter - Only include this chapter's sentences (ZIP output)
+ * @returns {string}
+ */
+function toSrt(track, chapter) {
+    return selectCues(track, chapter).map((sentence, index) =>
+        `${index + 1}\n${formatCueTime(sentence.start, ',')} --> ${formatCueTime(sentence.end, ',')}\n${sentence.speaker ? `${sentence.speaker}: ` : ''}${sentence.text}\n`).join('\n');
+}
+
+module.exports = {
+    TIMING_CHUNK_LENGTHS,
+    prepareTimedChunk,
+    restoreReplacedText,
+    buildTimingTrack,
+    toWebVtt,
+    toSrt
+};
@@ -0,0 +1,122 @@
+const { GoogleProvider } = require('./googleProvider');
+const { AzureSpeechProvider } = require('./azureSpeechProvider');
+const { LocalProvider } = require('./localProvider');
+const { PROVIDER_NAMES } = require('./synthesisOptions');
+
+/**
+ * Text-to-speech providers
+ *
+ * Every provider implements the same interface:
+ *   name                          - "google", "azure" or "local"
+ *   limits                        - { maxChunkLength, maxInputBytes, maxConcurrent, maxRequestsPerMinute }
+ *   audioEncodings                - encodings it can produce (Google names)
+ *   isConfigured()                - whether its credentials/settings are present
+ *   defaultVoice(languageCode)    - voice used when the request names none (may be undefined)
+ *   supportsTimepoints(voiceName) - whether SSML <mark> times are reported
+ *   synthesize(request)           - Google-shaped { input, voice, audioConfig, enableTimePointing? }
+ *                                   -> { audioContent: Buffer, timepoints: [{ markName, timeSeconds }] }
+ *   listVoices()                  - [{ name, languageCodes, ssmlGender, naturalSampleRateHertz }]
+ *
+ * TTS_PROVIDER picks the default provider ("google"); requests may choose
+ * another with the provider option. When the chosen provider fails, the
+ * request is retried with the providers in TTS_FALLBACK_PROVIDERS that are
+ * configured (default "google,azure").
+ */
+
+const DEFAULT_PROVIDER = 'google';
+const DEFAULT_FALLBACK_PROVIDERS = 'google,azure';
+
+const PROVIDER_FACTORIES = {
+    google: env => new GoogleProvider({
+        credentialsJson: env.GOOGLE_APPLICATION_CREDENTIALS_JSON
+    }),
+    azure: env => new AzureSpeechProvider({
+        key: env.AZURE_SPEECH_KEY,
+        region: env.AZURE_SPEECH_REGION,
+        endpoint: env.AZURE_SPEECH_ENDPOINT,
+        defaultVoice: env.AZURE_SPEECH_DEFAULT_VOICE
+    }),
+    local: env => new LocalProvider({
+        engine: env.TTS_LOCAL_ENGINE,
+        command: env.TTS_LOCAL_COMMAND,
+        modelDirectory: env.TTS_LOCAL_MODEL_DIR,
+        defaultVoice: env.TTS_LOCAL_VOICE
+    })
+};
+
+// Process-wide provider instances, created on first use
+const providers = new Map();
+
+function readProviderName(value, setting) {
+    const name = value.trim().toLowerCase();
+    if (!PROVIDER_NAMES.includes(name)) {
+        throw new Error(`Unknown ${setting} provider: ${name}`);
+    }
+    return name;
+}
+
+/**
+ * Returns a provider by name, creating it from process.env on first use
+ *
+ * @param {string} name - "google", "azure" or "local"
+ */
+function getProvider(name) {
+    if (!providers.has(name)) {
+        providers.set(name, PROVIDER_FACTORIES[readProviderName(name, 'TTS')](process.env));
+    }
+    return providers.get(name);
+}
+
+/**
+ * Replaces a provider, e.g. with a stub that implements the interface above
+ *
+ * @param {string} name - Provider name
+ * @param {Object|null} provider - Provider implementing the interface above, or null to reset
+ */
+function setProvider(name, provider) {
+    if (provider) {
+        providers.set(name, provider);
+    } else {
+        providers.delete(name);
+    }
+}
+
+/**
+ * Name of the provider used when a request doesn't choose one
+ */
+function getDefaultProviderName(env = process.env) {
+    return readProviderName(env.TTS_PROVIDER || DEFAULT_PROVIDER, 'TTS_PROVIDER');
+}
+
+/**
+ * Providers to try for a request, in order: the chosen provider, then the
+ * configured fallbacks
+ *
+ * @param {Object} options - Parsed synthesis options: { provider, fallback }
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object[]}
+ */
+function resolveProviders({ provider, fallback = true } = {}, env = process.env) {
+    const primary = provider || getDefaultProviderName(env);
+    const fallbacks = fallback
+        ? (env.TTS_FALLBACK_PROVIDERS ?? DEFAULT_FALLBACK_PROVIDERS)
+            .split(',')
+            .filter(name => name.trim() !== '')
+            .map(name => readProviderName(name, 'TTS_FALLBACK_PROVIDERS'))
+        : [];
+
+    return [
+        getProvider(primary),
+        ...[...new Set(fallbacks)]
+            .filter(name => name !== primary)
+            .map(getProvider)
+            .filter(candidate => candidate.isConfigured())
+    ];
+}
+
+module.exports = {
+    getProvider,
+    setProvider,
+    getDefaultProviderName,
+    resolveProviders
+};
@@ -0,0 +1,318 @@
+const { QuotaExceededError } = require('./errors');
+const { getVoiceFamily } = require('./voiceCatalog');
+const { ssmlToPlainText } = require('./ssml');
+
+/**
+ * Usage accounting, cost estimates and character quotas
+ *
+ * Providers bill per character sent, at a price that depends on the voice
+ * tier (for Google, the voice family). Every synthesis is recorded in the
+ * usage store (see usageStore.js) with the characters requested, the
+ * characters actually sent (cache hits are free) per tier, and the estimated
+ * cost. Prices are list prices in USD per million characters; override them
+ * with TTS_PRICES_PER_MILLION, e.g. {"Neural2": 16, "Azure Neural": 15}.
+ *
+ * Quotas limit the characters a user may request per UTC day
+ * (TTS_QUOTA_DAILY_CHARACTERS) and per UTC calendar month
+ * (TTS_QUOTA_MONTHLY_CHARACTERS); unset means unlimited. A user's account can
+ * override either limit (see access.js). Requested characters
+ * count whether or not they came from the cache, so a quota is predictable
+ * before the request runs.
+ *
+ * Usage is only recorded once a synthesis finishes, so a synthesis that passes
+ * the quota check holds its characters until then (see reserveQuota): requests
+ * running side by side, or several jobs submitted together, can't each pass
+ * the check and together go over a quota. Holds are kept in the usage store,
+ * so they count on every instance, and expire in case the synthesis never
+ * finishes.
+ */
+
+const DEFAULT_PRICES_PER_MILLION = {
+    'Standard': 4,
+    'WaveNet': 4,
+    'Neural2': 16,
+    'Chirp HD': 30,
+    'Studio': 160,
+    'Other': 16,
+    'Azure Neural': 15,
+    'Local': 0
+};
+
+// Roughly 150 words per minute at the normal speaking rate
+const SPOKEN_CHARACTERS_PER_SECOND = 15;
+
+const QUOTA_PERIODS = ['daily', 'monthly'];
+
+// How long a hold lasts by default: longer than a request can run (host.json functionTimeout)
+const DEFAULT_HOLD_MS = 30 * 60 * 1000;
+
+/**
+ * The pricing tier of a voice
+ *
+ * @param {string} providerName - "google", "azure" or "local"
+ * @param {string} voiceName - Voice the text is spoken with
+ * @returns {string} - A key of the price list
+ */
+function getVoiceTier(providerName, voiceName) {
+    if (providerName === 'azure') {
+        return 'Azure Neural';
+    }
+    if (providerName === 'local') {
+        return 'Local';
+    }
+    return getVoiceFamily(voiceName || '');
+}
+
+function readPrices(env) {
+    if (!env.TTS_PRICES_PER_MILLION) {
+        return DEFAULT_PRICES_PER_MILLION;
+    }
+    try {
+        return { ...DEFAULT_PRICES_PER_MILLION, ...JSON.parse(env.TTS_PRICES_PER_MILLION) };
+    } catch {
+        throw new Error('TTS_PRICES_PER_MILLION must be a JSON object of tier prices');
+    }
+}
+
+/**
+ * Estimated cost of characters sent to a provider
+ *
+ * @param {Object} tiers - Characters per voice tier
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {number} - USD, to a hundredth of a cent
+ */
+function estimateCost(tiers, env = process.env) {
+    const prices = readPrices(env);
+    const total = Object.entries(tiers).reduce(
+        (sum, [tier, characters]) => sum + characters * (prices[tier] ?? prices.Other) / 1e6,
+        0
+    );
+    return Math.round(total * 10000) / 10000;
+}
+
+/**
+ * Roughly how long text takes to speak
+ *
+ * @param {string} text - Text (or SSML)
+ * @param {string} inputType - "text" or "ssml"
+ * @param {number} speakingRate - Speaking rate (default 1)
+ * @returns {number} - Seconds
+ */
+function estimateSpokenSeconds(text, inputType, speakingRate = 1) {
+    const plainText = (inputType === 'ssml' ? ssmlToPlainText(text) : text).replace(/\s+/g, ' ').trim();
+    return plainText.length / (SPOKEN_CHARACTERS_PER_SECOND * speakingRate);
+}
+
+/**
+ * Shapes the details of a finished synthesis as a usage record
+ *
+ * @param {string} kind - "speech", "stream", "job" or "retry"
+ * @param {Object} details - { provider, voiceTier, characters, chunks, cache: { hits, misses },
+ *   billedCharacters: characters sent per tier }
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} - Fields for usageStore.record
+ */
+function toUsageRecord(kind, details, env = process.env) {
+    const { provider, voiceTier, characters, chunks, cache, billedCharacters = {} } = details;
+    return {
+        kind,
+        provider,
+        voiceTier,
+        characters,
+        billedCharacters: Object.values(billedCharacters).reduce((sum, count) => sum + count, 0),
+        tiers: billedCharacters,
+        chunks,
+        cacheHits: cache ? cache.hits : 0,
+        cacheMisses: cache ? cache.misses : 0,
+        estimatedCost: estimateCost(billedCharacters, env)
+    };
+}
+
+/**
+ * Totals usage records
+ *
+ * @param {Object[]} records - Usage records
+ * @returns {{ requests: number, characters: number, billedCharacters: number, cacheHits: number, estimatedCost: number }}
+ */
+function summarizeUsage(records) {
+    const totals = records.reduce((sum, record) => ({
+        requests: sum.requests + 1,
+        characters: sum.characters + record.characters,
+        billedCharacters: sum.billedCharacters + record.billedCharacters,
+        cacheHits: sum.cacheHits + record.cacheHits,
+        estimatedCost: sum.estimatedCost + record.estimatedCost
+    }), { requests: 0, characters: 0, billedCharacters: 0, cacheHits: 0, estimatedCost: 0 });
+    return { ...totals, estimatedCost: Math.round(totals.estimatedCost * 10000) / 10000 };
+}
+
+/**
+ * Start and end of the quota period that contains a time (UTC)
+ *
+ * @param {string} period - "daily" or "monthly"
+ * @param {Date} now - Time inside the period
+ * @returns {{ start: Date, end: Date }}
+ */
+function quotaPeriod(period, now) {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    if (period === 'monthly') {
+        return { start: new Date(Date.UTC(year, month, 1)), end: new Date(Date.UTC(year, month + 1, 1)) };
+    }
+    const day = now.getUTCDate();
+    return { start: new Date(Date.UTC(year, month, day)), end: new Date(Date.UTC(year, month, day + 1)) };
+}
+
+/**
+ * Character limits that apply to a user
+ *
+ * @param {Object|null} account - The user's account; its quotas ({ daily, monthly },
+ *   null for no limit) replace the deployment's limits
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {{ daily: number|null, monthly: number|null }} - null for no limit
+ */
+function getQuotaLimits(account, env = process.env) {
+    const readLimit = value => (Number(value) > 0 ? Math.floor(Number(value)) : null);
+    const quotas = (account && account.quotas) || {};
+    return {
+        daily: quotas.daily !== undefined ? quotas.daily : readLimit(env.TTS_QUOTA_DAILY_CHARACTERS),
+        monthly: quotas.monthly !== undefined ? quotas.monthly : readLimit(env.TTS_QUOTA_MONTHLY_CHARACTERS)
+    };
+}
+
+/**
+ * A user's character usage against their quotas
+ *
+ * @param {Object} store - Usage store
+ * @param {string} userId - User id
+ * @param {Object} options - { now, env, account: the user's account, if any }
+ * @returns {Promise<Object>} - { daily, monthly }, each { limit, used, reserved, remaining, resetsAt }
+ *   (limit and remaining are null without a limit); reserved is held by syntheses still running
+ */
+async function getQuotaStatus(store, userId, options = {}) {
+    const reserved = await store.held(userId);
+    return readQuotaStatus(store, userId, reserved, options);
+}
+
+// A user's quota status, given the characters their holds keep
+async function readQuotaStatus(store, userId, reserved, { now = new Date(), env = process.env, account = null } = {}) {
+    const limits = getQuotaLimits(account, env);
+    // The current day always lies inside the current month
+    const records = await store.list(userId, { since: quotaPeriod('monthly', now).start });
+
+    const status = {};
+    for (const period of QUOTA_PERIODS) {
+        const { start, end } = quotaPeriod(period, now);
+        const used = summarizeUsage(records.filter(record => new Date(record.createdAt) >= start)).characters;
+        const limit = limits[period];
+        status[period] = {
+            limit,
+            used,
+            reserved,
+            remaining: limit === null ? null : Math.max(0, limit - used - reserved),
+            resetsAt: end.toISOString()
+        };
+    }
+    return status;
+}
+
+/**
+ * Checks that a synthesis fits in a user's quotas
+ *
+ * @param {Object} store - Usage store
+ * @param {string} userId - User id
+ * @param {number} characters - Characters the synthesis will request
+ * @param {Object} options - { now, env, account }, as for getQuotaStatus
+ * @returns {Promise<Object>} - The quota status (see getQuotaStatus)
+ * @throws {QuotaExceededError} - When the characters don't fit in a quota
+ */
+async function checkQuota(store, userId, characters, { now = new Date(), env = process.env, account = null } = {}) {
+    const status = await getQuotaStatus(store, userId, { now, env, account });
+    checkLimits(status, characters, now);
+    return status;
+}
+
+function checkLimits(status, characters, now) {
+    for (const period of QUOTA_PERIODS) {
+        const { limit, used, reserved, resetsAt } = status[period];
+        if (limit !== null && used + reserved + characters > limit) {
+            const inProgress = reserved > 0 ? `, ${reserved} in progress` : '';
+            throw new QuotaExceededError(
+                `This would exceed your ${period} quota of ${limit} characters (${used} used${inProgress}, ${characters} requested)`,
+                { period, limit, used, reserved, requested: characters, resetsAt },
+                Math.max(1000, new Date(resetsAt).getTime() - now.getTime())
+            );
+        }
+    }
+}
+
+/**
+ * Checks that a synthesis fits in a user's quotas, like checkQuota, and holds
+ * its characters until the synthesis is recorded or has failed
+ *
+ * The usage store checks and takes a user's holds one at a time (see
+ * usageStore.js), so syntheses checked side by side, on any instance, count
+ * each other's characters.
+ *
+ * @param {Object} store - Usage store
+ * @param {string} userId - User id
+ * @param {number} characters - Characters the synthesis will request
+ * @param {Object} options - { now, env, account }, as for getQuotaStatus, and
+ *   holdMs: how long the hold lasts unless released (30 minutes by default)
+ * @returns {Promise<{ status: Object, holdId: string, release: Function }>} - The quota
+ *   status, the hold's id (see heldReservation) and release(characters) to give back
+ *   characters once they are recorded (by default, and at most, all that are still
+ *   held). release never rejects: a hold it fails to give back expires.
+ * @throws {QuotaExceededError} - When the characters don't fit in a quota
+ */
+async function reserveQuota(store, userId, characters, options = {}) {
+    const { now = new Date(), holdMs = DEFAULT_HOLD_MS } = options;
+    let status;
+    const hold = await store.hold(
+        userId,
+        { characters, expiresAt: new Date(Date.now() + holdMs).toISOString() },
+        async reserved => {
+            status = await readQuotaStatus(store, userId, reserved, options);
+            checkLimits(status, characters, now);
+        }
+    );
+
+    return { status, ...heldReservation(store, userId, hold.id, characters) };
+}
+
+/**
+ * The reservation of a hold taken by reserveQuota, to release it elsewhere,
+ * e.g. on the instance that runs a queued job
+ *
+ * @param {Object} store - Usage store
+ * @param {string} userId - User id
+ * @param {string} holdId - The reservation's holdId
+ * @param {number} characters - Characters the hold still keeps
+ * @returns {{ holdId: string, release: Function }} - As returned by reserveQuota
+ */
+function heldReservation(store, userId, holdId, characters) {
+    let held = characters;
+    const release = async (count = held) => {
+        const released = Math.min(Math.max(0, count), held);
+        if (released === 0) {
+            return;
+        }
+        held -= released;
+        await store.release(userId, holdId, held === 0 ? undefined : released).catch(() => {});
+    };
+    return { holdId, release };
+}
+
+module.exports = {
+    DEFAULT_PRICES_PER_MILLION,
+    getVoiceTier,
+    estimateCost,
+    estimateSpokenSeconds,
+    toUsageRecord,
+    summarizeUsage,
+    quotaPeriod,
+    getQuotaLimits,
+    getQuotaStatus,
+    checkQuota,
+    reserveQuota,
+    heldReservation
+};
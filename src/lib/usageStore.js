@@ -0,0 +1,330 @@
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { defaultBackend, userKey, BlobContainer } = require('./blobStorage');
+
+/**
+ * Storage for per-user synthesis usage records
+ *
+ * A record is kept for every synthesis: the characters requested and sent to
+ * the provider, the voice tier, chunks, cache hits and the estimated cost
+ * (see usage.js). Every backend implements the same async interface:
+ *   record(userId, fields) -> record
+ *   list(userId, { since }) -> records (oldest first), optionally only those
+ *     created at or after since (a Date)
+ *
+ * The store also keeps the quota holds of syntheses that passed the quota
+ * check but aren't recorded yet (see usage.js reserveQuota). A hold expires at
+ * its expiresAt, so a worker that dies mid-synthesis doesn't hold characters
+ * forever:
+ *   hold(userId, { characters, expiresAt }, check) -> hold { id, characters, expiresAt }
+ *     check(held) is awaited with the characters the user's other holds keep
+ *     and rejects the hold by throwing. A user's holds are checked and written
+ *     one at a time, so holds checked side by side count each other.
+ *   release(userId, holdId, characters) -> gives back characters of a hold
+ *     (all that are left by default)
+ *   held(userId) -> characters held by the user's unexpired holds
+ *
+ * Backends are selected with the TTS_USAGE_STORE environment variable: "blob"
+ * (Azure Blob Storage, the default on a deployed Function App), "memory" (the
+ * default elsewhere) or "file".
+ */
+
+function newRecord(userId, fields) {
+    return {
+        id: crypto.randomUUID(),
+        userId,
+        createdAt: new Date().toISOString(),
+        ...fields
+    };
+}
+
+// Holds are kept as { [id]: { characters, expiresAt } }
+function unexpired(holds) {
+    const now = new Date().toISOString();
+    return Object.fromEntries(Object.entries(holds || {}).filter(([, hold]) => hold.expiresAt > now));
+}
+
+function heldCharacters(holds) {
+    return Object.values(unexpired(holds)).reduce((total, hold) => total + hold.characters, 0);
+}
+
+function newHold({ characters, expiresAt }) {
+    return { id: crypto.randomUUID(), characters, expiresAt };
+}
+
+function withHold(holds, hold) {
+    return { ...unexpired(holds), [hold.id]: { characters: hold.characters, expiresAt: hold.expiresAt } };
+}
+
+function withoutCharacters(holds, holdId, characters) {
+    const remaining = unexpired(holds);
+    const hold = remaining[holdId];
+    if (hold) {
+        const left = characters === undefined ? 0 : hold.characters - characters;
+        if (left > 0) {
+            remaining[holdId] = { ...hold, characters: left };
+        } else {
+            delete remaining[holdId];
+        }
+    }
+    return remaining;
+}
+
+// Runs tasks for the same key one after another, within this process
+function serialize(queues, key, task) {
+    const result = (queues.get(key) || Promise.resolve()).then(task);
+    const settled = result.catch(() => {});
+    queues.set(key, settled);
+    settled.then(() => {
+        if (queues.get(key) === settled) {
+            queues.delete(key);
+        }
+    });
+    return result;
+}
+
+function createdSince(records, since) {
+    if (!since) {
+        return records;
+    }
+    const start = since.toISOString();
+    return records.filter(record => record.createdAt >= start);
+}
+
+/**
+ * In-memory usage store (per worker process; for local development and tests)
+ */
+class MemoryUsageStore {
+    constructor() {
+        this.records = new Map();
+        this.holds = new Map();
+        this.queues = new Map();
+    }
+
+    async record(userId, fields) {
+        const record = newRecord(userId, fields);
+        this.records.set(userId, [...(this.records.get(userId) || []), record]);
+        return { ...record };
+    }
+
+    async list(userId, { since } = {}) {
+        return createdSince(this.records.get(userId) || [], since).map(record => ({ ...record }));
+    }
+
+    async hold(userId, fields, check) {
+        return serialize(this.queues, userId, async () => {
+            await check(heldCharacters(this.holds.get(userId)));
+            const hold = newHold(fields);
+            this.holds.set(userId, withHold(this.holds.get(userId), hold));
+            return { ...hold };
+        });
+    }
+
+    async release(userId, holdId, characters) {
+        await serialize(this.queues, userId, async () => {
+            this.holds.set(userId, withoutCharacters(this.holds.get(userId), holdId, characters));
+        });
+    }
+
+    async held(userId) {
+        return heldCharacters(this.holds.get(userId));
+    }
+}
+
+/**
+ * Local filesystem usage store
+ *
+ * Each user's records are appended to one JSON Lines file, named by a hash of
+ * the user id so ids (usually email addresses) never end up in paths. Holds
+ * are a JSON file beside it; they are only checked one at a time within this
+ * process, so the directory shouldn't be shared by several.
+ */
+class FileUsageStore {
+    constructor(options = {}) {
+        this.directory = options.directory || path.join(os.tmpdir(), 'tts-usage');
+        this.queues = new Map();
+    }
+
+    usagePath(userId) {
+        return path.join(this.directory, `${userKey(userId)}.jsonl`);
+    }
+
+    holdsPath(userId) {
+        return path.join(this.directory, `${userKey(userId)}.holds.json`);
+    }
+
+    async readHolds(userId) {
+        try {
+            return JSON.parse(await fs.readFile(this.holdsPath(userId), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            throw error;
+        }
+    }
+
+    async writeHolds(userId, holds) {
+        await fs.mkdir(this.directory, { recursive: true });
+        const tempPath = `${this.holdsPath(userId)}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(holds));
+        await fs.rename(tempPath, this.holdsPath(userId));
+    }
+
+    async record(userId, fields) {
+        const record = newRecord(userId, fields);
+        await fs.mkdir(this.directory, { recursive: true });
+        // One short append per record, so concurrent writers don't interleave lines
+        await fs.appendFile(this.usagePath(userId), `${JSON.stringify(record)}\n`);
+        return record;
+    }
+
+    async list(userId, { since } = {}) {
+        let contents;
+        try {
+            contents = await fs.readFile(this.usagePath(userId), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+        const records = contents.split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line));
+        return createdSince(records, since);
+    }
+
+    async hold(userId, fields, check) {
+        return serialize(this.queues, userId, async () => {
+            const holds = await this.readHolds(userId);
+            await check(heldCharacters(holds));
+            const hold = newHold(fields);
+            await this.writeHolds(userId, withHold(holds, hold));
+            return hold;
+        });
+    }
+
+    async release(userId, holdId, characters) {
+        await serialize(this.queues, userId, async () => {
+            await this.writeHolds(userId, withoutCharacters(await this.readHolds(userId), holdId, characters));
+        });
+    }
+
+    async held(userId) {
+        return heldCharacters(await this.readHolds(userId));
+    }
+}
+
+/**
+ * Azure Blob Storage usage store
+ *
+ * Shared by every instance of the Function App. Records are appended to one
+ * append blob per user and UTC month (usage/<user hash>/<YYYY-MM>.jsonl), which
+ * keeps each blob well under the append blob limit of 50,000 appends. A user's
+ * holds are one JSON blob (holds/<user hash>.json), written conditionally on
+ * its ETag: the quota check reads the holds, then the usage records, and the
+ * hold is only written if no other hold was taken or released meanwhile.
+ */
+class BlobUsageStore {
+    constructor(options = {}) {
+        this.blobs = new BlobContainer({
+            connectionString: options.connectionString,
+            containerName: options.containerName || 'tts-usage',
+            setting: 'TTS_USAGE_BLOB_CONNECTION_STRING'
+        });
+    }
+
+    monthBlobName(userId, date) {
+        return `usage/${userKey(userId)}/${date.toISOString().slice(0, 7)}.jsonl`;
+    }
+
+    holdsBlobName(userId) {
+        return `holds/${userKey(userId)}.json`;
+    }
+
+    async record(userId, fields) {
+        const record = newRecord(userId, fields);
+        await this.blobs.ready();
+        const blob = this.blobs.appendBlob(this.monthBlobName(userId, new Date(record.createdAt)));
+        await blob.createIfNotExists();
+        // One append per record, so concurrent writers don't interleave lines
+        const line = Buffer.from(`${JSON.stringify(record)}\n`, 'utf8');
+        await blob.appendBlock(line, line.length);
+        return record;
+    }
+
+    async list(userId, { since } = {}) {
+        let names;
+        if (since) {
+            names = [];
+            const month = new Date(Date.UTC(since.getUTCFullYear(), since.getUTCMonth(), 1));
+            for (; month <= new Date(); month.setUTCMonth(month.getUTCMonth() + 1)) {
+                names.push(this.monthBlobName(userId, month));
+            }
+        } else {
+            names = (await this.blobs.listNames(`usage/${userKey(userId)}/`)).sort();
+        }
+
+        const records = [];
+        for (const name of names) {
+            const { data } = await this.blobs.download(name);
+            if (data) {
+                records.push(...data.toString('utf8').split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line)));
+            }
+        }
+        return createdSince(records, since);
+    }
+
+    async hold(userId, fields, check) {
+        const hold = newHold(fields);
+        return this.blobs.updateJson(this.holdsBlobName(userId), async holds => {
+            await check(heldCharacters(holds));
+            return { value: withHold(holds, hold), result: hold };
+        });
+    }
+
+    async release(userId, holdId, characters) {
+        await this.blobs.updateJson(this.holdsBlobName(userId), holds => {
+            if (!holds || !holds[holdId]) {
+                return { value: undefined };
+            }
+            return { value: withoutCharacters(holds, holdId, characters) };
+        });
+    }
+
+    async held(userId) {
+        return heldCharacters(await this.blobs.readJson(this.holdsBlobName(userId)));
+    }
+}
+
+/**
+ * Creates a usage store from environment configuration
+ *
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {MemoryUsageStore|FileUsageStore|BlobUsageStore}
+ */
+function createUsageStore(env = process.env) {
+    const backend = (env.TTS_USAGE_STORE || defaultBackend(env, 'memory')).toLowerCase();
+
+    switch (backend) {
+        case 'memory':
+            return new MemoryUsageStore();
+        case 'file':
+            return new FileUsageStore({ directory: env.TTS_USAGE_STORE_DIR });
+        case 'blob':
+            return new BlobUsageStore({
+                connectionString: env.TTS_USAGE_BLOB_CONNECTION_STRING || env.AzureWebJobsStorage,
+                containerName: env.TTS_USAGE_BLOB_CONTAINER
+            });
+        default:
+            throw new Error(`Unknown TTS_USAGE_STORE backend: ${backend}`);
+    }
+}
+
+module.exports = {
+    MemoryUsageStore,
+    FileUsageStore,
+    BlobUsageStore,
+    createUsageStore
+};
@@ -0,0 +1,171 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * Voice catalog backed by a provider's listVoices call
+ *
+ * Voice lists change rarely but take a noticeable round trip to fetch, so the
+ * full list is cached for a TTL and filtered locally per request. The catalog
+ * only needs an object with a listVoices() method, which lets tests hand it a
+ * stub provider that returns a fixed voice list.
+ */
+
+// Refresh the voice list once an hour by default
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+
+// Voice families, matched against the model segment of the voice name
+// (e.g. "en-US-Neural2-A" or "en-US-Chirp3-HD-Aoede")
+const VOICE_FAMILIES = [
+    { family: 'Chirp HD', pattern: /-Chirp\d*-HD-/i },
+    { family: 'Neural2', pattern: /-Neural2-/i },
+    { family: 'WaveNet', pattern: /-Wavenet-/i },
+    { family: 'Studio', pattern: /-Studio-/i },
+    { family: 'Standard', pattern: /-Standard-/i }
+];
+
+// ssmlGender may come back as the enum name or its numeric value
+const GENDERS = ['SSML_VOICE_GENDER_UNSPECIFIED', 'MALE', 'FEMALE', 'NEUTRAL'];
+
+/**
+ * Classifies a voice name into its family
+ *
+ * @param {string} name - Voice name
+ * @returns {string} - Family name, or "Other" for families we don't group
+ */
+function getVoiceFamily(name) {
+    const match = VOICE_FAMILIES.find(({ pattern }) => pattern.test(name));
+    return match ? match.family : 'Other';
+}
+
+// Lets clients write "chirp-hd", "chirphd" or "Chirp HD" interchangeably
+function normalizeFamily(family) {
+    return family.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function toVoice(rawVoice) {
+    const gender = typeof rawVoice.ssmlGender === 'number'
+        ? GENDERS[rawVoice.ssmlGender]
+        : rawVoice.ssmlGender;
+
+    return {
+        name: rawVoice.name,
+        languageCodes: rawVoice.languageCodes || [],
+        ssmlGender: gender || 'SSML_VOICE_GENDER_UNSPECIFIED',
+        naturalSampleRateHertz: rawVoice.naturalSampleRateHertz || null,
+        family: getVoiceFamily(rawVoice.name)
+    };
+}
+
+class VoiceCatalog {
+    /**
+     * @param {Object} provider - Anything with a listVoices() method returning raw voices
+     *   [{ name, languageCodes, ssmlGender, naturalSampleRateHertz }]
+     * @param {Object} options - { ttlMs }
+     */
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+        this.voices = null;
+        this.fetchedAt = 0;
+        this.pendingFetch = null;
+    }
+
+    /**
+     * Returns the cached voice list, refreshing it when the TTL has passed
+     *
+     * Concurrent callers during a refresh share a single listVoices call.
+     */
+    async getAllVoices() {
+        if (this.voices && Date.now() - this.fetchedAt < this.ttlMs) {
+            return this.voices;
+        }
+
+        if (!this.pendingFetch) {
+            this.pendingFetch = (async () => {
+                try {
+                    const voices = await this.provider.listVoices();
+                    this.voices = voices
+                        .map(toVoice)
+                        .sort((a, b) => a.name.localeCompare(b.name));
+                    this.fetchedAt = Date.now();
+                    return this.voices;
+                } finally {
+                    this.pendingFetch = null;
+                }
+            })();
+        }
+
+        return this.pendingFetch;
+    }
+
+    /**
+     * Returns voices matching the given filters
+     *
+     * @param {Object} filters
+     * @param {string} filters.languageCode - "en" matches all English voices, "en-GB" only British ones
+     * @param {string} filters.gender - MALE, FEMALE or NEUTRAL
+     * @param {string} filters.family - Standard, WaveNet, Neural2, Chirp HD, Studio or Other
+     * @returns {Promise<Object[]>}
+     */
+    async getVoices(filters = {}) {
+        const { languageCode, gender, family } = validateFilters(filters);
+        const voices = await this.getAllVoices();
+
+        return voices.filter(voice => {
+            if (languageCode && !voice.languageCodes.some(code =>
+                code.toLowerCase() === languageCode || code.toLowerCase().startsWith(`${languageCode}-`))) {
+                return false;
+            }
+            if (gender && voice.ssmlGender !== gender) {
+                return false;
+            }
+            if (family && normalizeFamily(voice.family) !== family) {
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * When the cached list was fetched, or null if it hasn't been yet
+     */
+    get cachedAt() {
+        return this.fetchedAt ? new Date(this.fetchedAt).toISOString() : null;
+    }
+
+    clear() {
+        this.voices = null;
+        this.fetchedAt = 0;
+    }
+}
+
+function validateFilters(filters) {
+    const result = {};
+
+    if (filters.languageCode) {
+        result.languageCode = filters.languageCode.toLowerCase();
+    }
+
+    if (filters.gender) {
+        const gender = filters.gender.toUpperCase();
+        if (!GENDERS.slice(1).includes(gender)) {
+            throw new ValidationError('gender must be one of MALE, FEMALE, NEUTRAL', { field: 'gender' });
+        }
+        result.gender = gender;
+    }
+
+    if (filters.family) {
+        const family = normalizeFamily(filters.family);
+        const known = [...VOICE_FAMILIES.map(entry => entry.family), 'Other'];
+        if (!known.some(name => normalizeFamily(name) === family)) {
+            throw new ValidationError(`family must be one of ${known.join(', ')}`, { field: 'family' });
+        }
+        result.family = family;
+    }
+
+    return result;
+}
+
+module.exports = {
+    VoiceCatalog,
+    getVoiceFamily
+};
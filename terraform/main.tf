@@ -26,6 +26,26 @@ resource "azurerm_storage_account" "main" {
   account_replication_type = "LRS"
 }
 
+# Jobs that were never polled are deleted from the tts-jobs container
+# after a week (the app deletes finished jobs it reads after TTS_JOB_TTL_HOURS)
+resource "azurerm_storage_management_policy" "main" {
+  storage_account_id = azurerm_storage_account.main.id
+
+  rule {
+    name    = "expire-tts-jobs"
+    enabled = true
+    filters {
+      prefix_match = ["tts-jobs/"]
+      blob_types   = ["blockBlob"]
+    }
+    actions {
+      base_blob {
+        delete_after_days_since_modification_greater_than = 7
+      }
+    }
+  }
+}
+
 # App Service Plan (Consumption Plan)
 resource "azurerm_service_plan" "main" {
   name                = var.app_service_plan_name
@@ -70,6 +90,15 @@ resource "azurerm_linux_function_app" "main" {
     "APPINSIGHTS_INSTRUMENTATIONKEY"          = azurerm_application_insights.main.instrumentation_key
     "APPLICATIONINSIGHTS_CONNECTION_STRING"   = azurerm_application_insights.main.connection_string
     "GOOGLE_APPLICATION_CREDENTIALS_JSON"     = var.google_credentials_json
+    "AZURE_SPEECH_KEY"                        = var.azure_speech_key
+    "AZURE_SPEECH_REGION"                     = var.azure_speech_region
+    "TTS_ADMIN_EMAILS"                        = join(",", var.admin_emails)
+    "TTS_ACCESS_STORE"                        = "blob"
+    "TTS_USAGE_STORE"                         = "blob"
+    "TTS_JOB_STORE"                           = "blob"
+    "TTS_JOB_RUNNER"                          = "queue"
+    "TTS_QUOTA_DAILY_CHARACTERS"              = var.quota_daily_characters
+    "TTS_QUOTA_MONTHLY_CHARACTERS"            = var.quota_monthly_characters
     "WEBSITE_RUN_FROM_PACKAGE"               = "1"
   }
 
@@ -39,4 +39,34 @@ variable "google_credentials_json" {
   type        = string
   sensitive   = true
   default     = null
-}
\ No newline at end of file
+}
+variable "azure_speech_key" {
+  description = "Azure AI Speech resource key, to use Azure Speech as a provider or fallback"
+  type        = string
+  sensitive   = true
+  default     = ""
+}
+
+variable "azure_speech_region" {
+  description = "Region of the Azure AI Speech resource, e.g. eastus"
+  type        = string
+  default     = ""
+}
+
+variable "admin_emails" {
+  description = "Emails that are always admins of the app, to sign in and invite everyone else"
+  type        = list(string)
+  default     = []
+}
+
+variable "quota_daily_characters" {
+  description = "Characters a user may synthesize per UTC day, unless their account says otherwise (empty for no limit)"
+  type        = string
+  default     = ""
+}
+
+variable "quota_monthly_characters" {
+  description = "Characters a user may synthesize per UTC month, unless their account says otherwise (empty for no limit)"
+  type        = string
+  default     = ""
+}
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    stitchAudio,
+    createAudioStitcher,
+    getAudioDuration,
+    getSegmentTimings,
+    getOggStreamInfo,
+    parseOggPages,
+    parseWav
+} = require('../src/lib/audioStitcher');
+const { wavFile, oggOpusFile } = require('./support/fakes');
+
+test('WAV chunks are joined under one header', () => {
+    const stitched = stitchAudio([wavFile(0.5), wavFile(0.25), wavFile(1)], 'LINEAR16');
+
+    assert.equal(stitched.toString('latin1', 0, 4), 'RIFF');
+    assert.equal(stitched.indexOf('RIFF', 4, 'latin1'), -1);
+    assert.equal(stitched.readUInt32LE(4), stitched.length - 8);
+    assert.equal(parseWav(stitched).data.length, (12000 + 6000 + 24000) * 2);
+    assert.equal(getAudioDuration(stitched, 'LINEAR16'), 1.75);
+});
+
+test('WAV chunks in different formats are refused', () => {
+    assert.throws(() => stitchAudio([wavFile(0.5), wavFile(0.5, 16000)], 'LINEAR16'), /different format/);
+});
+
+test('empty chunks are skipped and a single chunk is returned as is', () => {
+    const only = wavFile(0.5);
+    assert.deepEqual(stitchAudio([Buffer.alloc(0), only, null], 'LINEAR16'), only);
+    assert.equal(stitchAudio([], 'LINEAR16').length, 0);
+});
+
+test('streamed WAV output matches the stitched file after its header', () => {
+    const chunks = [wavFile(0.5), wavFile(0.25)];
+    const stitcher = createAudioStitcher('LINEAR16');
+    const streamed = Buffer.concat([...chunks.map(chunk => stitcher.push(chunk)), stitcher.end()]);
+    const stitched = stitchAudio(chunks, 'LINEAR16');
+
+    // A streamed header can't know the length, so it says "unknown"
+    assert.equal(streamed.readUInt32LE(4), 0xFFFFFFFF);
+    assert.deepEqual(streamed.subarray(44), stitched.subarray(44));
+});
+
+test('Ogg Opus chunks become one logical stream', () => {
+    const first = oggOpusFile({ pages: [10, 5], serialNumber: 7 });
+    const second = oggOpusFile({ pages: [8], serialNumber: 9 });
+    const pages = parseOggPages(stitchAudio([first, second], 'OGG_OPUS'));
+
+    assert.ok(pages.every(page => page.serialNumber === 7));
+    assert.equal(pages.filter(page => page.body.toString('latin1', 0, 8) === 'OpusHead').length, 1);
+    assert.equal(pages.filter(page => page.body.toString('latin1', 0, 8) === 'OpusTags').length, 1);
+    assert.deepEqual(pages.map(page => page.flags), [0x02, 0, 0, 0, 0x04]);
+
+    const granules = pages.slice(2).map(page => page.granulePosition);
+    assert.deepEqual(granules, [...granules].sort((a, b) => (a < b ? -1 : 1)));
+});
+
+test('the priming packets of later Ogg Opus chunks are dropped and timings follow', () => {
+    const first = oggOpusFile({ pages: [10, 5] });
+    const second = oggOpusFile({ pages: [8] });
+    const stitched = stitchAudio([first, second], 'OGG_OPUS');
+
+    // A pre-skip of 312 samples ends inside the first 960-sample packet
+    const { trimmedSamples } = getOggStreamInfo(second);
+    assert.equal(trimmedSamples, 960);
+    const { lastGranule } = getOggStreamInfo(stitched);
+    assert.equal(lastGranule, BigInt(15 * 960 + 8 * 960 - trimmedSamples));
+
+    const timings = getSegmentTimings([first, second], 'OGG_OPUS');
+    assert.equal(timings[0].startSeconds, 0);
+    assert.equal(timings[1].startSeconds, (15 * 960 - 312) / 48000);
+    assert.equal(
+        timings[1].startSeconds + timings[1].durationSeconds,
+        getAudioDuration(stitched, 'OGG_OPUS')
+    );
+});
+
+test('segment timings of WAV chunks add up, with empty segments taking no time', () => {
+    const timings = getSegmentTimings([wavFile(0.5), Buffer.alloc(0), wavFile(0.25)], 'LINEAR16');
+    assert.deepEqual(timings, [
+        { startSeconds: 0, durationSeconds: 0.5 },
+        { startSeconds: 0.5, durationSeconds: 0 },
+        { startSeconds: 0.5, durationSeconds: 0.25 }
+    ]);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { MemoryJobStore, FileJobStore, BlobJobStore, createJobStore } = require('../src/lib/jobStore');
+const { createBlobStore } = require('./support/fakes');
+
+const backends = {
+    memory: options => new MemoryJobStore(options),
+    file: async options => new FileJobStore({
+        ...options,
+        directory: await fs.mkdtemp(path.join(os.tmpdir(), 'tts-jobs-test-'))
+    }),
+    blob: options => createBlobStore(BlobJobStore, options)
+};
+
+const isQueued = job => job.status === 'queued';
+
+for (const [backend, createStore] of Object.entries(backends)) {
+    test(`${backend} job store`, async t => {
+        const directories = [];
+        const newStore = async (options = {}) => {
+            const store = await createStore(options);
+            if (store.directory) {
+                directories.push(store.directory);
+            }
+            return store;
+        };
+        t.after(() => Promise.all(directories.map(directory => fs.rm(directory, { recursive: true, force: true }))));
+
+        await t.test('creates, reads and updates jobs', async () => {
+            const store = await newStore();
+            const job = await store.create({ kind: 'speech' });
+
+            assert.equal(job.status, 'queued');
+            assert.equal(job.kind, 'speech');
+            assert.deepEqual(await store.get(job.id), job);
+
+            const updated = await store.update(job.id, { status: 'running' });
+            assert.equal(updated.status, 'running');
+            assert.equal((await store.get(job.id)).status, 'running');
+            assert.equal(await store.update('7f0c1c1e-0000-4000-8000-000000000000', { status: 'running' }), null);
+        });
+
+        await t.test('changes a job only while the condition holds', async () => {
+            const store = await newStore();
+            const job = await store.create();
+
+            assert.equal(await store.transition(job.id, job => job.status === 'running', { status: 'failed' }), null);
+            const running = await store.transition(job.id, isQueued, { status: 'running' });
+            assert.equal(running.status, 'running');
+            assert.equal(await store.transition(job.id, isQueued, { status: 'running' }), null);
+        });
+
+        await t.test('lets one of several simultaneous transitions win', async () => {
+            const store = await newStore();
+            const job = await store.create();
+
+            const results = await Promise.all(Array.from({ length: 5 }, (_, worker) =>
+                store.transition(job.id, isQueued, { status: 'running', worker })));
+            const winners = results.filter(Boolean);
+            assert.equal(winners.length, 1);
+            assert.equal((await store.get(job.id)).worker, winners[0].worker);
+        });
+
+        await t.test('keeps no update lost to another', async () => {
+            const store = await newStore();
+            const job = await store.create();
+
+            await Promise.all([
+                store.update(job.id, { progress: { processed: 3 } }),
+                store.update(job.id, { error: 'Chunk 4 failed' })
+            ]);
+            const stored = await store.get(job.id);
+            assert.deepEqual(stored.progress, { processed: 3 });
+            assert.equal(stored.error, 'Chunk 4 failed');
+        });
+
+        await t.test('keeps the input, result and checkpoint of a job', async () => {
+            const store = await newStore();
+            const job = await store.create();
+
+            assert.equal(await store.getInput(job.id), null);
+            await store.saveInput(job.id, { text: 'Hello', options: { voiceName: 'en-US-Neural2-A' } });
+            assert.deepEqual(await store.getInput(job.id), { text: 'Hello', options: { voiceName: 'en-US-Neural2-A' } });
+
+            await store.saveResult(job.id, Buffer.from('audio'));
+            assert.deepEqual(await store.getResult(job.id), Buffer.from('audio'));
+
+            await store.saveCheckpoint(job.id, Buffer.from('chunks'));
+            assert.deepEqual(await store.getCheckpoint(job.id), Buffer.from('chunks'));
+            await store.saveCheckpoint(job.id, null);
+            assert.equal(await store.getCheckpoint(job.id), null);
+
+            await store.delete(job.id);
+            assert.equal(await store.get(job.id), null);
+            assert.equal(await store.getResult(job.id), null);
+        });
+
+        await t.test('forgets finished jobs after their time to live', async () => {
+            const store = await newStore({ ttlMs: 50 });
+            const finished = await store.create({ status: 'completed' });
+            const running = await store.create({ status: 'running' });
+            await new Promise(resolve => setTimeout(resolve, 80));
+
+            // The memory store prunes when a job is created
+            await store.create();
+            assert.equal(await store.get(finished.id), null);
+            assert.equal((await store.get(running.id)).status, 'running');
+        });
+
+        if (backend !== 'memory') {
+            await t.test('refuses ids that aren\'t job ids', async () => {
+                const store = await newStore();
+                assert.equal(await store.get('../secrets'), null);
+                assert.equal(await store.transition('../secrets', () => true, { status: 'failed' }), null);
+            });
+        }
+    });
+}
+
+test('the job store defaults to blob storage on a deployed Function App', () => {
+    assert.ok(createJobStore({}) instanceof MemoryJobStore);
+    assert.ok(createJobStore({ TTS_JOB_STORE: 'file' }) instanceof FileJobStore);
+    assert.throws(() => createJobStore({ WEBSITE_INSTANCE_ID: 'instance' }), /TTS_JOB_BLOB_CONNECTION_STRING/);
+    assert.throws(() => createJobStore({ TTS_JOB_STORE: 'redis' }), /Unknown TTS_JOB_STORE backend: redis/);
+});
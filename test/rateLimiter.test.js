@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    MemoryBucketStore,
+    BlobBucketStore,
+    RateLimiter,
+    takeToken,
+    getRateLimiter,
+    setBucketStore
+} = require('../src/lib/rateLimiter');
+const { FakeBlobContainer } = require('./support/fakes');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a bucket gives out its tokens, then says how long until the next one', () => {
+    const limits = { capacity: 2, refillPerSecond: 1 };
+    let step = takeToken(null, limits, 0);
+    assert.equal(step.result, 0);
+    step = takeToken(step.state, limits, 0);
+    assert.equal(step.result, 0);
+    step = takeToken(step.state, limits, 0);
+    assert.equal(step.result, 1000);
+
+    // Half a second later, half a token has come back
+    step = takeToken(step.state, limits, 500);
+    assert.equal(step.result, 500);
+    assert.equal(takeToken(step.state, limits, 1000).result, 0);
+});
+
+test('no more than maxConcurrent requests are in flight', async () => {
+    const limiter = new RateLimiter('test', { maxConcurrent: 2, maxRequestsPerMinute: 60000 }, new MemoryBucketStore());
+    let inFlight = 0;
+    let mostInFlight = 0;
+    const call = async () => {
+        inFlight++;
+        mostInFlight = Math.max(mostInFlight, inFlight);
+        await sleep(10);
+        inFlight--;
+    };
+
+    await Promise.all(Array.from({ length: 6 }, () => limiter.schedule(call)));
+    assert.equal(mostInFlight, 2);
+});
+
+test('requests wait for tokens at the provider\'s rate', async () => {
+    // A burst of 1, then one request every 50 ms
+    const limiter = new RateLimiter('test', { maxConcurrent: 1, maxRequestsPerMinute: 1200 }, new MemoryBucketStore());
+    const started = Date.now();
+    await Promise.all(Array.from({ length: 3 }, () => limiter.schedule(async () => {})));
+    assert.ok(Date.now() - started >= 90);
+});
+
+test('a pause holds every request back', async () => {
+    const limiter = new RateLimiter('test', { maxConcurrent: 4, maxRequestsPerMinute: 60000 }, new MemoryBucketStore());
+    await limiter.pause(100);
+    const started = Date.now();
+    await limiter.schedule(async () => {});
+    assert.ok(Date.now() - started >= 90);
+});
+
+test('a limiter whose shared store fails uses its own bucket', async () => {
+    const failing = { update: async () => { throw new Error('storage is down'); } };
+    const limiter = new RateLimiter('test', { maxConcurrent: 1, maxRequestsPerMinute: 60 }, failing);
+    assert.equal(await limiter.schedule(async () => 'done'), 'done');
+});
+
+test('blob buckets are shared by limiters in several workers', async () => {
+    const container = new FakeBlobContainer();
+    const workerStore = () => {
+        const store = new BlobBucketStore({ connectionString: 'UseDevelopmentStorage=true' });
+        store.container = container;
+        return store;
+    };
+    const limits = { maxConcurrent: 2, maxRequestsPerMinute: 60 };
+    const workers = [new RateLimiter('google', limits, workerStore()), new RateLimiter('google', limits, workerStore())];
+
+    // One request per worker uses up the burst of 2 they share
+    const started = Date.now();
+    await Promise.all(workers.map(limiter => limiter.schedule(async () => {})));
+    assert.ok(Date.now() - started < 500);
+    const state = JSON.parse((await container.getBlobClient('google.json').download()).readableStreamBody.read());
+    assert.ok(state.tokens < 1);
+});
+
+test('setBucketStore gives every provider a new limiter on the new store', async t => {
+    t.after(() => setBucketStore(undefined));
+    const store = new MemoryBucketStore();
+    setBucketStore(store);
+
+    const provider = { name: 'google', limits: { maxConcurrent: 1, maxRequestsPerMinute: 60 } };
+    const limiter = getRateLimiter(provider);
+    assert.equal(getRateLimiter(provider), limiter);
+    await limiter.schedule(async () => {});
+    assert.ok(store.buckets.has('google'));
+
+    setBucketStore(new MemoryBucketStore());
+    assert.notEqual(getRateLimiter(provider), limiter);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryBucketStore, setBucketStore } = require('../src/lib/rateLimiter');
+const {
+    CircuitBreaker,
+    backoffDelay,
+    parseRetryAfter,
+    resetCircuitBreakers,
+    callProvider
+} = require('../src/lib/retryPolicy');
+const { ValidationError, InputRejectedError, RateLimitError, TransientError } = require('../src/lib/errors');
+
+const provider = () => ({ name: 'google', limits: { maxConcurrent: 4, maxRequestsPerMinute: 60000 } });
+const fast = { baseDelayMs: 1, maxDelayMs: 5 };
+
+// A call that fails with the given errors in turn, then succeeds
+function flakyCall(...errors) {
+    const call = async () => {
+        call.count++;
+        if (errors.length > 0) {
+            throw errors.shift();
+        }
+        return 'audio';
+    };
+    call.count = 0;
+    return call;
+}
+
+test.beforeEach(() => {
+    setBucketStore(new MemoryBucketStore());
+    resetCircuitBreakers();
+});
+
+test.after(() => {
+    setBucketStore(undefined);
+    resetCircuitBreakers();
+});
+
+test('backoff is jittered under an exponential cap', () => {
+    for (let attempt = 0; attempt < 8; attempt++) {
+        const delay = backoffDelay(attempt, 100, 1000);
+        assert.ok(delay >= 0 && delay <= Math.min(1000, 100 * 2 ** attempt));
+    }
+});
+
+test('Retry-After is read as seconds or a date', () => {
+    assert.equal(parseRetryAfter('3'), 3000);
+    assert.ok(parseRetryAfter(new Date(Date.now() + 10000).toUTCString()) > 8000);
+    assert.equal(parseRetryAfter('soon'), undefined);
+    assert.equal(parseRetryAfter(null), undefined);
+});
+
+test('transient failures are retried until the call succeeds', async () => {
+    const call = flakyCall(new TransientError('UNAVAILABLE'), new RateLimitError('RESOURCE_EXHAUSTED'));
+    assert.equal(await callProvider(provider(), call, fast), 'audio');
+    assert.equal(call.count, 3);
+});
+
+test('retries stop after maxRetries', async () => {
+    const call = flakyCall(...Array.from({ length: 5 }, () => new TransientError('UNAVAILABLE')));
+    await assert.rejects(callProvider(provider(), call, { ...fast, maxRetries: 2 }), TransientError);
+    assert.equal(call.count, 3);
+});
+
+test('errors retrying can\'t fix are thrown at once', async () => {
+    for (const error of [new ValidationError('Unknown voice'), new InputRejectedError('Sentence too long'), new Error('Bad key')]) {
+        const call = flakyCall(error);
+        await assert.rejects(callProvider(provider(), call, fast), error);
+        assert.equal(call.count, 1);
+    }
+});
+
+test('a retry-after hint pauses the provider for every caller', async () => {
+    const target = provider();
+    const call = flakyCall(new RateLimitError('RESOURCE_EXHAUSTED', 100));
+    const started = Date.now();
+    const [first, secondSentAt] = await Promise.all([
+        callProvider(target, call, fast),
+        // Sent while the first caller waits, so it waits too
+        new Promise(resolve => setTimeout(resolve, 20)).then(() => callProvider(target, async () => Date.now()))
+    ]);
+    assert.equal(first, 'audio');
+    assert.ok(secondSentAt - started >= 90);
+});
+
+test('repeated transient failures open the circuit', async () => {
+    const target = provider();
+    for (let i = 0; i < 5; i++) {
+        await assert.rejects(callProvider(target, flakyCall(new TransientError('UNAVAILABLE')), { maxRetries: 0 }), TransientError);
+    }
+
+    const call = flakyCall();
+    await assert.rejects(callProvider(target, call), error => error.name === 'CircuitOpenError' && error.retryAfterMs > 0);
+    assert.equal(call.count, 0);
+
+    // Another provider, and the same one after a reset, are unaffected
+    assert.equal(await callProvider(provider(), flakyCall()), 'audio');
+    resetCircuitBreakers();
+    assert.equal(await callProvider(target, flakyCall()), 'audio');
+});
+
+test('invalid requests never open the circuit', async () => {
+    const target = provider();
+    for (let i = 0; i < 10; i++) {
+        await assert.rejects(callProvider(target, flakyCall(new ValidationError('Unknown voice'))), ValidationError);
+    }
+    assert.equal(await callProvider(target, flakyCall()), 'audio');
+});
+
+test('a half-open circuit lets one trial request through', () => {
+    const breaker = new CircuitBreaker('google', { failureThreshold: 1, cooldownMs: 1000 });
+    breaker.recordFailure();
+    assert.throws(() => breaker.check(), /unavailable/);
+
+    breaker.openedAt -= 2000;
+    breaker.check();
+    assert.equal(breaker.state, 'half-open');
+    assert.throws(() => breaker.check(), /unavailable/);
+
+    // A failed trial opens it again, a successful one closes it
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'open');
+    breaker.openedAt -= 2000;
+    breaker.check();
+    breaker.recordSuccess();
+    assert.equal(breaker.state, 'closed');
+    breaker.check();
+});
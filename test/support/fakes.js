@@ -0,0 +1,219 @@
+const { Readable } = require('stream');
+
+/**
+ * Test doubles shared by the test files: an in-memory blob container, audio
+ * files of known length, and a text-to-speech provider that needs no network
+ */
+
+// Parses offline; the blob stores get a FakeBlobContainer in place of the real client
+const FAKE_CONNECTION_STRING = 'DefaultEndpointsProtocol=https;AccountName=test;AccountKey=dGVzdA==;EndpointSuffix=core.windows.net';
+
+function storageError(statusCode) {
+    return Object.assign(new Error(`Storage request failed with ${statusCode}`), { statusCode });
+}
+
+// Lets other requests in flight run first, as a network round trip would
+const roundTrip = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * The parts of an @azure/storage-blob ContainerClient the blob stores use,
+ * with ETags and conditional writes
+ */
+class FakeBlobContainer {
+    constructor() {
+        this.blobs = new Map();
+        this.writes = 0;
+    }
+
+    store(name, data) {
+        this.writes++;
+        this.blobs.set(name, { data, etag: `"${this.writes}"` });
+    }
+
+    async createIfNotExists() {}
+
+    async *listBlobsFlat({ prefix = '' } = {}) {
+        for (const name of [...this.blobs.keys()].sort()) {
+            if (name.startsWith(prefix)) {
+                yield { name };
+            }
+        }
+    }
+
+    getBlobClient(name) {
+        return {
+            download: async () => {
+                await roundTrip();
+                const blob = this.blobs.get(name);
+                if (!blob) {
+                    throw storageError(404);
+                }
+                return { etag: blob.etag, readableStreamBody: Readable.from([blob.data]) };
+            }
+        };
+    }
+
+    getBlockBlobClient(name) {
+        return {
+            ...this.getBlobClient(name),
+            upload: async (body, length, { conditions = {} } = {}) => {
+                await roundTrip();
+                const blob = this.blobs.get(name);
+                if (conditions.ifNoneMatch === '*' && blob) {
+                    throw storageError(409);
+                }
+                if (conditions.ifMatch && (!blob || blob.etag !== conditions.ifMatch)) {
+                    throw storageError(412);
+                }
+                this.store(name, Buffer.from(body));
+            },
+            deleteIfExists: async () => {
+                this.blobs.delete(name);
+            }
+        };
+    }
+
+    getAppendBlobClient(name) {
+        return {
+            createIfNotExists: async () => {
+                if (!this.blobs.has(name)) {
+                    this.store(name, Buffer.alloc(0));
+                }
+            },
+            appendBlock: async body => {
+                const blob = this.blobs.get(name);
+                if (!blob) {
+                    throw storageError(404);
+                }
+                this.store(name, Buffer.concat([blob.data, Buffer.from(body)]));
+            }
+        };
+    }
+}
+
+/**
+ * Creates a blob-backed store (BlobJobStore, BlobUsageStore...) on a fake container
+ *
+ * @param {Function} Store - Store class taking { connectionString, containerName }
+ * @param {Object} options - More constructor options
+ * @returns {Object} - The store; store.blobs.container is the FakeBlobContainer
+ */
+function createBlobStore(Store, options = {}) {
+    const store = new Store({ connectionString: FAKE_CONNECTION_STRING, ...options });
+    store.blobs.container = new FakeBlobContainer();
+    return store;
+}
+
+/**
+ * A mono 16-bit PCM WAV file of silence
+ *
+ * @param {number} seconds - Length
+ * @param {number} sampleRate - Samples per second (default 24000, as Google returns)
+ * @returns {Buffer}
+ */
+function wavFile(seconds, sampleRate = 24000) {
+    const data = Buffer.alloc(Math.round(seconds * sampleRate) * 2);
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(36 + data.length, 4);
+    header.write('WAVE', 8, 'latin1');
+    header.write('fmt ', 12, 'latin1');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'latin1');
+    header.writeUInt32LE(data.length, 40);
+    return Buffer.concat([header, data]);
+}
+
+function oggPage({ flags = 0, granulePosition, serialNumber, sequenceNumber, packets }) {
+    const segmentTable = packets.flatMap(packet => [
+        ...Array(Math.floor(packet.length / 255)).fill(255),
+        packet.length % 255
+    ]);
+    const header = Buffer.alloc(27);
+    header.write('OggS', 0, 'latin1');
+    header[5] = flags;
+    header.writeBigUInt64LE(granulePosition, 6);
+    header.writeUInt32LE(serialNumber, 14);
+    header.writeUInt32LE(sequenceNumber, 18);
+    header[26] = segmentTable.length;
+    return Buffer.concat([header, Buffer.from(segmentTable), ...packets]);
+}
+
+/**
+ * An Ogg Opus file of 20 ms CELT packets, with OpusHead and OpusTags pages
+ *
+ * @param {Object} options - { pages: packets per audio page, preSkip (312),
+ *   serialNumber }
+ * @returns {Buffer}
+ */
+function oggOpusFile({ pages = [10, 10], preSkip = 312, serialNumber = 1 } = {}) {
+    const head = Buffer.alloc(19);
+    head.write('OpusHead', 0, 'latin1');
+    head[8] = 1;
+    head[9] = 1;
+    head.writeUInt16LE(preSkip, 10);
+    head.writeUInt32LE(48000, 12);
+    const tags = Buffer.alloc(16);
+    tags.write('OpusTags', 0, 'latin1');
+
+    // TOC byte of a 20 ms fullband CELT frame (config 31, one frame): 960 samples
+    const packet = () => Buffer.from([31 << 3, 0xAB, 0xCD]);
+    const files = [
+        oggPage({ flags: 0x02, granulePosition: 0n, serialNumber, sequenceNumber: 0, packets: [head] }),
+        oggPage({ granulePosition: 0n, serialNumber, sequenceNumber: 1, packets: [tags] })
+    ];
+    let granulePosition = 0n;
+    pages.forEach((packetCount, index) => {
+        granulePosition += BigInt(packetCount * 960);
+        files.push(oggPage({
+            flags: index === pages.length - 1 ? 0x04 : 0,
+            granulePosition,
+            serialNumber,
+            sequenceNumber: index + 2,
+            packets: Array.from({ length: packetCount }, packet)
+        }));
+    });
+    return Buffer.concat(files);
+}
+
+/**
+ * A provider in the shape of ttsProviders.js that returns silent WAV audio,
+ * half a second per mark (or one second without marks)
+ *
+ * @param {Object} overrides - Provider fields to replace, e.g. synthesize
+ * @returns {Object} - The provider; provider.requests lists the requests it got
+ */
+function stubProvider(overrides = {}) {
+    const requests = [];
+    return {
+        name: 'google',
+        limits: { maxChunkLength: 4900, maxInputBytes: 5000, maxConcurrent: 4, maxRequestsPerMinute: 6000 },
+        audioEncodings: ['LINEAR16', 'MULAW', 'ALAW', 'MP3', 'OGG_OPUS'],
+        isConfigured: () => true,
+        defaultVoice: () => 'en-US-Neural2-A',
+        supportsTimepoints: () => true,
+        async synthesize(request) {
+            requests.push(request);
+            const input = request.input.ssml || request.input.text;
+            const timepoints = [...input.matchAll(/<mark name="([^"]+)"\/>/g)]
+                .map((match, index) => ({ markName: match[1], timeSeconds: index * 0.5 }));
+            return { audioContent: wavFile(timepoints.length > 0 ? timepoints.length * 0.5 : 1), timepoints };
+        },
+        requests,
+        ...overrides
+    };
+}
+
+module.exports = {
+    FakeBlobContainer,
+    createBlobStore,
+    wavFile,
+    oggOpusFile,
+    stubProvider
+};
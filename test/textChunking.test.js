@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    fitsChunk,
+    intelligentTextChunking,
+    splitLongTextAtWordBoundaries
+} = require('../src/lib/textChunking');
+const { chunkSsml, parseSsml } = require('../src/lib/ssml');
+
+const words = text => text.split(/\s+/).filter(Boolean);
+const bytes = text => Buffer.byteLength(text, 'utf8');
+const hasLoneSurrogate = text => /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/.test(text);
+
+test('fitsChunk checks characters and UTF-8 bytes', () => {
+    assert.equal(fitsChunk('abc', 3), true);
+    assert.equal(fitsChunk('abcd', 3), false);
+    // Three characters, nine bytes
+    assert.equal(fitsChunk('日本語', 3, 9), true);
+    assert.equal(fitsChunk('日本語', 3, 8), false);
+});
+
+test('sentences are grouped into chunks without being split', () => {
+    const sentences = Array.from({ length: 40 }, (_, index) => `Sentence number ${index} ends here.`);
+    const chunks = intelligentTextChunking(sentences.join(' '), 200);
+
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(chunk => chunk.length <= 200));
+    assert.deepEqual(words(chunks.join(' ')), words(sentences.join(' ')));
+    assert.ok(chunks.every(chunk => /\.$/.test(chunk)));
+});
+
+test('abbreviations and decimals don\'t end a sentence', () => {
+    const text = 'Dr. Smith paid $49.99 for it. Then he left.';
+    const chunks = intelligentTextChunking(text, 30);
+    assert.deepEqual(chunks, ['Dr. Smith paid $49.99 for it.', 'Then he left.']);
+});
+
+test('chunks of non-Latin text stay within the byte limit', () => {
+    // Each sentence is 11 characters and 31 bytes
+    const text = Array.from({ length: 300 }, () => '今日は良い天気です。').join('');
+    const chunks = intelligentTextChunking(text, 4900, undefined, 5000);
+
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(chunk => bytes(chunk) <= 5000));
+    assert.equal(chunks.join(''), text);
+});
+
+test('a sentence too long for one chunk is split at word boundaries', () => {
+    const sentence = `${Array.from({ length: 100 }, (_, index) => `word${index}`).join(' ')}.`;
+    const chunks = splitLongTextAtWordBoundaries(sentence, 60);
+
+    assert.ok(chunks.every(chunk => chunk.length <= 60));
+    assert.deepEqual(words(chunks.join(' ')), words(sentence));
+});
+
+test('splitting by bytes never cuts an emoji in half', () => {
+    const text = '😀'.repeat(50);
+    const chunks = splitLongTextAtWordBoundaries(text, 4900, 30);
+
+    assert.ok(chunks.every(chunk => bytes(chunk) <= 30 && !hasLoneSurrogate(chunk)));
+    assert.equal(chunks.join(''), text);
+});
+
+test('SSML chunks are valid documents within the byte limit', () => {
+    const body = Array.from({ length: 60 }, (_, index) =>
+        `<s>Ça coûte <emphasis>${index}</emphasis> euros, déjà payé.</s>`).join(' ');
+    const source = `<speak>${body}</speak>`;
+    const chunks = chunkSsml(source, 4900, text => [text], 1000);
+
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+        assert.ok(bytes(chunk) <= 1000);
+        assert.doesNotThrow(() => parseSsml(chunk));
+    }
+    const text = ssml => ssml.replace(/<[^>]+>/g, ' ');
+    assert.deepEqual(words(chunks.map(text).join(' ')), words(text(source)));
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { app, HttpRequest, InvocationContext } = require('@azure/functions');
+const { MemoryCache } = require('../src/lib/synthesisCache');
+const { MemoryLexiconStore } = require('../src/lib/lexiconStore');
+const { MemoryUsageStore } = require('../src/lib/usageStore');
+const { MemoryAccessStore } = require('../src/lib/accessStore');
+const { HistoryStore, MemoryHistoryBackend } = require('../src/lib/historyStore');
+const { parseLexiconEntry } = require('../src/lib/lexicon');
+const { getQuotaStatus } = require('../src/lib/usage');
+const { setProvider } = require('../src/lib/ttsProviders');
+const { stubProvider } = require('./support/fakes');
+
+// Route handlers by name, kept as the function module registers them
+const handlers = {};
+app.http = (name, options) => {
+    handlers[name] = options.handler;
+};
+
+const {
+    setSynthesisCache,
+    setLexiconStore,
+    setUsageStore,
+    setAccessStore,
+    setHistoryStore
+} = require('../src/functions/textToSpeech');
+
+const user = 'ada@example.com';
+
+async function speak(body) {
+    const response = await handlers.textToSpeech(
+        new HttpRequest({
+            method: 'POST',
+            url: 'http://localhost/api/textToSpeech',
+            headers: { 'x-tts-user': user },
+            body: { string: JSON.stringify({ audioEncoding: 'LINEAR16', fallback: false, ...body }) }
+        }),
+        new InvocationContext({ functionName: 'textToSpeech' })
+    );
+    return { ...response, json: JSON.parse(response.body) };
+}
+
+let provider;
+let lexicon;
+let usage;
+let accounts;
+
+test.beforeEach(() => {
+    provider = stubProvider();
+    setProvider('google', provider);
+    setSynthesisCache(null);
+    lexicon = new MemoryLexiconStore();
+    setLexiconStore(lexicon);
+    usage = new MemoryUsageStore();
+    setUsageStore(usage);
+    accounts = new MemoryAccessStore();
+    setAccessStore(accounts);
+    setHistoryStore(null);
+});
+
+test.after(() => setProvider('google', null));
+
+test('speech is synthesized and recorded in the caller\'s usage', async () => {
+    const text = 'Hello there. How are you?';
+    const { status, json } = await speak({ text });
+
+    assert.equal(status, 200);
+    assert.equal(json.provider, 'google');
+    assert.ok(Buffer.from(json.audioData, 'base64').subarray(0, 4).equals(Buffer.from('RIFF')));
+    assert.equal(provider.requests.length, 1);
+
+    const { daily } = await getQuotaStatus(usage, user);
+    assert.equal(daily.used, text.length);
+    assert.equal(daily.reserved, 0);
+});
+
+test('the caller\'s lexicon is applied, and the timing track shows the original text', async () => {
+    await lexicon.create(user, parseLexiconEntry({ match: 'TTS', replacement: 'text to speech' }));
+
+    const { status, json } = await speak({ text: 'TTS reads aloud.', timing: 'word' });
+    assert.equal(status, 200);
+    assert.match(provider.requests[0].input.ssml.replace(/<[^>]+>/g, ''), /^text to speech reads/);
+    assert.equal(json.lexicon.length, 1);
+    assert.equal(json.timing.sentences[0].text, 'TTS reads aloud.');
+
+    await speak({ text: 'TTS reads aloud.', useLexicon: false });
+    assert.equal(provider.requests[1].input.text, 'TTS reads aloud.');
+});
+
+test('repeated text is served from the synthesis cache', async () => {
+    setSynthesisCache(new MemoryCache());
+
+    assert.deepEqual((await speak({ text: 'Say it once.' })).json.cache, { hits: 0, misses: 1 });
+    assert.deepEqual((await speak({ text: 'Say it once.' })).json.cache, { hits: 1, misses: 0 });
+    assert.equal(provider.requests.length, 1);
+});
+
+test('results are saved in the caller\'s history unless they opt out', async () => {
+    const history = new HistoryStore(new MemoryHistoryBackend());
+    setHistoryStore(history);
+
+    const { json } = await speak({ text: 'Keep this one.' });
+    assert.equal((await history.get(user, json.historyId)).characters, 'Keep this one.'.length);
+
+    assert.equal((await speak({ text: 'Not this one.', history: false })).json.historyId, undefined);
+    assert.equal((await history.list(user)).length, 1);
+});
+
+test('requests over the account\'s quota are refused before synthesis', async () => {
+    await accounts.putAccount(user, { role: 'user', quotas: { daily: 10, monthly: null }, allowedVoices: null });
+
+    const { status, headers, json } = await speak({ text: 'Far more than ten characters.' });
+    assert.equal(status, 429);
+    assert.ok(Number(headers['Retry-After']) > 0);
+    assert.deepEqual({ period: json.quota.period, limit: json.quota.limit }, { period: 'daily', limit: 10 });
+    assert.equal(provider.requests.length, 0);
+    assert.equal(await usage.held(user), 0);
+});
+
+test('voices the account may not use are refused', async () => {
+    await accounts.putAccount(user, { role: 'user', quotas: {}, allowedVoices: ['en-US-Neural2-A'] });
+
+    const { status, json } = await speak({ text: 'Hello.', voiceName: 'en-US-Neural2-C' });
+    assert.equal(status, 403);
+    assert.deepEqual(json.allowedVoices, ['en-US-Neural2-A']);
+    assert.equal((await speak({ text: 'Hello.', voiceName: 'en-US-Neural2-A' })).status, 200);
+});
+
+test('invalid options are a 400 naming the field', async () => {
+    const { status, json } = await speak({ text: 'Hello.', timing: 'paragraph' });
+    assert.equal(status, 400);
+    assert.equal(json.field, 'timing');
+    assert.equal(provider.requests.length, 0);
+});
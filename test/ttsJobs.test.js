@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { app, HttpRequest, InvocationContext } = require('@azure/functions');
+const { MemoryJobStore } = require('../src/lib/jobStore');
+const { MemoryUsageStore } = require('../src/lib/usageStore');
+const { MemoryLexiconStore } = require('../src/lib/lexiconStore');
+const { MemoryAccessStore } = require('../src/lib/accessStore');
+const { setProvider } = require('../src/lib/ttsProviders');
+const { getQuotaStatus } = require('../src/lib/usage');
+const { InputRejectedError } = require('../src/lib/errors');
+const { stubProvider } = require('./support/fakes');
+
+// Route handlers by name, kept as the function modules register them
+const handlers = {};
+app.http = (name, options) => {
+    handlers[name] = options.handler;
+};
+
+const {
+    setSynthesisCache,
+    setLexiconStore,
+    setUsageStore,
+    setAccessStore,
+    setHistoryStore
+} = require('../src/functions/textToSpeech');
+const { jobQueueOutput, setJobStore } = require('../src/functions/ttsJobs');
+
+const user = 'ada@example.com';
+
+async function call(name, { method = 'GET', params = {}, body, user: caller = user } = {}) {
+    const context = new InvocationContext({ functionName: name });
+    const response = await handlers[name](
+        new HttpRequest({
+            method,
+            url: 'http://localhost/api/tts/jobs',
+            headers: { 'x-tts-user': caller },
+            params,
+            ...(body && { body: { string: JSON.stringify(body) } })
+        }),
+        context
+    );
+    return { ...response, context };
+}
+
+// Polls the status route until the job has finished running
+async function finishedJob(jobId) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const { jsonBody } = await call('getTtsJobStatus', { params: { id: jobId } });
+        if (jsonBody.status !== 'queued' && jsonBody.status !== 'running') {
+            return jsonBody;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+}
+
+// Two sentences, chunked separately, of which the provider rejects the second until accepting is set
+const text = 'The first sentence is spoken. The second sentence is rejected.';
+let accepting;
+let provider;
+let store;
+let usage;
+
+test.beforeEach(() => {
+    accepting = false;
+    provider = stubProvider({
+        limits: { maxChunkLength: 40, maxInputBytes: 40, maxConcurrent: 4, maxRequestsPerMinute: 6000 }
+    });
+    const synthesize = provider.synthesize;
+    provider.synthesize = async request => {
+        if (!accepting && /rejected/.test(request.input.text)) {
+            throw new InputRejectedError('Sentence rejected');
+        }
+        // Slow enough for requests sent side by side to overlap
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return synthesize(request);
+    };
+    setProvider('google', provider);
+
+    store = new MemoryJobStore();
+    setJobStore(store);
+    usage = new MemoryUsageStore();
+    setUsageStore(usage);
+    setSynthesisCache(null);
+    setLexiconStore(new MemoryLexiconStore());
+    setAccessStore(new MemoryAccessStore());
+    setHistoryStore(null);
+    delete process.env.TTS_JOB_RUNNER;
+});
+
+test.after(() => {
+    setProvider('google', null);
+    delete process.env.TTS_JOB_RUNNER;
+});
+
+const submit = (body = {}) => call('submitTtsJob', {
+    method: 'POST',
+    body: { text, audioEncoding: 'LINEAR16', fallback: false, failurePolicy: 'silence', ...body }
+});
+
+test('a submitted job runs in the background and its failed chunks can be retried', async () => {
+    const submitted = await submit();
+    assert.equal(submitted.status, 202);
+
+    const job = await finishedJob(submitted.jsonBody.jobId);
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(job.failedChunks.map(chunk => chunk.index), [1]);
+    assert.equal(job.progress.failed, 1);
+
+    // The job's characters are counted, and no longer held, once it has run
+    const { daily } = await getQuotaStatus(usage, user);
+    assert.equal(daily.used, text.length);
+    assert.equal(daily.reserved, 0);
+
+    accepting = true;
+    const retry = await call('retryTtsJob', { method: 'POST', params: { id: job.jobId } });
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers['X-TTS-Failed-Chunks'], '0');
+    assert.equal((await finishedJob(job.jobId)).failedChunks, null);
+    assert.equal(provider.requests.filter(request => /rejected/.test(request.input.text)).length, 1);
+});
+
+test('only one of two retries sent side by side runs', async () => {
+    const { jsonBody } = await submit();
+    await finishedJob(jsonBody.jobId);
+
+    accepting = true;
+    const retries = await Promise.all([1, 2].map(() => call('retryTtsJob', { method: 'POST', params: { id: jsonBody.jobId } })));
+    assert.deepEqual(retries.map(retry => retry.status).sort(), [200, 409]);
+    assert.equal(retries.find(retry => retry.status === 409).jsonBody.error, 'Job is already being retried');
+    assert.equal(provider.requests.filter(request => /rejected/.test(request.input.text)).length, 1);
+    assert.equal((await getQuotaStatus(usage, user)).daily.reserved, 0);
+});
+
+test('other users\' jobs are not found', async () => {
+    const { jsonBody } = await submit();
+    await finishedJob(jsonBody.jobId);
+
+    assert.equal((await call('getTtsJobStatus', { params: { id: jsonBody.jobId }, user: 'grace@example.com' })).status, 404);
+    assert.equal((await call('retryTtsJob', { method: 'POST', params: { id: jsonBody.jobId }, user: 'grace@example.com' })).status, 404);
+});
+
+test('with the queue runner, submitted jobs go on the queue', async () => {
+    process.env.TTS_JOB_RUNNER = 'queue';
+    const { status, jsonBody, context } = await submit();
+
+    assert.equal(status, 202);
+    assert.deepEqual(context.extraOutputs.get(jobQueueOutput), { jobId: jsonBody.jobId });
+    assert.equal((await store.get(jsonBody.jobId)).status, 'queued');
+    assert.equal((await store.getInput(jsonBody.jobId)).text, text);
+});
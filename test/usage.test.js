@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { MemoryUsageStore, FileUsageStore, BlobUsageStore } = require('../src/lib/usageStore');
+const { getQuotaStatus, reserveQuota, heldReservation } = require('../src/lib/usage');
+const { QuotaExceededError } = require('../src/lib/errors');
+const { createBlobStore } = require('./support/fakes');
+
+const env = { TTS_QUOTA_DAILY_CHARACTERS: '100' };
+const user = 'ada@example.com';
+
+const backends = {
+    memory: () => new MemoryUsageStore(),
+    file: async () => new FileUsageStore({ directory: await fs.mkdtemp(path.join(os.tmpdir(), 'tts-usage-test-')) }),
+    blob: () => createBlobStore(BlobUsageStore)
+};
+
+for (const [backend, createStore] of Object.entries(backends)) {
+    test(`quota reservations on the ${backend} usage store`, async t => {
+        const stores = [];
+        const newStore = async () => {
+            const store = await createStore();
+            stores.push(store);
+            return store;
+        };
+        t.after(() => Promise.all(stores
+            .filter(store => store.directory)
+            .map(store => fs.rm(store.directory, { recursive: true, force: true }))));
+
+        await t.test('reservations checked side by side count each other', async () => {
+            const store = await newStore();
+            const results = await Promise.allSettled([40, 40, 40].map(characters => reserveQuota(store, user, characters, { env })));
+
+            const reserved = results.filter(result => result.status === 'fulfilled');
+            const refused = results.filter(result => result.status === 'rejected');
+            assert.equal(reserved.length, 2);
+            assert.equal(refused.length, 1);
+            assert.ok(refused[0].reason instanceof QuotaExceededError);
+            assert.equal(refused[0].reason.quota.reserved, 80);
+            assert.equal((await getQuotaStatus(store, user, { env })).daily.reserved, 80);
+        });
+
+        await t.test('recorded usage and holds both count', async () => {
+            const store = await newStore();
+            await store.record(user, { characters: 70, billedCharacters: 70, cacheHits: 0, estimatedCost: 0 });
+
+            const reservation = await reserveQuota(store, user, 20, { env });
+            assert.deepEqual(
+                { used: reservation.status.daily.used, reserved: reservation.status.daily.reserved, remaining: reservation.status.daily.remaining },
+                { used: 70, reserved: 0, remaining: 30 }
+            );
+            await assert.rejects(reserveQuota(store, user, 20, { env }), QuotaExceededError);
+            assert.equal((await getQuotaStatus(store, user, { env })).daily.remaining, 10);
+        });
+
+        await t.test('released characters can be reserved again', async () => {
+            const store = await newStore();
+            const reservation = await reserveQuota(store, user, 100, { env });
+            await assert.rejects(reserveQuota(store, user, 1, { env }), QuotaExceededError);
+
+            await reservation.release(60);
+            assert.equal(await store.held(user), 40);
+            await reservation.release();
+            assert.equal(await store.held(user), 0);
+            // Releasing again gives nothing more back
+            await reservation.release();
+            await reserveQuota(store, user, 100, { env });
+        });
+
+        await t.test('a hold taken elsewhere is released by its id', async () => {
+            const store = await newStore();
+            const { holdId } = await reserveQuota(store, user, 50, { env });
+
+            const reservation = heldReservation(store, user, holdId, 50);
+            await reservation.release(20);
+            assert.equal(await store.held(user), 30);
+            await reservation.release();
+            assert.equal(await store.held(user), 0);
+        });
+
+        await t.test('expired holds keep no characters', async () => {
+            const store = await newStore();
+            await reserveQuota(store, user, 100, { env, holdMs: -1 });
+            assert.equal(await store.held(user), 0);
+            await reserveQuota(store, user, 100, { env });
+        });
+    });
+}
+
+test('releasing never rejects, even when the store fails', async () => {
+    const store = new MemoryUsageStore();
+    const { holdId } = await reserveQuota(store, user, 10, { env });
+    store.release = async () => {
+        throw new Error('storage is down');
+    };
+    await heldReservation(store, user, holdId, 10).release();
+});
+
+test('an account\'s quota replaces the deployment\'s', async () => {
+    const store = new MemoryUsageStore();
+    const account = { quotas: { daily: 500, monthly: null } };
+    const { status } = await reserveQuota(store, user, 400, { env, account });
+    assert.equal(status.daily.limit, 500);
+    assert.equal(status.monthly.limit, null);
+    await assert.rejects(reserveQuota(store, user, 101, { env, account }), QuotaExceededError);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { app, HttpRequest, InvocationContext } = require('@azure/functions');
+const { VoiceCatalog } = require('../src/lib/voiceCatalog');
+
+// Route handlers by name, kept as the function module registers them
+const handlers = {};
+app.http = (name, options) => {
+    handlers[name] = options.handler;
+};
+
+const { setVoiceCatalog } = require('../src/functions/voices');
+
+function listVoices(query = '') {
+    return handlers.listVoices(
+        new HttpRequest({ method: 'GET', url: `http://localhost/api/voices${query}` }),
+        new InvocationContext({ functionName: 'listVoices' })
+    );
+}
+
+// How often the stub provider was asked for its voices
+let calls;
+
+test.beforeEach(() => {
+    calls = 0;
+    setVoiceCatalog(new VoiceCatalog({
+        listVoices: async () => {
+            calls++;
+            return [
+                { name: 'en-US-Neural2-A', languageCodes: ['en-US'], ssmlGender: 'MALE', naturalSampleRateHertz: 24000 },
+                { name: 'en-GB-Neural2-C', languageCodes: ['en-GB'], ssmlGender: 'FEMALE', naturalSampleRateHertz: 24000 },
+                { name: 'de-DE-Wavenet-B', languageCodes: ['de-DE'], ssmlGender: 'MALE', naturalSampleRateHertz: 24000 }
+            ];
+        }
+    }), 'google');
+});
+
+test('voices are listed from the provider once, then filtered per request', async () => {
+    const all = await listVoices();
+    assert.equal(all.status, 200);
+    assert.equal(all.jsonBody.count, 3);
+
+    const british = await listVoices('?languageCode=en-GB&gender=FEMALE');
+    assert.deepEqual(british.jsonBody.voices.map(voice => voice.name), ['en-GB-Neural2-C']);
+    assert.deepEqual((await listVoices('?family=WaveNet')).jsonBody.voices.map(voice => voice.name), ['de-DE-Wavenet-B']);
+    assert.equal(calls, 1);
+});
+
+test('unknown providers and filters are a 400', async () => {
+    const provider = await listVoices('?provider=polly');
+    assert.equal(provider.status, 400);
+    assert.equal(provider.jsonBody.field, 'provider');
+
+    assert.equal((await listVoices('?gender=ROBOT')).status, 400);
+});